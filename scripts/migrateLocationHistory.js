@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import {
+  ensureLocationHistoryCollection,
+  migrateLegacyLocationHistory,
+} from '../src/services/locationHistoryService.js';
+
+// Load environment variables
+dotenv.config();
+
+// One-off: move the location history embedded in Location documents into the
+// time-series LocationPoint collection. Safe to run again if it is interrupted.
+async function migrateLocationHistory() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Points must land in the time-series collection, not one created by the first insert
+    await ensureLocationHistoryCollection();
+
+    const { locations, points } = await migrateLegacyLocationHistory();
+    console.log(`✅ Moved ${points} positions from ${locations} location documents`);
+  } catch (error) {
+    console.error('❌ Error migrating location history:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+migrateLocationHistory();
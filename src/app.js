@@ -38,13 +38,17 @@ import supportRoutes from "./routes/supportRoutes.js";
 import serviceAreaRoutes from "./routes/serviceAreaRoutes.js";
 import instagramRoutes from "./routes/instagramRoutes.js";
 import testimonialRoutes from "./routes/testimonialRoutes.js";
+import walletRoutes from "./routes/walletRoutes.js";
+import eventRoutes from "./routes/eventRoutes.js";
 
 // Import middleware
 import { errorHandler } from "./middleware/errorMiddleware.js";
 import { saveRawBody } from "./middleware/webhookMiddleware.js";
+import { WEBHOOK_INBOX_CONFIG } from "./config/webhooks.js";
 import { apiResponseMiddleware } from "./utils/apiResponse.js";
 import passport from "./utils/passport.js";
 import * as paymentController from "./controllers/paymentController.js";
+import * as membershipController from "./controllers/membershipController.js";
 
 // Load environment variables
 dotenv.config();
@@ -70,13 +74,19 @@ app.use(
 );
 
 // Production specific configurations
-// Razorpay Webhook: must come before global JSON parsing to preserve raw body
+// Razorpay Webhooks: must come before global JSON parsing to preserve raw body
 app.post(
   "/api/payments/webhook",
-  express.raw({ type: "application/json" }),
+  express.raw({ type: "application/json", limit: WEBHOOK_INBOX_CONFIG.maxBodySize }),
   saveRawBody,
   paymentController.handleWebhook
 );
+app.post(
+  "/api/memberships/webhook",
+  express.raw({ type: "application/json", limit: WEBHOOK_INBOX_CONFIG.maxBodySize }),
+  saveRawBody,
+  membershipController.handlePaymentWebhook
+);
 
 if (process.env.NODE_ENV === "production") {
   validateProductionEnv();
@@ -135,6 +145,7 @@ app.use(passport.initialize());
 app.use("/api/admin", adminRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/bookings", bookingRoutes);
+app.use("/api/events", eventRoutes);
 app.use("/api/locations", locationRoutes);
 app.use("/api/memberships", membershipRoutes);
 app.use("/api/notifications", notificationRoutes);
@@ -152,6 +163,7 @@ app.use("/api/quick-fixes", quickFixRoutes);
 app.use("/api/service-areas", serviceAreaRoutes);
 app.use("/api/instagram", instagramRoutes);
 app.use("/api/testimonials", testimonialRoutes);
+app.use("/api/wallet", walletRoutes);
 
 // Health check route
 app.get("/api/health", (req, res) => {
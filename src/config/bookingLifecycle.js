@@ -0,0 +1,92 @@
+// Booking lifecycle: every status a booking can be in and who may move it where.
+// Both the booking model (structural check) and bookingLifecycleService
+// (role + ownership check) read from this table, so keep it the single source.
+
+export const BOOKING_STATUSES = [
+  "pending",
+  "confirmed",
+  "assigned",
+  "on-the-way",
+  "in-progress",
+  "completed",
+  "cancelled",
+  "rejected",
+];
+
+// Statuses that can never be left again
+export const TERMINAL_STATUSES = ["completed", "cancelled"];
+
+// Actors that can drive a transition; "system" covers jobs and webhooks
+export const LIFECYCLE_ROLES = ["customer", "professional", "admin", "system"];
+
+// from -> to -> roles allowed to perform the transition
+export const BOOKING_TRANSITIONS = {
+  pending: {
+    confirmed: ["professional", "admin", "system"],
+    assigned: ["admin", "system"],
+    cancelled: ["customer", "admin", "system"],
+    rejected: ["professional", "admin"],
+  },
+  confirmed: {
+    // Released back to the pool, e.g. when a reschedule frees the professional
+    pending: ["admin", "system"],
+    assigned: ["admin", "system"],
+    "on-the-way": ["professional", "admin"],
+    "in-progress": ["professional", "admin"],
+    cancelled: ["customer", "professional", "admin", "system"],
+    rejected: ["professional", "admin"],
+  },
+  // An assigned booking is an offer until the professional confirms it
+  assigned: {
+    pending: ["admin", "system"],
+    confirmed: ["professional", "admin"],
+    "in-progress": ["professional", "admin"],
+    cancelled: ["customer", "professional", "admin", "system"],
+    rejected: ["professional", "admin"],
+  },
+  // The professional is travelling to the booking location and is tracked live
+  "on-the-way": {
+    // Turned back, e.g. the customer asked them to come later
+    confirmed: ["professional", "admin"],
+    "in-progress": ["professional", "admin"],
+    cancelled: ["customer", "professional", "admin", "system"],
+  },
+  "in-progress": {
+    completed: ["professional", "admin"],
+    cancelled: ["admin"],
+  },
+  // A rejected booking goes back to the pool so it can be assigned again
+  rejected: {
+    pending: ["admin", "system"],
+    assigned: ["admin", "system"],
+    cancelled: ["customer", "admin", "system"],
+  },
+  completed: {},
+  cancelled: {},
+};
+
+export const BOOKING_STATUS_MESSAGES = {
+  pending: "Booking created and waiting for confirmation",
+  confirmed: "Booking confirmed and professional assigned",
+  assigned: "Professional assigned to the booking",
+  "on-the-way": "Professional is on the way",
+  "in-progress": "Service is in progress",
+  completed: "Service completed successfully",
+  cancelled: "Booking cancelled",
+  rejected: "Booking rejected by the professional",
+};
+
+export const isValidBookingStatus = (status) => BOOKING_STATUSES.includes(status);
+
+// Whether the lifecycle graph has an edge from -> to, regardless of who asks
+export const isTransitionAllowed = (from, to) =>
+  Boolean(BOOKING_TRANSITIONS[from]?.[to]);
+
+export const canRoleTransition = (from, to, role) =>
+  (BOOKING_TRANSITIONS[from]?.[to] || []).includes(role);
+
+// Statuses the given role can move a booking to from its current status
+export const getAllowedTransitions = (from, role) =>
+  Object.entries(BOOKING_TRANSITIONS[from] || {})
+    .filter(([, roles]) => !role || roles.includes(role))
+    .map(([to]) => to);
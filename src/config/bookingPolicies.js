@@ -0,0 +1,52 @@
+// Customer-facing booking policies. Times are measured against the booking's
+// scheduled start (scheduledDate + scheduledTime).
+
+export const CANCELLATION_POLICY = {
+  // Cancelling at least this many hours before the slot is free
+  freeCancellationHours: Number(process.env.FREE_CANCELLATION_HOURS) || 4,
+
+  // Fee tiers inside the paid window, checked top to bottom.
+  // A tier applies when the slot is at least `minHoursBefore` hours away.
+  tiers: [
+    { minHoursBefore: 2, feePercent: 10, label: "Late cancellation" },
+    { minHoursBefore: 0, feePercent: 25, label: "Last-minute cancellation" },
+  ],
+
+  // Cancelling after the slot started, or the customer not showing up
+  noShow: { feePercent: 50, label: "No-show" },
+
+  // Fees never go below / above these amounts (INR) once a tier applies
+  minimumFee: 0,
+  maximumFee: 500,
+
+  // Cancellations initiated by these roles never charge the customer
+  waivedForRoles: ["professional", "admin", "system"],
+};
+
+export const RESCHEDULE_POLICY = {
+  // Customers may move a booking at most this many times
+  maxReschedules: Number(process.env.MAX_RESCHEDULES) || 2,
+
+  // No rescheduling once the current slot is closer than this
+  cutoffHours: Number(process.env.RESCHEDULE_CUTOFF_HOURS) || 2,
+
+  // Bookings in these states can still be moved
+  reschedulableStatuses: ["pending", "assigned", "confirmed"],
+
+  // Admins are not bound by the count or the cutoff
+  exemptRoles: ["admin"],
+};
+
+export const RECURRING_BOOKING_POLICY = {
+  // Days between occurrences for each supported frequency
+  frequencies: { weekly: 7, biweekly: 14 },
+
+  // Bookings are created this many days before their slot
+  generateAheadDays: Number(process.env.RECURRING_GENERATE_AHEAD_DAYS) || 7,
+
+  // How often the generator looks for schedules that are due
+  sweepIntervalMs: 60 * 60 * 1000,
+
+  // Occurrences kept on each schedule for the customer's history
+  historyLimit: 20,
+};
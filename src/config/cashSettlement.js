@@ -0,0 +1,26 @@
+// Cash professionals collect on COD jobs and hand back to the company
+
+export const CASH_SETTLEMENT_CONFIG = {
+  // Cash in hand (INR) at which a professional stops getting COD jobs,
+  // unless an admin set a different limit for them
+  defaultCashLimit: Number(process.env.COD_CASH_LIMIT) || 5000,
+
+  // Largest limit an admin may set for one professional
+  maxCashLimit: 100000,
+
+  // A ledger entry not applied to the cash account within this long was interrupted
+  // and is finished by the sweep
+  applyingTimeoutMs: 60 * 1000,
+  sweepIntervalMs: 5 * 60 * 1000,
+};
+
+// How cash reaches the company
+export const CASH_DEPOSIT_METHODS = ["bank_transfer", "upi", "office_handover"];
+
+export const CASH_DEPOSIT_STATUSES = ["pending", "confirmed", "rejected"];
+
+// Ledger entry types; amounts are positive when the professional's cash in hand grows
+export const CASH_ENTRY_TYPES = ["collection", "deposit", "adjustment"];
+
+// pending: recorded, not yet in the account balance; applying: being added to it
+export const CASH_ENTRY_STATUSES = ["pending", "applying", "posted"];
@@ -4,6 +4,7 @@
  */
 import mongoose from "mongoose";
 import { createAllIndexes } from "./indexes.js";
+import { ensureLocationHistoryCollection } from "../services/locationHistoryService.js";
 
 /**
  * Optimized MongoDB Connection Configuration
@@ -216,6 +217,15 @@ export class DatabaseConnection {
           error.message
         );
       }
+
+      try {
+        await ensureLocationHistoryCollection();
+      } catch (error) {
+        console.error(
+          "⚠️ Warning: Could not set up the location history collection:",
+          error.message
+        );
+      }
     });
   }
 
@@ -0,0 +1,32 @@
+// Auto-dispatch settings: how candidates are scored and how long an offer stays open
+
+export const DISPATCH_MODES = ["auto", "manual"];
+
+export const DISPATCH_CONFIG = {
+  // Minutes a professional has to confirm an offered job before it moves on
+  offerTimeoutMinutes: Number(process.env.DISPATCH_OFFER_TIMEOUT_MINUTES) || 5,
+
+  // Professionals further away than this are never offered the job
+  maxDistanceKm: Number(process.env.DISPATCH_MAX_DISTANCE_KM) || 25,
+
+  // Offers made before giving up and handing the booking to admins
+  maxAttempts: Number(process.env.DISPATCH_MAX_ATTEMPTS) || 5,
+
+  // Active jobs at which the load factor bottoms out
+  maxActiveJobs: 4,
+
+  // How often expired offers are swept
+  sweepIntervalMs: 60 * 1000,
+
+  // Relative weight of each factor, summing to 1
+  weights: {
+    distance: 0.35,
+    skills: 0.25,
+    serviceArea: 0.15,
+    load: 0.15,
+    rating: 0.1,
+  },
+};
+
+// Bookings in these states keep a professional busy
+export const ACTIVE_JOB_STATUSES = ["assigned", "confirmed", "on-the-way", "in-progress"];
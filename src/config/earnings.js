@@ -0,0 +1,26 @@
+// Platform commission on completed jobs and the weekly payout cycle
+
+export const EARNINGS_CONFIG = {
+  // Percentage of a job's value kept by the platform when no commission rule matches
+  defaultCommissionRate: Number(process.env.DEFAULT_COMMISSION_RATE) || 20,
+
+  // Payout weeks start on this weekday in IST (0 = Sunday, 1 = Monday)
+  payoutWeekStartsOn: 1,
+
+  // How often the payout job checks whether last week's batch exists
+  sweepIntervalMs: 60 * 60 * 1000,
+};
+
+// Who a commission rule applies to; professional rules win over category rules
+export const COMMISSION_SCOPES = ["category", "professional"];
+
+// Lines of a professional's earnings ledger. Amounts are positive when owed to the professional.
+export const EARNING_ENTRY_TYPES = ["job", "cod_deduction", "adjustment"];
+
+// unpaid: not in a payout yet; batched: in a payout being paid; paid: settled
+export const EARNING_ENTRY_STATUSES = ["unpaid", "batched", "paid"];
+
+export const PAYOUT_BATCH_STATUSES = ["draft", "approved", "completed", "cancelled"];
+
+// settled: nothing left to transfer once COD cash was deducted
+export const PAYOUT_STATUSES = ["pending", "paid", "failed", "settled"];
@@ -0,0 +1,24 @@
+// Server-Sent Events stream of booking, notification and payment updates.
+// Events published on the bus (see services/eventBus.js) are pushed to every open
+// stream of their recipients:
+//   booking.created, booking.status, booking.rescheduled, booking.tracking,
+//   notification.created, payment.confirmed
+// plus `resync` when a reconnecting client missed events that are no longer kept.
+
+export const EVENT_STREAM_CONFIG = {
+  // Comment line sent this often (ms) so proxies keep idle streams open
+  heartbeatMs: Number(process.env.EVENT_STREAM_HEARTBEAT_MS) || 25 * 1000,
+
+  // Reconnect delay (ms) suggested to EventSource clients
+  retryMs: 5 * 1000,
+
+  // Open streams allowed per user, e.g. a phone and a couple of browser tabs
+  maxConnectionsPerUser: Number(process.env.EVENT_STREAM_MAX_CONNECTIONS) || 5,
+
+  // Events kept per user for Last-Event-ID resume, by count and by age
+  replayLimit: 100,
+  replayWindowMinutes: 30,
+
+  // Users whose recent events are kept; the least recently active are dropped first
+  maxReplayUsers: 10000,
+};
@@ -104,6 +104,16 @@ const INDEX_CONFIGS = {
       fields: { customer: 1, paymentStatus: 1, status: 1 },
       options: { background: true },
     },
+
+    // Membership quota usage and recurring schedule occurrences
+    {
+      fields: { "membershipCoverage.membership": 1, scheduledDate: 1 },
+      options: { background: true, sparse: true },
+    },
+    {
+      fields: { recurringBooking: 1, scheduledDate: 1 },
+      options: { background: true, sparse: true },
+    },
   ],
 
   Notification: [
@@ -0,0 +1,66 @@
+// GST invoicing: who issues invoices, how they are numbered and taxed
+
+export const INVOICE_CONFIG = {
+  seller: {
+    legalName: process.env.INVOICE_SELLER_NAME || "DashStream",
+    gstin: process.env.INVOICE_SELLER_GSTIN || "",
+    address: process.env.INVOICE_SELLER_ADDRESS || "",
+    // GST state code of the registered place of business
+    stateCode: process.env.INVOICE_SELLER_STATE_CODE || "29",
+    email: process.env.INVOICE_SELLER_EMAIL || "",
+  },
+
+  // SAC for vehicle cleaning and maintenance services
+  sacCode: process.env.INVOICE_SAC_CODE || "998714",
+
+  // GST rate (%) on services
+  gstRate: Number(process.env.INVOICE_GST_RATE) || 18,
+
+  // Service prices shown to customers already include GST
+  pricesIncludeTax: process.env.INVOICE_PRICES_INCLUDE_TAX !== "false",
+
+  invoicePrefix: "INV",
+  creditNotePrefix: "CN",
+};
+
+export const INVOICE_TYPES = ["invoice", "credit_note"];
+
+// GST state and union territory codes
+export const GST_STATE_CODES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  "10": "Bihar",
+  "11": "Sikkim",
+  "12": "Arunachal Pradesh",
+  "13": "Nagaland",
+  "14": "Manipur",
+  "15": "Mizoram",
+  "16": "Tripura",
+  "17": "Meghalaya",
+  "18": "Assam",
+  "19": "West Bengal",
+  "20": "Jharkhand",
+  "21": "Odisha",
+  "22": "Chhattisgarh",
+  "23": "Madhya Pradesh",
+  "24": "Gujarat",
+  "26": "Dadra and Nagar Haveli and Daman and Diu",
+  "27": "Maharashtra",
+  "29": "Karnataka",
+  "30": "Goa",
+  "31": "Lakshadweep",
+  "32": "Kerala",
+  "33": "Tamil Nadu",
+  "34": "Puducherry",
+  "35": "Andaman and Nicobar Islands",
+  "36": "Telangana",
+  "37": "Andhra Pradesh",
+  "38": "Ladakh",
+};
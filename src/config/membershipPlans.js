@@ -1,3 +1,21 @@
+// Benefits a plan can include, and the services that draw from each one.
+// A service matches when its category or one of its tags is listed.
+export const ENTITLEMENT_TYPES = {
+  wash: {
+    label: 'Washes',
+    categories: ['car wash', 'bike wash'],
+  },
+  waxCoating: {
+    label: 'Wax coatings',
+    tags: ['wax', 'wax coating', 'paint protection'],
+  },
+  detailing: {
+    label: 'Detailing sessions',
+    categories: ['detailing'],
+  },
+};
+
+// `entitlements` maps an ENTITLEMENT_TYPES key to the quantity included per billing period
 export const MEMBERSHIP_PLANS = [
   {
     id: 'silver',
@@ -11,6 +29,7 @@ export const MEMBERSHIP_PLANS = [
     ],
     price: 1,
     duration: 'month',
+    entitlements: { wash: 4 },
     popular: false,
   },
   {
@@ -26,6 +45,7 @@ export const MEMBERSHIP_PLANS = [
     ],
     price: 899,
     duration: 'month',
+    entitlements: { wash: 8, waxCoating: 1 },
     popular: true,
   },
   {
@@ -42,6 +62,46 @@ export const MEMBERSHIP_PLANS = [
     ],
     price: 1499,
     duration: 'month',
+    entitlements: { wash: 12, waxCoating: 2, detailing: 1 },
     popular: false,
   },
-];
\ No newline at end of file
+];
+
+//Look up a plan by id
+
+export const getMembershipPlan = (planId) =>
+  MEMBERSHIP_PLANS.find((plan) => plan.id === planId) || null;
+
+// Expiry, reminder and renewal timings used by the membership lifecycle job
+export const MEMBERSHIP_LIFECYCLE = {
+  // Members are reminded this many days before validUntil
+  reminderDaysBefore: Number(process.env.MEMBERSHIP_REMINDER_DAYS) || 3,
+
+  // autoRenew members get their renewal link this many days before validUntil
+  renewalLeadDays: 2,
+
+  // Hours a renewal payment link stays payable
+  renewalLinkValidityHours: 24,
+
+  // New links are raised after an unpaid one expires, up to this many per period
+  maxRenewalAttempts: 3,
+
+  // Days an unpaid autoRenew membership stays in grace before it expires
+  graceDays: Number(process.env.MEMBERSHIP_GRACE_DAYS) || 3,
+
+  sweepIntervalMs: 60 * 60 * 1000,
+};
+
+// Rules for moving between plans in the middle of a billing period
+export const PLAN_CHANGE_POLICY = {
+  // Upgrades whose prorated difference is below this (INR) are applied without a payment
+  minimumCharge: 1,
+
+  // Hours an upgrade payment link stays payable
+  paymentLinkValidityHours: 24,
+
+  // Upgrades take effect immediately and what was already used counts against the new
+  // plan's allowance. Downgrades wait for the period to end; unused benefits the new plan
+  // also includes are brought into its first period, up to this many of each.
+  maxCarryOverPerEntitlement: 2,
+};
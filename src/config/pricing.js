@@ -0,0 +1,42 @@
+// Server-side booking prices and the signed quotes customers book against
+
+export const PRICING_CONFIG = {
+  // Secret quotes are signed with; falls back to the JWT secret
+  quoteSecret: process.env.QUOTE_SIGNING_SECRET || process.env.JWT_SECRET || "",
+
+  // How long a quote can be booked against
+  quoteTtlMinutes: Number(process.env.QUOTE_TTL_MINUTES) || 15,
+};
+
+// Vehicle classes a service can be priced for; they are the types of a customer's Vehicle
+export const VEHICLE_CLASSES = ["car", "motorcycle", "scooter", "truck", "van"];
+
+// Service.vehicleType (and offer vehicle limits) each vehicle class falls under
+export const VEHICLE_CLASS_TYPES = {
+  car: "4 Wheeler",
+  motorcycle: "2 Wheeler",
+  scooter: "2 Wheeler",
+  truck: "4 Wheeler",
+  van: "4 Wheeler",
+};
+
+// Surge and off-peak rules that move a booking's price with demand
+export const DYNAMIC_PRICING_CONFIG = {
+  // No rule may raise a booking by more than this share of its service price (%)
+  maxSurgePercent: Number(process.env.MAX_SURGE_PERCENT) || 50,
+
+  // ... or lower it by more than this share (%)
+  maxOffPeakPercent: Number(process.env.MAX_OFF_PEAK_PERCENT) || 30,
+
+  // Past bookings a simulation looks at by default, and at most
+  defaultSimulationDays: 30,
+  maxSimulationDays: 90,
+
+  // Affected bookings listed in a simulation report
+  simulationSampleSize: 20,
+};
+
+// surge raises the price, off_peak lowers it
+export const PRICING_RULE_KINDS = ["surge", "off_peak"];
+
+export const PRICING_RULE_ADJUSTMENTS = ["percentage", "fixed"];
@@ -0,0 +1,18 @@
+// Payment reconciliation settings: which payments are compared with Razorpay and how often
+
+export const RECONCILIATION_CONFIG = {
+  // Payments created within this window are checked on every run
+  lookbackHours: Number(process.env.RECONCILIATION_LOOKBACK_HOURS) || 48,
+
+  // Fresh payments are left alone while the customer may still be paying
+  minAgeMinutes: 15,
+
+  // Payments checked per run (each costs a Razorpay API call)
+  batchSize: 200,
+
+  // How often the reconciliation runs; findings are collected into one report per UTC day
+  sweepIntervalMs: 60 * 60 * 1000,
+};
+
+// Local payment states that are compared with Razorpay
+export const RECONCILABLE_STATUSES = ["created", "authorized", "failed", "captured"];
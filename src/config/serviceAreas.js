@@ -0,0 +1,6 @@
+// Service area settings: how customers on the waitlist hear about new coverage
+
+export const AREA_WAITLIST_CONFIG = {
+  // How often areas whose coverage changed are checked for waitlisted customers to notify
+  sweepIntervalMs: 5 * 60 * 1000,
+};
@@ -0,0 +1,44 @@
+// Live tracking of a professional on the way to a booking
+
+// Geofence events raised as the professional approaches, in the order they fire
+export const GEOFENCE_EVENTS = ["arriving_soon", "arrived"];
+
+export const TRACKING_CONFIG = {
+  // Distance (m) from the booking location that counts as arriving soon
+  arrivingSoonRadiusMeters: Number(process.env.TRACKING_ARRIVING_SOON_RADIUS_M) || 1000,
+
+  // Distance (m) that counts as arrived; kept generous for GPS drift
+  arrivedRadiusMeters: Number(process.env.TRACKING_ARRIVED_RADIUS_M) || 100,
+
+  // Travel speed (km/h) assumed when the device reports none or is crawling in traffic
+  averageSpeedKmph: Number(process.env.TRACKING_AVERAGE_SPEED_KMPH) || 25,
+
+  // Reported speeds (m/s) below this are ignored for the ETA
+  minReportedSpeed: 2,
+
+  // Roads are longer than the straight line between two points
+  routeFactor: 1.3,
+
+  // A position older than this (seconds) is flagged as stale
+  staleAfterSeconds: 120,
+};
+
+// Statuses whose positions are tagged with the booking, and the trip phase each one is
+export const TRIP_PHASES = {
+  "on-the-way": "travel",
+  "in-progress": "on_site",
+};
+
+export const LOCATION_HISTORY_CONFIG = {
+  // Days professional positions are kept before MongoDB expires them
+  retentionDays: Number(process.env.LOCATION_HISTORY_RETENTION_DAYS) || 90,
+
+  // Douglas–Peucker tolerance (m): route points closer than this to the simplified line are dropped
+  simplifyToleranceMeters: Number(process.env.LOCATION_SIMPLIFY_TOLERANCE_M) || 10,
+
+  // Fixes reported with a worse accuracy (m) are left out of trips
+  maxAccuracyMeters: 100,
+
+  // Longest window (days) of trips returned when no booking is given
+  maxTripRangeDays: 31,
+};
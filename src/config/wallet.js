@@ -0,0 +1,37 @@
+// Wallet limits and the system accounts wallet money moves to and from
+
+export const WALLET_CONFIG = {
+  // Single top-up limits (INR)
+  minTopup: 10,
+  maxTopup: Number(process.env.WALLET_MAX_TOPUP) || 10000,
+
+  // Top-ups that would take the balance above this are refused
+  maxBalance: Number(process.env.WALLET_MAX_BALANCE) || 20000,
+
+  // A transaction still applying after this long was interrupted and may be finished by a retry
+  applyingTimeoutMs: 60 * 1000,
+
+  // How often interrupted transactions are looked for
+  sweepIntervalMs: 5 * 60 * 1000,
+};
+
+// Counter-accounts of the double-entry ledger. Every wallet transaction moves money
+// between one customer wallet and one of these.
+export const WALLET_SYSTEM_ACCOUNTS = {
+  // Money received through Razorpay top-ups
+  topups: "system:razorpay_topups",
+  // Money spent on (or given back from) bookings
+  bookings: "system:bookings",
+  // Refunds paid out as wallet credit instead of to the original method
+  refunds: "system:refunds",
+  // Cashback offers
+  cashback: "system:cashback",
+};
+
+export const WALLET_TRANSACTION_TYPES = {
+  topup: { direction: "credit", account: WALLET_SYSTEM_ACCOUNTS.topups, label: "Wallet top-up" },
+  booking_payment: { direction: "debit", account: WALLET_SYSTEM_ACCOUNTS.bookings, label: "Booking payment" },
+  booking_refund: { direction: "credit", account: WALLET_SYSTEM_ACCOUNTS.bookings, label: "Booking refund" },
+  refund_credit: { direction: "credit", account: WALLET_SYSTEM_ACCOUNTS.refunds, label: "Refund to wallet" },
+  cashback: { direction: "credit", account: WALLET_SYSTEM_ACCOUNTS.cashback, label: "Cashback" },
+};
@@ -0,0 +1,33 @@
+// Webhook inbox settings: how stored provider events are processed and retried
+
+export const WEBHOOK_SOURCES = ["payments", "memberships"];
+
+export const WEBHOOK_INBOX_CONFIG = {
+  // Failed events are retried this many times before they are dead-lettered
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+
+  // First retry delay; doubles on every further attempt
+  baseRetryDelayMs: 60 * 1000,
+
+  // Retry delays never grow beyond this
+  maxRetryDelayMs: 60 * 60 * 1000,
+
+  // Events older than this on arrival are stored but not applied (replay protection)
+  maxEventAgeMs: 24 * 60 * 60 * 1000,
+
+  // Allowed clock skew for events dated in the future
+  maxClockSkewMs: 5 * 60 * 1000,
+
+  // A claimed event not finished within this time is considered abandoned and retried
+  lockTimeoutMs: 5 * 60 * 1000,
+
+  // How often due retries are swept, and how many per sweep
+  sweepIntervalMs: 30 * 1000,
+  batchSize: 20,
+
+  // Calls with a bad or missing signature are kept as metadata only, and only this long
+  rejectedRetentionMs: 7 * 24 * 60 * 60 * 1000,
+
+  // Largest webhook body accepted (Razorpay events are a few KB)
+  maxBodySize: "256kb",
+};
@@ -2,7 +2,62 @@ import User from "../models/userModel.js";
 import Booking from "../models/bookingModel.js";
 import Service from "../models/serviceModel.js";
 import Payment from "../models/paymentModel.js";
-import { sendPushNotification } from "../services/notificationService.js";
+import {
+  transitionBooking,
+  actorFromUser,
+} from "../services/bookingLifecycleService.js";
+import { isValidBookingStatus } from "../config/bookingLifecycle.js";
+import {
+  rankProfessionals,
+  autoDispatchBooking,
+  createJobOffer,
+} from "../services/dispatchService.js";
+import { assertSlotAvailable, lockBookingDay } from "../services/bookingSlotService.js";
+import { getScheduledJobs, runJob } from "../utils/scheduler.js";
+import WebhookEvent from "../models/webhookEventModel.js";
+import ReconciliationReport from "../models/reconciliationReportModel.js";
+import {
+  listWebhookEvents,
+  replayWebhookEvent,
+} from "../services/webhookInboxService.js";
+import {
+  getOutstandingCashTotals,
+  getOutstandingCashReport,
+  listCashDeposits,
+  submitCashDeposit,
+  confirmCashDeposit,
+  rejectCashDeposit,
+  setCashLimit,
+} from "../services/cashSettlementService.js";
+import { CASH_DEPOSIT_STATUSES, CASH_SETTLEMENT_CONFIG } from "../config/cashSettlement.js";
+import {
+  listCommissionRules,
+  saveCommissionRule,
+  deleteCommissionRule,
+  listPayoutBatches,
+  approvePayoutBatch,
+  updatePayoutStatus,
+} from "../services/earningsService.js";
+import PayoutBatch from "../models/payoutBatchModel.js";
+import { COMMISSION_SCOPES, EARNINGS_CONFIG, PAYOUT_BATCH_STATUSES } from "../config/earnings.js";
+import ServiceArea from "../models/serviceAreaModel.js";
+import {
+  listServicePrices,
+  addServicePrice,
+  deleteServicePrice,
+} from "../services/pricingService.js";
+import {
+  listPricingRules,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  simulatePricingRule,
+  simulateSavedPricingRule,
+} from "../services/dynamicPricingService.js";
+import { VEHICLE_CLASSES } from "../config/pricing.js";
+import { getDemandHeatmap } from "../services/areaDemandService.js";
+import { AREA_REQUEST_STATUSES } from "../models/areaRequestModel.js";
+import { cacheInvalidate } from "../middleware/cache.js";
 import mongoose from "mongoose";
 
 // Get dashboard statistics
@@ -89,6 +144,14 @@ export const getDashboardStats = async (req, res, next) => {
       formattedTopProfessionals = [];
     }
 
+    // Cash professionals are holding from COD jobs
+    let outstandingCash = null;
+    try {
+      outstandingCash = await getOutstandingCashTotals();
+    } catch (error) {
+      console.error("Error fetching outstanding cash:", error.message);
+    }
+
     // Get booking stats by day for the last 7 days with error handling
     const last7Days = [...Array(7)]
       .map((_, i) => {
@@ -399,6 +462,7 @@ export const getDashboardStats = async (req, res, next) => {
           services: serviceCount,
           revenue: totalRevenue,
         },
+        outstandingCash,
         recentBookings: recentBookings.map((booking) => ({
           id: booking._id,
           customerName: booking.customer?.name || "Unknown Customer",
@@ -869,8 +933,11 @@ export const updateBooking = async (req, res, next) => {
       return res.sendError("Booking not found", 404);
     }
 
+    if (status && !isValidBookingStatus(status)) {
+      return res.sendError("Invalid booking status", 400);
+    }
+
     // Update fields if provided
-    if (status) booking.status = status;
     if (professionalId) {
       // Verify professional exists
       const professional = await User.findOne({
@@ -888,7 +955,12 @@ export const updateBooking = async (req, res, next) => {
     if (scheduledTime) booking.scheduledTime = scheduledTime;
     if (notes) booking.notes = notes;
 
-    await booking.save();
+    // Status changes are validated by the booking lifecycle and saved with the other fields
+    if (status && status !== booking.status) {
+      await transitionBooking(booking, status, { actor: actorFromUser(req.user) });
+    } else {
+      await booking.save();
+    }
 
     res.sendSuccess(
       {
@@ -909,24 +981,27 @@ export const updateBooking = async (req, res, next) => {
 export const cancelBooking = async (req, res) => {
   try {
     const { bookingId } = req.params;
-    const { reason } = req.body;
+    const { reason, noShow } = req.body;
 
     const booking = await Booking.findById(bookingId);
     if (!booking) {
       return res.sendError("Booking not found", 404);
     }
 
-    if (booking.status === "cancelled") {
-      return res.sendError("Booking already cancelled", 400);
-    }
-
-    booking.status = "cancelled";
-    if (reason) booking.cancellationReason = reason;
-    await booking.save();
+    // Admin cancellations are free for the customer unless it was a no-show
+    await transitionBooking(booking, "cancelled", {
+      actor: actorFromUser(req.user),
+      message: reason || (noShow ? "Customer did not show up" : "Booking cancelled by admin"),
+      reason,
+      noShow: Boolean(noShow),
+    });
 
     res.sendSuccess({ booking }, "Booking cancelled successfully");
   } catch (error) {
     console.error("Cancel booking error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
     res.sendError("Failed to cancel booking");
   }
 };
@@ -934,25 +1009,29 @@ export const cancelBooking = async (req, res) => {
 // ✅ Update Booking Status
 export const updateBookingStatus = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status } = req.body;
+    const { bookingId } = req.params;
+    const { status, message } = req.body;
 
-    const validStatuses = ["pending", "confirmed", "completed", "cancelled"];
-    if (!validStatuses.includes(status)) {
+    if (!isValidBookingStatus(status)) {
       return res.sendError("Invalid booking status", 400);
     }
 
-    const booking = await Booking.findById(id);
+    const booking = await Booking.findById(bookingId);
     if (!booking) {
       return res.sendError("Booking not found", 404);
     }
 
-    booking.status = status;
-    await booking.save();
+    await transitionBooking(booking, status, {
+      actor: actorFromUser(req.user),
+      message,
+    });
 
     res.sendSuccess({ booking }, "Booking status updated successfully");
   } catch (error) {
     console.error("Update booking status error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
     res.sendError("Failed to update booking status");
   }
 };
@@ -1458,76 +1537,27 @@ export const getAvailableProfessionals = async (req, res) => {
       return res.sendError("Booking not found", 404);
     }
     
-    // Get service details from the booking's services array
-    let serviceCategories = [];
-    if (booking.services && booking.services.length > 0) {
-      // Extract service IDs from booking
-      const serviceIds = booking.services.map(s => s.serviceId);
-      
-      // Find all services in the booking
-      const services = await Service.find({ _id: { $in: serviceIds } });
-      
-      // Extract categories
-      serviceCategories = services
-        .map(s => s.category)
-        .filter(Boolean); // Remove any undefined/null values
-    }
-    
-    console.log(`Finding professionals for booking ${bookingId} with service categories:`, serviceCategories);
-    
-    // Find professionals
-    // Base query - get all professionals regardless of specialization
-    const query = { 
-      role: "professional",
-    };
-    
-    // Get all professionals - we'll sort them by relevance later
-    const professionals = await User.find(query)
-      .select('_id name email phone profileImage professionalInfo status')
-      .sort('name');
-    
-    console.log(`Found ${professionals.length} professionals total`);
-    
-    // Filter and sort professionals by relevance
-    const sortedProfessionals = professionals
-      // Filter out inactive professionals
-      .filter(prof => prof.status !== 'inactive')
-      // Map to include relevance score
-      .map(prof => {
-        // Calculate relevance score
-        let relevanceScore = 0;
-        
-        // Higher score for verified/complete profile
-        if (prof.profileComplete) relevanceScore += 10;
-        
-        // Higher score for matching specializations
-        const specializations = prof.professionalInfo?.specializations || [];
-        const matchingSpecs = specializations.filter(spec => 
-          serviceCategories.includes(spec)
-        );
-        
-        relevanceScore += matchingSpecs.length * 5;
-        
-        // Higher score for higher ratings
-        const rating = prof.professionalInfo?.rating || 0;
-        relevanceScore += rating;
-        
-        return {
-          id: prof._id,
-          name: prof.name,
-          email: prof.email,
-          phone: prof.phone,
-          profileImage: prof.profileImage?.url,
-          rating: rating,
-          specializations: specializations,
-          status: prof.status,
-          verified: !!prof.profileComplete,
-          relevanceScore
-        };
-      })
-      // Sort by relevance score (highest first)
-      .sort((a, b) => b.relevanceScore - a.relevanceScore);
-    
+    // Score eligible professionals by distance, skills, service area, load and rating
+    const candidates = await rankProfessionals(booking);
+
+    const sortedProfessionals = candidates.map(({ professional: prof, factors, score }) => ({
+      id: prof._id,
+      name: prof.name,
+      email: prof.email,
+      phone: prof.phone,
+      profileImage: prof.profileImage?.url,
+      rating: prof.rating || 0,
+      specializations: prof.professionalInfo?.specializations || [],
+      skills: prof.professionalInfo?.skills || [],
+      serviceAreas: prof.professionalInfo?.serviceAreas || [],
+      status: prof.status,
+      verified: !!prof.profileComplete,
+      distanceKm: factors.distanceKm,
+      activeJobs: factors.activeJobs,
+      factors,
+      relevanceScore: score
+    }));
+
     res.sendSuccess(
       { 
         professionals: sortedProfessionals,
@@ -1582,43 +1612,12 @@ export const assignProfessional = async (req, res) => {
       return res.sendError("Professional not found", 404);
     }
 
-    // Update booking with professional
-    booking.professional = professional._id;
-    booking.status = "confirmed"; // auto-confirm when assigned
-    
-    // Add tracking update
-    booking.trackingUpdates.push({
-      status: "confirmed",
-      message: `Professional ${professional.name} assigned to booking`,
-      updatedBy: req.user._id,
-      timestamp: new Date()
+    // The professional has to accept the offer before the booking is confirmed
+    await createJobOffer(booking, professional, {
+      source: "manual",
+      actor: actorFromUser(req.user),
     });
 
-    await booking.save();
-
-    // --- Send Notifications ---
-    // To Customer
-    const customerId = booking.customer;
-    const customerNotificationData = {
-      title: 'Service Confirmed',
-      message: `Service confirmed and Professional Assigned: ${professional.name}`,
-      type: 'booking',
-      actionType: 'open_booking',
-      actionParams: { bookingId: booking._id.toString() },
-    };
-    await sendPushNotification(customerNotificationData, customerId);
-
-    // To Professional
-    const professionalNotificationData = {
-      title: 'New Service Assigned',
-      message: 'You have a new order/service.',
-      type: 'booking',
-      actionType: 'open_booking',
-      actionParams: { bookingId: booking._id.toString() },
-    };
-    await sendPushNotification(professionalNotificationData, professional._id);
-    // --- End of Notifications ---
-
     // Fetch the updated booking with populated fields
     const updatedBooking = await Booking.findById(booking._id)
       .populate("customer", "name phone profileImage")
@@ -1627,14 +1626,640 @@ export const assignProfessional = async (req, res) => {
 
     res.sendSuccess(
       { booking: updatedBooking },
-      "Professional assigned to booking successfully"
+      "Job offered to professional successfully"
     );
   } catch (error) {
     console.error("Assign professional error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
     res.sendError(`Failed to assign professional to booking: ${error.message}`);
   }
 };
 
+// ✅ Offer a booking to the best professional automatically
+export const autoDispatch = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.sendError("Invalid booking ID format", 400);
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.sendError("Booking not found", 404);
+    }
+
+    const offer = await autoDispatchBooking(booking, { force: true });
+
+    res.sendSuccess(
+      {
+        dispatch: booking.dispatch,
+        offeredTo: offer
+          ? { id: offer.professional._id, name: offer.professional.name, score: offer.score }
+          : null
+      },
+      offer
+        ? "Booking offered to the best available professional"
+        : "No eligible professional found for this booking"
+    );
+  } catch (error) {
+    console.error("Auto dispatch error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
+    res.sendError(`Failed to dispatch booking: ${error.message}`);
+  }
+};
+
+// ✅ List background jobs
+export const getBackgroundJobs = async (req, res) => {
+  res.sendSuccess({ jobs: getScheduledJobs() }, "Background jobs retrieved successfully");
+};
+
+// ✅ Run a background job now
+export const runBackgroundJob = async (req, res) => {
+  try {
+    const result = await runJob(req.params.jobName);
+    res.sendSuccess({ result }, `Job ${req.params.jobName} completed`);
+  } catch (error) {
+    console.error("Run background job error:", error);
+    if (error.message.startsWith("Unknown scheduled job")) {
+      return res.sendError(error.message, 404);
+    }
+    res.sendError(`Failed to run job: ${error.message}`);
+  }
+};
+
+// ✅ List stored webhook events
+export const getWebhookEvents = async (req, res) => {
+  try {
+    const { status, source, eventType, page = 1, limit = 20 } = req.query;
+    const result = await listWebhookEvents({
+      status,
+      source,
+      eventType,
+      page: Number(page),
+      limit: Number(limit),
+    });
+    res.sendSuccess(result, "Webhook events retrieved successfully");
+  } catch (error) {
+    console.error("Get webhook events error:", error);
+    res.sendError("Failed to get webhook events");
+  }
+};
+
+// ✅ Get one stored webhook event with its payload
+export const getWebhookEvent = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.sendError("Invalid webhook event ID format", 400);
+    }
+
+    const event = await WebhookEvent.findById(eventId);
+    if (!event) {
+      return res.sendError("Webhook event not found", 404);
+    }
+
+    res.sendSuccess({ event }, "Webhook event retrieved successfully");
+  } catch (error) {
+    console.error("Get webhook event error:", error);
+    res.sendError("Failed to get webhook event");
+  }
+};
+
+// ✅ Re-run a failed, dead-lettered or ignored webhook event
+export const replayWebhook = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.sendError("Invalid webhook event ID format", 400);
+    }
+
+    const event = await replayWebhookEvent(eventId, req.user);
+    res.sendSuccess(
+      { event },
+      event?.status === "processed"
+        ? "Webhook event replayed successfully"
+        : `Webhook event replayed with status ${event?.status}`
+    );
+  } catch (error) {
+    console.error("Replay webhook error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
+    res.sendError(`Failed to replay webhook event: ${error.message}`);
+  }
+};
+
+// ✅ List daily payment reconciliation reports
+export const getReconciliationReports = async (req, res) => {
+  try {
+    const { page = 1, limit = 14 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find()
+        .select("date totals createdAt updatedAt")
+        .sort({ date: -1 })
+        .skip(Number(skip))
+        .limit(Number(limit)),
+      ReconciliationReport.countDocuments(),
+    ]);
+
+    res.sendSuccess(
+      {
+        reports,
+        pagination: {
+          total,
+          page: Number(page),
+          limit: Number(limit),
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Reconciliation reports retrieved successfully"
+    );
+  } catch (error) {
+    console.error("Get reconciliation reports error:", error);
+    res.sendError("Failed to get reconciliation reports");
+  }
+};
+
+// ✅ Get one day's reconciliation report with every issue found
+export const getReconciliationReport = async (req, res) => {
+  try {
+    const { date } = req.params;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.sendError("Date must be in YYYY-MM-DD format", 400);
+    }
+
+    const report = await ReconciliationReport.findOne({ date })
+      .populate("issues.payment", "amount status razorpayOrderId razorpayPaymentId")
+      .populate("issues.booking", "status paymentStatus totalAmount");
+    if (!report) {
+      return res.sendError("No reconciliation report for this date", 404);
+    }
+
+    res.sendSuccess({ report }, "Reconciliation report retrieved successfully");
+  } catch (error) {
+    console.error("Get reconciliation report error:", error);
+    res.sendError("Failed to get reconciliation report");
+  }
+};
+
+// ✅ Professionals holding COD cash, most first
+export const getOutstandingCash = async (req, res) => {
+  try {
+    const { overLimit, page = 1, limit = 20 } = req.query;
+    const report = await getOutstandingCashReport({
+      overLimitOnly: overLimit === "true",
+      page: Number(page),
+      limit: Number(limit),
+    });
+    res.sendSuccess(report, "Outstanding cash retrieved successfully");
+  } catch (error) {
+    console.error("Get outstanding cash error:", error);
+    res.sendError("Failed to get outstanding cash");
+  }
+};
+
+// ✅ List cash deposits, e.g. those waiting for confirmation
+export const getCashDeposits = async (req, res) => {
+  try {
+    const { status, professionalId, page = 1, limit = 20 } = req.query;
+
+    if (status && !CASH_DEPOSIT_STATUSES.includes(status)) {
+      return res.sendError(`Status must be one of: ${CASH_DEPOSIT_STATUSES.join(", ")}`, 400);
+    }
+    if (professionalId && !mongoose.Types.ObjectId.isValid(professionalId)) {
+      return res.sendError("Invalid professional ID format", 400);
+    }
+
+    const result = await listCashDeposits({
+      status,
+      professionalId,
+      page: Number(page),
+      limit: Number(limit),
+    });
+    res.sendSuccess(result, "Cash deposits retrieved successfully");
+  } catch (error) {
+    console.error("Get cash deposits error:", error);
+    res.sendError("Failed to get cash deposits");
+  }
+};
+
+// ✅ Confirm that a deposited amount arrived
+export const confirmCashDepositById = async (req, res) => {
+  try {
+    const { depositId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(depositId)) {
+      return res.sendError("Invalid deposit ID format", 400);
+    }
+
+    const deposit = await confirmCashDeposit(depositId, req.user);
+    res.sendSuccess({ deposit }, "Cash deposit confirmed successfully");
+  } catch (error) {
+    console.error("Confirm cash deposit error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
+    res.sendError(`Failed to confirm cash deposit: ${error.message}`);
+  }
+};
+
+// ✅ Reject a deposit that never arrived
+export const rejectCashDepositById = async (req, res) => {
+  try {
+    const { depositId } = req.params;
+    const { reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(depositId)) {
+      return res.sendError("Invalid deposit ID format", 400);
+    }
+    if (!reason || !reason.trim()) {
+      return res.sendError("A reason is required to reject a deposit", 400);
+    }
+
+    const deposit = await rejectCashDeposit(depositId, req.user, reason.trim());
+    res.sendSuccess({ deposit }, "Cash deposit rejected");
+  } catch (error) {
+    console.error("Reject cash deposit error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
+    res.sendError(`Failed to reject cash deposit: ${error.message}`);
+  }
+};
+
+// ✅ Record cash a professional handed over in person (confirmed straight away)
+export const recordCashHandover = async (req, res) => {
+  try {
+    const { professionalId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(professionalId)) {
+      return res.sendError("Invalid professional ID format", 400);
+    }
+
+    const professional = await User.findOne({ _id: professionalId, role: "professional" });
+    if (!professional) {
+      return res.sendError("Professional not found", 404);
+    }
+
+    const deposit = await submitCashDeposit(
+      professional._id,
+      { method: "office_handover", ...req.body },
+      { recordedBy: req.user }
+    );
+    res.sendSuccess({ deposit }, "Cash handover recorded successfully", 201);
+  } catch (error) {
+    console.error("Record cash handover error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
+    res.sendError(`Failed to record cash handover: ${error.message}`);
+  }
+};
+
+// ✅ Set a professional's cash limit (null restores the default)
+export const updateCashLimit = async (req, res) => {
+  try {
+    const { professionalId } = req.params;
+    const { cashLimit } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(professionalId)) {
+      return res.sendError("Invalid professional ID format", 400);
+    }
+    if (
+      cashLimit !== null &&
+      !(typeof cashLimit === "number" && cashLimit >= 0 && cashLimit <= CASH_SETTLEMENT_CONFIG.maxCashLimit)
+    ) {
+      return res.sendError(
+        `Cash limit must be null or a number between 0 and ${CASH_SETTLEMENT_CONFIG.maxCashLimit}`,
+        400
+      );
+    }
+
+    const professional = await User.findOne({ _id: professionalId, role: "professional" });
+    if (!professional) {
+      return res.sendError("Professional not found", 404);
+    }
+
+    const account = await setCashLimit(professional._id, cashLimit);
+    res.sendSuccess({ account }, "Cash limit updated successfully");
+  } catch (error) {
+    console.error("Update cash limit error:", error);
+    res.sendError(`Failed to update cash limit: ${error.message}`);
+  }
+};
+
+// ✅ List commission rules
+export const getCommissionRules = async (req, res) => {
+  try {
+    const rules = await listCommissionRules();
+    res.sendSuccess(
+      { rules, defaultRate: EARNINGS_CONFIG.defaultCommissionRate },
+      "Commission rules retrieved successfully"
+    );
+  } catch (error) {
+    console.error("Get commission rules error:", error);
+    res.sendError("Failed to get commission rules");
+  }
+};
+
+// ✅ Set the commission for a service category or a professional
+export const upsertCommissionRule = async (req, res) => {
+  try {
+    const { scope, category, professionalId, rate, isActive, note } = req.body;
+
+    if (!COMMISSION_SCOPES.includes(scope)) {
+      return res.sendError(`Scope must be one of: ${COMMISSION_SCOPES.join(", ")}`, 400);
+    }
+    if (typeof rate !== "number" || rate < 0 || rate > 100) {
+      return res.sendError("Rate must be a percentage between 0 and 100", 400);
+    }
+
+    if (scope === "category") {
+      const categories = Service.schema.path("category").enumValues;
+      if (!categories.includes(category)) {
+        return res.sendError(`Category must be one of: ${categories.join(", ")}`, 400);
+      }
+    } else {
+      if (!mongoose.Types.ObjectId.isValid(professionalId)) {
+        return res.sendError("Invalid professional ID format", 400);
+      }
+      const professional = await User.exists({ _id: professionalId, role: "professional" });
+      if (!professional) {
+        return res.sendError("Professional not found", 404);
+      }
+    }
+
+    const rule = await saveCommissionRule(
+      { scope, category, professionalId, rate, isActive, note },
+      req.user
+    );
+    res.sendSuccess({ rule }, "Commission rule saved successfully");
+  } catch (error) {
+    console.error("Save commission rule error:", error);
+    res.sendError(`Failed to save commission rule: ${error.message}`);
+  }
+};
+
+// ✅ Remove a commission rule
+export const removeCommissionRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+      return res.sendError("Invalid commission rule ID format", 400);
+    }
+
+    await deleteCommissionRule(ruleId);
+    res.sendSuccess(null, "Commission rule deleted successfully");
+  } catch (error) {
+    console.error("Delete commission rule error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
+    res.sendError(`Failed to delete commission rule: ${error.message}`);
+  }
+};
+
+// ✅ List weekly payout batches
+export const getPayoutBatches = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    if (status && !PAYOUT_BATCH_STATUSES.includes(status)) {
+      return res.sendError(`Status must be one of: ${PAYOUT_BATCH_STATUSES.join(", ")}`, 400);
+    }
+
+    const result = await listPayoutBatches({ status, page: Number(page), limit: Number(limit) });
+    res.sendSuccess(result, "Payout batches retrieved successfully");
+  } catch (error) {
+    console.error("Get payout batches error:", error);
+    res.sendError("Failed to get payout batches");
+  }
+};
+
+// ✅ Get one payout batch with every professional's payout
+export const getPayoutBatch = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(batchId)) {
+      return res.sendError("Invalid payout batch ID format", 400);
+    }
+
+    const batch = await PayoutBatch.findById(batchId)
+      .populate("payouts.professional", "name phone")
+      .populate("approvedBy", "name");
+    if (!batch) {
+      return res.sendError("Payout batch not found", 404);
+    }
+
+    res.sendSuccess({ batch }, "Payout batch retrieved successfully");
+  } catch (error) {
+    console.error("Get payout batch error:", error);
+    res.sendError("Failed to get payout batch");
+  }
+};
+
+// ✅ Approve a draft payout batch for transfer
+export const approvePayouts = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(batchId)) {
+      return res.sendError("Invalid payout batch ID format", 400);
+    }
+
+    const batch = await approvePayoutBatch(batchId, req.user);
+    res.sendSuccess({ batch }, "Payout batch approved successfully");
+  } catch (error) {
+    console.error("Approve payout batch error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
+    res.sendError(`Failed to approve payout batch: ${error.message}`);
+  }
+};
+
+// ✅ Mark one professional's payout as paid or failed
+export const updatePayout = async (req, res) => {
+  try {
+    const { batchId, professionalId } = req.params;
+    const { status, transferReference, failureReason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(batchId)) {
+      return res.sendError("Invalid payout batch ID format", 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(professionalId)) {
+      return res.sendError("Invalid professional ID format", 400);
+    }
+    if (!["paid", "failed"].includes(status)) {
+      return res.sendError("Status must be either paid or failed", 400);
+    }
+    if (status === "paid" && !transferReference) {
+      return res.sendError("A transfer reference is required for paid payouts", 400);
+    }
+    if (status === "failed" && !failureReason) {
+      return res.sendError("A failure reason is required for failed payouts", 400);
+    }
+
+    const batch = await updatePayoutStatus(batchId, professionalId, {
+      status,
+      transferReference,
+      failureReason,
+    });
+    res.sendSuccess({ batch }, `Payout marked as ${status}`);
+  } catch (error) {
+    console.error("Update payout error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
+    res.sendError(`Failed to update payout: ${error.message}`);
+  }
+};
+
+// ✅ List surge and off-peak pricing rules
+export const getPricingRules = async (req, res) => {
+  try {
+    const rules = await listPricingRules();
+    res.sendSuccess({ rules }, "Pricing rules fetched successfully");
+  } catch (error) {
+    console.error("Get pricing rules error:", error);
+    res.sendError("Failed to fetch pricing rules");
+  }
+};
+
+// ✅ Create a pricing rule (disabled until simulated and enabled)
+export const addPricingRule = async (req, res) => {
+  try {
+    if (!req.body.name || typeof req.body.name !== "string") {
+      return res.sendError("Rule name is required", 400);
+    }
+
+    const rule = await createPricingRule(req.body, req.user);
+    res.sendSuccess({ rule }, "Pricing rule created successfully", 201);
+  } catch (error) {
+    console.error("Create pricing rule error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
+    res.sendError(`Failed to create pricing rule: ${error.message}`);
+  }
+};
+
+// ✅ Update a pricing rule or enable/disable it
+export const editPricingRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+      return res.sendError("Invalid pricing rule ID format", 400);
+    }
+    if (req.body.isActive !== undefined && typeof req.body.isActive !== "boolean") {
+      return res.sendError("isActive must be true or false", 400);
+    }
+
+    const rule = await updatePricingRule(ruleId, req.body, req.user);
+    res.sendSuccess({ rule }, "Pricing rule updated successfully");
+  } catch (error) {
+    console.error("Update pricing rule error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
+    res.sendError(`Failed to update pricing rule: ${error.message}`);
+  }
+};
+
+// ✅ Delete a disabled pricing rule
+export const removePricingRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+      return res.sendError("Invalid pricing rule ID format", 400);
+    }
+
+    await deletePricingRule(ruleId);
+    res.sendSuccess(null, "Pricing rule deleted successfully");
+  } catch (error) {
+    console.error("Delete pricing rule error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
+    res.sendError(`Failed to delete pricing rule: ${error.message}`);
+  }
+};
+
+// ✅ Simulate a saved pricing rule against past bookings
+export const simulatePricingRuleById = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const { from, to } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+      return res.sendError("Invalid pricing rule ID format", 400);
+    }
+
+    const { rule, report } = await simulateSavedPricingRule(ruleId, { from, to });
+    res.sendSuccess({ rule, simulation: report }, "Pricing rule simulated successfully");
+  } catch (error) {
+    console.error("Simulate pricing rule error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
+    res.sendError(`Failed to simulate pricing rule: ${error.message}`);
+  }
+};
+
+// ✅ Simulate an unsaved rule definition against past bookings
+export const simulateDraftPricingRule = async (req, res) => {
+  try {
+    const { rule, from, to } = req.body;
+
+    if (!rule || typeof rule !== "object") {
+      return res.sendError("Rule definition is required", 400);
+    }
+
+    const report = await simulatePricingRule(rule, { from, to });
+    res.sendSuccess({ simulation: report }, "Pricing rule simulated successfully");
+  } catch (error) {
+    console.error("Simulate draft pricing rule error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
+    res.sendError(`Failed to simulate pricing rule: ${error.message}`);
+  }
+};
+
+// ✅ Demand from uncovered addresses per pincode, for the coverage heatmap
+export const getAreaDemand = async (req, res) => {
+  try {
+    const { status = "waiting", from, to, limit = 100 } = req.query;
+
+    if (status !== "all" && !AREA_REQUEST_STATUSES.includes(status)) {
+      return res.sendError(`Status must be "all" or one of: ${AREA_REQUEST_STATUSES.join(", ")}`, 400);
+    }
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.sendError("from and to must be valid dates", 400);
+    }
+
+    const areas = await getDemandHeatmap({ status, from, to, limit: Number(limit) });
+    res.sendSuccess({ areas, count: areas.length }, "Area demand retrieved successfully");
+  } catch (error) {
+    console.error("Get area demand error:", error);
+    res.sendError("Failed to get area demand");
+  }
+};
+
 // ✅ Get all services
 export const getAllServices = async (req, res) => {
   try {
@@ -1728,6 +2353,95 @@ export const deleteService = async (req, res) => {
   }
 };
 
+// ✅ Get a service's price versions by vehicle class and service area
+export const getServicePriceVersions = async (req, res) => {
+  try {
+    const { serviceId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(serviceId)) {
+      return res.sendError("Invalid service ID format", 400);
+    }
+
+    const service = await Service.findById(serviceId).select("title price");
+    if (!service) return res.sendError("Service not found", 404);
+
+    const prices = await listServicePrices(serviceId);
+    res.sendSuccess({ service, prices }, "Service prices fetched successfully");
+  } catch (error) {
+    console.error("Get service prices error:", error);
+    res.sendError("Failed to fetch service prices");
+  }
+};
+
+// ✅ Add a price version for a vehicle class and/or service area
+export const createServicePriceVersion = async (req, res) => {
+  try {
+    const { serviceId } = req.params;
+    const { vehicleClass, serviceAreaId, price, effectiveFrom, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(serviceId)) {
+      return res.sendError("Invalid service ID format", 400);
+    }
+    if (typeof price !== "number" || price < 0) {
+      return res.sendError("Price must be a non-negative number", 400);
+    }
+    if (vehicleClass && !VEHICLE_CLASSES.includes(vehicleClass)) {
+      return res.sendError(`Vehicle class must be one of: ${VEHICLE_CLASSES.join(", ")}`, 400);
+    }
+    if (effectiveFrom && isNaN(new Date(effectiveFrom).getTime())) {
+      return res.sendError("effectiveFrom must be a valid date", 400);
+    }
+
+    const service = await Service.exists({ _id: serviceId });
+    if (!service) return res.sendError("Service not found", 404);
+
+    if (serviceAreaId) {
+      if (!mongoose.Types.ObjectId.isValid(serviceAreaId)) {
+        return res.sendError("Invalid service area ID format", 400);
+      }
+      const area = await ServiceArea.exists({ _id: serviceAreaId });
+      if (!area) return res.sendError("Service area not found", 404);
+    }
+
+    const version = await addServicePrice(
+      serviceId,
+      { vehicleClass, serviceAreaId, price, effectiveFrom, note },
+      req.user
+    );
+    cacheInvalidate("/api/services");
+
+    res.sendSuccess({ price: version }, "Service price added successfully", 201);
+  } catch (error) {
+    console.error("Add service price error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
+    res.sendError(`Failed to add service price: ${error.message}`);
+  }
+};
+
+// ✅ Withdraw a price version that has not taken effect yet
+export const removeServicePriceVersion = async (req, res) => {
+  try {
+    const { serviceId, priceId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(serviceId) || !mongoose.Types.ObjectId.isValid(priceId)) {
+      return res.sendError("Invalid ID format", 400);
+    }
+
+    await deleteServicePrice(serviceId, priceId);
+    cacheInvalidate("/api/services");
+
+    res.sendSuccess(null, "Service price deleted successfully");
+  } catch (error) {
+    console.error("Delete service price error:", error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
+    res.sendError(`Failed to delete service price: ${error.message}`);
+  }
+};
+
 // ✅ Bulk Operations
 
 // Bulk update user status
@@ -1781,18 +2495,54 @@ export const bulkAssignProfessional = async (req, res) => {
       return res.sendError("Professional not found", 404);
     }
 
-    const result = await Booking.updateMany(
-      { _id: { $in: bookingIds }, status: { $in: ['pending', 'confirmed'] } },
-      {
-        professional: professionalId,
-        status: 'confirmed'
+    // Each booking is offered like a single assignment, so it goes through the same
+    // slot, cash limit and status checks; one that fails does not stop the others
+    const results = [];
+    for (const bookingId of bookingIds) {
+      try {
+        if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+          throw new Error("Invalid booking ID format");
+        }
+
+        const booking = await Booking.findById(bookingId);
+        if (!booking) {
+          throw new Error("Booking not found");
+        }
+
+        const releaseDay = booking.scheduledDate && booking.scheduledTime
+          ? await lockBookingDay(booking.scheduledDate)
+          : null;
+        try {
+          if (releaseDay) {
+            await assertSlotAvailable({
+              scheduledDate: booking.scheduledDate,
+              scheduledTime: booking.scheduledTime,
+              duration: booking.estimatedDuration,
+              professionalId: professional._id,
+              excludeBookingId: booking._id,
+            });
+          }
+          await createJobOffer(booking, professional, {
+            source: "manual",
+            actor: actorFromUser(req.user),
+          });
+        } finally {
+          await releaseDay?.();
+        }
+
+        results.push({ bookingId, offered: true });
+      } catch (error) {
+        results.push({ bookingId, offered: false, reason: error.message });
       }
-    );
+    }
+
+    const offered = results.filter((result) => result.offered).length;
 
     res.sendSuccess({
-      updated: result.modifiedCount,
-      total: bookingIds.length
-    }, `Successfully assigned professional to ${result.modifiedCount} bookings`);
+      offered,
+      total: bookingIds.length,
+      results
+    }, `Job offered to professional for ${offered} bookings`);
   } catch (error) {
     console.error("Bulk assign professional error:", error);
     res.sendError("Failed to bulk assign professional");
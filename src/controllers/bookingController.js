@@ -1,86 +1,227 @@
+import mongoose from "mongoose";
 import Booking from "../models/bookingModel.js";
 import User from "../models/userModel.js";
-import Service from "../models/serviceModel.js";
 import PaymentMethod from "../models/paymentMethodModel.js";
 import Notification from "../models/notificationModel.js";
 import Offer from "../models/offerModel.js";
 import { asyncHandler, AppError } from "../middleware/errorMiddleware.js";
 
 import { sendBookingNotification } from '../services/notificationService.js';
+import {
+  assertSlotAvailable,
+  getAvailableSlots as findAvailableSlots,
+  lockBookingDay,
+  parseSlotDate,
+  timeToMinutes,
+} from '../services/bookingSlotService.js';
+import { transitionBooking, actorFromUser } from '../services/bookingLifecycleService.js';
+import { isValidBookingStatus } from '../config/bookingLifecycle.js';
+import { autoDispatchBooking } from '../services/dispatchService.js';
+import {
+  calculateCancellationCharges,
+  assertExpectedFee,
+} from '../services/cancellationService.js';
+import { rescheduleBooking as moveBooking } from '../services/rescheduleService.js';
+import { assertCanTakeCashJob } from '../services/cashSettlementService.js';
+import { createQuote, priceBooking, redeemQuote } from '../services/pricingService.js';
+import { creditEntitlements, holdEntitlements } from '../services/membershipUsageService.js';
+import { getLiveTracking } from '../services/liveTrackingService.js';
+import { publishEvent } from '../services/eventBus.js';
+import { findServiceArea, isAreaOpen } from '../services/serviceAreaService.js';
+import {
+  getBookingInvoice as findBookingInvoice,
+  isInvoiceable,
+  issueBookingInvoice,
+  renderInvoicePdf,
+} from '../services/invoiceService.js';
+import {
+  calculateWalletPayment,
+  getWalletBalance,
+  payBookingFromWallet,
+  refundBookingToWallet,
+} from '../services/walletService.js';
+
+// Booking fields the customer chooses; prices, discounts and payment state are set by the server
+const CLIENT_BOOKING_FIELDS = [
+  'professional',
+  'vehicle',
+  'location',
+  'scheduledDate',
+  'scheduledTime',
+  'notes',
+  'paymentMethod',
+];
+
+//POST /api/bookings/quote
+export const getBookingQuote = asyncHandler(async (req, res, next) => {
+  const quote = await createQuote(req.user.id, req.body);
+
+  res.status(200).json({
+    status: "success",
+    data: quote,
+  });
+});
 
 //POST /api/bookings
 export const createBooking = asyncHandler(async (req, res, next) => {
-  const { service: serviceItems, ...otherBookingData } = req.body;
+  const { service: serviceItems, useWallet, walletAmount, quoteId, vehicleId, vehicleClass, promoCode } = req.body;
+  const otherBookingData = Object.fromEntries(
+    CLIENT_BOOKING_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [field, req.body[field]])
+  );
 
   if (!serviceItems || !Array.isArray(serviceItems) || serviceItems.length === 0) {
     return next(new AppError('Please provide at least one service.', 400));
   }
 
-  const serviceIds = serviceItems.map(s => s.serviceId);
-  const services = await Service.find({ '_id': { $in: serviceIds } }).select('title price duration');
-
-  if (services.length !== new Set(serviceIds).size) {
-    const foundIds = services.map(s => s._id.toString());
-    const notFoundIds = [...new Set(serviceIds)].filter(id => !foundIds.includes(id));
-    return next(new AppError(`Services not found: ${notFoundIds.join(', ')}`, 404));
-  }
+  // A quote fixes the price; without one the booking is priced now and an offer
+  // that no longer applies is dropped
+  const priced = quoteId
+    ? await redeemQuote(quoteId, req.user.id, {
+        services: serviceItems,
+        paymentMethod: otherBookingData.paymentMethod,
+        scheduledDate: otherBookingData.scheduledDate,
+        scheduledTime: otherBookingData.scheduledTime,
+        vehicleId,
+        vehicleClass,
+        pincode: otherBookingData.location?.address?.pincode,
+        lat: otherBookingData.location?.lat,
+        lng: otherBookingData.location?.lng,
+      })
+    : await priceBooking(
+        req.user.id,
+        {
+          services: serviceItems,
+          vehicleId,
+          vehicleClass,
+          pincode: otherBookingData.location?.address?.pincode,
+          lat: otherBookingData.location?.lat,
+          lng: otherBookingData.location?.lng,
+          offerCode: promoCode,
+          paymentMethod: otherBookingData.paymentMethod,
+          scheduledDate: otherBookingData.scheduledDate,
+          scheduledTime: otherBookingData.scheduledTime,
+        },
+        { strictOffer: false }
+      );
 
-  const serviceMap = new Map(services.map(s => [s._id.toString(), s]));
+  const servicesForBooking = priced.lines.map((line) => ({
+    serviceId: line.serviceId,
+    title: line.title,
+    price: line.unitPrice,
+    duration: line.duration,
+    quantity: line.quantity,
+  }));
+  const estimatedDuration = priced.lines.reduce((total, line) => total + line.duration * line.quantity, 0);
+  const { breakdown } = priced;
+  const totalAmount = breakdown.total;
+
+  // Hold the day while the slot is checked and the booking saved, so a concurrent
+  // request cannot take the same last free slot
+  const releaseDay = otherBookingData.scheduledDate && otherBookingData.scheduledTime
+    ? await lockBookingDay(otherBookingData.scheduledDate)
+    : null;
+
+  let newBooking;
+  try {
+    // Reject slots that overlap the professional's (or the area's) existing bookings
+    if (otherBookingData.scheduledDate && otherBookingData.scheduledTime) {
+      await assertSlotAvailable({
+        scheduledDate: otherBookingData.scheduledDate,
+        scheduledTime: otherBookingData.scheduledTime,
+        duration: estimatedDuration,
+        professionalId: otherBookingData.professional,
+        pincode: otherBookingData.location?.address?.pincode,
+      });
+    }
 
-  const servicesForBooking = [];
-  let totalAmount = 0;
-  let estimatedDuration = 0;
+    const bookingData = {
+      ...otherBookingData,
+      customer: req.user.id,
+      services: servicesForBooking,
+      totalAmount,
+      estimatedDuration,
+      discount: Math.round((breakdown.membershipDiscount + breakdown.offerDiscount) * 100) / 100,
+      promoCode: priced.offer?.code,
+      promoOfferId: priced.offer?.id,
+      promoDiscount: breakdown.offerDiscount,
+      pricing: {
+        ...breakdown,
+        vehicleClass: priced.context?.vehicleClass,
+        serviceArea: priced.context?.serviceArea?.id,
+        quotedAt: priced.quotedAt,
+      },
+    };
+    if (priced.paymentMethod) bookingData.paymentMethod = priced.paymentMethod;
+
+    // Covered bookings are paid for by the membership's included benefits
+    if (priced.membership) {
+      bookingData.paymentStatus = 'paid';
+      bookingData.membershipCoverage = {
+        membership: priced.membership.id,
+        planId: priced.membership.planId,
+        covered: true,
+        entitlements: priced.membership.entitlements,
+        listAmount: breakdown.subtotal,
+      };
+    }
 
-  for (const item of serviceItems) {
-    const service = serviceMap.get(item.serviceId);
-    if (!service) continue;
+    // A professional at their cash limit cannot be booked for cash
+    if (bookingData.professional) {
+      await assertCanTakeCashJob(bookingData.professional, bookingData);
+    }
 
-    const quantity = item.quantity || 1;
-    servicesForBooking.push({
-      serviceId: service._id,
-      title: service.title,
-      price: service.price,
-      duration: parseInt(service.duration, 10) || 0,
-      quantity,
-    });
+    // Wallet transactions and membership holds reference the booking, so its id is fixed up front
+    bookingData._id = new mongoose.Types.ObjectId();
 
-    totalAmount += service.price * quantity;
-    estimatedDuration += (parseInt(service.duration, 10) || 0) * quantity;
-  }
+    // Reserve the plan's benefits before the booking exists; fails if they ran out meanwhile
+    if (priced.membership) {
+      await holdEntitlements(bookingData, priced.membershipDoc);
+    }
 
-  const bookingData = {
-    ...otherBookingData,
-    customer: req.user.id,
-    services: servicesForBooking,
-    totalAmount,
-    estimatedDuration,
-  };
+    try {
+      // Pay part (or all) of the booking from the customer's wallet
+      if (useWallet || otherBookingData.paymentMethod === 'wallet') {
+        const walletShare = calculateWalletPayment({
+          totalAmount,
+          balance: await getWalletBalance(req.user.id),
+          requested: walletAmount,
+          paymentMethod: otherBookingData.paymentMethod,
+        });
+
+        if (walletShare > 0) {
+          await payBookingFromWallet(req.user.id, bookingData._id, walletShare);
+          bookingData.walletAmount = walletShare;
+
+          if (walletShare >= totalAmount) {
+            bookingData.paymentMethod = 'wallet';
+            bookingData.paymentStatus = 'paid';
+          }
+        }
+      }
 
-  // Handle promo code if provided
-  if (otherBookingData.promoCode && otherBookingData.promoOfferId) {
-    const offer = await Offer.findById(otherBookingData.promoOfferId);
-    if (offer && offer.isValid) {
-      // Validate the promo code can still be used
-      const canUse = await Offer.canUserUseOffer(offer._id, req.user.id);
-      if (canUse) {
-        // Use the offer
-        await offer.useOffer(req.user.id);
-      } else {
-        // If promo code can't be used, remove it from booking data
-        delete otherBookingData.promoCode;
-        delete otherBookingData.promoOfferId;
-        delete otherBookingData.promoDiscount;
+      newBooking = await Booking.create(bookingData);
+    } catch (error) {
+      if (bookingData.walletAmount) {
+        await refundBookingToWallet(req.user.id, bookingData._id, bookingData.walletAmount);
       }
-    } else {
-      // If offer is invalid, remove promo data
-      delete otherBookingData.promoCode;
-      delete otherBookingData.promoOfferId;
-      delete otherBookingData.promoDiscount;
+      if (priced.membership) {
+        await creditEntitlements(bookingData);
+      }
+      throw error;
     }
+  } finally {
+    await releaseDay?.();
   }
 
-  // Create booking
-  const newBooking = await Booking.create(bookingData);
+  // Count the offer against its limits now that the booking exists
+  if (priced.offer) {
+    try {
+      const offer = await Offer.findById(priced.offer.id);
+      await offer?.useOffer(req.user.id);
+    } catch (error) {
+      console.error(`Failed to count offer ${priced.offer.id} for booking ${newBooking._id}:`, error);
+    }
+  }
 
   // Populate customer and services details for the response
   const populatedBooking = await Booking.findById(newBooking._id)
@@ -90,6 +231,17 @@ export const createBooking = asyncHandler(async (req, res, next) => {
 
   // Send notification
   await sendBookingNotification(populatedBooking, 'created');
+  publishEvent([newBooking.customer], "booking.created", {
+    bookingId: newBooking._id,
+    status: newBooking.status,
+  });
+
+  // Offer the job automatically in areas that use auto-dispatch
+  try {
+    await autoDispatchBooking(newBooking);
+  } catch (error) {
+    console.error(`Auto-dispatch failed for booking ${newBooking._id}:`, error);
+  }
 
   const populatedBookingObject = populatedBooking.toObject();
 
@@ -99,6 +251,37 @@ export const createBooking = asyncHandler(async (req, res, next) => {
   });
 });
 
+//GET /api/bookings/available-slots
+export const getAvailableSlots = asyncHandler(async (req, res, next) => {
+  const { date, serviceIds, quantities, pincode, lat, lng } = req.query;
+
+  const [availability, serviceArea] = await Promise.all([
+    findAvailableSlots({
+      date,
+      serviceIds: serviceIds.split(","),
+      quantities: quantities ? quantities.split(",").map(Number) : [],
+      pincode,
+    }),
+    findServiceArea({ pincode, lat, lng }),
+  ]);
+
+  // Slots outside the area's operating hours cannot be booked
+  if (serviceArea) {
+    const day = parseSlotDate(date);
+    availability.slots = availability.slots.map((slot) => {
+      const start = timeToMinutes(slot.time);
+      return isAreaOpen(serviceArea, day, start, start + availability.duration)
+        ? slot
+        : { ...slot, available: false, remainingCapacity: 0 };
+    });
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: availability,
+  });
+});
+
 //GET /api/bookings
 export const getAllBookings = asyncHandler(async (req, res, next) => {
   const bookings = await Booking.find();
@@ -209,17 +392,8 @@ export const getMyBookings = asyncHandler(async (req, res, next) => {
 //PATCH /api/bookings/:id/status
 export const updateBookingStatus = asyncHandler(async (req, res, next) => {
   const { status, message } = req.body;
-  const validStatuses = [
-    "pending",
-    "confirmed",
-    "assigned",
-    "in-progress",
-    "completed",
-    "cancelled",
-    "rejected",
-  ];
-
-  if (!status || !validStatuses.includes(status)) {
+
+  if (!status || !isValidBookingStatus(status)) {
     return next(new AppError("Please provide a valid status", 400));
   }
 
@@ -229,66 +403,26 @@ export const updateBookingStatus = asyncHandler(async (req, res, next) => {
     return next(new AppError("No booking found with that ID", 404));
   }
 
-  // Check authorization based on the status change
-  if (req.user.role !== "admin") {
-    // Professionals can confirm, start, or complete bookings
-    if (
-      ["confirmed", "assigned", "in-progress", "completed"].includes(status) &&
-      booking.professional &&
-      booking.professional.toString() !== req.user.id
-    ) {
-      return next(
-        new AppError("You are not authorized to update this booking", 403)
-      );
-    }
-
-    // Customers can cancel bookings
-    if (
-      ["cancelled"].includes(status) &&
-      booking.customer.toString() !== req.user.id
-    ) {
-      return next(
-        new AppError("You are not authorized to update this booking", 403)
-      );
-    }
-  }
-
-  // Update booking status
-  booking.status = status;
-
-  // Create a tracking update
-  const trackingUpdate = {
-    status,
-    message: message || `Booking status updated to ${status}`,
-    updatedBy: req.user.id,
-    timestamp: Date.now(),
-  };
-
-  // Add tracking update to the booking
-  booking.trackingUpdates.push(trackingUpdate);
+  let trackingMessage = message;
 
   // Add cancellation details if applicable
   if (status === "cancelled" && req.body.cancellationReason) {
-    trackingUpdate.message = req.body.cancellationReason;
+    trackingMessage = req.body.cancellationReason;
   }
 
-  // Handle rescheduling if new date/time provided
+  // Rescheduling goes through POST /api/bookings/:id/reschedule so the policy applies
   if (req.body.rescheduleDate) {
-    booking.scheduledDate = new Date(req.body.rescheduleDate);
-    if (req.body.rescheduleTime) {
-      booking.scheduledTime = req.body.rescheduleTime;
-    }
-
-    // Add rescheduling info to tracking update if not already set
-    if (!message) {
-      trackingUpdate.message = `Booking rescheduled to ${
-        req.body.rescheduleDate
-      } ${req.body.rescheduleTime || booking.scheduledTime}`;
-    }
+    return next(
+      new AppError("Use the reschedule endpoint to change the booking slot", 400)
+    );
   }
 
-  // Save the booking
-  await booking.save();
+  // Guards the transition for the caller's role, records tracking and notifies
+  await transitionBooking(booking, status, {
+    actor: actorFromUser(req.user),
+    message: trackingMessage,
+    reason: req.body.cancellationReason,
+  });
 
   // Fetch the updated booking with populated fields for response
   const updatedBooking = await Booking.findById(booking._id)
@@ -303,9 +437,6 @@ export const updateBookingStatus = asyncHandler(async (req, res, next) => {
     )
     .populate("trackingUpdates.updatedBy", "name role");
 
-  // Send notification
-  await sendBookingNotification(updatedBooking, status);
-
   res.status(200).json({
     status: "success",
     data: {
@@ -407,67 +538,130 @@ export const rateBooking = asyncHandler(async (req, res, next) => {
   });
 });
 
-//PATCH /api/bookings/:id/cancel
-export const cancelBooking = asyncHandler(async (req, res, next) => {
-  const { reason } = req.body;
+// Send an invoice or credit note as JSON or as a PDF download
+const sendInvoiceDocument = (res, document, format, originalNumber) => {
+  if (format === "json") {
+    return res.status(200).json({ status: "success", data: document });
+  }
 
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${document.number.replace(/\//g, "-")}.pdf"`);
+  res.status(200).send(renderInvoicePdf(document, originalNumber));
+};
+
+//GET /api/bookings/:id/invoice
+export const getBookingInvoice = asyncHandler(async (req, res, next) => {
   const booking = await Booking.findById(req.params.id);
 
   if (!booking) {
     return next(new AppError("No booking found with that ID", 404));
   }
 
-  // Check authorization - customers can cancel their own bookings, professionals can cancel assigned bookings, admins can cancel any
-  if (req.user.role !== "admin") {
-    if (
-      req.user.role === "customer" &&
-      booking.customer.toString() !== req.user.id
-    ) {
-      return next(
-        new AppError("You are not authorized to cancel this booking", 403)
-      );
-    }
+  if (req.user.role !== "admin" && booking.customer.toString() !== req.user.id) {
+    return next(new AppError("You are not authorized to view this invoice", 403));
+  }
 
-    if (
-      req.user.role === "professional" &&
-      (!booking.professional || booking.professional.toString() !== req.user.id)
-    ) {
-      return next(
-        new AppError("You are not authorized to cancel this booking", 403)
-      );
-    }
+  let { invoice, creditNotes } = await findBookingInvoice(booking._id);
+
+  // Bookings paid before invoicing went live get theirs on first request
+  if (!invoice && isInvoiceable(booking)) {
+    invoice = await issueBookingInvoice(booking._id);
   }
 
-  // Check if booking can be cancelled
-  if (booking.status === "cancelled") {
-    return next(new AppError("Booking is already cancelled", 400));
+  if (!invoice) {
+    return next(new AppError("No invoice is available until this booking is paid or completed", 404));
   }
 
-  if (booking.status === "completed") {
-    return next(new AppError("Cannot cancel a completed booking", 400));
+  if (req.query.format === "json") {
+    return res.status(200).json({ status: "success", data: { invoice, creditNotes } });
   }
 
-  // Update booking status to cancelled
-  booking.status = "cancelled";
+  sendInvoiceDocument(res, invoice, req.query.format);
+});
 
-  // Create a tracking update for cancellation
-  const trackingUpdate = {
-    status: "cancelled",
-    message: reason || `Booking cancelled by ${req.user.role}`,
-    updatedBy: req.user.id,
-    timestamp: Date.now(),
-  };
+//GET /api/bookings/:id/credit-notes/:creditNoteId
+export const getBookingCreditNote = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id).select("customer");
 
-  // Add tracking update to the booking
-  booking.trackingUpdates.push(trackingUpdate);
+  if (!booking) {
+    return next(new AppError("No booking found with that ID", 404));
+  }
 
-  // Save cancellation reason if provided
-  if (reason) {
-    booking.cancellationReason = reason;
+  if (req.user.role !== "admin" && booking.customer.toString() !== req.user.id) {
+    return next(new AppError("You are not authorized to view this credit note", 403));
   }
 
-  // Save the booking
-  await booking.save();
+  const { invoice, creditNotes } = await findBookingInvoice(booking._id);
+  const creditNote = creditNotes.find((note) => note._id.toString() === req.params.creditNoteId);
+
+  if (!creditNote) {
+    return next(new AppError("No credit note found with that ID for this booking", 404));
+  }
+
+  sendInvoiceDocument(res, creditNote, req.query.format, invoice.number);
+});
+
+//GET /api/bookings/:id/cancellation-quote
+export const getCancellationQuote = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new AppError("No booking found with that ID", 404));
+  }
+
+  if (
+    req.user.role !== "admin" &&
+    booking.customer.toString() !== req.user.id &&
+    (!booking.professional || booking.professional.toString() !== req.user.id)
+  ) {
+    return next(
+      new AppError("You are not authorized to view this booking", 403)
+    );
+  }
+
+  if (["completed", "cancelled"].includes(booking.status)) {
+    return next(new AppError(`Booking is already ${booking.status}`, 409));
+  }
+
+  const charges = calculateCancellationCharges(booking, {
+    role: req.user.role,
+    noShow: req.query.noShow === "true",
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: charges,
+  });
+});
+
+//PATCH /api/bookings/:id/cancel
+export const cancelBooking = asyncHandler(async (req, res, next) => {
+  const { reason, noShow, expectedFee } = req.body;
+
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new AppError("No booking found with that ID", 404));
+  }
+
+  // Only the professional on the job or an admin can report a no-show
+  if (noShow && !["professional", "admin"].includes(req.user.role)) {
+    return next(new AppError("Only professionals or admins can report a no-show", 403));
+  }
+
+  // The customer confirms the fee they were quoted; refuse if it moved since
+  assertExpectedFee(
+    calculateCancellationCharges(booking, { role: req.user.role, noShow }),
+    expectedFee
+  );
+
+  // Ownership and whether the booking can still be cancelled are checked by the lifecycle
+  await transitionBooking(booking, "cancelled", {
+    actor: actorFromUser(req.user),
+    message: reason || (noShow ? "Customer did not show up" : `Booking cancelled by ${req.user.role}`),
+    reason,
+    noShow: Boolean(noShow),
+  });
 
   // Fetch the updated booking with populated fields for response
   const updatedBooking = await Booking.findById(booking._id)
@@ -482,12 +676,59 @@ export const cancelBooking = asyncHandler(async (req, res, next) => {
     )
     .populate("trackingUpdates.updatedBy", "name role");
 
-  // Send notification
-  await sendBookingNotification(updatedBooking, 'cancelled');
-
   res.status(200).json({
     status: "success",
     message: "Booking cancelled successfully",
+    data: {
+      booking: updatedBooking,
+      cancellation: updatedBooking.cancellation,
+    },
+  });
+});
+
+//POST /api/bookings/:id/reschedule
+export const rescheduleBooking = asyncHandler(async (req, res, next) => {
+  const { scheduledDate, scheduledTime, releaseProfessional, reason } = req.body;
+
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new AppError("No booking found with that ID", 404));
+  }
+
+  // Releasing the professional clears it from the booking; they still hear about the move
+  const professional = booking.professional;
+
+  await moveBooking(booking, {
+    scheduledDate,
+    scheduledTime,
+    releaseProfessional,
+    reason,
+    actor: actorFromUser(req.user),
+  });
+
+  publishEvent([booking.customer, professional], "booking.rescheduled", {
+    bookingId: booking._id,
+    scheduledDate: booking.scheduledDate,
+    scheduledTime: booking.scheduledTime,
+  });
+
+  // Fetch the updated booking with populated fields for response
+  const updatedBooking = await Booking.findById(booking._id)
+    .populate("customer", "name phone profileImage")
+    .populate(
+      "professional",
+      "name phone rating profileImage experience specialization"
+    )
+    .populate(
+      "services.serviceId",
+      "title price duration image description category vehicleType"
+    )
+    .populate("trackingUpdates.updatedBy", "name role");
+
+  res.status(200).json({
+    status: "success",
+    message: "Booking rescheduled successfully",
     data: {
       booking: updatedBooking,
     },
@@ -522,20 +763,40 @@ export const getBookingTracking = asyncHandler(async (req, res, next) => {
   });
 });
 
+//GET /api/bookings/:id/tracking/live
+export const getBookingLiveTracking = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id).populate(
+    "professional",
+    "name phone profileImage"
+  );
+
+  if (!booking) {
+    return next(new AppError("No booking found with that ID", 404));
+  }
+
+  if (
+    req.user.role !== "admin" &&
+    booking.customer.toString() !== req.user.id &&
+    (!booking.professional || booking.professional._id.toString() !== req.user.id)
+  ) {
+    return next(
+      new AppError("You are not authorized to view this booking's tracking", 403)
+    );
+  }
+
+  const tracking = await getLiveTracking(booking);
+
+  res.status(200).json({
+    status: "success",
+    data: { tracking },
+  });
+});
+
 //POST /api/bookings/:id/tracking
 export const addTrackingUpdate = asyncHandler(async (req, res, next) => {
   const { status, message, location } = req.body;
-  const validStatuses = [
-    "pending",
-    "confirmed",
-    "assigned",
-    "in-progress",
-    "completed",
-    "cancelled",
-    "rejected",
-  ];
-
-  if (!status || !validStatuses.includes(status)) {
+
+  if (!status || !isValidBookingStatus(status)) {
     return next(new AppError("Please provide a valid status update", 400));
   }
 
@@ -569,14 +830,22 @@ export const addTrackingUpdate = asyncHandler(async (req, res, next) => {
     trackingUpdate.location = location;
   }
 
-  // Add tracking update to the booking
-  booking.trackingUpdates.push(trackingUpdate);
-
-  // Update the booking status as well
-  booking.status = status;
-
-  // Save the booking
-  await booking.save();
+  if (status !== booking.status) {
+    // Status changes go through the lifecycle; the customer is notified below
+    await transitionBooking(booking, status, {
+      actor: actorFromUser(req.user),
+      message: trackingUpdate.message,
+      notify: false,
+    });
+  } else {
+    booking.trackingUpdates.push(trackingUpdate);
+    await booking.save();
+    publishEvent([booking.customer], "booking.tracking", {
+      bookingId: booking._id,
+      status,
+      message: trackingUpdate.message,
+    });
+  }
 
   // Fetch the updated booking with populated fields for response
   const updatedBooking = await Booking.findById(booking._id)
@@ -0,0 +1,64 @@
+import { asyncHandler, AppError } from "../middleware/errorMiddleware.js";
+import {
+  countSubscribers,
+  formatSseMessage,
+  getCurrentEventId,
+  getEventsSince,
+  subscribeToEvents,
+} from "../services/eventBus.js";
+import { EVENT_STREAM_CONFIG } from "../config/events.js";
+
+//GET /api/events/stream
+export const streamEvents = asyncHandler(async (req, res, next) => {
+  const userId = req.user._id.toString();
+
+  if (countSubscribers(userId) >= EVENT_STREAM_CONFIG.maxConnectionsPerUser) {
+    return next(new AppError("Too many open event streams", 429));
+  }
+
+  // no-transform keeps the compression middleware from buffering the stream
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const write = (chunk) => {
+    res.write(chunk);
+    if (typeof res.flush === "function") res.flush();
+  };
+  const send = (event) => {
+    try {
+      write(formatSseMessage(event));
+    } catch (error) {
+      console.error(`Failed to write event ${event.id} to user ${userId}:`, error);
+    }
+  };
+
+  write(`retry: ${EVENT_STREAM_CONFIG.retryMs}\n\n`);
+
+  // EventSource resends the id of the last event it saw when it reconnects;
+  // clients that cannot set headers may pass it as ?lastEventId=
+  const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+  if (lastEventId) {
+    const { events, complete } = getEventsSince(userId, lastEventId);
+    if (!complete) {
+      send({
+        id: getCurrentEventId(),
+        type: "resync",
+        data: { reason: "Some updates are no longer available; reload your data" },
+      });
+    }
+    events.forEach(send);
+  }
+
+  const unsubscribe = subscribeToEvents(userId, send);
+  const heartbeat = setInterval(() => write(": heartbeat\n\n"), EVENT_STREAM_CONFIG.heartbeatMs);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
@@ -1,14 +1,15 @@
 import * as membershipService from '../services/membershipService.js';
-import crypto from 'crypto';
-import Membership from '../models/membershipModel.js';
+import { getMembershipUsage as getUsage } from '../services/membershipUsageService.js';
+import { requestPlanChange } from '../services/membershipPlanChangeService.js';
+import { receiveWebhook } from '../services/webhookInboxService.js';
 
 export const purchaseMembership = async (req, res) => {
   console.log('Request body:', req.body);
-  const { planId, amount } = req.body;
+  const { planId, amount, autoRenew } = req.body;
   const user = req.user;
 
   try {
-    const order = await membershipService.createMembershipOrder(planId, user, amount);
+    const order = await membershipService.createMembershipOrder(planId, user, amount, Boolean(autoRenew));
     res.sendSuccess(order, 'Membership order created successfully', 201);
   } catch (error) {
     console.error('Error in purchaseMembership controller:', error);
@@ -31,38 +32,23 @@ export const verifyPayment = async (req, res) => {
   }
 };
 
-// Webhook for automatic payment verification
+// Webhook for automatic payment verification; stored in the webhook inbox and applied asynchronously
 export const handlePaymentWebhook = async (req, res) => {
   try {
-    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
-    const signature = req.headers['x-razorpay-signature'];
-    const body = JSON.stringify(req.body);
+    const { accepted, duplicate } = await receiveWebhook({
+      source: 'memberships',
+      headers: req.headers,
+      rawBody: req.rawBody || JSON.stringify(req.body),
+      payload: req.body,
+      ip: req.ip,
+    });
 
-    // Verify webhook signature
-    const expectedSignature = crypto.createHmac('sha256', secret).update(body).digest('hex');
-
-    if (expectedSignature !== signature) {
+    if (!accepted) {
       console.error('Invalid webhook signature');
       return res.status(400).json({ error: 'Invalid signature' });
     }
 
-    const event = req.body.event;
-    const paymentEntity = req.body.payload.payment.entity;
-
-    if (event === 'payment.captured') {
-      // Find membership by payment ID
-      const membership = await Membership.findOne({ paymentId: paymentEntity.id });
-
-      if (membership && membership.status !== 'active') {
-        membership.status = 'active';
-        membership.validUntil = new Date(new Date().setMonth(new Date().getMonth() + 1));
-        await membership.save();
-
-        console.log('Membership activated via webhook:', membership._id);
-      }
-    }
-
-    res.json({ status: 'ok' });
+    res.json({ status: 'ok', duplicate });
   } catch (error) {
     console.error('Webhook error:', error);
     res.status(500).json({ error: 'Webhook processing failed' });
@@ -75,14 +61,19 @@ export const getMembershipStatus = async (req, res) => {
   try {
     const membership = await membershipService.getMembershipStatus(userId);
     if (membership) {
+      const usage = membership.validUntil ? await getUsage(membership) : null;
+      const washes = usage?.entitlements.find((item) => item.key === 'wash');
+
       // Format the response to match frontend expectations
       const formattedMembership = {
         active: membership.status === 'active',
         plan: membership.planId,
         validUntil: membership.validUntil ? membership.validUntil.toISOString().split('T')[0] : null,
         autoRenew: membership.autoRenew || false,
-        usedServices: 0, // TODO: Implement service usage tracking
-        totalServices: membership.planId === 'silver' ? 4 : membership.planId === 'gold' ? 8 : 12, // Basic mapping
+        graceUntil: membership.graceUntil ? membership.graceUntil.toISOString().split('T')[0] : null,
+        renewalLink: membership.renewal?.status === 'pending' ? membership.renewal.shortUrl : null,
+        usedServices: washes ? washes.included - washes.remaining : 0,
+        totalServices: washes?.included || 0,
         savings: 0, // TODO: Implement savings calculation
       };
       res.sendSuccess(formattedMembership, 'Membership status retrieved successfully');
@@ -94,6 +85,69 @@ export const getMembershipStatus = async (req, res) => {
   }
 };
 
+// Upgrade now (prorated) or schedule a downgrade for the end of the period
+export const changePlan = async (req, res) => {
+  try {
+    const membership = await membershipService.getActiveMembership(req.user.id);
+    if (!membership) {
+      return res.sendNotFound('No active membership found');
+    }
+
+    const { change } = await requestPlanChange(membership, req.body.planId);
+
+    let message = 'Pending plan change cancelled';
+    if (change?.status === 'awaiting_payment') message = 'Complete the payment to upgrade your plan';
+    if (change?.status === 'scheduled') message = 'Plan change scheduled for the end of the current period';
+    if (change?.status === 'applied') message = 'Plan changed successfully';
+
+    res.sendSuccess({ change, pendingPlanChange: membership.pendingPlanChange, planId: membership.planId }, message);
+  } catch (error) {
+    console.error('Error in changePlan controller:', error);
+    if (error.isOperational) {
+      return res.sendError(error.message, error.statusCode, error.errorCode);
+    }
+    res.sendError('Error changing membership plan', 500);
+  }
+};
+
+// Turn automatic renewal on or off for the current membership
+export const updateAutoRenew = async (req, res) => {
+  try {
+    const membership = await membershipService.getMembershipStatus(req.user.id);
+    if (!membership) {
+      return res.sendNotFound('No active membership found');
+    }
+
+    const { autoRenew } = req.body;
+    if (membership.autoRenew !== autoRenew) {
+      membership.autoRenew = autoRenew;
+      membershipService.recordMembershipEvent(membership, autoRenew ? 'auto_renew_enabled' : 'auto_renew_disabled');
+      await membership.save();
+    }
+
+    res.sendSuccess({ autoRenew: membership.autoRenew }, 'Auto-renewal updated successfully');
+  } catch (error) {
+    console.error('Error in updateAutoRenew controller:', error);
+    res.sendError('Error updating auto-renewal', 500);
+  }
+};
+
+// Remaining benefits of the current billing period
+export const getMembershipUsage = async (req, res) => {
+  try {
+    const membership = await membershipService.getActiveMembership(req.user.id);
+    if (!membership) {
+      return res.sendNotFound('No active membership found');
+    }
+
+    const usage = await getUsage(membership);
+    res.sendSuccess(usage, 'Membership usage retrieved successfully');
+  } catch (error) {
+    console.error('Error in getMembershipUsage controller:', error);
+    res.sendError('Error getting membership usage', 500);
+  }
+};
+
 export const getMembershipPlans = async (req, res) => {
   try {
     const plans = await membershipService.getMembershipPlans();
@@ -1,7 +1,8 @@
 import { asyncHandler } from "../middleware/errorMiddleware.js";
 import { AppError } from "../utils/appError.js";
 import Notification from "../models/notificationModel.js";
-import { sendPushNotification, sendNotificationToAdmins } from "../services/notificationService.js";
+import { sendPushNotification } from "../services/notificationService.js";
+import { recordAreaRequest } from "../services/areaDemandService.js";
 
 // GET /api/notifications/preferences
 export const getPreferences = asyncHandler(async (req, res, next) => {
@@ -265,20 +266,25 @@ export const getAllNotifications = asyncHandler(async (req, res, next) => {
 });
 
 export const createAreaRequestNotification = asyncHandler(async (req, res, next) => {
-  const { pincode } = req.body;
+  const { pincode, lat, lng, services = [] } = req.body;
 
-  if (!pincode) {
-    return next(new AppError('Pincode is required', 400));
+  if (!pincode && (lat === undefined || lng === undefined)) {
+    return next(new AppError('A pincode or the address coordinates are required', 400));
   }
 
-  const message = `A customer has requested service in a new area with pincode: ${pincode}.`;
-
-  await sendNotificationToAdmins({
-    title: 'New Service Area Request',
-    message,
-    type: 'AREA_REQUEST',
-    data: { pincode },
+  const { request, covered, serviceArea } = await recordAreaRequest(req.user._id, {
+    pincode,
+    lat,
+    lng,
+    services,
   });
 
-  res.sendSuccess({ pincode }, "Admin notification sent for new area request.");
+  if (covered) {
+    return res.sendSuccess({ covered, serviceArea }, "Your area is already serviced.");
+  }
+
+  res.sendSuccess(
+    { covered, request },
+    "You're on the waitlist. We'll notify you when we start serving your area."
+  );
 });
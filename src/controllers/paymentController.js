@@ -3,15 +3,17 @@
 import { Buffer } from "buffer";
 import razorpayInstance, {
   getRazorpayKeyId,
-  getWebhookSecret,
 } from "../config/razorpay.js";
 import Payment from "../models/paymentModel.js";
 import Booking from "../models/bookingModel.js";
-import Membership from "../models/membershipModel.js";
 import { AppError } from "../utils/appError.js";
 import crypto from "crypto";
 import { asyncHandler } from "../middleware/errorMiddleware.js";
 import * as paymentService from "../services/paymentService.js";
+import { receiveWebhook } from "../services/webhookInboxService.js";
+import { reconcilePayment } from "../services/paymentReconciliationService.js";
+import { getCodAmount, recordCodCollection } from "../services/cashSettlementService.js";
+import { issueBookingInvoice } from "../services/invoiceService.js";
 
 // Timing-safe compare helper
 const safeCompare = (a = "", b = "") => {
@@ -36,9 +38,9 @@ export const createOrder = async (bookingId, userId, amount, notes = {}) => {
       throw new AppError("You can only create payments for your own bookings", 403);
     }
 
-    // Validate payment amount matches booking total
-    if (Math.abs(Number(amount) - Number(booking.totalAmount)) > 0.01) {
-      throw new AppError(`Payment amount must match booking total of ₹${booking.totalAmount}`, 400);
+    // Validate payment amount matches what is left after any wallet payment
+    if (Math.abs(Number(amount) - Number(booking.amountDue)) > 0.01) {
+      throw new AppError(`Payment amount must match the amount due of ₹${booking.amountDue}`, 400);
     }
 
     // Check for existing payments on this booking
@@ -231,6 +233,8 @@ export const verifyPaymentSignature = async (orderId, paymentId, signature) => {
         paymentStatus: "paid",
         paymentId: payment._id,
       });
+      await paymentService.issuePaymentTaxDocuments(payment);
+      paymentService.publishPaymentConfirmed(payment);
     }
 
     return isValid;
@@ -240,390 +244,25 @@ export const verifyPaymentSignature = async (orderId, paymentId, signature) => {
   }
 };
 
-// Verify webhook signature (timing-safe)
-export const verifyWebhookSignature = (signature, body) => {
-  try {
-    const webhookSecret = getWebhookSecret();
-    if (!webhookSecret) {
-      console.error("Webhook secret not configured");
-      return false;
-    }
-
-    const generatedSignature = crypto
-      .createHmac("sha256", webhookSecret)
-      .update(body)
-      .digest("hex");
-
-    return safeCompare(generatedSignature, signature);
-  } catch (error) {
-    console.error("Error verifying webhook signature:", error);
-    return false;
-  }
-};
-
-// Process webhook event with idempotency
-export const processWebhookEvent = async (event) => {
-  try {
-    // Basic payload normalization
-    // Razorpay webhook structure: { entity, account_id, event, contains, payload, created_at }
-    // The 'id' field doesn't exist in Razorpay webhooks - we need to create a unique identifier
-    const eventType = event?.event;
-    const payload = event?.payload ?? {};
-    const createdAt = event?.created_at;
-    const accountId = event?.account_id;
-    
-    // Extract payment/order IDs to create a unique event identifier
-    const orderEntity = payload.order?.entity;
-    const paymentEntity = payload.payment?.entity;
-    const paymentLinkEntity = payload.payment_link?.entity;
-    
-    // Create unique eventId from available data
-    const paymentId = paymentEntity?.id || paymentLinkEntity?.payments?.[0]?.payment_id;
-    const orderId = orderEntity?.id || paymentEntity?.order_id;
-    const eventId = paymentId 
-      ? `${accountId}_${eventType}_${paymentId}` 
-      : `${accountId}_${eventType}_${orderId}_${createdAt}`;
-
-    console.log("Processing webhook event:", {
-      eventId,
-      eventType,
-      accountId,
-      createdAt,
-      orderId,
-      paymentId: paymentEntity?.id,
-      paymentLinkId: paymentLinkEntity?.id
-    });
-
-    if (!eventType) {
-      throw new Error(`Invalid webhook event: missing 'event' field. Received: ${JSON.stringify(event).substring(0, 200)}`);
-    }
-
-    // Security: Check if webhook event is not too old (prevent replay attacks)
-    if (createdAt) {
-      const eventTime = new Date(createdAt * 1000); // createdAt is in seconds, convert to milliseconds
-      const now = new Date();
-      const timeDiff = now - eventTime;
-      const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-      const maxFuture = 5 * 60 * 1000; // 5 minutes in future (allow for clock skew)
-
-      if (timeDiff > maxAge || timeDiff < -maxFuture) {
-        console.warn(`Webhook event ${eventId} is too old or has future timestamp: ${timeDiff}ms`);
-        return null;
-      }
-    }
-
-    // For order.paid events, the order info is directly in payload.order.entity
-    // For payment events, order_id is in payment.entity.order_id
-    // For payment_link.paid events, the payment info is in payload.payment_link.entity
-    let finalOrderId = orderId;
-
-    // Also check if this is an order.paid event with payments array
-    if (!finalOrderId && orderEntity?.payments?.items?.length > 0) {
-      finalOrderId = orderEntity.id;
-    }
-    
-    // For payment_link.paid events, get order_id from the payment
-    if (!finalOrderId && paymentLinkEntity?.payments?.[0]?.order_id) {
-      finalOrderId = paymentLinkEntity.payments[0].order_id;
-    }
-
-    console.log("Webhook payload parsing:", {
-      eventType,
-      finalOrderId,
-      orderEntityId: orderEntity?.id,
-      paymentEntityOrderId: paymentEntity?.order_id,
-      paymentLinkEntityId: paymentLinkEntity?.id,
-      hasPaymentsArray: !!orderEntity?.payments?.items?.length
-    });
-
-    if (!finalOrderId) {
-      // For some events, order id may be in different places
-      // Attempt to find by searching for any razorpay order id inside payload
-      const maybeOrderId = JSON.stringify(payload).match(/order_[a-zA-Z0-9]+/);
-      if (maybeOrderId) finalOrderId = maybeOrderId[0];
-    }
-
-    // Find the payment record by razorpayOrderId OR by razorpayPaymentId OR by razorpayPaymentLinkId
-    let paymentRecord = null;
-    if (finalOrderId)
-      paymentRecord = await Payment.findOne({ razorpayOrderId: finalOrderId });
-    if (!paymentRecord && paymentEntity?.id)
-      paymentRecord = await Payment.findOne({
-        razorpayPaymentId: paymentEntity.id,
-      });
-    // Also try by payment link ID
-    if (!paymentRecord && paymentLinkEntity?.id)
-      paymentRecord = await Payment.findOne({
-        razorpayPaymentLinkId: paymentLinkEntity.id,
-      });
-
-    // Additional fallback: try to find by bookingId from notes
-    if (!paymentRecord && paymentEntity?.notes?.bookingId) {
-      paymentRecord = await Payment.findOne({
-        bookingId: paymentEntity.notes.bookingId
-      });
-    }
-    // Try payment_link notes as well
-    if (!paymentRecord && paymentLinkEntity?.notes?.bookingId) {
-      paymentRecord = await Payment.findOne({
-        bookingId: paymentLinkEntity.notes.bookingId
-      });
-    }
-
-    console.log("Payment record lookup:", {
-      finalOrderId,
-      paymentEntityId: paymentEntity?.id,
-      paymentLinkEntityId: paymentLinkEntity?.id,
-      bookingIdFromNotes: paymentEntity?.notes?.bookingId || paymentLinkEntity?.notes?.bookingId,
-      paymentRecordFound: !!paymentRecord
-    });
-
-    // Check for Membership record if no Payment record found
-    let membershipRecord = null;
-    if (!paymentRecord) {
-      // First try to find by orderId with various formats
-      if (finalOrderId) {
-        console.log(`Looking for membership with orderId: ${finalOrderId}`);
-
-        // Try to find membership with the orderId as-is
-        membershipRecord = await Membership.findOne({ orderId: finalOrderId });
-        console.log(`Found membership with exact orderId ${finalOrderId}: ${!!membershipRecord}`);
-
-        // If not found and orderId starts with "order_", try without prefix
-        if (!membershipRecord && finalOrderId.startsWith('order_')) {
-          const orderIdWithoutPrefix = finalOrderId.substring(6); // Remove "order_" prefix
-          console.log(`Trying orderId without prefix: ${orderIdWithoutPrefix}`);
-          membershipRecord = await Membership.findOne({ orderId: orderIdWithoutPrefix });
-          console.log(`Found membership with orderId ${orderIdWithoutPrefix}: ${!!membershipRecord}`);
-        }
-
-        // If not found and orderId doesn't start with "order_", try with prefix
-        if (!membershipRecord && !finalOrderId.startsWith('order_')) {
-          const orderIdWithPrefix = `order_${finalOrderId}`;
-          console.log(`Trying orderId with prefix: ${orderIdWithPrefix}`);
-          membershipRecord = await Membership.findOne({ orderId: orderIdWithPrefix });
-          console.log(`Found membership with orderId ${orderIdWithPrefix}: ${!!membershipRecord}`);
-        }
-      }
-
-      // If still not found, try to find by userId and planId from notes
-      if (!membershipRecord && (paymentEntity?.notes?.userId && paymentEntity?.notes?.planId)) {
-        const { userId, planId } = paymentEntity.notes;
-        console.log(`Trying to find membership by userId ${userId} and planId ${planId}`);
-        membershipRecord = await Membership.findOne({
-          userId,
-          planId,
-          status: { $in: ['pending', 'active'] } // Look for pending or active memberships
-        });
-        console.log(`Found membership by userId and planId: ${!!membershipRecord}`);
-      }
-
-      // Also try order entity notes if payment entity notes don't work
-      if (!membershipRecord && (orderEntity?.notes?.userId && orderEntity?.notes?.planId)) {
-        const { userId, planId } = orderEntity.notes;
-        console.log(`Trying to find membership by order entity userId ${userId} and planId ${planId}`);
-        membershipRecord = await Membership.findOne({
-          userId,
-          planId,
-          status: { $in: ['pending', 'active'] }
-        });
-        console.log(`Found membership by order entity userId and planId: ${!!membershipRecord}`);
-      }
-    }
-
-    if (!paymentRecord && !membershipRecord) {
-      // If no record, log detailed info and try to find any related payment records
-      const bookingIdFromNotes = paymentEntity?.notes?.bookingId || paymentLinkEntity?.notes?.bookingId || orderEntity?.notes?.bookingId;
-      
-      // Debug: Check what payment records exist
-      let debugPayments = [];
-      if (bookingIdFromNotes) {
-        debugPayments = await Payment.find({ bookingId: bookingIdFromNotes }).select('_id razorpayOrderId razorpayPaymentId razorpayPaymentLinkId status createdAt');
-      }
-      
-      console.error(
-        `=== PAYMENT RECORD NOT FOUND ===`);
-      console.error(`Event ID: ${eventId}`);
-      console.error(`Final Order ID: ${finalOrderId}`);
-      console.error(`Payment Entity ID: ${paymentEntity?.id}`);
-      console.error(`Payment Link Entity ID: ${paymentLinkEntity?.id}`);
-      console.error(`Booking ID from notes: ${bookingIdFromNotes}`);
-      console.error(`Event type: ${eventType}`);
-      console.error(`Existing payments for this booking:`, JSON.stringify(debugPayments, null, 2));
-      console.error(`Full payload:`, JSON.stringify(payload, null, 2));
-      
-      return null;
-    }
-
-    // Log what we found
-    if (membershipRecord) {
-      console.log(`Found membership record: membershipId ${membershipRecord._id}, userId ${membershipRecord.userId}, planId ${membershipRecord.planId}, orderId ${membershipRecord.orderId}, status ${membershipRecord.status}`);
-    }
-
-    // Idempotency: skip if we've already processed this event id
-    let alreadyProcessed = false;
-    if (paymentRecord) {
-      alreadyProcessed = (paymentRecord.webhookEvents || []).some(
-        (e) => e.eventId === eventId
-      );
-    } else if (membershipRecord) {
-      // For memberships found by userId/planId, we can't check eventId since we don't store webhook events
-      // So we use simple idempotency based on status
-      alreadyProcessed = membershipRecord.status === 'active' && 
-        ['payment.captured', 'order.paid', 'payment_link.paid'].includes(eventType);
-    }
-    if (alreadyProcessed) {
-      console.log(`Webhook event ${eventId} already processed for ${paymentRecord ? 'payment' : 'membership'} record`);
-      return paymentRecord || membershipRecord;
-    }
-
-    // Update payment status based on event type
-    if (paymentRecord) {
-      switch (eventType) {
-        case "payment.authorized":
-          paymentRecord.status = "authorized";
-          paymentRecord.paymentMethod = paymentEntity?.method;
-          paymentRecord.paymentDetails = paymentEntity;
-          break;
-        case "payment.captured":
-        case "order.paid":
-        case "payment_link.paid":
-          // All these events indicate successful payment - treat the same way
-          paymentRecord.status = "captured";
-          paymentRecord.razorpayPaymentId =
-            paymentEntity?.id || 
-            orderEntity?.payments?.items?.[0]?.id || 
-            paymentLinkEntity?.payments?.[0]?.payment_id ||
-            paymentRecord.razorpayPaymentId;
-          paymentRecord.capturedAt = new Date();
-          
-          // Update booking payment status
-          const bookingUpdateResult = await Booking.findByIdAndUpdate(
-            paymentRecord.bookingId, 
-            {
-              paymentStatus: "paid",
-              paymentId: paymentRecord._id,
-            },
-            { new: true }
-          );
-          console.log(`Payment captured for booking ${paymentRecord.bookingId}, booking update result:`, {
-            bookingFound: !!bookingUpdateResult,
-            newPaymentStatus: bookingUpdateResult?.paymentStatus
-          });
-          break;
-        case "payment.failed":
-          paymentRecord.status = "failed";
-          paymentRecord.errorCode = paymentEntity?.error_code;
-          paymentRecord.errorDescription = paymentEntity?.error_description;
-          break;
-        case "refund.created":
-          paymentRecord.refundId = payload.refund?.entity?.id;
-          paymentRecord.refundAmount =
-            (payload.refund?.entity?.amount ?? 0) / 100;
-          paymentRecord.refundStatus = "pending";
-          break;
-        case "refund.processed":
-          paymentRecord.refundStatus = "processed";
-          paymentRecord.status = "refunded";
-          break;
-        case "refund.failed":
-          paymentRecord.refundStatus = "failed";
-          break;
-        default:
-          // Keep record of unknown events for audit
-          console.log(`Unhandled webhook event type: ${eventType}`);
-          break;
-      }
-    }
-
-    // Handle membership activation
-    if (membershipRecord) {
-      switch (eventType) {
-        case "payment.captured":
-        case "order.paid":
-        case "payment_link.paid":
-          // All these events indicate successful payment - activate membership
-          membershipRecord.status = "active";
-          membershipRecord.paymentId = paymentEntity?.id || 
-            orderEntity?.payments?.items?.[0]?.id || 
-            paymentLinkEntity?.payments?.[0]?.payment_id;
-          membershipRecord.validUntil = new Date(new Date().setMonth(new Date().getMonth() + 1));
-          await membershipRecord.save();
-          console.log(`Membership activated for user ${membershipRecord.userId}, plan: ${membershipRecord.planId}`);
-          break;
-        case "payment.failed":
-          membershipRecord.status = "failed";
-          await membershipRecord.save();
-          break;
-        default:
-          // Keep record of other events for audit
-          break;
-      }
-    }
-
-    // Append webhook event with idempotent metadata
-    if (paymentRecord) {
-      paymentRecord.webhookEvents = paymentRecord.webhookEvents || [];
-      paymentRecord.webhookEvents.push({
-        eventId,
-        eventType,
-        timestamp: new Date(),
-        payload: event,
-      });
-      await paymentRecord.save();
-      return paymentRecord;
-    }
-
-    if (membershipRecord) {
-      // For memberships, we don't store webhook events in the model currently
-      // but we could add this if needed for audit purposes
-      console.log(`Membership webhook processed: ${eventType} for membership ${membershipRecord._id}`);
-      return membershipRecord;
-    }
-  } catch (error) {
-    console.error("Error processing webhook event:", error);
-    throw new AppError(error.message || "Failed to process webhook event", 500);
-  }
-};
-
 // --- Express route handlers expected by routes/paymentRoutes.js ---
 
+// Razorpay webhooks are stored in the webhook inbox and applied asynchronously
 export const handleWebhook = asyncHandler(async (req, res) => {
-  // Razorpay sends signature in 'x-razorpay-signature'
-  const signature =
-    req.headers["x-razorpay-signature"] ||
-    req.headers["x-razorpay-signature".toLowerCase()];
-  const rawBody = req.rawBody || (req.body ? JSON.stringify(req.body) : "");
-
-  // Log the full payload for debugging
-  console.log("=== WEBHOOK RECEIVED ===");
-  console.log("Signature present:", !!signature);
-  console.log("Body length:", rawBody.length);
-  console.log("Event type:", req.body?.event);
-  console.log("Full payload:", JSON.stringify(req.body, null, 2));
-
-  const verified = verifyWebhookSignature(signature, rawBody);
-  if (!verified) {
-    console.error("Webhook signature verification failed:", {
-      signaturePresent: !!signature,
-      bodyLength: rawBody.length,
-      webhookSecretConfigured: !!getWebhookSecret()
-    });
+  const { accepted, duplicate } = await receiveWebhook({
+    source: "payments",
+    headers: req.headers,
+    rawBody: req.rawBody || (req.body ? JSON.stringify(req.body) : ""),
+    payload: req.body,
+    ip: req.ip,
+  });
+
+  if (!accepted) {
     return res
       .status(400)
       .json({ status: "error", message: "Invalid webhook signature" });
   }
 
-  const event = req.body;
-  const result = await processWebhookEvent(event);
-  
-  console.log("Webhook processed:", {
-    eventId: event?.id,
-    eventType: event?.event,
-    processed: !!result
-  });
-  
-  return res.status(200).json({ status: "success" });
+  return res.status(200).json({ status: "success", duplicate });
 });
 
 export const createPaymentOrder = asyncHandler(async (req, res) => {
@@ -686,17 +325,30 @@ export const manualVerifyPayment = asyncHandler(async (req, res) => {
     throw new AppError("You can only verify payments for your own bookings", 403);
   }
 
-  const payment = await Payment.findOne({ bookingId });
+  let payment = await Payment.findOne({ bookingId });
   if (!payment) {
     throw new AppError("Payment record not found", 404);
   }
 
+  // Not captured yet: ask Razorpay, the customer may have been charged without us hearing about it
+  if (payment.status !== 'captured') {
+    try {
+      ({ payment } = await reconcilePayment(payment._id));
+    } catch (error) {
+      console.error(`Could not reconcile payment ${payment._id} with Razorpay:`, error);
+    }
+  }
+
   // If payment is already captured, update booking
   if (payment.status === 'captured') {
     await Booking.findByIdAndUpdate(bookingId, {
       paymentStatus: "paid",
       paymentId: payment._id,
     });
+    await paymentService.issuePaymentTaxDocuments(payment);
+    if (booking.paymentStatus !== 'paid') {
+      paymentService.publishPaymentConfirmed(payment, booking);
+    }
     
     res.status(200).json({ 
       status: "success", 
@@ -736,11 +388,55 @@ export const getPayment = asyncHandler(async (req, res) => {
 
 export const initiateRefund = asyncHandler(async (req, res) => {
   const paymentId = req.params.id;
-  const { amount, notes } = req.body || {};
-  const refund = await paymentService.initiateRefund(paymentId, amount, notes);
+  const { amount, reason, notes, destination } = req.body || {};
+  const refund = await paymentService.initiateRefund(paymentId, amount, notes, {
+    reason,
+    approvedBy: req.user.id,
+    destination,
+  });
   res.status(200).json({ status: "success", refund });
 });
 
+export const getPaymentRefunds = asyncHandler(async (req, res) => {
+  const payment = await Payment.findById(req.params.id).populate("refunds.approvedBy", "name");
+  if (!payment) throw new AppError("Payment not found", 404);
+
+  const isAdmin = req.user.role === 'admin';
+  if (!isAdmin && payment.userId.toString() !== req.user.id.toString()) {
+    throw new AppError("You can only access your own payment details", 403);
+  }
+
+  const refunds = paymentService.getRefundLedger(payment).map((refund) => ({
+    id: refund._id,
+    razorpayRefundId: refund.razorpayRefundId,
+    amount: refund.amount,
+    status: refund.status,
+    reason: refund.reason,
+    createdAt: refund.createdAt,
+    processedAt: refund.processedAt,
+    // Internal details are for admins only
+    destination: refund.destination || "source",
+    ...(isAdmin && {
+      source: refund.source,
+      approvedBy: refund.approvedBy,
+      notes: refund.notes,
+      failureReason: refund.failureReason,
+    }),
+  }));
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      paymentId: payment._id,
+      amount: payment.amount,
+      refundedAmount: payment.refundAmount || 0,
+      refundableAmount:
+        payment.status === "captured" ? paymentService.getRefundableAmount(payment) : 0,
+      refunds,
+    },
+  });
+});
+
 // COD-specific functions
 
 // Create COD payment record for tracking
@@ -791,11 +487,29 @@ export const collectCODPayment = asyncHandler(async (req, res) => {
     throw new AppError("You are not authorized to collect payment for this booking", 403);
   }
 
+  if (booking.paymentMethod !== 'cod') {
+    throw new AppError("This booking is not paid by cash on delivery", 400);
+  }
+
+  if (booking.codStatus === 'collected') {
+    throw new AppError("Cash for this booking has already been collected", 409, "COD_ALREADY_COLLECTED");
+  }
+
   // Validate booking status allows COD collection
-  if (!['completed', 'in_progress'].includes(booking.status)) {
+  if (!['completed', 'in-progress'].includes(booking.status)) {
     throw new AppError("COD can only be collected for active or completed bookings", 400);
   }
 
+  // The professional confirms the amount; it has to be what the booking says is due
+  const codAmount = getCodAmount(booking);
+  if (amount !== undefined && Math.round(amount * 100) !== Math.round(codAmount * 100)) {
+    throw new AppError(
+      `Collected amount ₹${amount} does not match the ₹${codAmount} due on this booking`,
+      400,
+      "COD_AMOUNT_MISMATCH"
+    );
+  }
+
   // Update booking COD status
   booking.codStatus = 'collected';
   booking.codCollectedAt = new Date();
@@ -809,12 +523,30 @@ export const collectCODPayment = asyncHandler(async (req, res) => {
   // Add tracking update
   booking.trackingUpdates.push({
     status: booking.status,
-    message: `Payment of ₹${amount} collected via COD`,
+    message: `Payment of ₹${codAmount} collected via COD`,
     updatedBy: req.user.id,
     timestamp: new Date(),
   });
   
-  await booking.save();
+  // Of two collections sent at once only one is stored
+  booking.$where = { codStatus: { $ne: 'collected' } };
+  try {
+    await booking.save();
+  } catch (error) {
+    if (error.name !== "DocumentNotFoundError") throw error;
+    throw new AppError("Cash for this booking has already been collected", 409, "COD_ALREADY_COLLECTED");
+  } finally {
+    booking.$where = undefined;
+  }
+
+  // The professional now holds this cash until they deposit it
+  await recordCodCollection(booking, req.user.id);
+
+  try {
+    await issueBookingInvoice(booking._id, { paymentId: booking.paymentId });
+  } catch (error) {
+    console.error(`Failed to issue invoice for booking ${booking._id}:`, error);
+  }
   
   // Update payment record if exists
   const payment = await Payment.findOne({ bookingId });
@@ -828,6 +560,8 @@ export const collectCODPayment = asyncHandler(async (req, res) => {
     };
     await payment.save();
   }
+
+  paymentService.publishPaymentConfirmed(payment, booking);
   
   res.status(200).json({
     status: "success",
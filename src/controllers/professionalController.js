@@ -1,6 +1,16 @@
 import Booking from '../models/bookingModel.js';
 import User from '../models/userModel.js';
 import Service from '../models/serviceModel.js';
+import { transitionBooking, actorFromUser } from '../services/bookingLifecycleService.js';
+import { BOOKING_STATUSES } from '../config/bookingLifecycle.js';
+import { acceptJobOffer, declineJobOffer } from '../services/dispatchService.js';
+import { getCashSummary, submitCashDeposit } from '../services/cashSettlementService.js';
+import {
+  getEarningsSummary,
+  getEarningsStatement,
+  toStatementCsv,
+} from '../services/earningsService.js';
+
 export const getProfessionalJobs = async (req, res, next) => {
   try {
     const professionalId = req.user._id;
@@ -24,6 +34,7 @@ export const getProfessionalJobs = async (req, res, next) => {
         address,
         totalAmount: booking.totalAmount,
         status: booking.status,
+        offerExpiresAt: booking.status === 'assigned' ? booking.dispatch?.offerExpiresAt : undefined,
         paymentStatus: booking.paymentStatus,
         serviceName: booking.services?.map(s => s.title).join(', ') || 'Unknown Service',
         createdAt: booking.createdAt
@@ -97,12 +108,11 @@ export const getJobDetails = async (req, res, next) => {
 export const updateJobStatus = async (req, res, next) => {
   try {
     const { jobId } = req.params;
-    const { status } = req.body;
+    const { status, message, notes } = req.body;
     const professionalId = req.user._id;
 
-    const validStatuses = ['pending', 'confirmed', 'assigned', 'in-progress', 'completed', 'cancelled', 'rejected'];
-    if (!validStatuses.includes(status)) {
-      return res.sendError('Invalid status. Must be one of: ' + validStatuses.join(', '), 400);
+    if (!BOOKING_STATUSES.includes(status)) {
+      return res.sendError('Invalid status. Must be one of: ' + BOOKING_STATUSES.join(', '), 400);
     }
 
     if (req.user.role !== 'professional') {
@@ -114,10 +124,12 @@ export const updateJobStatus = async (req, res, next) => {
       return res.sendError('Job not found or not assigned to you', 404);
     }
 
-    booking.status = status;
-    if (status === 'completed') booking.actualEndTime = new Date();
-
-    await booking.save();
+    // Invalid transitions surface as 409 through the error handler
+    await transitionBooking(booking, status, {
+      actor: actorFromUser(req.user),
+      message,
+      notes,
+    });
 
     res.sendSuccess({ id: booking._id, status: booking.status }, 'Job status updated successfully');
   } catch (error) {
@@ -125,6 +137,46 @@ export const updateJobStatus = async (req, res, next) => {
   }
 };
 
+export const acceptJob = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+
+    if (req.user.role !== 'professional') {
+      return res.sendError('Unauthorized. Only professionals can accept jobs.', 403);
+    }
+
+    const { offer, booking } = await acceptJobOffer(jobId, req.user);
+
+    res.sendSuccess({
+      id: booking._id,
+      status: booking.status,
+      offer: { id: offer._id, status: offer.status, respondedAt: offer.respondedAt }
+    }, 'Job accepted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const declineJob = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const { reason } = req.body;
+
+    if (req.user.role !== 'professional') {
+      return res.sendError('Unauthorized. Only professionals can decline jobs.', 403);
+    }
+
+    const { offer } = await declineJobOffer(jobId, req.user, reason);
+
+    res.sendSuccess({
+      id: jobId,
+      offer: { id: offer._id, status: offer.status, declineReason: offer.declineReason }
+    }, 'Job declined successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const getProfessionalProfile = async (req, res, next) => {
   try {
     const professionalId = req.user._id;
@@ -177,14 +229,13 @@ export const getDashboardStats = async (req, res, next) => {
       return res.sendError('Unauthorized. Only professionals can access dashboard stats.', 403);
     }
 
-    const statuses = ['pending', 'confirmed', 'assigned', 'in-progress', 'completed', 'cancelled', 'rejected'];
+    const statuses = ['pending', 'confirmed', 'assigned', 'on-the-way', 'in-progress', 'completed', 'cancelled', 'rejected'];
     const counts = {};
     for (const status of statuses) {
       counts[status] = await Booking.countDocuments({ professional: professionalId, status });
     }
 
-    const completedBookings = await Booking.find({ professional: professionalId, status: 'completed', paymentStatus: 'paid' });
-    const totalEarnings = completedBookings.reduce((sum, b) => sum + b.totalAmount, 0);
+    const { totals, balances } = await getEarningsSummary(professionalId, { limit: 1 });
 
     const todayStart = new Date();
     todayStart.setHours(0, 0, 0, 0);
@@ -205,10 +256,76 @@ export const getDashboardStats = async (req, res, next) => {
 
     res.sendSuccess({
       jobCounts: { ...counts, total: Object.values(counts).reduce((a, b) => a + b, 0) },
-      earnings: { total: totalEarnings, currency: 'INR' },
+      earnings: { total: totals.net, unpaid: balances.unpaid + balances.inPayout, currency: 'INR' },
       todayJobs
     }, 'Dashboard stats retrieved successfully');
   } catch (error) {
     next(error);
   }
 };
+
+export const getCashInHand = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'professional') {
+      return res.sendError('Unauthorized. Only professionals can view their cash in hand.', 403);
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const summary = await getCashSummary(req.user._id, { page: Number(page), limit: Number(limit) });
+
+    res.sendSuccess(summary, 'Cash in hand retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createCashDeposit = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'professional') {
+      return res.sendError('Unauthorized. Only professionals can submit cash deposits.', 403);
+    }
+
+    const deposit = await submitCashDeposit(req.user._id, req.body);
+
+    res.sendSuccess(deposit, 'Cash deposit submitted for confirmation', 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getEarnings = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'professional') {
+      return res.sendError('Unauthorized. Only professionals can view their earnings.', 403);
+    }
+
+    const { from, to, page, limit } = req.query;
+    const summary = await getEarningsSummary(req.user._id, { from, to, page, limit });
+
+    res.sendSuccess(summary, 'Earnings retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const downloadEarningsStatement = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'professional') {
+      return res.sendError('Unauthorized. Only professionals can download earnings statements.', 403);
+    }
+
+    const { from, to, format } = req.query;
+    const statement = await getEarningsStatement(req.user._id, { from, to });
+
+    if (format === 'json') {
+      return res.sendSuccess(statement, 'Earnings statement retrieved successfully');
+    }
+
+    const period = [from, to].filter(Boolean).map((date) => new Date(date).toISOString().slice(0, 10)).join('_to_');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="earnings-statement${period ? `-${period}` : ''}.csv"`);
+    res.status(200).send(toStatementCsv(statement));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,94 @@
+import RecurringBooking from "../models/recurringBookingModel.js";
+import { asyncHandler, AppError } from "../middleware/errorMiddleware.js";
+import { actorFromUser } from "../services/bookingLifecycleService.js";
+import {
+  createRecurringBooking as createSchedule,
+  updateRecurringBooking as updateSchedule,
+  cancelRecurringBooking as cancelSchedule,
+  getUpcomingScheduleBookings,
+} from "../services/recurringBookingService.js";
+
+const findOwnSchedule = async (req) => {
+  const schedule = await RecurringBooking.findById(req.params.id);
+
+  if (!schedule) {
+    throw new AppError("No recurring booking found with that ID", 404);
+  }
+
+  if (req.user.role !== "admin" && schedule.customer.toString() !== req.user.id) {
+    throw new AppError("You are not authorized to access this recurring booking", 403);
+  }
+
+  return schedule;
+};
+
+//POST /api/bookings/recurring
+export const createRecurringBooking = asyncHandler(async (req, res, next) => {
+  const schedule = await createSchedule(req.user.id, req.body);
+
+  res.status(201).json({
+    status: "success",
+    data: schedule,
+  });
+});
+
+//GET /api/bookings/recurring
+export const getMyRecurringBookings = asyncHandler(async (req, res, next) => {
+  const schedules = await RecurringBooking.find({ customer: req.user.id })
+    .populate("services.serviceId", "title price duration image")
+    .populate("vehicle", "type brand model")
+    .populate("address", "name address city pincode")
+    .sort("-createdAt");
+
+  res.status(200).json({
+    status: "success",
+    results: schedules.length,
+    data: schedules,
+  });
+});
+
+//GET /api/bookings/recurring/:id
+export const getRecurringBooking = asyncHandler(async (req, res, next) => {
+  const schedule = await findOwnSchedule(req);
+  await schedule.populate([
+    { path: "services.serviceId", select: "title price duration image" },
+    { path: "vehicle", select: "type brand model" },
+    { path: "address", select: "name address city pincode" },
+  ]);
+
+  const upcomingBookings = await getUpcomingScheduleBookings(schedule).select(
+    "scheduledDate scheduledTime status totalAmount membershipCoverage"
+  );
+
+  res.status(200).json({
+    status: "success",
+    data: { schedule, upcomingBookings },
+  });
+});
+
+//PATCH /api/bookings/recurring/:id
+export const updateRecurringBooking = asyncHandler(async (req, res, next) => {
+  const schedule = await findOwnSchedule(req);
+  const updated = await updateSchedule(schedule, req.body);
+
+  res.status(200).json({
+    status: "success",
+    data: updated,
+  });
+});
+
+//DELETE /api/bookings/recurring/:id
+export const cancelRecurringBooking = asyncHandler(async (req, res, next) => {
+  const schedule = await findOwnSchedule(req);
+
+  const result = await cancelSchedule(schedule, {
+    actor: actorFromUser(req.user),
+    cancelUpcoming: req.query.cancelUpcoming === "true",
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: "Recurring booking cancelled successfully",
+    data: result,
+  });
+});
@@ -1,6 +1,14 @@
 import ServiceArea from '../models/serviceAreaModel.js';
 import catchAsync from '../utils/catchAsync.js';
 import { AppError } from '../utils/appError.js';
+import { DISPATCH_MODES } from '../config/dispatch.js';
+import {
+  checkAreaAvailability,
+  createServiceArea as addServiceArea,
+  exportServiceAreas as exportAreasAsGeoJSON,
+  importServiceAreas as importAreasFromGeoJSON,
+  updateServiceArea as editServiceArea,
+} from '../services/serviceAreaService.js';
 
 export const getAllServiceAreas = catchAsync(async (req, res, next) => {
   const serviceAreas = await ServiceArea.find();
@@ -14,11 +22,11 @@ export const getAllServiceAreas = catchAsync(async (req, res, next) => {
 });
 
 export const createServiceArea = catchAsync(async (req, res, next) => {
-  const { pincode, name } = req.body;
-  if (!pincode || !name) {
-    return next(new AppError('Pincode and name are required', 400));
+  const { pincode, name, boundary } = req.body;
+  if (!name || (!pincode && !boundary)) {
+    return next(new AppError('Name and a boundary or pincode are required', 400));
   }
-  const newServiceArea = await ServiceArea.create({ pincode, name });
+  const newServiceArea = await addServiceArea(req.body);
   res.status(201).json({
     status: 'success',
     data: {
@@ -27,6 +35,38 @@ export const createServiceArea = catchAsync(async (req, res, next) => {
   });
 });
 
+export const updateServiceArea = catchAsync(async (req, res, next) => {
+  const serviceArea = await editServiceArea(req.params.id, req.body);
+  res.status(200).json({
+    status: 'success',
+    data: {
+      serviceArea,
+    },
+  });
+});
+
+export const updateDispatchMode = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { dispatchMode } = req.body;
+  if (!DISPATCH_MODES.includes(dispatchMode)) {
+    return next(new AppError(`Dispatch mode must be one of: ${DISPATCH_MODES.join(', ')}`, 400));
+  }
+  const serviceArea = await ServiceArea.findByIdAndUpdate(
+    id,
+    { dispatchMode },
+    { new: true, runValidators: true }
+  );
+  if (!serviceArea) {
+    return next(new AppError('No service area found with that ID', 404));
+  }
+  res.status(200).json({
+    status: 'success',
+    data: {
+      serviceArea,
+    },
+  });
+});
+
 export const deleteServiceArea = catchAsync(async (req, res, next) => {
   const { id } = req.params;
   const serviceArea = await ServiceArea.findByIdAndDelete(id);
@@ -39,15 +79,44 @@ export const deleteServiceArea = catchAsync(async (req, res, next) => {
   });
 });
 
+export const exportServiceAreas = catchAsync(async (req, res, next) => {
+  const collection = await exportAreasAsGeoJSON();
+  res.set('Content-Disposition', 'attachment; filename="service-areas.geojson"');
+  res.type('application/geo+json').status(200).send(JSON.stringify(collection));
+});
+
+export const importServiceAreas = catchAsync(async (req, res, next) => {
+  const result = await importAreasFromGeoJSON(req.body);
+  if (result.errors.length) {
+    return res.status(400).json({
+      status: 'fail',
+      message: `${result.errors.length} feature(s) could not be imported; nothing was saved`,
+      errors: result.errors,
+    });
+  }
+  res.status(200).json({
+    status: 'success',
+    ...(result.failed && {
+      message: `${result.failed} feature(s) could not be saved; the others were imported`,
+    }),
+    data: result,
+  });
+});
+
 export const checkServiceAvailability = catchAsync(async (req, res, next) => {
-    const { pincode } = req.query;
-    if (!pincode) {
-        return next(new AppError('Pincode is required to check service availability.', 400));
+    const { pincode, lat, lng, serviceIds } = req.query;
+    if (!pincode && (lat === undefined || lng === undefined)) {
+        return next(new AppError('Coordinates or a pincode are required to check service availability.', 400));
     }
 
-    const serviceArea = await ServiceArea.findOne({ pincode, isActive: true });
+    const availability = await checkAreaAvailability({
+        pincode,
+        lat,
+        lng,
+        serviceIds: serviceIds ? String(serviceIds).split(',') : [],
+    });
 
-    if (!serviceArea) {
+    if (!availability.serviceArea) {
         return res.status(200).json({
             status: 'success',
             isAvailable: false,
@@ -57,7 +126,15 @@ export const checkServiceAvailability = catchAsync(async (req, res, next) => {
 
     res.status(200).json({
         status: 'success',
-        isAvailable: true,
-        message: 'Service is available in your area',
+        isAvailable: availability.isAvailable,
+        message: availability.isAvailable
+            ? 'Service is available in your area'
+            : availability.reason,
+        data: {
+            serviceArea: availability.serviceArea,
+            unavailableServices: availability.unavailableServices,
+            operatingHours: availability.operatingHours,
+            isOpenNow: availability.isOpenNow,
+        },
     });
 });
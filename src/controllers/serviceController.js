@@ -2,6 +2,35 @@ import Service from "../models/serviceModel.js";
 import { asyncHandler, AppError } from "../middleware/errorMiddleware.js";
 import { cacheInvalidate } from "../middleware/cache.js";
 import { CACHE_TTL } from "../config/cache.js";
+import { VEHICLE_CLASSES } from "../config/pricing.js";
+import {
+  getPricingContext,
+  getServicePriceMatrix,
+  getServicePrices,
+} from "../services/pricingService.js";
+
+// Vehicle class and area to show prices for: query parameters first, then the
+// signed-in customer's default vehicle and address
+const getCallerPricingContext = async (req) => {
+  const { vehicleClass, pincode } = req.query;
+  if (vehicleClass && !VEHICLE_CLASSES.includes(vehicleClass)) {
+    throw new AppError(`Vehicle class must be one of: ${VEHICLE_CLASSES.join(", ")}`, 400);
+  }
+  return getPricingContext(req.user?.id, { vehicleClass, pincode });
+};
+
+// Services with the price the caller would pay today
+const withCurrentPrices = async (services, context) => {
+  const prices = await getServicePrices(services, {
+    vehicleClass: context.vehicleClass,
+    serviceAreaId: context.serviceArea?.id,
+  });
+
+  return services.map((service) => {
+    const { price, source, effectiveFrom } = prices.get(service._id.toString());
+    return { ...service.toJSON(), currentPrice: { price, source, effectiveFrom } };
+  });
+};
 
 //GET /api/services/categories/:category
 export const getServicesByCategory = asyncHandler(async (req, res, next) => {
@@ -104,6 +133,8 @@ export const getAllServices = asyncHandler(async (req, res, next) => {
     .skip(skip)
     .limit(limit);
 
+  const pricingContext = await getCallerPricingContext(req);
+
   // Get total count for pagination info  
   const totalServices = await Service.countDocuments(filter);
   const totalPages = Math.ceil(totalServices / limit);
@@ -122,7 +153,8 @@ export const getAllServices = asyncHandler(async (req, res, next) => {
     hasPrevPage: hasPrevPage,
     nextPage: nextPage,
     prevPage: prevPage,
-    services: services,
+    pricingContext,
+    services: await withCurrentPrices(services, pricingContext),
   });
 });
 
@@ -144,9 +176,16 @@ export const getService = asyncHandler(async (req, res, next) => {
   .limit(4)
   .sort({ rating: -1 });
 
+  const pricingContext = await getCallerPricingContext(req);
+  const [pricedService] = await withCurrentPrices([service], pricingContext);
+
   res.status(200).json({
     status: "success",
-    service,
+    pricingContext,
+    service: {
+      ...pricedService,
+      priceMatrix: await getServicePriceMatrix(service, { serviceAreaId: pricingContext.serviceArea?.id }),
+    },
     relatedServices,
   });
 });
@@ -0,0 +1,55 @@
+import { asyncHandler } from "../middleware/errorMiddleware.js";
+import {
+  getOrCreateWallet,
+  getWalletStatement,
+  createTopupOrder,
+  verifyTopupPayment,
+} from "../services/walletService.js";
+
+//GET /api/wallet
+export const getMyWallet = asyncHandler(async (req, res, next) => {
+  const wallet = await getOrCreateWallet(req.user.id);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      balance: wallet.balance,
+      currency: wallet.currency,
+      status: wallet.status,
+    },
+  });
+});
+
+//GET /api/wallet/transactions
+export const getMyWalletTransactions = asyncHandler(async (req, res, next) => {
+  const statement = await getWalletStatement(req.user.id, req.query);
+
+  res.status(200).json({
+    status: "success",
+    data: statement,
+  });
+});
+
+//POST /api/wallet/topup
+export const createTopup = asyncHandler(async (req, res, next) => {
+  const order = await createTopupOrder(req.user.id, req.body.amount);
+
+  res.status(201).json({
+    status: "success",
+    data: order,
+  });
+});
+
+//POST /api/wallet/topup/verify
+export const verifyTopup = asyncHandler(async (req, res, next) => {
+  const transaction = await verifyTopupPayment(req.user.id, req.body);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      transactionId: transaction._id,
+      amount: transaction.amount,
+      balance: transaction.balanceAfter,
+    },
+  });
+});
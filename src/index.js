@@ -2,6 +2,8 @@ import dotenv from "dotenv";
 dotenv.config({ path: "./.env" });
 import app from "./app.js";
 import { DatabaseConnection, optimizedDbConfig } from "./config/database.js";
+import { startScheduledJobs } from "./services/scheduledJobs.js";
+import { stopScheduledJobs } from "./utils/scheduler.js";
 
 // Handle uncaught exceptions
 process.on("uncaughtException", (err) => {
@@ -12,7 +14,10 @@ process.on("uncaughtException", (err) => {
 
 // Connect to MongoDB using optimized settings
 DatabaseConnection.connect(process.env.MONGODB_URI, optimizedDbConfig)
-  .then(() => console.log("DB connection successful"))
+  .then(() => {
+    console.log("DB connection successful");
+    startScheduledJobs();
+  })
   .catch((err) => console.log("Error connecting to DB:", err));
 
 // Start server
@@ -33,6 +38,7 @@ process.on("unhandledRejection", (err) => {
 // Handle SIGTERM signal
 process.on("SIGTERM", () => {
   console.log(" SIGTERM RECEIVED. Shutting down gracefully");
+  stopScheduledJobs();
   server.close(() => {
     console.log("Process terminated!");
   });
@@ -12,7 +12,11 @@ const defaultKey = (req) => {
   return `${req.originalUrl.split("?")[0]}?${normalized}`;
 };
 
-export function cacheGet(ttlMs = 60_000, keyFn = defaultKey) {
+// `scope: "private"` keeps shared caches (proxies, CDNs) from storing responses that
+// differ per caller; only the caller's own browser may reuse them.
+export function cacheGet(ttlMs = 60_000, keyFn = defaultKey, { scope = "public" } = {}) {
+  const cacheControl = `${scope}, max-age=${Math.floor(ttlMs / 1000)}`;
+
   return (req, res, next) => {
     if (req.method !== "GET") return next();
 
@@ -20,6 +24,7 @@ export function cacheGet(ttlMs = 60_000, keyFn = defaultKey) {
     const hit = cacheStore.get(key);
 
     if (hit && hit.expires > Date.now()) {
+      res.set("Cache-Control", cacheControl);
       res.set("X-Cache", "HIT");
       // Preserve status code
       return res.status(hit.statusCode).json(hit.payload);
@@ -35,7 +40,7 @@ export function cacheGet(ttlMs = 60_000, keyFn = defaultKey) {
           expires: Date.now() + ttlMs,
         });
         // Hint client caches
-        res.set("Cache-Control", `public, max-age=${Math.floor(ttlMs / 1000)}`);
+        res.set("Cache-Control", cacheControl);
         res.set("X-Cache", "MISS");
       } catch (_) {
         // no-op if caching fails
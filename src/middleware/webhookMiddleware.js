@@ -1,12 +1,15 @@
 import express from "express";
 
+// Endpoints whose signature is computed over the raw request body
+export const WEBHOOK_PATHS = ["/api/payments/webhook", "/api/memberships/webhook"];
+
 /**
  * Middleware to capture raw body for webhook signature verification
  * This is necessary because we need the raw body to verify the webhook signature
  * but express.json() middleware parses the body and makes it unavailable
  */
 export const rawBodyMiddleware = (req, res, next) => {
-  if (req.originalUrl === "/api/payments/webhook") {
+  if (WEBHOOK_PATHS.includes(req.originalUrl)) {
     // For webhook endpoint, use raw body parser
     express.raw({ type: "application/json" })(req, res, next);
   } else {
@@ -19,7 +22,7 @@ export const rawBodyMiddleware = (req, res, next) => {
  * Middleware to save raw body for webhook verification
  */
 export const saveRawBody = (req, res, next) => {
-  if (req.originalUrl === "/api/payments/webhook" && req.body) {
+  if (WEBHOOK_PATHS.includes(req.originalUrl) && req.body) {
     // Save raw body for webhook signature verification
     req.rawBody = req.body.toString();
     // Parse the raw body for further processing
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const AREA_REQUEST_STATUSES = ["waiting", "notified", "cancelled"];
+
+// A customer asking for service where there is no active service area.
+// Repeat requests for the same pincode update the customer's existing entry.
+const areaRequestSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    pincode: { type: String, trim: true, match: /^\d{6}$/ },
+    // GeoJSON point of the address, when the app could locate it
+    location: {
+      type: { type: String, enum: ["Point"] },
+      coordinates: { type: [Number], default: undefined },
+    },
+    services: [{ type: Schema.Types.ObjectId, ref: "Service" }],
+    status: { type: String, enum: AREA_REQUEST_STATUSES, default: "waiting" },
+    requestCount: { type: Number, default: 1 },
+    lastRequestedAt: { type: Date, default: Date.now },
+    // Area whose launch the customer was told about
+    serviceArea: { type: Schema.Types.ObjectId, ref: "ServiceArea" },
+    notifiedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+areaRequestSchema.index({ location: "2dsphere" }, { sparse: true });
+areaRequestSchema.index({ status: 1, pincode: 1 });
+areaRequestSchema.index({ user: 1, pincode: 1, status: 1 });
+
+export default mongoose.models.AreaRequest ||
+  mongoose.model("AreaRequest", areaRequestSchema);
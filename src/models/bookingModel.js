@@ -1,4 +1,11 @@
 import mongoose from "mongoose";
+import { AppError } from "../utils/appError.js";
+import {
+  BOOKING_STATUSES,
+  BOOKING_STATUS_MESSAGES,
+  isTransitionAllowed,
+} from "../config/bookingLifecycle.js";
+import { GEOFENCE_EVENTS } from "../config/tracking.js";
 
 const { Schema } = mongoose;
 
@@ -20,6 +27,8 @@ const addressSchema = new Schema(
     address: { type: String },
     landmark: { type: String },
     city: { type: String },
+    // Decides the GST place of supply; the pincode is used when it is missing
+    state: { type: String },
     pincode: { type: String },
   },
   { _id: false }
@@ -38,12 +47,128 @@ const trackingUpdateSchema = new Schema(
   {
     status: { type: String },
     message: { type: String, required: true },
+    // Set on updates raised automatically when the professional crosses a geofence
+    event: { type: String, enum: GEOFENCE_EVENTS },
     updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
     timestamp: { type: Date, default: Date.now },
   },
   { _id: false }
 );
 
+// Progress of the professional towards the booking while it is on-the-way
+const liveTrackingSchema = new Schema(
+  {
+    startedAt: { type: Date },
+    // Straight-line distance (m) and ETA (minutes) at the last position received
+    distanceMeters: { type: Number },
+    etaMinutes: { type: Number },
+    lastPositionAt: { type: Date },
+    arrivingSoonAt: { type: Date },
+    arrivedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+const dispatchSchema = new Schema(
+  {
+    mode: { type: String, enum: ["auto", "manual"], default: "manual" },
+    status: { type: String, enum: ["searching", "offered", "accepted", "unassigned"] },
+    currentOffer: { type: Schema.Types.ObjectId, ref: "JobOffer" },
+    offerExpiresAt: { type: Date },
+    attempts: { type: Number, default: 0 },
+    attemptedProfessionals: [{ type: Schema.Types.ObjectId, ref: "User" }],
+    lastScore: { type: Number },
+  },
+  { _id: false }
+);
+
+const cancellationSchema = new Schema(
+  {
+    totalAmount: { type: Number },
+    amountPaid: { type: Number },
+    hoursBeforeSlot: { type: Number },
+    rule: { type: String },
+    feePercent: { type: Number, default: 0 },
+    fee: { type: Number, default: 0 },
+    waived: { type: Boolean, default: false },
+    noShow: { type: Boolean, default: false },
+    refundableAmount: { type: Number, default: 0 },
+    // Part of refundableAmount that goes back to the wallet it was paid from
+    walletRefundAmount: { type: Number, default: 0 },
+    refundMethod: { type: String },
+    refundStatus: { type: String, enum: ["initiated", "processed", "failed"] },
+    refundId: { type: String },
+    refundError: { type: String },
+  },
+  { _id: false }
+);
+
+const rescheduleEntrySchema = new Schema(
+  {
+    fromDate: { type: Date },
+    fromTime: { type: String },
+    toDate: { type: Date },
+    toTime: { type: String },
+    reason: { type: String },
+    professionalReleased: { type: Boolean, default: false },
+    rescheduledBy: { type: Schema.Types.ObjectId, ref: "User" },
+    rescheduledAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const membershipCoverageSchema = new Schema(
+  {
+    membership: { type: Schema.Types.ObjectId, ref: "Membership" },
+    planId: { type: String },
+    // True when the booking is paid for by the plan's included benefits
+    covered: { type: Boolean, default: false },
+    // Benefits drawn, e.g. [{ key: "wash", quantity: 1 }]
+    entitlements: {
+      type: [{ _id: false, key: String, quantity: { type: Number, default: 1 } }],
+      default: undefined,
+    },
+    // What the booking would have cost without the membership
+    listAmount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// How the server priced the booking; totalAmount is `total`
+const pricingSchema = new Schema(
+  {
+    subtotal: { type: Number, default: 0 },
+    // Surge (positive) or off-peak discount (negative) and the rule that set it
+    dynamicAdjustment: { type: Number, default: 0 },
+    pricingRule: {
+      type: new Schema(
+        {
+          ruleId: { type: Schema.Types.ObjectId, ref: "PricingRule" },
+          name: { type: String },
+          kind: { type: String },
+        },
+        { _id: false }
+      ),
+    },
+    membershipDiscount: { type: Number, default: 0 },
+    offerDiscount: { type: Number, default: 0 },
+    // Paid into the wallet on completion by cashback offers
+    cashback: { type: Number, default: 0 },
+    paymentFee: { type: Number, default: 0 },
+    taxableAmount: { type: Number, default: 0 },
+    taxRate: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    taxIncluded: { type: Boolean, default: true },
+    total: { type: Number, default: 0 },
+    // Row of the price matrix the services were priced from
+    vehicleClass: { type: String },
+    serviceArea: { type: Schema.Types.ObjectId, ref: "ServiceArea" },
+    // Set when the customer booked against a signed quote
+    quotedAt: { type: Date },
+  },
+  { _id: false }
+);
+
 const bookingSchema = new Schema(
   {
     customer: { type: Schema.Types.ObjectId, ref: "User", required: true },
@@ -58,21 +183,25 @@ const bookingSchema = new Schema(
     scheduledDate: { type: Date },
     scheduledTime: { type: String },
     location: { type: locationSchema },
-    status: { type: String, default: "pending" },
+    status: { type: String, enum: BOOKING_STATUSES, default: "pending" },
     trackingUpdates: { type: [trackingUpdateSchema], default: [] },
+    liveTracking: { type: liveTrackingSchema },
     price: { type: Number, default: 0 },
     paymentStatus: { type: String, default: "unpaid" },
     paymentMethod: { 
       type: String, 
-      enum: ['razorpay', 'cod', 'wallet', 'upi', 'card'],
+      enum: ['razorpay', 'cod', 'wallet', 'upi', 'card', 'membership'],
       default: 'razorpay'
     },
     paymentId: { type: Schema.Types.ObjectId, ref: "Payment" },
     totalAmount: { type: Number, default: 0 },
+    // Part of totalAmount paid from the customer's wallet when the booking was made
+    walletAmount: { type: Number, default: 0 },
     discount: { type: Number, default: 0 },
     promoCode: { type: String },
     promoOfferId: { type: Schema.Types.ObjectId, ref: "Offer" },
     promoDiscount: { type: Number, default: 0 },
+    pricing: { type: pricingSchema },
     estimatedDuration: { type: Number, default: 0 },
     notes: { type: String },
     rating: {
@@ -97,6 +226,23 @@ const bookingSchema = new Schema(
     serviceStartedAt: { type: Date },
     serviceCompletedAt: { type: Date },
     completionNotes: { type: String },
+
+    // Cancellation details
+    cancellationReason: { type: String },
+    cancelledBy: { type: String, enum: ['customer', 'professional', 'admin', 'system'] },
+    cancelledAt: { type: Date },
+    cancellation: { type: cancellationSchema },
+
+    // Rescheduling
+    rescheduleCount: { type: Number, default: 0 },
+    rescheduleHistory: { type: [rescheduleEntrySchema], default: [] },
+
+    // Automatic dispatch state
+    dispatch: { type: dispatchSchema },
+
+    // Membership quota and the schedule that generated the booking
+    membershipCoverage: { type: membershipCoverageSchema },
+    recurringBooking: { type: Schema.Types.ObjectId, ref: "RecurringBooking" },
   },
   { timestamps: true }
 );
@@ -105,12 +251,43 @@ bookingSchema.virtual("duration").get(function () {
   return this.estimatedDuration || 0;
 });
 
+// What is left to pay through the booking's payment method
+bookingSchema.virtual("amountDue").get(function () {
+  return Math.max((this.totalAmount || 0) - (this.walletAmount || 0), 0);
+});
+
+// Remember the persisted status so pre-save can validate the transition
+bookingSchema.post("init", function () {
+  this.$locals.originalStatus = this.status;
+});
+
+bookingSchema.post("save", function () {
+  this.$locals.originalStatus = this.status;
+});
+
 bookingSchema.pre("save", function (next) {
   if (!this.trackingUpdates) this.trackingUpdates = [];
 
+  const previousStatus = this.$locals.originalStatus;
+  if (
+    this.isModified("status") &&
+    !this.isNew &&
+    previousStatus &&
+    previousStatus !== this.status &&
+    !isTransitionAllowed(previousStatus, this.status)
+  ) {
+    return next(
+      new AppError(
+        `Cannot change booking status from ${previousStatus} to ${this.status}`,
+        409,
+        "INVALID_STATUS_TRANSITION"
+      )
+    );
+  }
+
   // Set COD amount when payment method is COD
   if (this.paymentMethod === 'cod' && this.isModified('paymentMethod')) {
-    this.codAmount = this.totalAmount;
+    this.codAmount = this.amountDue;
     this.codStatus = 'pending';
   }
 
@@ -124,18 +301,15 @@ bookingSchema.pre("save", function (next) {
   }
 
   // Only add automatic tracking update if this is a status change (not initial creation)
-  if (this.isModified("status") && !this.isNew) {
-    const statusMessages = {
-      pending: 'Booking created and waiting for confirmation',
-      confirmed: 'Booking confirmed and professional assigned',
-      'in-progress': 'Service is in progress',
-      completed: 'Service completed successfully',
-      cancelled: 'Booking cancelled',
-    };
+  // and the caller did not already record one for the new status
+  const lastUpdate = this.trackingUpdates[this.trackingUpdates.length - 1];
+  const alreadyTracked =
+    this.isModified("trackingUpdates") && lastUpdate?.status === this.status;
 
+  if (this.isModified("status") && !this.isNew && !alreadyTracked) {
     this.trackingUpdates.push({
       status: this.status,
-      message: statusMessages[this.status] || `Status updated to ${this.status}`,
+      message: BOOKING_STATUS_MESSAGES[this.status] || `Status updated to ${this.status}`,
       timestamp: new Date(),
     });
   }
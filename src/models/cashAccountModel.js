@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+// Cash a professional is holding for the company. `balance` is the running total of
+// their cash ledger, kept here so limits can be checked without summing the ledger.
+const cashAccountSchema = new Schema(
+  {
+    professional: { type: Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    // INR
+    balance: { type: Number, default: 0 },
+    // Overrides the default cash limit; unset means the default applies
+    cashLimit: { type: Number, min: 0 },
+    // Ledger entries whose amount is in `balance` but that are not marked posted yet.
+    // Written in the same update as the balance, so a retry can tell it was applied.
+    appliedEntries: { type: [Schema.Types.ObjectId], default: [] },
+    lastCollectionAt: { type: Date },
+    lastDepositAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+cashAccountSchema.index({ balance: -1 });
+
+export default mongoose.models.CashAccount || mongoose.model("CashAccount", cashAccountSchema);
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+import { CASH_DEPOSIT_METHODS, CASH_DEPOSIT_STATUSES } from "../config/cashSettlement.js";
+
+const { Schema } = mongoose;
+
+// Cash a professional says they handed over. It only leaves their cash in hand
+// once an admin confirms the money arrived.
+const cashDepositSchema = new Schema(
+  {
+    professional: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    // INR
+    amount: { type: Number, required: true, min: 1 },
+    method: { type: String, enum: CASH_DEPOSIT_METHODS, required: true },
+    // Bank/UPI transaction reference or receipt number
+    referenceNumber: { type: String, trim: true },
+    note: { type: String, trim: true },
+    status: { type: String, enum: CASH_DEPOSIT_STATUSES, default: "pending" },
+    submittedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    reviewedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    rejectionReason: { type: String },
+  },
+  { timestamps: true }
+);
+
+cashDepositSchema.index({ status: 1, createdAt: -1 });
+cashDepositSchema.index({ professional: 1, createdAt: -1 });
+
+export default mongoose.models.CashDeposit || mongoose.model("CashDeposit", cashDepositSchema);
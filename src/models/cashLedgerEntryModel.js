@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+import { CASH_ENTRY_STATUSES, CASH_ENTRY_TYPES } from "../config/cashSettlement.js";
+
+const { Schema } = mongoose;
+
+// Movement of cash in a professional's hands: COD collections add to it, confirmed
+// deposits take it away. `reference` makes each collection or deposit post only once.
+const cashLedgerEntrySchema = new Schema(
+  {
+    account: { type: Schema.Types.ObjectId, ref: "CashAccount", required: true },
+    professional: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, enum: CASH_ENTRY_TYPES, required: true },
+    // INR; negative when cash leaves the professional's hands
+    amount: { type: Number, required: true },
+    // Entries recorded before statuses existed have none and are posted
+    status: { type: String, enum: CASH_ENTRY_STATUSES },
+    balanceAfter: { type: Number },
+    reference: { type: String, required: true, unique: true },
+    booking: { type: Schema.Types.ObjectId, ref: "Booking" },
+    deposit: { type: Schema.Types.ObjectId, ref: "CashDeposit" },
+    note: { type: String },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+cashLedgerEntrySchema.index({ professional: 1, createdAt: -1 });
+// Used by the sweep that finishes interrupted entries
+cashLedgerEntrySchema.index({ status: 1, updatedAt: 1 });
+
+export default mongoose.models.CashLedgerEntry ||
+  mongoose.model("CashLedgerEntry", cashLedgerEntrySchema);
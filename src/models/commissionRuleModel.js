@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import { COMMISSION_SCOPES } from "../config/earnings.js";
+
+const { Schema } = mongoose;
+
+// Platform commission for one service category or one professional
+const commissionRuleSchema = new Schema(
+  {
+    scope: { type: String, enum: COMMISSION_SCOPES, required: true },
+    category: { type: String, trim: true },
+    professional: { type: Schema.Types.ObjectId, ref: "User" },
+    // Percentage of the job value the platform keeps
+    rate: { type: Number, required: true, min: 0, max: 100 },
+    isActive: { type: Boolean, default: true },
+    note: { type: String, trim: true },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+commissionRuleSchema.pre("validate", function (next) {
+  if (this.scope === "category" && !this.category) {
+    return next(new Error("Category commission rules need a category"));
+  }
+  if (this.scope === "professional" && !this.professional) {
+    return next(new Error("Professional commission rules need a professional"));
+  }
+  next();
+});
+
+commissionRuleSchema.index(
+  { scope: 1, category: 1 },
+  { unique: true, partialFilterExpression: { scope: "category" } }
+);
+commissionRuleSchema.index(
+  { scope: 1, professional: 1 },
+  { unique: true, partialFilterExpression: { scope: "professional" } }
+);
+
+export default mongoose.models.CommissionRule ||
+  mongoose.model("CommissionRule", commissionRuleSchema);
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+// Named sequence, e.g. "invoice:2024-25". Incremented atomically so numbers are never reused.
+// Also holds claims such as "invoice-claim:<booking>", which keep the number given to one document,
+// and day locks such as "slot-lock:2024-06-10", held while a booking for that day is saved.
+const counterSchema = new Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+    // Claim given the latest number of a sequence until it has kept that number
+    holder: { type: String },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.Counter || mongoose.model("Counter", counterSchema);
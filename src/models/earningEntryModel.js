@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+import { EARNING_ENTRY_STATUSES, EARNING_ENTRY_TYPES } from "../config/earnings.js";
+
+const { Schema } = mongoose;
+
+// What the platform owes a professional. Completed jobs add their value less commission;
+// COD cash the professional already holds is deducted when a payout is made.
+const earningEntrySchema = new Schema(
+  {
+    professional: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, enum: EARNING_ENTRY_TYPES, required: true },
+    booking: { type: Schema.Types.ObjectId, ref: "Booking" },
+    // Job value before commission (INR)
+    gross: { type: Number, default: 0 },
+    commissionRate: { type: Number },
+    commission: { type: Number, default: 0 },
+    // Owed to the professional (INR); negative for deductions
+    amount: { type: Number, required: true },
+    status: { type: String, enum: EARNING_ENTRY_STATUSES, default: "unpaid" },
+    payoutBatch: { type: Schema.Types.ObjectId, ref: "PayoutBatch" },
+    reference: { type: String, required: true, unique: true },
+    description: { type: String },
+    earnedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+earningEntrySchema.index({ professional: 1, earnedAt: -1 });
+earningEntrySchema.index({ status: 1, earnedAt: 1 });
+
+export default mongoose.models.EarningEntry || mongoose.model("EarningEntry", earningEntrySchema);
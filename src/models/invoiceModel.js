@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+import { INVOICE_TYPES } from "../config/invoicing.js";
+
+const { Schema } = mongoose;
+
+const partySchema = new Schema(
+  {
+    name: { type: String },
+    gstin: { type: String },
+    phone: { type: String },
+    email: { type: String },
+    address: { type: String },
+    stateCode: { type: String },
+    stateName: { type: String },
+  },
+  { _id: false }
+);
+
+// Amounts in INR
+const lineSchema = new Schema(
+  {
+    description: { type: String, required: true },
+    sac: { type: String },
+    quantity: { type: Number, default: 1 },
+    unitPrice: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    taxableValue: { type: Number, required: true },
+    cgstRate: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgstRate: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igstRate: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// A tax invoice or credit note. Everything printed on it is copied in when it is issued,
+// so later changes to the booking, customer or tax settings never alter it.
+const invoiceSchema = new Schema(
+  {
+    type: { type: String, enum: INVOICE_TYPES, default: "invoice" },
+    number: { type: String, required: true, unique: true },
+    financialYear: { type: String, required: true },
+    booking: { type: Schema.Types.ObjectId, ref: "Booking", required: true },
+    customer: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    payment: { type: Schema.Types.ObjectId, ref: "Payment" },
+    // Credit notes: the invoice they reduce and the refund that caused them
+    originalInvoice: { type: Schema.Types.ObjectId, ref: "Invoice" },
+    refundReference: { type: String },
+    reason: { type: String },
+    issuedAt: { type: Date, required: true },
+    seller: { type: partySchema, required: true },
+    buyer: { type: partySchema, required: true },
+    placeOfSupply: { type: String },
+    // intra: CGST + SGST; inter: IGST
+    supplyType: { type: String, enum: ["intra", "inter"], required: true },
+    lines: { type: [lineSchema], required: true },
+    totals: {
+      taxableValue: { type: Number, required: true },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      totalTax: { type: Number, required: true },
+      grandTotal: { type: Number, required: true },
+    },
+    currency: { type: String, default: "INR" },
+  },
+  { timestamps: true }
+);
+
+// One invoice per booking; one credit note per refund
+invoiceSchema.index(
+  { booking: 1 },
+  { unique: true, partialFilterExpression: { type: "invoice" } }
+);
+invoiceSchema.index(
+  { refundReference: 1 },
+  { unique: true, partialFilterExpression: { type: "credit_note" } }
+);
+invoiceSchema.index({ customer: 1, issuedAt: -1 });
+
+invoiceSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Issued invoices cannot be changed; issue a credit note instead"));
+  }
+  next();
+});
+
+invoiceSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], function (next) {
+  next(new Error("Issued invoices cannot be changed; issue a credit note instead"));
+});
+
+export default mongoose.models.Invoice || mongoose.model("Invoice", invoiceSchema);
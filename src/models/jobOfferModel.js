@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+// A booking offered to one professional, who must accept or decline before expiresAt
+const jobOfferSchema = new Schema(
+  {
+    booking: { type: Schema.Types.ObjectId, ref: "Booking", required: true },
+    professional: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "expired", "withdrawn"],
+      default: "pending",
+    },
+    // "auto" when picked by the dispatcher, "manual" when assigned by an admin
+    source: { type: String, enum: ["auto", "manual"], default: "auto" },
+    offeredBy: { type: Schema.Types.ObjectId, ref: "User" },
+    attempt: { type: Number, default: 1 },
+    score: { type: Number },
+    offeredAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    respondedAt: { type: Date },
+    declineReason: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+jobOfferSchema.virtual("isExpired").get(function () {
+  return this.status === "pending" && this.expiresAt <= new Date();
+});
+
+jobOfferSchema.index({ booking: 1, status: 1 });
+jobOfferSchema.index({ professional: 1, status: 1 });
+// Used by the offer expiry sweep
+jobOfferSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.models.JobOffer ||
+  mongoose.model("JobOffer", jobOfferSchema);
@@ -1,32 +1,5 @@
 import mongoose from 'mongoose';
 
-const locationHistorySchema = new mongoose.Schema({
-  latitude: {
-    type: Number,
-    required: true,
-    min: -90,
-    max: 90
-  },
-  longitude: {
-    type: Number,
-    required: true,
-    min: -180,
-    max: 180
-  },
-  accuracy: {
-    type: Number,
-    default: 0
-  },
-  speed: {
-    type: Number,
-    default: 0
-  },
-  timestamp: {
-    type: Date,
-    default: Date.now
-  }
-});
-
 const locationSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -78,7 +51,6 @@ const locationSchema = new mongoose.Schema({
     enum: ['available', 'busy', 'offline'],
     default: 'offline'
   },
-  history: [locationHistorySchema],
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -100,6 +72,8 @@ const locationSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // No longer caps anything; history lives in LocationPoint with server-side retention.
+    // Kept so app versions that still send it are not rejected.
     maxHistoryItems: {
       type: Number,
       default: 100
@@ -122,7 +96,7 @@ locationSchema.pre('save', function(next) {
   next();
 });
 
-// Method to update current location and add to history
+// Method to update current location; history is recorded as LocationPoints
 locationSchema.methods.updateLocation = async function(locationData) {
   // Update current location with GeoJSON format
   this.current = {
@@ -136,22 +110,6 @@ locationSchema.methods.updateLocation = async function(locationData) {
     timestamp: new Date()
   };
   
-  // Add to history if history tracking is enabled
-  if (this.settings.maxHistoryItems > 0) {
-    this.history.push({
-      latitude: locationData.latitude,
-      longitude: locationData.longitude,
-      accuracy: locationData.accuracy || 0,
-      speed: locationData.speed || 0,
-      timestamp: new Date()
-    });
-    
-    // Limit history size
-    if (this.history.length > this.settings.maxHistoryItems) {
-      this.history = this.history.slice(-this.settings.maxHistoryItems);
-    }
-  }
-  
   this.lastUpdated = new Date();
   return this.save();
 };
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import { LOCATION_HISTORY_CONFIG, TRIP_PHASES } from '../config/tracking.js';
+
+// One reported position of a professional, stored in a time-series collection.
+// Positions sent while a booking is on-the-way or in-progress carry the booking,
+// so its trip can be rebuilt after the fact.
+const locationPointSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  meta: {
+    professional: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    bookingStatus: {
+      type: String,
+      enum: Object.keys(TRIP_PHASES)
+    }
+  },
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  accuracy: {
+    type: Number,
+    default: 0
+  },
+  speed: {
+    type: Number,
+    default: 0
+  },
+  heading: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'meta',
+    granularity: 'seconds'
+  },
+  // Applied when the collection is created; see ensureLocationHistoryCollection for changes
+  expireAfterSeconds: LOCATION_HISTORY_CONFIG.retentionDays * 24 * 60 * 60,
+  versionKey: false
+});
+
+// Recent history per professional, and trips per booking
+locationPointSchema.index({ 'meta.professional': 1, timestamp: -1 });
+locationPointSchema.index({ 'meta.booking': 1, timestamp: 1 });
+
+const LocationPoint = mongoose.models.LocationPoint || mongoose.model('LocationPoint', locationPointSchema);
+
+export default LocationPoint;
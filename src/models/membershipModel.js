@@ -1,5 +1,59 @@
 import mongoose from 'mongoose';
 
+export const MEMBERSHIP_STATUSES = ['pending', 'active', 'grace', 'expired', 'cancelled', 'failed'];
+
+// Every status change and lifecycle event (reminders, renewal attempts)
+const historyEntrySchema = new mongoose.Schema({
+  event: { type: String, required: true },
+  fromStatus: { type: String },
+  toStatus: { type: String },
+  note: { type: String },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+// Payment link raised for the next billing period of an autoRenew member
+const renewalSchema = new mongoose.Schema({
+  orderId: { type: String },
+  paymentLinkId: { type: String },
+  shortUrl: { type: String },
+  amount: { type: Number },
+  // validUntil of the period being renewed, so each period is billed once
+  forPeriodEnding: { type: Date },
+  status: { type: String, enum: ['pending', 'paid', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date },
+  paymentId: { type: String },
+  failureReason: { type: String },
+  createdAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// Upgrade awaiting payment, or downgrade waiting for the current period to end
+const planChangeSchema = new mongoose.Schema({
+  fromPlanId: { type: String, required: true },
+  toPlanId: { type: String, required: true },
+  type: { type: String, enum: ['upgrade', 'downgrade'], required: true },
+  status: {
+    type: String,
+    enum: ['awaiting_payment', 'scheduled', 'applied', 'cancelled', 'failed'],
+    required: true,
+  },
+  amount: { type: Number, default: 0 },
+  orderId: { type: String },
+  paymentLinkId: { type: String },
+  shortUrl: { type: String },
+  paymentId: { type: String },
+  requestedAt: { type: Date, default: Date.now },
+  effectiveAt: { type: Date },
+  appliedAt: { type: Date },
+}, { _id: false });
+
+// Unused benefits brought forward into the period ending at `periodEnding`
+const carryOverSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  quantity: { type: Number, required: true },
+  periodEnding: { type: Date, required: true },
+}, { _id: false });
+
 const MembershipSchema = new mongoose.Schema({
   planId: { type: String, required: true },
   userId: { type: String, required: true },
@@ -7,9 +61,20 @@ const MembershipSchema = new mongoose.Schema({
   paymentLinkId: { type: String },
   paymentId: { type: String },
   signature: { type: String },
-  status: { type: String, default: 'pending' },
+  status: { type: String, enum: MEMBERSHIP_STATUSES, default: 'pending' },
   validUntil: { type: Date },
   autoRenew: { type: Boolean, default: false },
+  graceUntil: { type: Date },
+  // validUntil the expiry reminder was last sent for
+  reminderSentFor: { type: Date },
+  renewal: { type: renewalSchema },
+  pendingPlanChange: { type: planChangeSchema },
+  carryOver: { type: [carryOverSchema], default: [] },
+  history: { type: [historyEntrySchema], default: [] },
 });
 
+MembershipSchema.index({ status: 1, validUntil: 1 });
+MembershipSchema.index({ 'renewal.paymentLinkId': 1 }, { sparse: true });
+MembershipSchema.index({ 'pendingPlanChange.paymentLinkId': 1 }, { sparse: true });
+
 export default mongoose.model('Membership', MembershipSchema);
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+// Ledger of a membership's included benefits. A covered booking places a
+// "hold" when it is created, which becomes a "debit" when the booking completes
+// or is given back with a "credit" when it is cancelled.
+const membershipUsageSchema = new Schema(
+  {
+    membership: { type: Schema.Types.ObjectId, ref: "Membership", required: true },
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    booking: { type: Schema.Types.ObjectId, ref: "Booking", required: true },
+    // Key of ENTITLEMENT_TYPES in config/membershipPlans.js
+    entitlement: { type: String, required: true },
+    type: { type: String, enum: ["hold", "debit", "credit"], required: true },
+    quantity: { type: Number, default: 1, min: 1 },
+    // Billing period the benefit was drawn from
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    note: { type: String },
+  },
+  { timestamps: true }
+);
+
+membershipUsageSchema.index({ membership: 1, periodStart: 1 });
+// A booking moves through each entry type at most once per benefit
+membershipUsageSchema.index({ booking: 1, entitlement: 1, type: 1 }, { unique: true });
+
+export default mongoose.models.MembershipUsage ||
+  mongoose.model("MembershipUsage", membershipUsageSchema);
@@ -17,7 +17,7 @@ const notificationSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['booking', 'promo', 'payment', 'system', 'chat'],
+      enum: ['booking', 'promo', 'payment', 'system', 'chat', 'membership'],
       required: true
     },
     relatedId: {
@@ -32,7 +32,7 @@ const notificationSchema = new mongoose.Schema(
     },
     actionType: {
       type: String,
-      enum: ['open_booking', 'open_chat', 'open_profile', 'open_service', 'open_payment', 'open_support_ticket', 'none'],
+      enum: ['open_booking', 'open_chat', 'open_profile', 'open_service', 'open_payment', 'open_support_ticket', 'open_membership', 'none'],
       default: 'none'
     },
     actionParams: {
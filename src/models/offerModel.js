@@ -23,6 +23,12 @@ const offerSchema = new mongoose.Schema(
       enum: ['percentage', 'fixed'],
       default: 'percentage'
     },
+    // "cashback" offers credit the wallet once the booking is completed instead of discounting it
+    benefitType: {
+      type: String,
+      enum: ['discount', 'cashback'],
+      default: 'discount'
+    },
     minOrderValue: {
       type: Number,
       default: 0,
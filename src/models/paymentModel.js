@@ -12,6 +12,28 @@ const webhookEventSchema = new Schema(
   { _id: false }
 );
 
+export const REFUND_STATUSES = ["pending", "processed", "failed"];
+
+// One refund against the payment. Amounts are in INR.
+const refundSchema = new Schema(
+  {
+    razorpayRefundId: { type: String },
+    amount: { type: Number, required: true },
+    status: { type: String, enum: REFUND_STATUSES, default: "pending" },
+    reason: { type: String, trim: true },
+    notes: { type: Schema.Types.Mixed },
+    // Admin who approved it; empty for automatic refunds
+    approvedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    // "razorpay" refunds were raised outside the app, e.g. on the dashboard
+    source: { type: String, enum: ["admin", "cancellation", "razorpay"], default: "admin" },
+    // "wallet" refunds are credited to the customer's wallet instead of the original method
+    destination: { type: String, enum: ["source", "wallet"], default: "source" },
+    failureReason: { type: String },
+    processedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
 const paymentSchema = new Schema(
   {
     bookingId: { type: Schema.Types.ObjectId, ref: "Booking", required: true },
@@ -27,9 +49,12 @@ const paymentSchema = new Schema(
     paymentDetails: { type: Schema.Types.Mixed },
     notes: { type: Schema.Types.Mixed },
     receiptId: { type: String },
+    // Latest refund; `refunds` holds all of them
     refundId: { type: String },
+    // Total of refunds that have not failed, i.e. no longer refundable
     refundAmount: { type: Number, default: 0 },
     refundStatus: { type: String },
+    refunds: { type: [refundSchema], default: [] },
     errorCode: { type: String },
     errorDescription: { type: String },
     capturedAt: { type: Date },
@@ -49,6 +74,7 @@ paymentSchema.index({ bookingId: 1, status: 1 });
 paymentSchema.index({ razorpayOrderId: 1 }, { sparse: true, unique: true });
 paymentSchema.index({ razorpayPaymentId: 1 }, { sparse: true });
 paymentSchema.index({ razorpayPaymentLinkId: 1 }, { sparse: true });
+paymentSchema.index({ "refunds.razorpayRefundId": 1 }, { sparse: true });
 
 export default mongoose.models.Payment ||
   mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import { PAYOUT_BATCH_STATUSES, PAYOUT_STATUSES } from "../config/earnings.js";
+
+const { Schema } = mongoose;
+
+// One professional's share of a weekly batch (INR)
+const payoutSchema = new Schema({
+  professional: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  gross: { type: Number, default: 0 },
+  commission: { type: Number, default: 0 },
+  earnings: { type: Number, default: 0 },
+  codDeduction: { type: Number, default: 0 },
+  // Transferred to the professional
+  net: { type: Number, default: 0 },
+  jobs: { type: Number, default: 0 },
+  status: { type: String, enum: PAYOUT_STATUSES, default: "pending" },
+  // Bank/UPI transfer reference
+  transferReference: { type: String },
+  failureReason: { type: String },
+  paidAt: { type: Date },
+});
+
+// Weekly payout run covering earnings up to `periodEnd`
+const payoutBatchSchema = new Schema(
+  {
+    periodStart: { type: Date, required: true, unique: true },
+    periodEnd: { type: Date, required: true },
+    status: { type: String, enum: PAYOUT_BATCH_STATUSES, default: "draft" },
+    payouts: { type: [payoutSchema], default: [] },
+    totals: {
+      professionals: { type: Number, default: 0 },
+      gross: { type: Number, default: 0 },
+      commission: { type: Number, default: 0 },
+      codDeduction: { type: Number, default: 0 },
+      net: { type: Number, default: 0 },
+    },
+    // Set once every payout has been added; until then the next run finishes the batch
+    assembledAt: { type: Date },
+    approvedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    approvedAt: { type: Date },
+    completedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+payoutBatchSchema.index({ "payouts.professional": 1 });
+
+export default mongoose.models.PayoutBatch || mongoose.model("PayoutBatch", payoutBatchSchema);
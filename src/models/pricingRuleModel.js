@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+import { PRICING_RULE_ADJUSTMENTS, PRICING_RULE_KINDS } from "../config/pricing.js";
+
+const { Schema } = mongoose;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const simulationSchema = new Schema(
+  {
+    ranAt: { type: Date },
+    from: { type: Date },
+    to: { type: Date },
+    bookings: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    totalAdjustment: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Surge or off-peak adjustment for bookings whose slot matches every condition.
+// Empty conditions match everything; rules start disabled until an admin enables them.
+const pricingRuleSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    kind: { type: String, enum: PRICING_RULE_KINDS, required: true },
+    adjustmentType: { type: String, enum: PRICING_RULE_ADJUSTMENTS, default: "percentage" },
+    // Percentage of the service price, or INR for fixed adjustments
+    value: { type: Number, required: true, min: 0 },
+    // Largest adjustment (INR) the rule makes on one booking
+    maxAdjustment: { type: Number, min: 0 },
+
+    // Weekdays of the slot (0 = Sunday)
+    daysOfWeek: { type: [{ type: Number, min: 0, max: 6 }], default: [] },
+    // Slot start times from startTime up to (not including) endTime
+    startTime: { type: String, match: TIME_PATTERN },
+    endTime: { type: String, match: TIME_PATTERN },
+    serviceAreas: [{ type: Schema.Types.ObjectId, ref: "ServiceArea" }],
+    // Share (%) of the area's working time already booked that day
+    minUtilisation: { type: Number, min: 0, max: 100 },
+    maxUtilisation: { type: Number, min: 0, max: 100 },
+
+    // The matching rule with the highest priority is the one applied
+    priority: { type: Number, default: 0 },
+    isActive: { type: Boolean, default: false },
+    // When the pricing terms last changed; enabling needs a simulation run after it
+    revisedAt: { type: Date, default: Date.now },
+    lastSimulation: { type: simulationSchema },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+pricingRuleSchema.index({ isActive: 1, priority: -1 });
+
+export default mongoose.models.PricingRule ||
+  mongoose.model("PricingRule", pricingRuleSchema);
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const RECONCILIATION_ISSUE_TYPES = [
+  // Fixed automatically
+  "status_drift",
+  "booking_drift",
+  // Flagged for an admin
+  "amount_mismatch",
+  "refund_drift",
+  "missing_capture",
+  "fetch_failed",
+];
+
+// One difference found between our records and Razorpay
+const issueSchema = new Schema(
+  {
+    type: { type: String, enum: RECONCILIATION_ISSUE_TYPES, required: true },
+    fixed: { type: Boolean, default: false },
+    payment: { type: Schema.Types.ObjectId, ref: "Payment" },
+    booking: { type: Schema.Types.ObjectId, ref: "Booking" },
+    razorpayPaymentId: { type: String },
+    from: { type: String },
+    to: { type: String },
+    // INR
+    localAmount: { type: Number },
+    remoteAmount: { type: Number },
+    note: { type: String },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const runSchema = new Schema(
+  {
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+    checked: { type: Number, default: 0 },
+    fixed: { type: Number, default: 0 },
+    flagged: { type: Number, default: 0 },
+    failures: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Everything the reconciliation job found and fixed on one UTC day
+const reconciliationReportSchema = new Schema(
+  {
+    // YYYY-MM-DD
+    date: { type: String, required: true, unique: true },
+    runs: { type: [runSchema], default: [] },
+    totals: {
+      checked: { type: Number, default: 0 },
+      fixed: { type: Number, default: 0 },
+      flagged: { type: Number, default: 0 },
+      failures: { type: Number, default: 0 },
+    },
+    issues: { type: [issueSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.ReconciliationReport ||
+  mongoose.model("ReconciliationReport", reconciliationReportSchema);
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const recurringServiceSchema = new Schema(
+  {
+    serviceId: { type: Schema.Types.ObjectId, ref: "Service", required: true },
+    quantity: { type: Number, default: 1, min: 1 },
+  },
+  { _id: false }
+);
+
+// One generated (or skipped) occurrence of the schedule
+const occurrenceSchema = new Schema(
+  {
+    scheduledDate: { type: Date, required: true },
+    booking: { type: Schema.Types.ObjectId, ref: "Booking" },
+    outcome: { type: String, enum: ["created", "skipped"], required: true },
+    covered: { type: Boolean, default: false },
+    reason: { type: String },
+    processedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A customer's standing weekly or biweekly booking, generated ahead of time
+const recurringBookingSchema = new Schema(
+  {
+    customer: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    services: {
+      type: [recurringServiceSchema],
+      validate: [(items) => items.length > 0, "At least one service is required"],
+    },
+    vehicle: { type: Schema.Types.ObjectId, ref: "Vehicle", required: true },
+    address: { type: Schema.Types.ObjectId, ref: "Address", required: true },
+    frequency: { type: String, enum: ["weekly", "biweekly"], default: "weekly" },
+    // 0 = Sunday ... 6 = Saturday
+    dayOfWeek: { type: Number, min: 0, max: 6, required: true },
+    scheduledTime: { type: String, required: true },
+    // Beyond the plan's quota: skip the occurrence, or book it at the normal price
+    overQuota: { type: String, enum: ["skip", "charge"], default: "skip" },
+    paymentMethod: { type: String, enum: ["razorpay", "cod"], default: "cod" },
+    notes: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: ["active", "paused", "cancelled"],
+      default: "active",
+    },
+    // Business (IST) date of the next occurrence still to be generated
+    nextOccurrenceDate: { type: Date },
+    lastGeneratedAt: { type: Date },
+    occurrences: { type: [occurrenceSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+recurringBookingSchema.index({ customer: 1, status: 1 });
+// Used by the generator sweep
+recurringBookingSchema.index({ status: 1, nextOccurrenceDate: 1 });
+
+export default mongoose.models.RecurringBooking ||
+  mongoose.model("RecurringBooking", recurringBookingSchema);
@@ -1,5 +1,40 @@
 import mongoose from 'mongoose';
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// GeoJSON Polygon or MultiPolygon, coordinates as [longitude, latitude]
+const boundarySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Polygon', 'MultiPolygon'],
+    required: true,
+  },
+  coordinates: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+}, { _id: false });
+
+// Hours the area takes bookings on one weekday (0 = Sunday)
+const operatingHoursSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    min: 0,
+    max: 6,
+    required: true,
+  },
+  open: {
+    type: String,
+    match: TIME_PATTERN,
+    required: true,
+  },
+  close: {
+    type: String,
+    match: TIME_PATTERN,
+    required: true,
+  },
+}, { _id: false });
+
 const serviceAreaSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -7,19 +42,56 @@ const serviceAreaSchema = new mongoose.Schema({
     trim: true,
     unique: true,
   },
+  // Fallback match for addresses without coordinates
   pincode: {
     type: String,
-    required: true,
     unique: true,
+    sparse: true,
     trim: true,
     match: [/^\d{6}$/, 'Please fill a valid 6-digit pincode'],
   },
+  // Addresses whose coordinates fall inside the boundary belong to the area
+  boundary: {
+    type: boundarySchema,
+  },
+  // Empty means open around the clock; weekdays without an entry are closed
+  operatingHours: {
+    type: [operatingHoursSchema],
+    default: [],
+  },
+  // Empty means every service is offered
+  services: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+  }],
   isActive: {
     type: Boolean,
     default: true,
   },
+  // Whether new bookings here are offered to professionals automatically
+  dispatchMode: {
+    type: String,
+    enum: ['auto', 'manual'],
+    default: 'manual',
+  },
+  // Coverage changed and the waitlist has not been checked since
+  waitlistPendingAt: {
+    type: Date,
+  },
 }, { timestamps: true });
 
+serviceAreaSchema.pre('validate', function (next) {
+  if (!this.pincode && !this.boundary) {
+    this.invalidate('boundary', 'A service area needs a boundary or a pincode');
+  }
+  next();
+});
+
+// Point-in-polygon lookups by address coordinates
+serviceAreaSchema.index({ boundary: '2dsphere' });
+// Waitlist sweep
+serviceAreaSchema.index({ waitlistPendingAt: 1 }, { sparse: true });
+
 const ServiceArea = mongoose.model('ServiceArea', serviceAreaSchema);
 
 export default ServiceArea;
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+import { VEHICLE_CLASSES } from "../config/pricing.js";
+
+const { Schema } = mongoose;
+
+// One version of a service's price. A version applies from `effectiveFrom` until a newer
+// version for the same vehicle class and area takes over; the service's own price is used
+// when no version matches.
+const servicePriceSchema = new Schema(
+  {
+    service: { type: Schema.Types.ObjectId, ref: "Service", required: true },
+    // Empty for every vehicle class
+    vehicleClass: { type: String, enum: VEHICLE_CLASSES },
+    // Empty for every service area
+    serviceArea: { type: Schema.Types.ObjectId, ref: "ServiceArea" },
+    price: { type: Number, required: true, min: 0 },
+    effectiveFrom: { type: Date, required: true },
+    note: { type: String, trim: true, maxlength: 200 },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+servicePriceSchema.index(
+  { service: 1, vehicleClass: 1, serviceArea: 1, effectiveFrom: 1 },
+  { unique: true }
+);
+
+export default mongoose.models.ServicePrice ||
+  mongoose.model("ServicePrice", servicePriceSchema);
@@ -68,6 +68,12 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: 'available'
     },
+    rating: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5
+    },
     totalRatings: {
       type: Number,
       default: 0
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+// A customer's wallet. `balance` is a running total of the posted ledger transactions,
+// kept on the wallet so spending can be checked and applied in one atomic update.
+const walletSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    // INR
+    balance: { type: Number, default: 0, min: 0 },
+    currency: { type: String, default: "INR" },
+    status: { type: String, enum: ["active", "frozen"], default: "active" },
+    // Transactions whose money is in `balance` but that are not marked posted yet. Written in
+    // the same update as the balance, so a retry can tell whether the money already moved.
+    appliedTransactions: { type: [Schema.Types.ObjectId], default: [] },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.Wallet || mongoose.model("Wallet", walletSchema);
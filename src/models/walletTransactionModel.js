@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+import { WALLET_TRANSACTION_TYPES } from "../config/wallet.js";
+
+const { Schema } = mongoose;
+
+// One side of a transaction. Accounts are "wallet:<userId>" or a system account.
+const entrySchema = new Schema(
+  {
+    account: { type: String, required: true },
+    debit: { type: Number, default: 0, min: 0 },
+    credit: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+// Double-entry ledger of wallet money. Debits and credits of every transaction balance,
+// and `reference` makes each business event (a top-up, a booking payment) post only once.
+const walletTransactionSchema = new Schema(
+  {
+    wallet: { type: Schema.Types.ObjectId, ref: "Wallet", required: true },
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, enum: Object.keys(WALLET_TRANSACTION_TYPES), required: true },
+    // INR, always positive; the entries say which way it moved
+    amount: { type: Number, required: true, min: 0.01 },
+    entries: { type: [entrySchema], required: true },
+    // Pending top-ups wait for their Razorpay payment. A transaction is "applying" while its
+    // money moves and "failed" when a debit found too little money; only posted ones count.
+    status: { type: String, enum: ["pending", "applying", "posted", "failed"], default: "pending" },
+    reference: { type: String, required: true, unique: true },
+    description: { type: String },
+    booking: { type: Schema.Types.ObjectId, ref: "Booking" },
+    payment: { type: Schema.Types.ObjectId, ref: "Payment" },
+    offer: { type: Schema.Types.ObjectId, ref: "Offer" },
+    razorpayOrderId: { type: String },
+    razorpayPaymentId: { type: String },
+    balanceAfter: { type: Number },
+    postedAt: { type: Date },
+    failedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+walletTransactionSchema.pre("validate", function (next) {
+  const toPaise = (value) => Math.round(value * 100);
+  const debits = this.entries.reduce((sum, entry) => sum + toPaise(entry.debit), 0);
+  const credits = this.entries.reduce((sum, entry) => sum + toPaise(entry.credit), 0);
+  if (debits !== credits || debits !== toPaise(this.amount)) {
+    return next(new Error("Wallet transaction entries do not balance"));
+  }
+  next();
+});
+
+walletTransactionSchema.index({ user: 1, status: 1, postedAt: -1 });
+walletTransactionSchema.index({ razorpayOrderId: 1 }, { sparse: true });
+// Used by the sweep that finishes interrupted transactions
+walletTransactionSchema.index({ status: 1, updatedAt: 1 });
+
+export default mongoose.models.WalletTransaction ||
+  mongoose.model("WalletTransaction", walletTransactionSchema);
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+import { WEBHOOK_SOURCES } from "../config/webhooks.js";
+
+const { Schema } = mongoose;
+
+export const WEBHOOK_EVENT_STATUSES = [
+  "pending",
+  "processing",
+  "processed",
+  "failed",
+  "dead",
+  "ignored",
+  "rejected",
+];
+
+// One processing attempt that did not succeed
+const attemptSchema = new Schema(
+  {
+    attempt: { type: Number },
+    error: { type: String },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// An admin re-running the event
+const replaySchema = new Schema(
+  {
+    by: { type: Schema.Types.ObjectId, ref: "User" },
+    fromStatus: { type: String },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Every webhook call as received, kept before it is applied so nothing is lost when
+// processing fails. Events with a valid signature are unique per provider event id.
+const webhookEventSchema = new Schema(
+  {
+    provider: { type: String, default: "razorpay" },
+    // Endpoint the event arrived on
+    source: { type: String, enum: WEBHOOK_SOURCES, required: true },
+    eventId: { type: String, required: true },
+    eventType: { type: String },
+    signature: { type: String },
+    signatureValid: { type: Boolean, default: false },
+    payload: { type: Schema.Types.Mixed },
+    rawBody: { type: String },
+    status: { type: String, enum: WEBHOOK_EVENT_STATUSES, default: "pending" },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date },
+    lockedAt: { type: Date },
+    lastError: { type: String },
+    attemptLog: { type: [attemptSchema], default: [] },
+    replays: { type: [replaySchema], default: [] },
+    // What the event was applied to
+    result: {
+      kind: { type: String, enum: ["payment", "membership", "wallet"] },
+      id: { type: Schema.Types.ObjectId },
+      note: { type: String },
+    },
+    // Caller address, kept for rejected calls
+    ip: { type: String },
+    receivedAt: { type: Date, default: Date.now },
+    processedAt: { type: Date },
+    // Set on rejected calls only; they are removed once it passes
+    expiresAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index(
+  { provider: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { signatureValid: true } }
+);
+// Used by the retry sweep
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ receivedAt: -1 });
+webhookEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.WebhookEvent ||
+  mongoose.model("WebhookEvent", webhookEventSchema);
@@ -20,6 +20,34 @@ import {
   getProfessionalDetails,
   verifyProfessional,
   assignProfessional,
+  autoDispatch,
+  getWebhookEvents,
+  getWebhookEvent,
+  replayWebhook,
+  getReconciliationReports,
+  getReconciliationReport,
+  getOutstandingCash,
+  getCashDeposits,
+  confirmCashDepositById,
+  rejectCashDepositById,
+  recordCashHandover,
+  updateCashLimit,
+  getCommissionRules,
+  upsertCommissionRule,
+  removeCommissionRule,
+  getPayoutBatches,
+  getPayoutBatch,
+  approvePayouts,
+  updatePayout,
+  getPricingRules,
+  addPricingRule,
+  editPricingRule,
+  removePricingRule,
+  simulatePricingRuleById,
+  simulateDraftPricingRule,
+  getAreaDemand,
+  getBackgroundJobs,
+  runBackgroundJob,
   updateProfessional,
   updateProfessionalVerification,
   getAvailableProfessionals,
@@ -28,6 +56,9 @@ import {
   createService,
   updateService,
   deleteService,
+  getServicePriceVersions,
+  createServicePriceVersion,
+  removeServicePriceVersion,
   // Bulk operations
   bulkUpdateUserStatus,
   bulkAssignProfessional,
@@ -122,6 +153,46 @@ router
   .route("/bookings/:bookingId/assign-professional")
   .patch(assignProfessional);
 
+router.post("/bookings/:bookingId/auto-dispatch", autoDispatch);
+
+// -------------------- Background jobs --------------------
+router.get("/jobs", getBackgroundJobs);
+router.post("/jobs/:jobName/run", runBackgroundJob);
+
+// -------------------- Webhooks --------------------
+router.get("/webhooks", getWebhookEvents);
+router.get("/webhooks/:eventId", getWebhookEvent);
+router.post("/webhooks/:eventId/replay", replayWebhook);
+
+// -------------------- Payment reconciliation --------------------
+router.get("/reconciliation/reports", getReconciliationReports);
+router.get("/reconciliation/reports/:date", getReconciliationReport);
+
+// -------------------- COD cash settlement --------------------
+router.get("/cash/outstanding", getOutstandingCash);
+router.get("/cash/deposits", getCashDeposits);
+router.post("/cash/deposits/:depositId/confirm", confirmCashDepositById);
+router.post("/cash/deposits/:depositId/reject", rejectCashDepositById);
+router.post("/cash/professionals/:professionalId/handover", recordCashHandover);
+router.patch("/cash/professionals/:professionalId/limit", updateCashLimit);
+
+// -------------------- Commission and payouts --------------------
+router.route("/commission-rules").get(getCommissionRules).put(upsertCommissionRule);
+router.delete("/commission-rules/:ruleId", removeCommissionRule);
+router.get("/payouts", getPayoutBatches);
+router.get("/payouts/:batchId", getPayoutBatch);
+router.post("/payouts/:batchId/approve", approvePayouts);
+router.patch("/payouts/:batchId/payouts/:professionalId", updatePayout);
+
+// -------------------- Surge and off-peak pricing --------------------
+router.route("/pricing-rules").get(getPricingRules).post(addPricingRule);
+router.post("/pricing-rules/simulate", simulateDraftPricingRule);
+router.route("/pricing-rules/:ruleId").patch(editPricingRule).delete(removePricingRule);
+router.post("/pricing-rules/:ruleId/simulate", simulatePricingRuleById);
+
+// -------------------- Area demand --------------------
+router.get("/area-demand", getAreaDemand);
+
 // -------------------- Services --------------------
 router.route("/services").get(getAllServices).post(createService);
 
@@ -131,6 +202,12 @@ router
   .patch(updateService)
   .delete(deleteService);
 
+router
+  .route("/services/:serviceId/prices")
+  .get(getServicePriceVersions)
+  .post(createServicePriceVersion);
+router.delete("/services/:serviceId/prices/:priceId", removeServicePriceVersion);
+
 // -------------------- Bulk Operations --------------------
 router.post("/bulk/users/status", bulkUpdateUserStatus);
 router.post("/bulk/bookings/assign-professional", bulkAssignProfessional);
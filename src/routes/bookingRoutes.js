@@ -1,6 +1,7 @@
 import express from 'express';
 import {
   createBooking,
+  getBookingQuote,
   getAllBookings,
   getBooking,
   getMyBookings,
@@ -9,10 +10,25 @@ import {
   addTrackingUpdate,
   rateBooking,
   getBookingStats,
-  getBookingTracking
+  getBookingTracking,
+  getBookingLiveTracking,
+  getAvailableSlots,
+  getCancellationQuote,
+  rescheduleBooking,
+  getBookingInvoice,
+  getBookingCreditNote
 } from '../controllers/bookingController.js';
+import {
+  createRecurringBooking,
+  getMyRecurringBookings,
+  getRecurringBooking,
+  updateRecurringBooking,
+  cancelRecurringBooking
+} from '../controllers/recurringBookingController.js';
 
 import { protect,restrictTo } from '../middleware/auth.js';
+import { validateBody, validateQuery } from '../middleware/validationMiddleware.js';
+import { bookingSchemas } from '../schemas/validationSchemas.js';
 
 
 
@@ -23,16 +39,32 @@ router.use(protect);
 
 // Routes for all authenticated users
 router.get('/my-bookings', getMyBookings);
+router.get('/available-slots', validateQuery(bookingSchemas.availableSlots), getAvailableSlots);
+router.post('/quote', restrictTo('customer'), validateBody(bookingSchemas.quote), getBookingQuote);
 router.post('/', restrictTo('customer'),createBooking);
 
+// Recurring membership bookings
+router.route('/recurring')
+  .get(restrictTo('customer'), getMyRecurringBookings)
+  .post(restrictTo('customer'), validateBody(bookingSchemas.createRecurringBooking), createRecurringBooking);
+router.route('/recurring/:id')
+  .get(restrictTo('customer', 'admin'), getRecurringBooking)
+  .patch(restrictTo('customer', 'admin'), validateBody(bookingSchemas.updateRecurringBooking), updateRecurringBooking)
+  .delete(restrictTo('customer', 'admin'), cancelRecurringBooking);
+
 // Routes for specific bookings
 router.route('/:id')
   .get(getBooking);
 
 router.get('/:id/tracking', getBookingTracking);
+router.get('/:id/tracking/live', getBookingLiveTracking);
+router.get('/:id/invoice', restrictTo('customer', 'admin'), validateQuery(bookingSchemas.invoiceDocument), getBookingInvoice);
+router.get('/:id/credit-notes/:creditNoteId', restrictTo('customer', 'admin'), validateQuery(bookingSchemas.invoiceDocument), getBookingCreditNote);
 
 router.patch('/:id/status', updateBookingStatus);
-router.patch('/:id/cancel', cancelBooking);
+router.get('/:id/cancellation-quote', getCancellationQuote);
+router.patch('/:id/cancel', validateBody(bookingSchemas.cancelBooking), cancelBooking);
+router.post('/:id/reschedule', restrictTo('customer', 'admin'), validateBody(bookingSchemas.rescheduleBooking), rescheduleBooking);
 router.post('/:id/tracking', restrictTo('professional', 'admin'), addTrackingUpdate);
 router.post('/:id/rate', restrictTo('customer'), rateBooking);
 
@@ -0,0 +1,12 @@
+import express from "express";
+import { streamEvents } from "../controllers/eventController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+// Server-Sent Events: booking, notification and payment updates for the caller
+router.get("/stream", streamEvents);
+
+export default router;
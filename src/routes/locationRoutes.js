@@ -14,6 +14,7 @@ import {
   subscribeToLocationUpdates,
   unsubscribeFromLocationUpdates
 } from '../services/locationService.js';
+import { getProfessionalTrips } from '../services/locationHistoryService.js';
 import { reverseGeocode } from '../controllers/locationController.js';
 
 const router = express.Router();
@@ -170,6 +171,38 @@ router.get('/professional/:id/history', authenticate, async (req, res) => {
   }
 });
 
+//GET /api/location/professional/:id/trips?bookingId=
+//Route, distance and time per booking, for disputes (admin) and mileage claims (the professional)
+
+router.get('/professional/:id/trips', authenticate, async (req, res) => {
+  try {
+    const professionalId = req.params.id;
+    const { bookingId, from, to } = req.query;
+
+    if (req.user.role !== 'admin' && String(req.user._id) !== professionalId) {
+      return res.error({
+        message: 'You can only view your own trips',
+        errorCode: 'PERMISSION_DENIED',
+        statusCode: 403
+      });
+    }
+
+    const trips = await getProfessionalTrips(professionalId, { bookingId, from, to });
+
+    res.success({
+      data: trips,
+      message: 'Trips retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error in get trips route:', error);
+    res.error({
+      message: error.message || 'An error occurred while getting trips',
+      errorCode: error.errorCode,
+      statusCode: error.statusCode || 500
+    });
+  }
+});
+
 //GET /api/location/nearby
 
 router.get('/nearby', authenticate, async (req, res) => {
@@ -24,7 +24,10 @@ const membershipPurchaseLimiter = rateLimit({
 router.get('/plans', membershipController.getMembershipPlans);
 router.post('/purchase', protect, membershipPurchaseLimiter, validateBody(membershipSchemas.purchaseMembership), membershipController.purchaseMembership);
 router.post('/verify-payment', protect, membershipController.verifyPayment);
-router.post('/webhook', membershipController.handlePaymentWebhook);
+// Webhook route is handled at app level with express.raw for signature verification
 router.get('/status', protect, membershipController.getMembershipStatus);
+router.get('/usage', protect, membershipController.getMembershipUsage);
+router.post('/change-plan', protect, validateBody(membershipSchemas.changePlan), membershipController.changePlan);
+router.patch('/auto-renew', protect, validateBody(membershipSchemas.updateAutoRenew), membershipController.updateAutoRenew);
 
 export default router;
@@ -39,7 +39,7 @@ router.patch("/preferences", updatePreferences);
 router.patch("/:id/read", markAsRead);
 router.delete("/:id", deleteNotification);
 
-// Route for customer to request a new service area
+// Route for customer to join the waitlist for an uncovered area
 router.post("/area-request", createAreaRequestNotification);
 
 // Device token routes
@@ -33,7 +33,11 @@ router.post(
 );
 
 // COD collection routes
-router.post("/cod/:bookingId/collect", paymentController.collectCODPayment);
+router.post(
+  "/cod/:bookingId/collect",
+  validateBody(paymentSchemas.collectCod),
+  paymentController.collectCODPayment
+);
 router.post("/cod/:bookingId/fail", paymentController.failCODPayment);
 
 // Verify payment
@@ -52,7 +56,15 @@ router.get("/user", paymentController.getUserPayments);
 // Get payment details
 router.get("/:id", paymentController.getPayment);
 
+// Refund history (owner or admin)
+router.get("/:id/refunds", paymentController.getPaymentRefunds);
+
 // Initiate refund (admin only)
-router.post("/:id/refund", restrictTo('admin'), paymentController.initiateRefund);
+router.post(
+  "/:id/refund",
+  restrictTo('admin'),
+  validateBody(paymentSchemas.initiateRefund),
+  paymentController.initiateRefund
+);
 
 export default router;
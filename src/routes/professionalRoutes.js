@@ -1,12 +1,20 @@
 import express from 'express';
 import { protect } from '../middleware/auth.js';
+import { validateBody, validateQuery } from '../middleware/validationMiddleware.js';
+import { professionalSchemas } from '../schemas/validationSchemas.js';
 import {
   getProfessionalJobs,
   getJobDetails,
   updateJobStatus,
+  acceptJob,
+  declineJob,
   getDashboardStats,
   getProfessionalProfile,
-  updateProfessionalProfile
+  updateProfessionalProfile,
+  getCashInHand,
+  createCashDeposit,
+  getEarnings,
+  downloadEarningsStatement
 } from '../controllers/professionalController.js';
 
 const router = express.Router();
@@ -18,10 +26,20 @@ router.use(protect);
 router.get('/jobs', getProfessionalJobs);
 router.get('/jobs/:jobId', getJobDetails);
 router.patch('/jobs/:jobId/status', updateJobStatus);
+router.post('/jobs/:jobId/accept', acceptJob);
+router.post('/jobs/:jobId/decline', validateBody(professionalSchemas.declineJob), declineJob);
 
 // Dashboard and profile routes
 router.get('/dashboard', getDashboardStats);
 router.get('/profile', getProfessionalProfile);
 router.patch('/profile', updateProfessionalProfile);
 
+// COD cash settlement
+router.get('/cash', getCashInHand);
+router.post('/cash/deposits', validateBody(professionalSchemas.submitCashDeposit), createCashDeposit);
+
+// Earnings and payout statements
+router.get('/earnings', validateQuery(professionalSchemas.getEarnings), getEarnings);
+router.get('/earnings/statement', validateQuery(professionalSchemas.earningsStatement), downloadEarningsStatement);
+
 export default router;
\ No newline at end of file
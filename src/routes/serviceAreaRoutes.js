@@ -6,6 +6,20 @@ const router = express.Router();
 
 router.get('/check', serviceAreaController.checkServiceAvailability);
 
+// Areas as a GeoJSON FeatureCollection, e.g. for editing boundaries in a GIS tool
+router
+  .route('/geojson')
+  .get(
+    protect,
+    restrictTo('admin'),
+    serviceAreaController.exportServiceAreas
+  )
+  .post(
+    protect,
+    restrictTo('admin'),
+    serviceAreaController.importServiceAreas
+  );
+
 router
   .route('/')
   .get(serviceAreaController.getAllServiceAreas)
@@ -17,10 +31,22 @@ router
 
 router
   .route('/:id')
+  .patch(
+    protect,
+    restrictTo('admin'),
+    serviceAreaController.updateServiceArea
+  )
   .delete(
     protect,
     restrictTo('admin'),
     serviceAreaController.deleteServiceArea
   );
 
+router.patch(
+  '/:id/dispatch-mode',
+  protect,
+  restrictTo('admin'),
+  serviceAreaController.updateDispatchMode
+);
+
 export default router;
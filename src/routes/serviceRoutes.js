@@ -12,19 +12,24 @@ import {
   getServiceStats,
   getPopularServices
 } from '../controllers/serviceController.js';
-import { protect, restrictTo } from '../middleware/auth.js';
+import { protect, restrictTo, optionalAuth } from '../middleware/auth.js';
 import { cacheGet } from '../middleware/cache.js';
 
 const router = express.Router();
 
+// Prices follow the caller's vehicle and address, so signed-in callers are cached separately,
+// and the same URL must not be answered from a shared cache with someone else's prices
+const pricedCacheKey = (req) => `${req.originalUrl}|${req.user?.id || 'guest'}`;
+const cachePriced = (ttlMs) => cacheGet(ttlMs, pricedCacheKey, { scope: 'private' });
+
 // Public routes (with caching)
-router.get('/', cacheGet(60_000), getAllServices);
+router.get('/', optionalAuth, cachePriced(60_000), getAllServices);
 router.get('/popular', cacheGet(60_000), getPopularServices);
 router.get('/top-services', cacheGet(60_000), getTopServices);
 router.get('/categories', cacheGet(300_000), getServiceCategories);
 router.get('/categories/:category', cacheGet(60_000), getServicesByCategory);
 router.get('/search', cacheGet(30_000), searchServices);
-router.get('/:id', cacheGet(120_000), getService);
+router.get('/:id', optionalAuth, cachePriced(120_000), getService);
 
 // Protected routes
 router.use(protect);
@@ -0,0 +1,36 @@
+import express from "express";
+import * as walletController from "../controllers/walletController.js";
+import { protect } from "../middleware/auth.js";
+import { validateBody, validateQuery } from "../middleware/validationMiddleware.js";
+import { walletSchemas } from "../schemas/validationSchemas.js";
+
+const router = express.Router();
+
+// Top-up webhooks arrive through the payments webhook and its inbox
+
+router.use(protect);
+
+// Balance
+router.get("/", walletController.getMyWallet);
+
+// Statement with opening and closing balances
+router.get(
+  "/transactions",
+  validateQuery(walletSchemas.getTransactions),
+  walletController.getMyWalletTransactions
+);
+
+// Top up through Razorpay
+router.post(
+  "/topup",
+  validateBody(walletSchemas.createTopup),
+  walletController.createTopup
+);
+
+router.post(
+  "/topup/verify",
+  validateBody(walletSchemas.verifyTopup),
+  walletController.verifyTopup
+);
+
+export default router;
@@ -1,5 +1,7 @@
 
 import Joi from 'joi';
+import { VEHICLE_CLASSES } from '../config/pricing.js';
+import { CASH_DEPOSIT_METHODS } from '../config/cashSettlement.js';
 
 // Auth validation schemas
 export const authSchemas = {
@@ -62,6 +64,74 @@ export const paymentSchemas = {
     razorpay_signature: Joi.string().required()
   }).messages({
     'any.required': 'All payment verification parameters are required'
+  }),
+
+  collectCod: Joi.object({
+    // What the professional collected; checked against the amount due on the booking
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .optional()
+      .messages({
+        'number.base': 'Amount must be a number',
+        'number.positive': 'Amount must be positive'
+      }),
+    notes: Joi.string().trim().max(500).allow('').optional()
+  }),
+
+  initiateRefund: Joi.object({
+    // Omitted: refund everything still refundable
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .optional()
+      .messages({
+        'number.base': 'Amount must be a number',
+        'number.positive': 'Amount must be positive'
+      }),
+    reason: Joi.string()
+      .trim()
+      .min(3)
+      .max(500)
+      .required()
+      .messages({
+        'any.required': 'A reason is required for every refund'
+      }),
+    // "wallet" credits the customer's wallet instead of the original payment method
+    destination: Joi.string()
+      .valid('source', 'wallet')
+      .default('source'),
+    notes: Joi.object().optional()
+  })
+};
+
+// Wallet validation schemas
+export const walletSchemas = {
+  createTopup: Joi.object({
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .required()
+      .messages({
+        'number.base': 'Amount must be a number',
+        'number.positive': 'Amount must be positive',
+        'any.required': 'Top-up amount is required'
+      })
+  }),
+
+  verifyTopup: Joi.object({
+    razorpay_order_id: Joi.string().required(),
+    razorpay_payment_id: Joi.string().required(),
+    razorpay_signature: Joi.string().required()
+  }).messages({
+    'any.required': 'All payment verification parameters are required'
+  }),
+
+  getTransactions: Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
   })
 };
 
@@ -210,7 +280,179 @@ export const bookingSchemas = {
         'any.required': 'Rating is required'
       }),
     review: Joi.string().max(500).optional()
-  })
+  }),
+
+  cancelBooking: Joi.object({
+    reason: Joi.string().trim().max(500).optional(),
+    noShow: Joi.boolean().optional(),
+    expectedFee: Joi.number().min(0).optional()
+  }),
+
+  rescheduleBooking: Joi.object({
+    scheduledDate: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Scheduled date must be in YYYY-MM-DD format',
+        'any.required': 'Scheduled date is required'
+      }),
+    scheduledTime: Joi.string()
+      .pattern(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Scheduled time must be in HH:MM format',
+        'any.required': 'Scheduled time is required'
+      }),
+    releaseProfessional: Joi.boolean().optional(),
+    reason: Joi.string().trim().max(500).optional()
+  }),
+
+  availableSlots: Joi.object({
+    date: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Date must be in YYYY-MM-DD format',
+        'any.required': 'Date is required'
+      }),
+    serviceIds: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}(,[0-9a-fA-F]{24})*$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Service IDs must be a comma separated list of MongoDB ObjectIds',
+        'any.required': 'Service IDs are required'
+      }),
+    quantities: Joi.string()
+      .pattern(/^([1-9]|10)(,([1-9]|10))*$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Quantities must be a comma separated list of numbers from 1 to 10, one per service'
+      }),
+    pincode: Joi.string()
+      .pattern(/^\d{6}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Pincode must be 6 digits'
+      }),
+    lat: Joi.number().min(-90).max(90).optional(),
+    lng: Joi.number().min(-180).max(180).optional()
+  }).and('lat', 'lng'),
+
+  quote: Joi.object({
+    service: Joi.array()
+      .items(Joi.object({
+        serviceId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+        quantity: Joi.number().integer().min(1).max(10).optional()
+      }))
+      .min(1)
+      .required()
+      .messages({
+        'array.min': 'At least one service is required',
+        'any.required': 'Services are required'
+      }),
+    vehicleId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Vehicle ID must be a valid MongoDB ObjectId'
+      }),
+    vehicleClass: Joi.string().valid(...VEHICLE_CLASSES).optional(),
+    vehicleType: Joi.string().valid('2 Wheeler', '4 Wheeler').optional(),
+    pincode: Joi.string()
+      .pattern(/^\d{6}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Pincode must be 6 digits'
+      }),
+    lat: Joi.number().min(-90).max(90).optional(),
+    lng: Joi.number().min(-180).max(180).optional(),
+    offerCode: Joi.string().trim().max(20).optional(),
+    paymentMethod: Joi.string()
+      .valid('razorpay', 'cod', 'wallet', 'upi', 'card', 'membership')
+      .optional(),
+    scheduledDate: Joi.date().optional(),
+    scheduledTime: Joi.string()
+      .pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Scheduled time must be in HH:MM format'
+      }),
+    useMembership: Joi.boolean().default(true)
+  }).and('lat', 'lng'),
+
+  invoiceDocument: Joi.object({
+    format: Joi.string().valid('pdf', 'json').default('pdf')
+  }),
+
+  createRecurringBooking: Joi.object({
+    services: Joi.array()
+      .items(Joi.object({
+        serviceId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+        quantity: Joi.number().integer().min(1).max(10).optional()
+      }))
+      .min(1)
+      .required()
+      .messages({
+        'array.min': 'At least one service is required',
+        'any.required': 'Services are required'
+      }),
+    vehicleId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Vehicle ID must be a valid MongoDB ObjectId',
+        'any.required': 'Vehicle ID is required'
+      }),
+    addressId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Address ID must be a valid MongoDB ObjectId',
+        'any.required': 'Address ID is required'
+      }),
+    frequency: Joi.string().valid('weekly', 'biweekly').default('weekly'),
+    dayOfWeek: Joi.number()
+      .integer()
+      .min(0)
+      .max(6)
+      .required()
+      .messages({
+        'number.min': 'Day of week must be between 0 (Sunday) and 6 (Saturday)',
+        'number.max': 'Day of week must be between 0 (Sunday) and 6 (Saturday)',
+        'any.required': 'Day of week is required'
+      }),
+    scheduledTime: Joi.string()
+      .pattern(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Scheduled time must be in HH:MM format',
+        'any.required': 'Scheduled time is required'
+      }),
+    startDate: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Start date must be in YYYY-MM-DD format'
+      }),
+    overQuota: Joi.string().valid('skip', 'charge').default('skip'),
+    paymentMethod: Joi.string().valid('razorpay', 'cod').default('cod'),
+    notes: Joi.string().trim().max(500).optional()
+  }),
+
+  updateRecurringBooking: Joi.object({
+    frequency: Joi.string().valid('weekly', 'biweekly').optional(),
+    dayOfWeek: Joi.number().integer().min(0).max(6).optional(),
+    scheduledTime: Joi.string()
+      .pattern(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Scheduled time must be in HH:MM format'
+      }),
+    overQuota: Joi.string().valid('skip', 'charge').optional(),
+    paymentMethod: Joi.string().valid('razorpay', 'cod').optional(),
+    notes: Joi.string().trim().max(500).allow('').optional(),
+    status: Joi.string().valid('active', 'paused').optional()
+  }).min(1)
 };
 
 // User validation schemas
@@ -595,6 +837,24 @@ export const membershipSchemas = {
     autoRenew: Joi.boolean().optional()
   }),
 
+  changePlan: Joi.object({
+    planId: Joi.string()
+      .valid('silver', 'gold', 'platinum')
+      .required()
+      .messages({
+        'any.only': 'Plan ID must be one of: silver, gold, platinum',
+        'any.required': 'Plan ID is required'
+      })
+  }),
+
+  updateAutoRenew: Joi.object({
+    autoRenew: Joi.boolean()
+      .required()
+      .messages({
+        'any.required': 'autoRenew is required'
+      })
+  }),
+
   createPlan: Joi.object({
     name: Joi.string().min(3).max(50).required(),
     description: Joi.string().min(10).max(500).required(),
@@ -632,3 +892,52 @@ export const testimonialSchemas = {
 };
 
 
+
+// Professional validation schemas
+export const professionalSchemas = {
+  declineJob: Joi.object({
+    reason: Joi.string()
+      .trim()
+      .min(3)
+      .max(500)
+      .required()
+      .messages({
+        'string.empty': 'Decline reason cannot be empty',
+        'string.min': 'Decline reason must be at least 3 characters',
+        'any.required': 'Decline reason is required'
+      })
+  }),
+
+  submitCashDeposit: Joi.object({
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .required()
+      .messages({
+        'number.positive': 'Deposit amount must be positive',
+        'any.required': 'Deposit amount is required'
+      }),
+    method: Joi.string()
+      .valid(...CASH_DEPOSIT_METHODS)
+      .required()
+      .messages({
+        'any.only': `Method must be one of: ${CASH_DEPOSIT_METHODS.join(', ')}`,
+        'any.required': 'Deposit method is required'
+      }),
+    referenceNumber: Joi.string().trim().max(100).optional(),
+    note: Joi.string().trim().max(500).optional()
+  }),
+
+  getEarnings: Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  earningsStatement: Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    format: Joi.string().valid('csv', 'json').default('csv')
+  })
+};
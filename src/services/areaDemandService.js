@@ -0,0 +1,207 @@
+import mongoose from "mongoose";
+import AreaRequest from "../models/areaRequestModel.js";
+import ServiceArea from "../models/serviceAreaModel.js";
+import { AppError } from "../utils/appError.js";
+import { findServiceArea, getPoint, getUnofferedServices } from "./serviceAreaService.js";
+import { sendNotificationToAdmins, sendPushNotification } from "./notificationService.js";
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+//Record a customer's request for service at an address outside coverage.
+//Covered addresses are not stored; the area serving them is returned instead.
+
+export const recordAreaRequest = async (userId, { pincode, lat, lng, services = [] }) => {
+  const point = getPoint({ lat, lng });
+  if (!pincode && !point) {
+    throw new AppError("A pincode or the address coordinates are required", 400);
+  }
+  if (pincode && !/^\d{6}$/.test(String(pincode).trim())) {
+    throw new AppError("Pincode must be 6 digits", 400);
+  }
+  if (!Array.isArray(services) || services.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new AppError("services must be a list of service IDs", 400);
+  }
+
+  const area = await findServiceArea({ pincode, lat, lng });
+  if (area && getUnofferedServices(area, services).length === 0) {
+    return { covered: true, serviceArea: { id: area._id, name: area.name }, request: null };
+  }
+
+  const normalisedPincode = pincode ? String(pincode).trim() : undefined;
+  let request = await AreaRequest.findOne({
+    user: userId,
+    pincode: normalisedPincode ?? null,
+    status: "waiting",
+  });
+  const created = !request;
+
+  if (request) {
+    request.requestCount += 1;
+    request.lastRequestedAt = new Date();
+    const known = new Set(request.services.map(String));
+    services.filter((id) => !known.has(String(id))).forEach((id) => request.services.push(id));
+  } else {
+    request = new AreaRequest({ user: userId, pincode: normalisedPincode, services });
+  }
+  if (point) request.location = point;
+  await request.save();
+
+  // Admins hear about each waiting customer once, not about every retry
+  if (created) {
+    await sendNotificationToAdmins({
+      title: "New Service Area Request",
+      message: `A customer has requested service in a new area${
+        normalisedPincode ? ` with pincode: ${normalisedPincode}` : ""
+      }.`,
+      type: "system",
+      meta: { pincode: normalisedPincode, areaRequestId: request._id.toString() },
+    });
+  }
+
+  return { covered: false, serviceArea: null, request, created };
+};
+
+//Waiting demand per pincode, busiest first.
+//Each row has a centroid of the located requests for plotting a heatmap.
+
+export const getDemandHeatmap = async ({ from, to, status = "waiting", limit = 100 } = {}) => {
+  const match = {};
+  if (status !== "all") match.status = status;
+  if (from || to) {
+    match.lastRequestedAt = {};
+    if (from) match.lastRequestedAt.$gte = new Date(from);
+    if (to) match.lastRequestedAt.$lte = new Date(to);
+  }
+
+  const rows = await AreaRequest.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $ifNull: ["$pincode", "unknown"] },
+        customers: { $sum: 1 },
+        requests: { $sum: "$requestCount" },
+        lng: { $avg: { $arrayElemAt: ["$location.coordinates", 0] } },
+        lat: { $avg: { $arrayElemAt: ["$location.coordinates", 1] } },
+        services: { $push: "$services" },
+        firstRequestedAt: { $min: "$createdAt" },
+        lastRequestedAt: { $max: "$lastRequestedAt" },
+      },
+    },
+    { $sort: { customers: -1, requests: -1 } },
+    { $limit: Math.min(Math.max(Number(limit) || 100, 1), 1000) },
+  ]);
+
+  return rows.map((row) => summariseDemandRow(row));
+};
+
+//Shape one aggregated pincode row for the heatmap (pure)
+
+export const summariseDemandRow = (row) => {
+  const serviceCounts = new Map();
+  (row.services || []).flat().forEach((id) => {
+    serviceCounts.set(String(id), (serviceCounts.get(String(id)) || 0) + 1);
+  });
+
+  return {
+    pincode: row._id === "unknown" ? null : row._id,
+    customers: row.customers,
+    requests: row.requests,
+    centroid: typeof row.lat === "number" && typeof row.lng === "number"
+      ? { lat: round(row.lat), lng: round(row.lng) }
+      : null,
+    topServices: [...serviceCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([serviceId, count]) => ({ serviceId, count })),
+    firstRequestedAt: row.firstRequestedAt,
+    lastRequestedAt: row.lastRequestedAt,
+  };
+};
+
+//Whether the area offers at least one of the services a waiting request asked for (pure)
+
+export const canAreaServeRequest = (area, request) =>
+  !request.services?.length ||
+  getUnofferedServices(area, request.services).length < request.services.length;
+
+//Tell waitlisted customers that an active area now covers them.
+//Each request is claimed before its push is sent, so two runs at once never notify a
+//customer twice. Customers who could not be told go back on the waitlist and, once the
+//others were tried, the error is thrown so the area stays marked for the next run.
+
+export const notifyWaitlist = async (area) => {
+  if (!area?.isActive) return 0;
+
+  const reach = [];
+  if (area.boundary) {
+    const { type, coordinates } = area.boundary;
+    reach.push({ location: { $geoWithin: { $geometry: { type, coordinates } } } });
+  }
+  if (area.pincode) reach.push({ pincode: area.pincode });
+  if (!reach.length) return 0;
+
+  const requests = await AreaRequest.find({ status: "waiting", $or: reach });
+  let notified = 0;
+  let failed = 0;
+
+  for (const request of requests.filter((r) => canAreaServeRequest(area, r))) {
+    const claimed = await AreaRequest.findOneAndUpdate(
+      { _id: request._id, status: "waiting" },
+      { $set: { status: "notified", serviceArea: area._id, notifiedAt: new Date() } }
+    );
+    if (!claimed) continue;
+
+    try {
+      await sendPushNotification(
+        {
+          title: "We're now in your area",
+          message: `Good news! DashStream now serves ${area.name}. Book your service today.`,
+          type: "system",
+          actionType: "open_service",
+          meta: { serviceAreaId: area._id.toString() },
+        },
+        request.user
+      );
+      notified += 1;
+    } catch (error) {
+      console.error(`Failed to notify waitlisted user ${request.user}:`, error);
+      await AreaRequest.updateOne(
+        { _id: request._id, status: "notified" },
+        { $set: { status: "waiting" }, $unset: { serviceArea: 1, notifiedAt: 1 } }
+      );
+      failed += 1;
+    }
+  }
+
+  if (failed) {
+    throw new Error(`${failed} waitlisted customer(s) of service area ${area._id} could not be notified`);
+  }
+  return notified;
+};
+
+//Background job: notify the waitlist of every area whose coverage changed.
+//Areas are marked when saved, so saving one never waits on notifications. The mark is only
+//cleared once everyone was told and if the area did not change again meanwhile.
+
+export const processAreaWaitlists = async () => {
+  const areas = await ServiceArea.find({ waitlistPendingAt: { $exists: true } });
+
+  let notified = 0;
+  let failed = 0;
+  for (const area of areas) {
+    try {
+      notified += await notifyWaitlist(area);
+    } catch (error) {
+      // Still marked, so the next run tries again
+      console.error(`Failed to notify the waitlist for service area ${area._id}:`, error);
+      failed += 1;
+      continue;
+    }
+    await ServiceArea.updateOne(
+      { _id: area._id, waitlistPendingAt: area.waitlistPendingAt },
+      { $unset: { waitlistPendingAt: 1 } }
+    );
+  }
+
+  return { areas: areas.length, notified, failed };
+};
@@ -0,0 +1,244 @@
+import Booking from "../models/bookingModel.js";
+import { AppError } from "../utils/appError.js";
+import { sendBookingNotification } from "./notificationService.js";
+import { handleProfessionalRejection, settleOpenOffers } from "./dispatchService.js";
+import {
+  calculateCancellationCharges,
+  refundCancelledBooking,
+} from "./cancellationService.js";
+import { creditEntitlements, debitEntitlements } from "./membershipUsageService.js";
+import { creditBookingCashback, refundCancelledBookingToWallet } from "./walletService.js";
+import { recordBookingEarnings } from "./earningsService.js";
+import { issueBookingInvoice } from "./invoiceService.js";
+import { publishEvent } from "./eventBus.js";
+import {
+  BOOKING_STATUS_MESSAGES,
+  canRoleTransition,
+  getAllowedTransitions,
+  isValidBookingStatus,
+} from "../config/bookingLifecycle.js";
+
+// Actor used by background jobs and webhooks
+export const SYSTEM_ACTOR = { id: null, role: "system" };
+
+export const actorFromUser = (user) => ({
+  id: user.id || user._id?.toString(),
+  role: user.role,
+});
+
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+// Work done around a status change, keyed by the target status.
+// beforeSave hooks mutate the booking and are persisted with the transition;
+// afterSave hooks run once the new status is stored and must not throw.
+const SIDE_EFFECTS = {
+  pending: {
+    beforeSave: [
+      // Back in the pool: nobody holds the booking any more
+      (booking) => {
+        booking.professional = undefined;
+      },
+    ],
+  },
+  confirmed: {
+    beforeSave: [
+      (booking) => {
+        if (booking.dispatch?.status === "offered") booking.dispatch.status = "accepted";
+      },
+    ],
+    afterSave: [
+      // Confirming through the status route counts as accepting the offer
+      (booking) => settleOpenOffers(booking, "accepted"),
+    ],
+  },
+  "on-the-way": {
+    beforeSave: [
+      // Each trip starts with fresh geofences, e.g. after turning back once
+      (booking) => {
+        booking.liveTracking = { startedAt: new Date() };
+      },
+    ],
+  },
+  "in-progress": {
+    beforeSave: [
+      (booking) => {
+        if (!booking.serviceStartedAt) booking.serviceStartedAt = new Date();
+      },
+    ],
+  },
+  completed: {
+    beforeSave: [
+      (booking, { notes }) => {
+        booking.serviceCompletedAt = new Date();
+        if (notes) booking.completionNotes = notes;
+      },
+    ],
+    afterSave: [
+      // Membership benefits held by the booking are now used up
+      (booking) => debitEntitlements(booking),
+      // Cashback offers pay out once the service is delivered
+      (booking) => creditBookingCashback(booking),
+      // The professional earns the job's value less commission
+      (booking) => recordBookingEarnings(booking),
+      // Tax invoice for the delivered service (already issued if it was paid up front)
+      (booking) => issueBookingInvoice(booking._id),
+    ],
+  },
+  cancelled: {
+    beforeSave: [
+      (booking, { actor, reason, noShow }) => {
+        booking.cancelledBy = actor.role;
+        booking.cancelledAt = new Date();
+        if (reason) booking.cancellationReason = reason;
+        booking.cancellation = calculateCancellationCharges(booking, {
+          role: actor.role,
+          noShow,
+          now: booking.cancelledAt,
+        });
+      },
+      // Cash that was never collected will not be collected any more
+      (booking) => {
+        if (booking.paymentMethod === "cod" && booking.codStatus === "pending") {
+          booking.codStatus = "cancelled";
+        }
+      },
+    ],
+    afterSave: [
+      (booking) => settleOpenOffers(booking, "withdrawn"),
+      // Online payments get the refundable amount back automatically
+      (booking) => refundCancelledBooking(booking),
+      // The wallet share goes back to the wallet
+      (booking) => refundCancelledBookingToWallet(booking),
+      // Covered bookings give their membership benefits back
+      (booking) => creditEntitlements(booking),
+    ],
+  },
+  rejected: {
+    beforeSave: [
+      // Free the booking so it can be offered to someone else
+      (booking) => {
+        booking.professional = undefined;
+      },
+    ],
+    afterSave: [
+      // Auto-dispatched bookings move straight on to the next candidate
+      (booking, { reason, message }) => handleProfessionalRejection(booking, reason || message),
+    ],
+  },
+};
+
+//Throw when the actor may not move the booking to the given status
+
+export const assertCanTransition = (booking, toStatus, actor) => {
+  if (!isValidBookingStatus(toStatus)) {
+    throw new AppError("Please provide a valid status", 400);
+  }
+
+  if (actor.role === "customer" && refId(booking.customer) !== actor.id) {
+    throw new AppError("You are not authorized to update this booking", 403);
+  }
+
+  if (
+    actor.role === "professional" &&
+    (!booking.professional || refId(booking.professional) !== actor.id)
+  ) {
+    throw new AppError("You are not authorized to update this booking", 403);
+  }
+
+  if (booking.status === toStatus) {
+    throw new AppError(
+      `Booking is already ${toStatus}`,
+      409,
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  if (!canRoleTransition(booking.status, toStatus, actor.role)) {
+    const allowed = getAllowedTransitions(booking.status, actor.role);
+    throw new AppError(
+      `Cannot change booking status from ${booking.status} to ${toStatus}` +
+        (allowed.length ? `. Allowed: ${allowed.join(", ")}` : ""),
+      409,
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+};
+
+const runEffects = async (hooks = [], booking, context) => {
+  for (const hook of hooks) {
+    await hook(booking, context);
+  }
+};
+
+//Move a booking to a new status, running the guards and side effects.
+//`where` adds conditions the stored booking must still meet, e.g. who holds it.
+
+export const transitionBooking = async (
+  booking,
+  toStatus,
+  { actor, message, reason, notes, notify = true, where = {}, ...options } = {}
+) => {
+  assertCanTransition(booking, toStatus, actor);
+
+  const fromStatus = booking.status;
+  // Side effects may release the professional, who still needs to hear about it
+  const previousProfessional = booking.professional;
+  // Extra options (e.g. noShow) are handed to the side effects untouched
+  const context = { ...options, actor, fromStatus, toStatus, message, reason, notes };
+  const effects = SIDE_EFFECTS[toStatus] || {};
+
+  booking.status = toStatus;
+  await runEffects(effects.beforeSave, booking, context);
+
+  booking.trackingUpdates.push({
+    status: toStatus,
+    message: message || reason || BOOKING_STATUS_MESSAGES[toStatus],
+    updatedBy: actor.id || undefined,
+    timestamp: new Date(),
+  });
+
+  // Store the change only if the status is still the one checked above. Of a cancel and a
+  // completion racing each other only one gets through, and only its side effects run.
+  booking.$where = { ...where, status: fromStatus };
+  try {
+    await booking.save();
+  } catch (error) {
+    if (error.name !== "DocumentNotFoundError") throw error;
+    throw new AppError(
+      `Booking is no longer ${fromStatus}; it was updated meanwhile`,
+      409,
+      "INVALID_STATUS_TRANSITION"
+    );
+  } finally {
+    booking.$where = undefined;
+  }
+
+  publishEvent([booking.customer, booking.professional, previousProfessional], "booking.status", {
+    bookingId: booking._id,
+    status: toStatus,
+    previousStatus: fromStatus,
+    message: booking.trackingUpdates[booking.trackingUpdates.length - 1]?.message,
+  });
+
+  for (const hook of effects.afterSave || []) {
+    try {
+      await hook(booking, context);
+    } catch (error) {
+      console.error(`Booking ${booking._id} ${toStatus} side effect failed:`, error);
+    }
+  }
+
+  if (notify) {
+    try {
+      const populated = await Booking.findById(booking._id).populate(
+        "services.serviceId",
+        "title"
+      );
+      await sendBookingNotification(populated, toStatus);
+    } catch (error) {
+      console.error(`Failed to send ${toStatus} notification for booking ${booking._id}:`, error);
+    }
+  }
+
+  return booking;
+};
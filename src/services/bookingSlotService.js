@@ -0,0 +1,465 @@
+import Booking from "../models/bookingModel.js";
+import User from "../models/userModel.js";
+import Service from "../models/serviceModel.js";
+import Counter from "../models/counterModel.js";
+import { AppError } from "../utils/appError.js";
+import {
+  DAY_MS,
+  formatBusinessDate,
+  fromBusinessClock,
+  getBusinessClock,
+  startOfBusinessDay,
+} from "../utils/businessTime.js";
+
+// Slot grid used when rendering availability to the app
+export const SLOT_INTERVAL_MINUTES = 30;
+
+// Used when a service or booking carries no duration
+export const DEFAULT_SERVICE_DURATION = 60;
+
+// Working hours assumed for professionals who never configured availability
+export const DEFAULT_WORKING_HOURS = { start: "09:00", end: "18:00" };
+
+// Bookings in these states no longer hold a professional's time
+export const NON_BLOCKING_STATUSES = ["cancelled", "rejected"];
+
+// A day lock not released within this time (e.g. its holder crashed) can be taken over
+const DAY_LOCK_TIMEOUT_MS = 30 * 1000;
+
+// How long a booking waits for a day another request is booking
+const DAY_LOCK_WAIT_MS = 5 * 1000;
+const DAY_LOCK_RETRY_MS = 50;
+
+const DAY_KEYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+//Convert "HH:MM" into minutes since midnight (null when malformed)
+
+export const timeToMinutes = (time) => {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(time || "").trim());
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+export const minutesToTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${String(hours).padStart(2, "0")}:${String(mins).padStart(2, "0")}`;
+};
+
+//Parse a booking date; plain YYYY-MM-DD strings are read as business-time (IST) dates
+
+export const parseSlotDate = (value) => {
+  if (value instanceof Date) return new Date(value.getTime());
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ""));
+  if (match) {
+    return fromBusinessClock({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) });
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+//First and last instant of the business day a date falls in
+
+export const getDayRange = (date) => {
+  const start = startOfBusinessDay(date);
+  const end = new Date(start.getTime() + DAY_MS - 1);
+  return { start, end };
+};
+
+//Working windows of a professional for the given date, in minutes
+
+export const getProfessionalWindows = (professional, date) => {
+  const dayKey = DAY_KEYS[getBusinessClock(date).weekday];
+  const availability = professional?.professionalInfo?.availability?.[dayKey];
+
+  if (availability && availability.available === false) return [];
+
+  const configured = (availability?.slots || [])
+    .map((slot) => ({
+      start: timeToMinutes(slot.start),
+      end: timeToMinutes(slot.end),
+    }))
+    .filter((slot) => slot.start !== null && slot.end !== null && slot.end > slot.start);
+
+  if (configured.length > 0) return configured;
+
+  return [
+    {
+      start: timeToMinutes(DEFAULT_WORKING_HOURS.start),
+      end: timeToMinutes(DEFAULT_WORKING_HOURS.end),
+    },
+  ];
+};
+
+//Date and time a booking is scheduled to start (null when unscheduled)
+
+export const getScheduledStart = (booking) => {
+  const day = booking.scheduledDate ? parseSlotDate(booking.scheduledDate) : null;
+  if (!day) return null;
+
+  const minutes = timeToMinutes(booking.scheduledTime);
+  return fromBusinessClock(getBusinessClock(day), minutes ?? 0);
+};
+
+//Time interval occupied by a booking (null when it has no usable time)
+
+export const getBookingInterval = (booking) => {
+  const start = timeToMinutes(booking.scheduledTime);
+  if (start === null) return null;
+  const duration = booking.estimatedDuration || DEFAULT_SERVICE_DURATION;
+  return { start, end: start + duration };
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+const fitsWindow = (windows, interval) =>
+  windows.some((w) => interval.start >= w.start && interval.end <= w.end);
+
+//Start times (minutes) inside the windows that do not collide with busy intervals
+
+export const computeFreeSlots = ({
+  windows,
+  busy = [],
+  duration,
+  interval = SLOT_INTERVAL_MINUTES,
+  notBefore = 0,
+}) => {
+  const starts = [];
+
+  for (const window of windows) {
+    const first = Math.ceil(Math.max(window.start, notBefore) / interval) * interval;
+    for (let start = first; start + duration <= window.end; start += interval) {
+      const candidate = { start, end: start + duration };
+      if (!busy.some((b) => overlaps(candidate, b))) starts.push(start);
+    }
+  }
+
+  return starts;
+};
+
+//Total duration of the requested services in minutes.
+//Items are service ids or { serviceId, quantity } lines; each unit takes the service's time.
+
+export const getServicesDuration = async (items) => {
+  const lines = items.map((item) =>
+    item?.serviceId
+      ? { id: String(item.serviceId), quantity: Number(item.quantity) || 1 }
+      : { id: String(item), quantity: 1 }
+  );
+  const uniqueIds = [...new Set(lines.map((line) => line.id))];
+  const services = await Service.find({ _id: { $in: uniqueIds } }).select("duration");
+
+  if (services.length !== uniqueIds.length) {
+    const foundIds = services.map((s) => s._id.toString());
+    const notFoundIds = uniqueIds.filter((id) => !foundIds.includes(id));
+    throw new AppError(`Services not found: ${notFoundIds.join(", ")}`, 404);
+  }
+
+  const durationById = new Map(
+    services.map((s) => [s._id.toString(), parseInt(s.duration, 10) || 0])
+  );
+  const total = lines.reduce((sum, line) => sum + (durationById.get(line.id) || 0) * line.quantity, 0);
+  return total || DEFAULT_SERVICE_DURATION;
+};
+
+//Load the professionals and bookings that matter for one day (and area)
+
+const loadDayContext = async ({ date, pincode, professionalIds, excludeBookingId }) => {
+  const { start, end } = getDayRange(date);
+
+  const professionalFilter = {
+    role: "professional",
+    isAvailable: true,
+    status: { $ne: "inactive" },
+  };
+  if (professionalIds) {
+    professionalFilter._id = { $in: professionalIds };
+  }
+  if (pincode) {
+    // Professionals without configured service areas serve every pincode
+    professionalFilter.$or = [
+      { "professionalInfo.serviceAreas": pincode },
+      { "professionalInfo.serviceAreas": { $exists: false } },
+      { "professionalInfo.serviceAreas": { $size: 0 } },
+    ];
+  }
+
+  const professionals = await User.find(professionalFilter).select(
+    "name professionalInfo isAvailable status"
+  );
+
+  const bookingFilter = {
+    scheduledDate: { $gte: start, $lte: end },
+    status: { $nin: NON_BLOCKING_STATUSES },
+  };
+  if (excludeBookingId) {
+    bookingFilter._id = { $ne: excludeBookingId };
+  }
+
+  const bookings = await Booking.find(bookingFilter).select(
+    "professional scheduledTime estimatedDuration location.address.pincode"
+  );
+
+  const busyByProfessional = new Map();
+  const unassigned = [];
+
+  for (const booking of bookings) {
+    const interval = getBookingInterval(booking);
+    if (!interval) continue;
+
+    if (booking.professional) {
+      const key = booking.professional.toString();
+      if (!busyByProfessional.has(key)) busyByProfessional.set(key, []);
+      busyByProfessional.get(key).push(interval);
+    } else if (!pincode || booking.location?.address?.pincode === pincode) {
+      // Unassigned bookings still consume one professional from the pool
+      unassigned.push(interval);
+    }
+  }
+
+  return { date, professionals, busyByProfessional, unassigned };
+};
+
+//Evaluate a single start time against a loaded day context
+
+const evaluateSlot = (context, interval) => {
+  const freeProfessionals = context.professionals.filter((professional) => {
+    const windows = getProfessionalWindows(professional, context.date);
+    if (!fitsWindow(windows, interval)) return false;
+    const busy = context.busyByProfessional.get(professional._id.toString()) || [];
+    return !busy.some((b) => overlaps(interval, b));
+  });
+
+  const pooledDemand = context.unassigned.filter((b) => overlaps(interval, b)).length;
+
+  return {
+    freeProfessionals,
+    remainingCapacity: Math.max(freeProfessionals.length - pooledDemand, 0),
+  };
+};
+
+//Share (0-100) of the working time of a day's professionals (in an area) that is booked
+
+export const getDayUtilisation = async ({ date, pincode }) => {
+  const day = parseSlotDate(date);
+  if (!day) return 0;
+
+  const context = await loadDayContext({ date: day, pincode });
+  const minutes = (intervals) => intervals.reduce((total, i) => total + (i.end - i.start), 0);
+
+  const capacity = context.professionals.reduce(
+    (total, professional) => total + minutes(getProfessionalWindows(professional, day)),
+    0
+  );
+  if (!capacity) return 100;
+
+  const booked =
+    context.professionals.reduce(
+      (total, professional) =>
+        total + minutes(context.busyByProfessional.get(professional._id.toString()) || []),
+      0
+    ) + minutes(context.unassigned);
+
+  return Math.min(Math.round((booked / capacity) * 100), 100);
+};
+
+//Bookable slots for a date, requested services (with optional quantities) and optional pincode
+
+export const getAvailableSlots = async ({ date, serviceIds, quantities = [], pincode }) => {
+  const day = parseSlotDate(date);
+  if (!day) {
+    throw new AppError("Please provide a valid date", 400);
+  }
+
+  const duration = await getServicesDuration(
+    serviceIds.map((serviceId, index) => ({ serviceId, quantity: quantities[index] }))
+  );
+
+  const now = new Date();
+  if (formatBusinessDate(day) < formatBusinessDate(now)) {
+    return { date: formatBusinessDate(day), duration, slots: [] };
+  }
+
+  // Do not offer slots that already started today
+  const notBefore = formatBusinessDate(day) === formatBusinessDate(now) ? getBusinessClock(now).minutes + 1 : 0;
+
+  const context = await loadDayContext({ date: day, pincode });
+
+  const candidateStarts = new Set();
+  for (const professional of context.professionals) {
+    const windows = getProfessionalWindows(professional, day);
+    computeFreeSlots({ windows, duration, notBefore }).forEach((s) => candidateStarts.add(s));
+  }
+
+  const slots = [...candidateStarts]
+    .sort((a, b) => a - b)
+    .map((start) => {
+      const { remainingCapacity } = evaluateSlot(context, { start, end: start + duration });
+      return {
+        time: minutesToTime(start),
+        endTime: minutesToTime(start + duration),
+        available: remainingCapacity > 0,
+        remainingCapacity,
+      };
+    });
+
+  return { date: formatBusinessDate(day), duration, slots };
+};
+
+//Check whether a specific professional can take the given slot
+
+export const isProfessionalFree = async (
+  professionalId,
+  { scheduledDate, scheduledTime, duration, excludeBookingId }
+) => {
+  const day = parseSlotDate(scheduledDate);
+  const start = timeToMinutes(scheduledTime);
+  if (!day || start === null) return false;
+
+  const context = await loadDayContext({
+    date: day,
+    professionalIds: [professionalId],
+    excludeBookingId,
+  });
+
+  const interval = { start, end: start + (duration || DEFAULT_SERVICE_DURATION) };
+  return evaluateSlot(context, interval).freeProfessionals.length > 0;
+};
+
+//IDs of the given professionals who can take the slot, from one load of the day's bookings
+
+export const getFreeProfessionalIds = async (
+  professionalIds,
+  { scheduledDate, scheduledTime, duration, excludeBookingId }
+) => {
+  const day = parseSlotDate(scheduledDate);
+  const start = timeToMinutes(scheduledTime);
+  if (!day || start === null || professionalIds.length === 0) return new Set();
+
+  const context = await loadDayContext({ date: day, professionalIds, excludeBookingId });
+
+  const interval = { start, end: start + (duration || DEFAULT_SERVICE_DURATION) };
+  const { freeProfessionals } = evaluateSlot(context, interval);
+  return new Set(freeProfessionals.map((professional) => professional._id.toString()));
+};
+
+//Throw a 409 when the requested slot cannot be booked
+
+export const assertSlotAvailable = async ({
+  scheduledDate,
+  scheduledTime,
+  duration,
+  professionalId,
+  pincode,
+  excludeBookingId,
+}) => {
+  const day = parseSlotDate(scheduledDate);
+  if (!day) {
+    throw new AppError("Please provide a valid scheduled date", 400);
+  }
+
+  const start = timeToMinutes(scheduledTime);
+  if (start === null) {
+    throw new AppError("Scheduled time must be in HH:MM format", 400);
+  }
+
+  const slotStart = fromBusinessClock(getBusinessClock(day), start);
+  if (slotStart < new Date()) {
+    throw new AppError("Cannot book a slot in the past", 400);
+  }
+
+  const interval = { start, end: start + (duration || DEFAULT_SERVICE_DURATION) };
+
+  if (professionalId) {
+    const professional = await User.findOne({ _id: professionalId, role: "professional" });
+    if (!professional) {
+      throw new AppError("Professional not found", 404);
+    }
+
+    const free = await isProfessionalFree(professionalId, {
+      scheduledDate: day,
+      scheduledTime,
+      duration: interval.end - interval.start,
+      excludeBookingId,
+    });
+    if (!free) {
+      throw new AppError(
+        "The selected professional is not available for this slot",
+        409,
+        "SLOT_UNAVAILABLE"
+      );
+    }
+    return true;
+  }
+
+  const context = await loadDayContext({ date: day, pincode, excludeBookingId });
+  const { remainingCapacity } = evaluateSlot(context, interval);
+  if (remainingCapacity <= 0) {
+    throw new AppError("The selected slot is fully booked", 409, "SLOT_UNAVAILABLE");
+  }
+
+  return true;
+};
+
+// Take the lock of one business day. Its counter's seq is odd while the lock is held and
+// the seq taken is the holder's token. Returns the token, or null while someone else holds it.
+const claimDayLock = async (key) => {
+  try {
+    const claimed = await Counter.findOneAndUpdate(
+      { _id: key, seq: { $mod: [2, 0] } },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+    return claimed.seq;
+  } catch (error) {
+    // Held: the upsert tried to insert a second counter for the day
+    if (error.code !== 11000) throw error;
+  }
+
+  const takenOver = await Counter.findOneAndUpdate(
+    {
+      _id: key,
+      seq: { $mod: [2, 1] },
+      updatedAt: { $lt: new Date(Date.now() - DAY_LOCK_TIMEOUT_MS) },
+    },
+    { $inc: { seq: 2 } },
+    { new: true }
+  );
+  return takenOver ? takenOver.seq : null;
+};
+
+//Hold the slots of a business day while a booking for it is checked and saved, so two
+//requests cannot both take its last free slot. Resolves to a function that releases the day.
+
+export const lockBookingDay = async (scheduledDate) => {
+  const day = parseSlotDate(scheduledDate);
+  if (!day) {
+    throw new AppError("Please provide a valid scheduled date", 400);
+  }
+
+  const key = `slot-lock:${formatBusinessDate(day)}`;
+  const deadline = Date.now() + DAY_LOCK_WAIT_MS;
+
+  let token = await claimDayLock(key);
+  while (token === null) {
+    if (Date.now() > deadline) {
+      throw new AppError("Slots for this day are being booked right now, please try again", 409, "SLOT_BUSY");
+    }
+    await new Promise((resolve) => setTimeout(resolve, DAY_LOCK_RETRY_MS));
+    token = await claimDayLock(key);
+  }
+
+  return async () => {
+    await Counter.updateOne({ _id: key, seq: token }, { $inc: { seq: 1 } });
+  };
+};
@@ -0,0 +1,134 @@
+import Payment from "../models/paymentModel.js";
+import { AppError } from "../utils/appError.js";
+import { CANCELLATION_POLICY } from "../config/bookingPolicies.js";
+import { getScheduledStart } from "./bookingSlotService.js";
+import { initiateRefund } from "./paymentService.js";
+import { sendNotificationToAdmins } from "./notificationService.js";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Payment methods refunded through Razorpay
+const ONLINE_METHODS = ["razorpay", "upi", "card"];
+
+//Amount the customer has actually paid for the booking, including any wallet share
+
+export const getAmountPaid = (booking) =>
+  booking.paymentStatus === "paid" ? booking.totalAmount || 0 : booking.walletAmount || 0;
+
+//Work out the fee and refund for cancelling a booking right now.
+//Pure: everything it needs comes from the booking, the actor and the policy.
+
+export const calculateCancellationCharges = (
+  booking,
+  { role = "customer", noShow = false, now = new Date() } = {},
+  policy = CANCELLATION_POLICY
+) => {
+  const totalAmount = booking.totalAmount || 0;
+  const amountPaid = getAmountPaid(booking);
+  const slotStart = getScheduledStart(booking);
+  const hoursBeforeSlot = slotStart ? round((slotStart - now) / (60 * 60 * 1000)) : null;
+
+  let rule = { label: "Free cancellation", feePercent: 0 };
+
+  if (noShow || (hoursBeforeSlot !== null && hoursBeforeSlot < 0)) {
+    rule = policy.noShow;
+  } else if (hoursBeforeSlot !== null && hoursBeforeSlot < policy.freeCancellationHours) {
+    rule = policy.tiers.find((tier) => hoursBeforeSlot >= tier.minHoursBefore) || rule;
+  }
+
+  // Only customers pay for their own cancellations; a no-show is charged whoever reports it
+  const waived = !noShow && policy.waivedForRoles.includes(role);
+
+  let fee = 0;
+  if (!waived && rule.feePercent > 0) {
+    fee = (totalAmount * rule.feePercent) / 100;
+    fee = Math.min(Math.max(fee, policy.minimumFee), policy.maximumFee, totalAmount);
+  }
+  fee = round(fee);
+
+  return {
+    totalAmount,
+    amountPaid,
+    hoursBeforeSlot,
+    rule: waived ? "Waived" : rule.label,
+    feePercent: waived ? 0 : rule.feePercent,
+    fee,
+    waived,
+    noShow: Boolean(noShow),
+    refundableAmount: round(Math.max(amountPaid - fee, 0)),
+    // The wallet share is given back to the wallet first
+    walletRefundAmount: round(Math.min(Math.max(amountPaid - fee, 0), booking.walletAmount || 0)),
+    // Fees on unpaid bookings are recorded but there is nothing to deduct them from
+    feeCollectible: amountPaid > 0 ? Math.min(fee, amountPaid) : 0,
+    refundMethod: getRefundMethod(booking, amountPaid),
+  };
+};
+
+const getRefundMethod = (booking, amountPaid) => {
+  if (booking.paymentMethod === "cod") return "cod";
+  if (amountPaid <= 0) return "none";
+  return ONLINE_METHODS.includes(booking.paymentMethod) ? "razorpay" : booking.paymentMethod;
+};
+
+//Reject a cancellation that the customer confirmed against a different fee
+
+export const assertExpectedFee = (charges, expectedFee) => {
+  if (expectedFee === undefined || expectedFee === null) return;
+  if (round(Number(expectedFee)) !== charges.fee) {
+    throw new AppError(
+      `Cancellation fee has changed to ₹${charges.fee}. Please review and confirm again.`,
+      409,
+      "CANCELLATION_FEE_CHANGED"
+    );
+  }
+};
+
+//Refund the refundable part of a cancelled online booking through Razorpay
+
+export const refundCancelledBooking = async (booking) => {
+  const cancellation = booking.cancellation;
+  if (!cancellation || cancellation.refundMethod !== "razorpay") return null;
+  const amount = round(cancellation.refundableAmount - (cancellation.walletRefundAmount || 0));
+  if (!(amount > 0)) return null;
+  if (cancellation.refundStatus && cancellation.refundStatus !== "failed") return null;
+
+  const payment =
+    (booking.paymentId && (await Payment.findById(booking.paymentId))) ||
+    (await Payment.findOne({ bookingId: booking._id, status: "captured" }).sort("-createdAt"));
+
+  if (!payment) {
+    cancellation.refundStatus = "failed";
+    cancellation.refundError = "No captured payment found for booking";
+    await booking.save();
+    return null;
+  }
+
+  try {
+    const refund = await initiateRefund(
+      payment._id,
+      amount,
+      { reason: "booking_cancelled", cancellationFee: String(cancellation.fee) },
+      { reason: "Booking cancelled", source: "cancellation" }
+    );
+
+    cancellation.refundStatus = "initiated";
+    cancellation.refundId = refund.id;
+    cancellation.refundError = undefined;
+    await booking.save();
+    return refund;
+  } catch (error) {
+    console.error(`Automatic refund failed for booking ${booking._id}:`, error);
+    cancellation.refundStatus = "failed";
+    cancellation.refundError = error.message;
+    await booking.save();
+
+    await sendNotificationToAdmins({
+      title: "Cancellation Refund Failed",
+      message: `Refund of ₹${amount} for booking ${booking._id} failed: ${error.message}`,
+      type: "payment",
+      actionType: "open_booking",
+      actionParams: { bookingId: booking._id.toString() },
+    });
+    return null;
+  }
+};
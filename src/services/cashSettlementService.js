@@ -0,0 +1,397 @@
+import CashAccount from "../models/cashAccountModel.js";
+import CashLedgerEntry from "../models/cashLedgerEntryModel.js";
+import CashDeposit from "../models/cashDepositModel.js";
+import { AppError } from "../utils/appError.js";
+import { CASH_SETTLEMENT_CONFIG } from "../config/cashSettlement.js";
+import { sendNotificationToAdmins, sendPushNotification } from "./notificationService.js";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+//Cash limit that applies to an account (the default unless an admin set one)
+
+export const getCashLimit = (account, config = CASH_SETTLEMENT_CONFIG) =>
+  typeof account?.cashLimit === "number" ? account.cashLimit : config.defaultCashLimit;
+
+//Whether a professional holds so much cash that they must deposit before new COD jobs
+
+export const isCashLimitReached = (account, config = CASH_SETTLEMENT_CONFIG) =>
+  (account?.balance || 0) >= getCashLimit(account, config);
+
+//Whether a booking has its professional collect cash
+
+export const isCashJob = (booking) =>
+  booking?.paymentMethod === "cod" && booking.paymentStatus !== "paid";
+
+//Cash account of a professional, opened on first use
+
+export const getOrCreateCashAccount = (professionalId) =>
+  CashAccount.findOneAndUpdate(
+    { professional: professionalId },
+    { $setOnInsert: { professional: professionalId } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+// Add a ledger entry to the account balance exactly once. Claiming it as "applying" keeps two
+// callers from adding it together; one left behind by a crash can be claimed again once it
+// timed out, and the account's `appliedEntries` then tells whether it was already added.
+const applyCashEntry = async (entry, config = CASH_SETTLEMENT_CONFIG) => {
+  const claimed = await CashLedgerEntry.findOneAndUpdate(
+    {
+      _id: entry._id,
+      $or: [
+        { status: "pending" },
+        { status: "applying", updatedAt: { $lt: new Date(Date.now() - config.applyingTimeoutMs) } },
+      ],
+    },
+    { $set: { status: "applying" } },
+    { new: true }
+  );
+  if (!claimed) return CashLedgerEntry.findById(entry._id);
+
+  const account =
+    (await CashAccount.findOneAndUpdate(
+      { _id: claimed.account, appliedEntries: { $ne: claimed._id } },
+      {
+        $inc: { balance: claimed.amount },
+        $push: { appliedEntries: claimed._id },
+        ...(claimed.type === "collection" && { $set: { lastCollectionAt: new Date() } }),
+        ...(claimed.type === "deposit" && { $set: { lastDepositAt: new Date() } }),
+      },
+      { new: true }
+    )) ||
+    // Added before an interruption: only the posting is left to do
+    (await CashAccount.findById(claimed.account));
+
+  const posted = await CashLedgerEntry.findOneAndUpdate(
+    { _id: claimed._id, status: "applying" },
+    { $set: { status: "posted", balanceAfter: round(account.balance) } },
+    { new: true }
+  );
+  await CashAccount.updateOne({ _id: account._id }, { $pull: { appliedEntries: claimed._id } });
+
+  return posted || CashLedgerEntry.findById(claimed._id);
+};
+
+//Record a cash movement and update the running balance.
+//Each `reference` posts only once: posting it again returns the entry that is already there,
+//finishing it first if an earlier attempt was interrupted.
+
+export const postCashEntry = async ({ professionalId, type, amount, reference, ...details }) => {
+  const existing = await CashLedgerEntry.findOne({ reference });
+  if (existing) {
+    return ["pending", "applying"].includes(existing.status) ? applyCashEntry(existing) : existing;
+  }
+
+  const account = await getOrCreateCashAccount(professionalId);
+  let entry;
+  try {
+    entry = await CashLedgerEntry.create({
+      account: account._id,
+      professional: professionalId,
+      type,
+      amount: round(amount),
+      reference,
+      status: "pending",
+      ...details,
+    });
+  } catch (error) {
+    // Posted concurrently under the same reference
+    if (error.code === 11000) return CashLedgerEntry.findOne({ reference });
+    throw error;
+  }
+
+  return applyCashEntry(entry);
+};
+
+//Background job: add ledger entries a crash left out of their account balance
+
+export const finishInterruptedCashEntries = async (config = CASH_SETTLEMENT_CONFIG) => {
+  const entries = await CashLedgerEntry.find({
+    status: { $in: ["pending", "applying"] },
+    updatedAt: { $lt: new Date(Date.now() - config.applyingTimeoutMs) },
+  });
+
+  let posted = 0;
+  for (const entry of entries) {
+    try {
+      const result = await applyCashEntry(entry, config);
+      if (result?.status === "posted") posted++;
+    } catch (error) {
+      console.error(`Failed to finish cash ledger entry ${entry._id}:`, error);
+    }
+  }
+
+  return { checked: entries.length, posted };
+};
+
+//Cash the professional collects on a COD booking: what was left to pay when COD was chosen
+
+export const getCodAmount = (booking) => round(booking.codAmount || booking.amountDue || 0);
+
+//Add the cash collected on a COD booking to the professional's cash in hand.
+//The amount always comes from the booking, never from what the professional reports.
+
+export const recordCodCollection = async (booking, collectedBy) => {
+  const collected = getCodAmount(booking);
+  const professionalId = collectedBy || booking.professional;
+
+  const before = await CashAccount.findOne({ professional: professionalId });
+  const entry = await postCashEntry({
+    professionalId,
+    type: "collection",
+    amount: collected,
+    reference: `cod:${booking._id}`,
+    booking: booking._id,
+    note: `COD collected for booking ${booking._id}`,
+    createdBy: professionalId,
+  });
+
+  // Tell admins when this collection takes the professional over their limit
+  const limit = getCashLimit(before);
+  if ((before?.balance || 0) < limit && entry.balanceAfter >= limit) {
+    await sendNotificationToAdmins({
+      title: "Cash Limit Reached",
+      message: `A professional is holding ₹${entry.balanceAfter} in cash (limit ₹${limit}) and will get no COD jobs until it is deposited`,
+      type: "payment",
+      actionType: "none",
+    });
+  }
+
+  return entry;
+};
+
+//Refuse a COD job to a professional who is at their cash limit
+
+export const assertCanTakeCashJob = async (professionalId, booking) => {
+  if (!isCashJob(booking)) return;
+
+  const account = await CashAccount.findOne({ professional: professionalId });
+  if (isCashLimitReached(account)) {
+    throw new AppError(
+      `Cash in hand ₹${round(account.balance)} has reached the ₹${getCashLimit(account)} limit; deposit cash before taking COD jobs`,
+      409,
+      "CASH_LIMIT_REACHED"
+    );
+  }
+};
+
+//Professionals among `ids` who cannot take COD jobs right now
+
+export const getCashBlockedProfessionalIds = async (ids) => {
+  const accounts = await CashAccount.find({ professional: { $in: ids }, balance: { $gt: 0 } });
+  return new Set(
+    accounts.filter((account) => isCashLimitReached(account)).map((account) => account.professional.toString())
+  );
+};
+
+// Cash already on its way to the company, so it cannot be claimed again
+const getPendingDepositTotal = async (professionalId) => {
+  const deposits = await CashDeposit.find({ professional: professionalId, status: "pending" }).select("amount");
+  return round(deposits.reduce((total, deposit) => total + deposit.amount, 0));
+};
+
+// Take a confirmed deposit off the professional's cash in hand
+const postDeposit = (deposit, reviewer) =>
+  postCashEntry({
+    professionalId: deposit.professional,
+    type: "deposit",
+    amount: -deposit.amount,
+    reference: `deposit:${deposit._id}`,
+    deposit: deposit._id,
+    note: `Deposit by ${deposit.method.replace("_", " ")}${deposit.referenceNumber ? ` (${deposit.referenceNumber})` : ""}`,
+    createdBy: reviewer?.id,
+  });
+
+//Record cash a professional handed over. Deposits submitted by the professional wait for
+//an admin; deposits an admin records themselves are confirmed straight away.
+
+export const submitCashDeposit = async (
+  professionalId,
+  { amount, method, referenceNumber, note },
+  { recordedBy } = {}
+) => {
+  if (!(Number(amount) > 0)) {
+    throw new AppError("Deposit amount must be positive", 400);
+  }
+
+  const account = await getOrCreateCashAccount(professionalId);
+  const pending = await getPendingDepositTotal(professionalId);
+  const available = round(account.balance - pending);
+
+  if (round(amount) > available) {
+    throw new AppError(
+      `Deposit exceeds the ₹${Math.max(available, 0)} cash in hand not yet deposited`,
+      400,
+      "DEPOSIT_EXCEEDS_CASH"
+    );
+  }
+
+  const deposit = await CashDeposit.create({
+    professional: professionalId,
+    amount: round(amount),
+    method,
+    referenceNumber,
+    note,
+    submittedBy: recordedBy?.id || professionalId,
+    ...(recordedBy && { status: "confirmed", reviewedBy: recordedBy.id, reviewedAt: new Date() }),
+  });
+
+  if (recordedBy) {
+    await postDeposit(deposit, recordedBy);
+  } else {
+    await sendNotificationToAdmins({
+      title: "Cash Deposit Submitted",
+      message: `A professional deposited ₹${deposit.amount} by ${method.replace("_", " ")}; confirm once it arrives`,
+      type: "payment",
+      actionType: "none",
+    });
+  }
+
+  return deposit;
+};
+
+// Settle a pending deposit exactly once, even when two admins act on it together
+const reviewDeposit = async (depositId, reviewer, update) => {
+  const deposit = await CashDeposit.findOneAndUpdate(
+    { _id: depositId, status: "pending" },
+    { $set: { ...update, reviewedBy: reviewer.id, reviewedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!deposit) {
+    const existing = await CashDeposit.findById(depositId);
+    if (!existing) throw new AppError("Cash deposit not found", 404);
+    throw new AppError(`This deposit is already ${existing.status}`, 409, "DEPOSIT_ALREADY_REVIEWED");
+  }
+
+  return deposit;
+};
+
+const notifyProfessional = async (deposit, title, message) => {
+  try {
+    await sendPushNotification({ title, message, type: "payment", actionType: "none" }, deposit.professional);
+  } catch (error) {
+    console.error(`Failed to notify professional ${deposit.professional} about deposit ${deposit._id}:`, error);
+  }
+};
+
+//Admin confirms the money of a deposit arrived
+
+export const confirmCashDeposit = async (depositId, reviewer) => {
+  const deposit = await reviewDeposit(depositId, reviewer, { status: "confirmed" });
+  await postDeposit(deposit, reviewer);
+  await notifyProfessional(deposit, "Cash Deposit Confirmed", `Your deposit of ₹${deposit.amount} has been confirmed`);
+  return deposit;
+};
+
+//Admin rejects a deposit that never arrived; the cash stays in the professional's hands
+
+export const rejectCashDeposit = async (depositId, reviewer, reason) => {
+  const deposit = await reviewDeposit(depositId, reviewer, { status: "rejected", rejectionReason: reason });
+  await notifyProfessional(
+    deposit,
+    "Cash Deposit Rejected",
+    `Your deposit of ₹${deposit.amount} was rejected: ${reason}`
+  );
+  return deposit;
+};
+
+//Set a professional's cash limit; null goes back to the default
+
+export const setCashLimit = async (professionalId, cashLimit) => {
+  await getOrCreateCashAccount(professionalId);
+  return CashAccount.findOneAndUpdate(
+    { professional: professionalId },
+    cashLimit === null ? { $unset: { cashLimit: 1 } } : { $set: { cashLimit } },
+    { new: true }
+  );
+};
+
+//Cash in hand, limit and recent ledger of one professional
+
+export const getCashSummary = async (professionalId, { page = 1, limit = 20 } = {}) => {
+  const account = await getOrCreateCashAccount(professionalId);
+
+  const [entries, total, deposits] = await Promise.all([
+    CashLedgerEntry.find({ professional: professionalId })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("booking", "scheduledDate totalAmount"),
+    CashLedgerEntry.countDocuments({ professional: professionalId }),
+    CashDeposit.find({ professional: professionalId, status: "pending" }).sort({ createdAt: -1 }),
+  ]);
+
+  return {
+    cashInHand: round(account.balance),
+    cashLimit: getCashLimit(account),
+    codBlocked: isCashLimitReached(account),
+    pendingDeposits: deposits,
+    entries,
+    pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+  };
+};
+
+//Totals for the admin dashboard
+
+export const getOutstandingCashTotals = async (config = CASH_SETTLEMENT_CONFIG) => {
+  const [accounts, pending] = await Promise.all([
+    CashAccount.find({ balance: { $gt: 0 } }).select("balance cashLimit"),
+    CashDeposit.aggregate([
+      { $match: { status: "pending" } },
+      { $group: { _id: null, amount: { $sum: "$amount" }, count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  return {
+    outstanding: round(accounts.reduce((total, account) => total + account.balance, 0)),
+    professionals: accounts.length,
+    overLimit: accounts.filter((account) => isCashLimitReached(account, config)).length,
+    pendingDeposits: { count: pending[0]?.count || 0, amount: round(pending[0]?.amount || 0) },
+  };
+};
+
+//Professionals holding cash, most first
+
+export const getOutstandingCashReport = async ({ overLimitOnly = false, page = 1, limit = 20 } = {}) => {
+  const accounts = await CashAccount.find({ balance: { $gt: 0 } })
+    .sort({ balance: -1 })
+    .populate("professional", "name phone");
+
+  const rows = accounts
+    .map((account) => ({
+      professional: account.professional,
+      cashInHand: round(account.balance),
+      cashLimit: getCashLimit(account),
+      codBlocked: isCashLimitReached(account),
+      lastCollectionAt: account.lastCollectionAt,
+      lastDepositAt: account.lastDepositAt,
+    }))
+    .filter((row) => !overLimitOnly || row.codBlocked);
+
+  return {
+    totals: await getOutstandingCashTotals(),
+    professionals: rows.slice((page - 1) * limit, page * limit),
+    pagination: { total: rows.length, page, limit, pages: Math.ceil(rows.length / limit) },
+  };
+};
+
+//Deposits for admins to review, newest first
+
+export const listCashDeposits = async ({ status, professionalId, page = 1, limit = 20 } = {}) => {
+  const query = {};
+  if (status) query.status = status;
+  if (professionalId) query.professional = professionalId;
+
+  const [deposits, total] = await Promise.all([
+    CashDeposit.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("professional", "name phone")
+      .populate("reviewedBy", "name"),
+    CashDeposit.countDocuments(query),
+  ]);
+
+  return { deposits, pagination: { total, page, limit, pages: Math.ceil(total / limit) } };
+};
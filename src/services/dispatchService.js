@@ -0,0 +1,518 @@
+import Booking from "../models/bookingModel.js";
+import User from "../models/userModel.js";
+import Service from "../models/serviceModel.js";
+import Location from "../models/locationModel.js";
+import JobOffer from "../models/jobOfferModel.js";
+import { AppError } from "../utils/appError.js";
+import { DISPATCH_CONFIG, ACTIVE_JOB_STATUSES } from "../config/dispatch.js";
+import { getFreeProfessionalIds } from "./bookingSlotService.js";
+import { findServiceArea } from "./serviceAreaService.js";
+import {
+  assertCanTakeCashJob,
+  getCashBlockedProfessionalIds,
+  isCashJob,
+} from "./cashSettlementService.js";
+import {
+  transitionBooking,
+  actorFromUser,
+  SYSTEM_ACTOR,
+} from "./bookingLifecycleService.js";
+import {
+  sendPushNotification,
+  sendNotificationToAdmins,
+} from "./notificationService.js";
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+const normalise = (value) => String(value || "").trim().toLowerCase();
+
+//Combine the individual factors (each 0..1) into a 0..100 score
+
+export const scoreCandidate = (
+  { distanceKm, skillMatch, serviceAreaMatch, activeJobs, rating },
+  config = DISPATCH_CONFIG
+) => {
+  const { weights, maxDistanceKm, maxActiveJobs } = config;
+
+  // Unknown distance scores as far away rather than excluding the professional
+  const distance =
+    distanceKm === null || distanceKm === undefined ? 0 : clamp(1 - distanceKm / maxDistanceKm);
+  const load = clamp(1 - (activeJobs || 0) / maxActiveJobs);
+  const ratingScore = clamp((rating || 0) / 5);
+
+  const score =
+    weights.distance * distance +
+    weights.skills * clamp(skillMatch) +
+    weights.serviceArea * clamp(serviceAreaMatch) +
+    weights.load * load +
+    weights.rating * ratingScore;
+
+  return Math.round(score * 10000) / 100;
+};
+
+//Fraction of the booking's service categories covered by the professional's skills
+
+export const getSkillMatch = (skills = [], categories = []) => {
+  if (categories.length === 0) return 1;
+  const known = new Set(skills.map(normalise));
+  const matched = categories.filter((category) => known.has(normalise(category)));
+  return matched.length / categories.length;
+};
+
+//1 when the professional serves the area, 0.5 when they declared no areas
+
+export const getServiceAreaMatch = (serviceAreas = [], { pincode, areaName } = {}) => {
+  if (serviceAreas.length === 0) return 0.5;
+  const areas = serviceAreas.map(normalise);
+  return areas.includes(normalise(pincode)) || (areaName && areas.includes(normalise(areaName)))
+    ? 1
+    : 0;
+};
+
+const getBookingCategories = async (booking) => {
+  const serviceIds = (booking.services || []).map((s) => s.serviceId?._id || s.serviceId);
+  if (serviceIds.length === 0) return [];
+  const services = await Service.find({ _id: { $in: serviceIds } }).select("category");
+  return [...new Set(services.map((s) => s.category).filter(Boolean))];
+};
+
+// Distance in km from the booking to each professional with a known position
+const getDistances = async (booking, professionalIds) => {
+  const { lat, lng } = booking.location || {};
+  if (typeof lat !== "number" || typeof lng !== "number") return new Map();
+
+  const results = await Location.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates: [lng, lat] },
+        distanceField: "distance",
+        query: { user: { $in: professionalIds } },
+        spherical: true,
+        distanceMultiplier: 0.001,
+      },
+    },
+    { $project: { user: 1, distance: 1 } },
+  ]);
+
+  return new Map(results.map((r) => [r.user.toString(), r.distance]));
+};
+
+const getActiveJobCounts = async (professionalIds, excludeBookingId) => {
+  const counts = await Booking.aggregate([
+    {
+      $match: {
+        professional: { $in: professionalIds },
+        status: { $in: ACTIVE_JOB_STATUSES },
+        _id: { $ne: excludeBookingId },
+      },
+    },
+    { $group: { _id: "$professional", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map((c) => [c._id.toString(), c.count]));
+};
+
+//Score every eligible professional for a booking, best first
+
+export const rankProfessionals = async (booking, { exclude = [], checkAvailability = true } = {}) => {
+  const excluded = exclude.map(String);
+  const pincode = booking.location?.address?.pincode;
+
+  const [categories, serviceArea] = await Promise.all([
+    getBookingCategories(booking),
+    findServiceArea({ pincode, lat: booking.location?.lat, lng: booking.location?.lng }),
+  ]);
+
+  const professionals = await User.find({
+    role: "professional",
+    isAvailable: true,
+    status: { $ne: "inactive" },
+    _id: { $nin: excluded },
+  }).select("name email phone profileImage rating totalRatings professionalInfo profileComplete status");
+
+  if (professionals.length === 0) return [];
+
+  const ids = professionals.map((p) => p._id);
+  const checkSlot = checkAvailability && booking.scheduledDate && booking.scheduledTime;
+  const [distances, activeJobs, cashBlocked, free] = await Promise.all([
+    getDistances(booking, ids),
+    getActiveJobCounts(ids, booking._id),
+    isCashJob(booking) ? getCashBlockedProfessionalIds(ids) : new Set(),
+    checkSlot
+      ? getFreeProfessionalIds(ids, {
+          scheduledDate: booking.scheduledDate,
+          scheduledTime: booking.scheduledTime,
+          duration: booking.estimatedDuration,
+          excludeBookingId: booking._id,
+        })
+      : null,
+  ]);
+
+  const hasCoordinates = distances.size > 0 || typeof booking.location?.lat === "number";
+  const candidates = [];
+
+  for (const professional of professionals) {
+    const id = professional._id.toString();
+    const distanceKm = distances.has(id) ? distances.get(id) : null;
+
+    // Holding too much cash to take another COD job
+    if (cashBlocked.has(id)) continue;
+
+    // Known to be too far away
+    if (hasCoordinates && distanceKm !== null && distanceKm > DISPATCH_CONFIG.maxDistanceKm) {
+      continue;
+    }
+
+    // Already booked at that time or not working then
+    if (free && !free.has(id)) continue;
+
+    const factors = {
+      distanceKm: distanceKm === null ? null : Math.round(distanceKm * 100) / 100,
+      skillMatch: getSkillMatch(professional.professionalInfo?.skills, categories),
+      serviceAreaMatch: getServiceAreaMatch(professional.professionalInfo?.serviceAreas, {
+        pincode,
+        areaName: serviceArea?.name,
+      }),
+      activeJobs: activeJobs.get(id) || 0,
+      rating: professional.rating || 0,
+    };
+
+    candidates.push({ professional, factors, score: scoreCandidate(factors) });
+  }
+
+  return candidates.sort((a, b) => b.score - a.score);
+};
+
+const ensureDispatchState = (booking, mode) => {
+  if (!booking.dispatch) {
+    booking.dispatch = { mode, attempts: 0, attemptedProfessionals: [] };
+  }
+  return booking.dispatch;
+};
+
+//Close every open offer on a booking with the given outcome
+
+export const settleOpenOffers = (booking, status, extra = {}) =>
+  JobOffer.updateMany(
+    { booking: booking._id, status: "pending" },
+    { status, respondedAt: new Date(), ...extra }
+  );
+
+//Offer a booking to one professional; the booking stays "assigned" until they respond
+
+export const createJobOffer = async (
+  booking,
+  professional,
+  { score, source = "auto", actor = SYSTEM_ACTOR } = {}
+) => {
+  await assertCanTakeCashJob(professional._id, booking);
+
+  const dispatch = ensureDispatchState(booking, source);
+  const now = new Date();
+
+  // Only one offer per booking can be open at a time
+  await settleOpenOffers(booking, "withdrawn");
+
+  const offer = await JobOffer.create({
+    booking: booking._id,
+    professional: professional._id,
+    source,
+    offeredBy: actor.id || undefined,
+    attempt: (dispatch.attempts || 0) + 1,
+    score,
+    offeredAt: now,
+    expiresAt: new Date(now.getTime() + DISPATCH_CONFIG.offerTimeoutMinutes * 60 * 1000),
+  });
+
+  booking.professional = professional._id;
+  dispatch.status = "offered";
+  dispatch.currentOffer = offer._id;
+  dispatch.offerExpiresAt = offer.expiresAt;
+  dispatch.attempts = offer.attempt;
+  dispatch.attemptedProfessionals.push(professional._id);
+  if (score !== undefined) dispatch.lastScore = score;
+
+  const message =
+    `Job offered to ${professional.name || "professional"}` +
+    (score !== undefined ? ` (score ${score})` : "");
+
+  if (booking.status === "assigned") {
+    // Replacing an offer that has not been answered yet
+    booking.trackingUpdates.push({ status: "assigned", message, updatedBy: actor.id || undefined });
+    await booking.save();
+  } else {
+    await transitionBooking(booking, "assigned", { actor, message, notify: false });
+  }
+
+  try {
+    await sendPushNotification(
+      {
+        title: "New Job Offer",
+        message: `You have a new job offer. Accept or decline within ${DISPATCH_CONFIG.offerTimeoutMinutes} minutes.`,
+        type: "booking",
+        actionType: "open_booking",
+        actionParams: { bookingId: booking._id.toString(), offerId: offer._id.toString() },
+      },
+      professional._id
+    );
+  } catch (error) {
+    console.error(`Failed to notify professional ${professional._id} about job offer:`, error);
+  }
+
+  return offer;
+};
+
+//Offer the booking to the best professional not tried yet
+
+export const offerToNextCandidate = async (booking) => {
+  const dispatch = ensureDispatchState(booking, "auto");
+  const attempted = dispatch.attemptedProfessionals || [];
+
+  const [best] =
+    attempted.length >= DISPATCH_CONFIG.maxAttempts
+      ? []
+      : await rankProfessionals(booking, { exclude: attempted });
+
+  if (!best) {
+    await markUnassigned(
+      booking,
+      "No professional accepted the booking automatically; waiting for manual assignment"
+    );
+    return null;
+  }
+
+  const offer = await createJobOffer(booking, best.professional, { score: best.score });
+  return { ...best, offer };
+};
+
+// Hand the booking back to admins for manual assignment
+const markUnassigned = async (booking, message) => {
+  const dispatch = ensureDispatchState(booking, "manual");
+  dispatch.status = "unassigned";
+  dispatch.currentOffer = undefined;
+  dispatch.offerExpiresAt = undefined;
+
+  booking.trackingUpdates.push({ status: booking.status, message, timestamp: new Date() });
+  await booking.save();
+
+  await sendNotificationToAdmins({
+    title: "Booking Needs Assignment",
+    message: `Booking ${booking._id} has no professional: ${message}`,
+    type: "booking",
+    actionType: "open_booking",
+    actionParams: { bookingId: booking._id.toString() },
+  });
+};
+
+//Start automatic dispatch for a booking (no-op when its area dispatches manually)
+
+export const autoDispatchBooking = async (booking, { force = false } = {}) => {
+  if (booking.professional && !force) return null;
+
+  if (!force) {
+    const serviceArea = await findServiceArea({
+      pincode: booking.location?.address?.pincode,
+      lat: booking.location?.lat,
+      lng: booking.location?.lng,
+    });
+    if (serviceArea?.dispatchMode !== "auto") return null;
+  }
+
+  if (!["pending", "rejected"].includes(booking.status)) {
+    throw new AppError(`Cannot dispatch a booking that is ${booking.status}`, 409);
+  }
+
+  booking.dispatch = {
+    mode: "auto",
+    status: "searching",
+    attempts: 0,
+    attemptedProfessionals: [],
+  };
+
+  if (booking.status === "rejected") {
+    await transitionBooking(booking, "pending", {
+      actor: SYSTEM_ACTOR,
+      message: "Booking returned to dispatch",
+      notify: false,
+    });
+  }
+
+  return offerToNextCandidate(booking);
+};
+
+//Put a booking whose offer fell through back in the pool and re-offer it.
+//Auto-dispatched bookings go to the next candidate, manual ones back to admins.
+//`where` is handed to the status change, e.g. to release only while an offer still holds it.
+
+export const releaseBooking = async (booking, message, { where } = {}) => {
+  const dispatch = ensureDispatchState(booking, "manual");
+  dispatch.status = "searching";
+  dispatch.currentOffer = undefined;
+  dispatch.offerExpiresAt = undefined;
+
+  if (booking.status !== "pending") {
+    await transitionBooking(booking, "pending", {
+      actor: SYSTEM_ACTOR,
+      message,
+      notify: false,
+      where,
+    });
+  }
+
+  if (dispatch.mode === "auto") {
+    return offerToNextCandidate(booking);
+  }
+
+  await markUnassigned(booking, message);
+  return null;
+};
+
+const findPendingOffer = async (bookingId, professionalId) => {
+  const offer = await JobOffer.findOne({
+    booking: bookingId,
+    professional: professionalId,
+    status: "pending",
+  }).sort("-offeredAt");
+
+  if (!offer) {
+    throw new AppError("No open job offer found for this job", 404);
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw new AppError("No booking found with that ID", 404);
+  }
+
+  return { offer, booking };
+};
+
+// Close a pending offer with the given outcome. Resolves to null when it was answered,
+// withdrawn or expired meanwhile, so of two racing outcomes only one wins.
+const claimOffer = (offer, update, filter = {}) =>
+  JobOffer.findOneAndUpdate(
+    { _id: offer._id, status: "pending", ...filter },
+    { $set: { respondedAt: new Date(), ...update } },
+    { new: true }
+  );
+
+// Conditions under which a booking is still held by the given offer
+const heldBy = (offer) => ({
+  professional: offer.professional,
+  "dispatch.currentOffer": offer._id,
+});
+
+//Professional accepts an open offer: the booking becomes confirmed
+
+export const acceptJobOffer = async (bookingId, professional) => {
+  const { offer, booking } = await findPendingOffer(bookingId, professional._id);
+
+  if (offer.expiresAt <= new Date()) {
+    throw new AppError("This job offer has expired", 409, "OFFER_EXPIRED");
+  }
+
+  // The limit may have been reached since the job was offered
+  await assertCanTakeCashJob(professional._id, booking);
+
+  const accepted = await claimOffer(offer, { status: "accepted" }, { expiresAt: { $gt: new Date() } });
+  if (!accepted) {
+    throw new AppError("This job offer is no longer open", 409, "OFFER_EXPIRED");
+  }
+
+  try {
+    await transitionBooking(booking, "confirmed", {
+      actor: actorFromUser(professional),
+      message: `Job offer accepted by ${professional.name || "professional"}`,
+      notify: false,
+      where: heldBy(offer),
+    });
+  } catch (error) {
+    // The booking moved on (e.g. it was cancelled or offered to someone else) before the answer
+    await JobOffer.updateOne({ _id: offer._id, status: "accepted" }, { $set: { status: "withdrawn" } });
+    throw error;
+  }
+
+  // The customer learns who is coming once someone has actually taken the job
+  try {
+    await sendPushNotification(
+      {
+        title: "Service Confirmed",
+        message: `Service confirmed and Professional Assigned: ${professional.name || "a professional"}`,
+        type: "booking",
+        actionType: "open_booking",
+        actionParams: { bookingId: booking._id.toString() },
+      },
+      booking.customer
+    );
+  } catch (error) {
+    console.error(`Failed to notify customer about booking ${booking._id} confirmation:`, error);
+  }
+
+  return { offer: accepted, booking };
+};
+
+//Professional declines an open offer: record why and offer the job elsewhere
+
+export const declineJobOffer = async (bookingId, professional, reason) => {
+  const { offer, booking } = await findPendingOffer(bookingId, professional._id);
+
+  const declined = await claimOffer(offer, { status: "declined", declineReason: reason });
+  if (!declined) {
+    throw new AppError("This job offer is no longer open", 409, "OFFER_EXPIRED");
+  }
+
+  booking.trackingUpdates.push({
+    status: booking.status,
+    message: `Job offer declined by ${professional.name || "professional"}: ${reason}`,
+    updatedBy: professional._id,
+    timestamp: new Date(),
+  });
+
+  const next = await releaseBooking(booking, "Job returned to dispatch after decline", {
+    where: heldBy(offer),
+  });
+  return { offer: declined, booking, next };
+};
+
+//Close any open offer on a booking the professional rejected through the status route
+
+export const handleProfessionalRejection = async (booking, reason) => {
+  await settleOpenOffers(booking, "declined", { declineReason: reason || "Rejected" });
+
+  return releaseBooking(booking, "Job returned to dispatch after rejection");
+};
+
+//Fall back to the next candidate for every offer that timed out
+
+export const expireStaleOffers = async (now = new Date()) => {
+  const offers = await JobOffer.find({ status: "pending", expiresAt: { $lte: now } });
+
+  let expired = 0;
+  for (const offer of offers) {
+    try {
+      // Accepted or declined just before the sweep got to it
+      const claimed = await claimOffer(offer, { status: "expired" }, { expiresAt: { $lte: now } });
+      if (!claimed) continue;
+
+      const booking = await Booking.findById(offer.booking);
+      // Only the current offer holds the booking; older ones just close
+      if (
+        booking?.status === "assigned" &&
+        booking.dispatch?.currentOffer?.toString() === offer._id.toString()
+      ) {
+        booking.trackingUpdates.push({
+          status: booking.status,
+          message: "Job offer expired without a response",
+          timestamp: now,
+        });
+        await releaseBooking(booking, "Job returned to dispatch after offer expired", {
+          where: heldBy(offer),
+        });
+      }
+      expired++;
+    } catch (error) {
+      console.error(`Failed to expire job offer ${offer._id}:`, error);
+    }
+  }
+
+  return { checked: offers.length, expired };
+};
@@ -0,0 +1,369 @@
+import mongoose from "mongoose";
+import PricingRule from "../models/pricingRuleModel.js";
+import Booking from "../models/bookingModel.js";
+import { AppError } from "../utils/appError.js";
+import {
+  DYNAMIC_PRICING_CONFIG,
+  PRICING_RULE_ADJUSTMENTS,
+  PRICING_RULE_KINDS,
+} from "../config/pricing.js";
+import { formatBusinessDate, getBusinessClock } from "../utils/businessTime.js";
+import { getDayUtilisation, getScheduledStart, timeToMinutes } from "./bookingSlotService.js";
+import { findServiceArea } from "./serviceAreaService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Fields that decide what a rule charges; changing them needs a new simulation
+const RULE_TERMS = [
+  "kind",
+  "adjustmentType",
+  "value",
+  "maxAdjustment",
+  "daysOfWeek",
+  "startTime",
+  "endTime",
+  "serviceAreas",
+  "minUtilisation",
+  "maxUtilisation",
+  "priority",
+];
+
+const isNumber = (value) => typeof value === "number" && !Number.isNaN(value);
+
+const usesUtilisation = (rule) => isNumber(rule.minUtilisation) || isNumber(rule.maxUtilisation);
+
+//Check a rule definition; throws a 400 naming the first problem
+
+export const validatePricingRule = (rule) => {
+  const invalid = (message) => new AppError(message, 400);
+
+  if (!PRICING_RULE_KINDS.includes(rule.kind)) {
+    throw invalid(`Kind must be one of: ${PRICING_RULE_KINDS.join(", ")}`);
+  }
+  if (rule.adjustmentType && !PRICING_RULE_ADJUSTMENTS.includes(rule.adjustmentType)) {
+    throw invalid(`Adjustment type must be one of: ${PRICING_RULE_ADJUSTMENTS.join(", ")}`);
+  }
+  if (!isNumber(rule.value) || rule.value <= 0) {
+    throw invalid("Value must be a positive number");
+  }
+  if (rule.adjustmentType !== "fixed" && rule.value > 100) {
+    throw invalid("A percentage adjustment cannot exceed 100");
+  }
+  if (rule.maxAdjustment !== undefined && rule.maxAdjustment !== null && !(rule.maxAdjustment >= 0)) {
+    throw invalid("maxAdjustment must be a non-negative number");
+  }
+  if (
+    rule.daysOfWeek !== undefined &&
+    (!Array.isArray(rule.daysOfWeek) || rule.daysOfWeek.some((day) => !Number.isInteger(day) || day < 0 || day > 6))
+  ) {
+    throw invalid("daysOfWeek must be a list of weekdays from 0 (Sunday) to 6 (Saturday)");
+  }
+
+  const start = rule.startTime ? timeToMinutes(rule.startTime) : null;
+  const end = rule.endTime ? timeToMinutes(rule.endTime) : null;
+  if ((rule.startTime && start === null) || (rule.endTime && end === null)) {
+    throw invalid("startTime and endTime must be in HH:MM format");
+  }
+  if ((start === null) !== (end === null) || (start !== null && start === end)) {
+    throw invalid("Give both startTime and endTime, and make them different");
+  }
+
+  for (const field of ["minUtilisation", "maxUtilisation"]) {
+    if (rule[field] !== undefined && rule[field] !== null && !(rule[field] >= 0 && rule[field] <= 100)) {
+      throw invalid(`${field} must be a percentage between 0 and 100`);
+    }
+  }
+  if (isNumber(rule.minUtilisation) && isNumber(rule.maxUtilisation) && rule.minUtilisation > rule.maxUtilisation) {
+    throw invalid("minUtilisation cannot be above maxUtilisation");
+  }
+
+  if ((rule.serviceAreas || []).some((area) => !mongoose.Types.ObjectId.isValid(String(area._id || area)))) {
+    throw invalid("serviceAreas must be service area IDs");
+  }
+};
+
+//Whether a rule applies to a booking slot.
+//Pure: days and time windows are read in IST and may run past midnight (e.g. 22:00 to
+//06:00); `utilisation` is only looked at by rules with utilisation limits.
+
+export const matchesPricingRule = (rule, { slotStart, serviceAreaId, utilisation }) => {
+  const { weekday, minutes } = getBusinessClock(slotStart);
+  if (rule.daysOfWeek?.length && !rule.daysOfWeek.includes(weekday)) return false;
+
+  const start = timeToMinutes(rule.startTime);
+  const end = timeToMinutes(rule.endTime);
+  if (start !== null && end !== null) {
+    const inWindow = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    if (!inWindow) return false;
+  }
+
+  if (
+    rule.serviceAreas?.length &&
+    !rule.serviceAreas.some((area) => String(area._id || area) === String(serviceAreaId))
+  ) {
+    return false;
+  }
+
+  if (usesUtilisation(rule)) {
+    if (!isNumber(utilisation)) return false;
+    if (isNumber(rule.minUtilisation) && utilisation < rule.minUtilisation) return false;
+    if (isNumber(rule.maxUtilisation) && utilisation > rule.maxUtilisation) return false;
+  }
+
+  return true;
+};
+
+//Price change a rule makes on an amount: positive for surge, negative for off-peak.
+//Pure: capped by the rule's own limit and by the platform-wide percentage caps.
+
+export const calculateRuleAdjustment = (rule, amount, config = DYNAMIC_PRICING_CONFIG) => {
+  if (!(amount > 0)) return 0;
+
+  let adjustment = rule.adjustmentType === "fixed" ? rule.value : (amount * rule.value) / 100;
+  if (isNumber(rule.maxAdjustment)) adjustment = Math.min(adjustment, rule.maxAdjustment);
+
+  const capPercent = rule.kind === "surge" ? config.maxSurgePercent : config.maxOffPeakPercent;
+  adjustment = Math.min(adjustment, (amount * capPercent) / 100);
+
+  return round(rule.kind === "surge" ? adjustment : -adjustment);
+};
+
+//Rule to apply to a slot: the matching rule with the highest priority, or null
+
+export const selectPricingRule = (rules, situation) =>
+  rules
+    .filter((rule) => matchesPricingRule(rule, situation))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0))[0] || null;
+
+//Surge or off-peak adjustment of a booking's service amount, or null when no enabled rule applies
+
+export const getDynamicAdjustment = async (
+  { amount, slotStart, serviceAreaId, pincode },
+  config = DYNAMIC_PRICING_CONFIG
+) => {
+  const rules = await PricingRule.find({ isActive: true }).lean();
+  if (!rules.length) return null;
+
+  // Utilisation needs a look at the whole day, so it is only worked out when a rule asks for it
+  const utilisation = rules.some(usesUtilisation)
+    ? await getDayUtilisation({ date: slotStart, pincode })
+    : undefined;
+
+  const rule = selectPricingRule(rules, { slotStart, serviceAreaId, utilisation });
+  if (!rule) return null;
+
+  return {
+    amount: calculateRuleAdjustment(rule, amount, config),
+    rule: { ruleId: rule._id.toString(), name: rule.name, kind: rule.kind },
+    utilisation,
+  };
+};
+
+// What a past booking cost before delivery charges, discounts and tax
+const getServiceAmount = (booking) =>
+  booking.pricing?.subtotal ??
+  round((booking.services || []).reduce((total, line) => total + line.price * (line.quantity || 1), 0));
+
+//Replay past bookings through a rule to see what it would have changed.
+//Bookings covered by a membership or cancelled are left out.
+
+export const simulatePricingRule = async (
+  rule,
+  { from, to, now = new Date() } = {},
+  config = DYNAMIC_PRICING_CONFIG
+) => {
+  validatePricingRule(rule);
+
+  const end = to ? new Date(to) : now;
+  const start = from ? new Date(from) : new Date(end.getTime() - config.defaultSimulationDays * DAY_MS);
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+    throw new AppError("Simulation period must start before it ends", 400);
+  }
+  if (end - start > config.maxSimulationDays * DAY_MS) {
+    throw new AppError(`Simulations cover at most ${config.maxSimulationDays} days`, 400);
+  }
+
+  const bookings = await Booking.find({
+    scheduledDate: { $gte: new Date(start.getTime() - DAY_MS), $lte: end },
+    status: { $ne: "cancelled" },
+    "membershipCoverage.covered": { $ne: true },
+  })
+    .select("scheduledDate scheduledTime services pricing location.address.pincode")
+    .lean();
+
+  // Areas and day utilisation are shared by many bookings
+  const areas = new Map();
+  const utilisations = new Map();
+  const memo = async (cache, key, load) => {
+    if (!cache.has(key)) cache.set(key, await load());
+    return cache.get(key);
+  };
+
+  const byDay = Array.from({ length: 7 }, (_, day) => ({ day, bookings: 0, matched: 0, adjustment: 0 }));
+  const byHour = new Map();
+  const samples = [];
+  let considered = 0;
+  let matched = 0;
+  let revenueBefore = 0;
+  let totalAdjustment = 0;
+
+  for (const booking of bookings) {
+    const slotStart = getScheduledStart(booking);
+    if (!slotStart || slotStart < start || slotStart > end) continue;
+
+    const pincode = booking.location?.address?.pincode;
+    const { lat, lng } = booking.location || {};
+    const area = await memo(areas, `${pincode || ""}|${lat ?? ""},${lng ?? ""}`, () =>
+      findServiceArea({ pincode, lat, lng })
+    );
+    const utilisation = usesUtilisation(rule)
+      ? await memo(utilisations, `${formatBusinessDate(slotStart)}|${pincode || ""}`, () =>
+          getDayUtilisation({ date: slotStart, pincode })
+        )
+      : undefined;
+
+    const amount = getServiceAmount(booking);
+    const { weekday, minutes } = getBusinessClock(slotStart);
+    const hour = Math.floor(minutes / 60);
+    if (!byHour.has(hour)) byHour.set(hour, { hour, bookings: 0, matched: 0, adjustment: 0 });
+
+    considered += 1;
+    revenueBefore += amount;
+    byDay[weekday].bookings += 1;
+    byHour.get(hour).bookings += 1;
+
+    if (!matchesPricingRule(rule, { slotStart, serviceAreaId: area?._id, utilisation })) continue;
+
+    const adjustment = calculateRuleAdjustment(rule, amount, config);
+    matched += 1;
+    totalAdjustment += adjustment;
+    byDay[weekday].matched += 1;
+    byDay[weekday].adjustment += adjustment;
+    byHour.get(hour).matched += 1;
+    byHour.get(hour).adjustment += adjustment;
+
+    if (samples.length < config.simulationSampleSize) {
+      samples.push({ booking: booking._id, slotStart, amount, adjustment, utilisation });
+    }
+  }
+
+  const roundTotals = (row) => ({ ...row, adjustment: round(row.adjustment) });
+
+  return {
+    period: { from: start, to: end },
+    bookings: considered,
+    matched,
+    matchRate: considered ? round((matched / considered) * 100) : 0,
+    revenue: {
+      before: round(revenueBefore),
+      adjustment: round(totalAdjustment),
+      after: round(revenueBefore + totalAdjustment),
+    },
+    averageAdjustment: matched ? round(totalAdjustment / matched) : 0,
+    byDayOfWeek: byDay.map(roundTotals),
+    byHour: [...byHour.values()].sort((a, b) => a.hour - b.hour).map(roundTotals),
+    samples,
+  };
+};
+
+const pickTerms = (input) =>
+  Object.fromEntries(
+    ["name", ...RULE_TERMS].filter((field) => input[field] !== undefined).map((field) => [field, input[field]])
+  );
+
+//Pricing rules, enabled and highest priority first
+
+export const listPricingRules = () =>
+  PricingRule.find()
+    .sort({ isActive: -1, priority: -1, createdAt: -1 })
+    .populate("serviceAreas", "name pincode");
+
+//Create a rule. New rules start disabled so they can be simulated first.
+
+export const createPricingRule = async (input, admin) => {
+  const terms = pickTerms(input);
+  validatePricingRule(terms);
+
+  return PricingRule.create({
+    ...terms,
+    isActive: false,
+    revisedAt: new Date(),
+    createdBy: admin?.id,
+    updatedBy: admin?.id,
+  });
+};
+
+//Change a rule or switch it on and off. Enabling needs a simulation of the current terms,
+//and an enabled rule must be disabled before its terms change.
+
+export const updatePricingRule = async (ruleId, input, admin) => {
+  const rule = await PricingRule.findById(ruleId);
+  if (!rule) throw new AppError("Pricing rule not found", 404);
+
+  const terms = pickTerms(input);
+  const changesTerms = RULE_TERMS.some((field) => field in terms);
+
+  if (changesTerms) {
+    if (rule.isActive) {
+      throw new AppError("Disable the rule before changing its terms", 409, "PRICING_RULE_ACTIVE");
+    }
+    validatePricingRule({ ...rule.toObject(), ...terms });
+    rule.set(terms);
+    rule.revisedAt = new Date();
+  } else if (terms.name) {
+    rule.name = terms.name;
+  }
+
+  if (input.isActive === true && !rule.isActive) {
+    if (!rule.lastSimulation?.ranAt || rule.lastSimulation.ranAt < rule.revisedAt) {
+      throw new AppError(
+        "Simulate the rule against past bookings before enabling it",
+        409,
+        "SIMULATION_REQUIRED"
+      );
+    }
+    rule.isActive = true;
+  } else if (input.isActive === false) {
+    rule.isActive = false;
+  }
+
+  rule.updatedBy = admin?.id;
+  await rule.save();
+  return rule;
+};
+
+//Delete a rule that is not enabled
+
+export const deletePricingRule = async (ruleId) => {
+  const rule = await PricingRule.findById(ruleId);
+  if (!rule) throw new AppError("Pricing rule not found", 404);
+  if (rule.isActive) {
+    throw new AppError("Disable the rule before deleting it", 409, "PRICING_RULE_ACTIVE");
+  }
+
+  await rule.deleteOne();
+  return rule;
+};
+
+//Simulate a saved rule and remember the run, which allows it to be enabled
+
+export const simulateSavedPricingRule = async (ruleId, period) => {
+  const rule = await PricingRule.findById(ruleId);
+  if (!rule) throw new AppError("Pricing rule not found", 404);
+
+  const report = await simulatePricingRule(rule.toObject(), period);
+
+  rule.lastSimulation = {
+    ranAt: new Date(),
+    from: report.period.from,
+    to: report.period.to,
+    bookings: report.bookings,
+    matched: report.matched,
+    totalAdjustment: report.revenue.adjustment,
+  };
+  await rule.save();
+
+  return { rule, report };
+};
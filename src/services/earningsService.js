@@ -0,0 +1,496 @@
+import mongoose from "mongoose";
+import Service from "../models/serviceModel.js";
+import CashAccount from "../models/cashAccountModel.js";
+import CashLedgerEntry from "../models/cashLedgerEntryModel.js";
+import CommissionRule from "../models/commissionRuleModel.js";
+import EarningEntry from "../models/earningEntryModel.js";
+import PayoutBatch from "../models/payoutBatchModel.js";
+import { AppError } from "../utils/appError.js";
+import { DAY_MS, getBusinessClock, startOfBusinessDay } from "../utils/businessTime.js";
+import { EARNINGS_CONFIG } from "../config/earnings.js";
+import { postCashEntry } from "./cashSettlementService.js";
+import { sendPushNotification } from "./notificationService.js";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+//Commission rate for one job line.
+//Pure: an active rule for the professional wins, then one for the category, then the default.
+
+export const resolveCommissionRate = (
+  { category, professionalId },
+  rules = [],
+  config = EARNINGS_CONFIG
+) => {
+  const active = rules.filter((rule) => rule.isActive !== false);
+
+  const own = active.find(
+    (rule) => rule.scope === "professional" && String(rule.professional) === String(professionalId)
+  );
+  if (own) return own.rate;
+
+  const forCategory = active.find((rule) => rule.scope === "category" && rule.category === category);
+  if (forCategory) return forCategory.rate;
+
+  return config.defaultCommissionRate;
+};
+
+//What a completed booking earns its professional.
+//Pure: each service line is valued at its booked price, so promo and membership discounts
+//are carried by the platform, and charged the commission of its category.
+
+export const calculateJobEarnings = (booking, rules = [], categories = new Map(), config = EARNINGS_CONFIG) => {
+  let gross = 0;
+  let commission = 0;
+
+  for (const line of booking.services || []) {
+    const value = (line.price || 0) * (line.quantity || 1);
+    const rate = resolveCommissionRate(
+      {
+        category: categories.get(String(line.serviceId?._id || line.serviceId)),
+        professionalId: booking.professional,
+      },
+      rules,
+      config
+    );
+    gross += value;
+    commission += (value * rate) / 100;
+  }
+
+  gross = round(gross);
+  commission = round(commission);
+
+  return {
+    gross,
+    commission,
+    amount: round(gross - commission),
+    // Effective rate across all lines
+    commissionRate: gross > 0 ? round((commission / gross) * 100) : 0,
+  };
+};
+
+//Add a completed booking's earnings to its professional's ledger (once per booking)
+
+export const recordBookingEarnings = async (booking) => {
+  if (!booking.professional) return null;
+
+  const reference = `job:${booking._id}`;
+  const existing = await EarningEntry.findOne({ reference });
+  if (existing) return existing;
+
+  const serviceIds = (booking.services || []).map((line) => line.serviceId?._id || line.serviceId);
+  const services = await Service.find({ _id: { $in: serviceIds } }).select("category");
+  const categories = new Map(services.map((service) => [service._id.toString(), service.category]));
+
+  const rules = await CommissionRule.find({
+    isActive: true,
+    $or: [
+      { scope: "professional", professional: booking.professional },
+      { scope: "category", category: { $in: [...new Set(categories.values())] } },
+    ],
+  });
+
+  const earnings = calculateJobEarnings(booking, rules, categories);
+
+  try {
+    return await EarningEntry.create({
+      professional: booking.professional,
+      type: "job",
+      booking: booking._id,
+      ...earnings,
+      reference,
+      description: `Booking ${booking._id}`,
+      earnedAt: booking.serviceCompletedAt || new Date(),
+    });
+  } catch (error) {
+    // Recorded concurrently
+    if (error.code === 11000) return EarningEntry.findOne({ reference });
+    throw error;
+  }
+};
+
+//Week a payout batch made at `now` covers: the last full week before it.
+//Pure: weeks run from `payoutWeekStartsOn` 00:00 IST.
+
+export const getPayoutPeriod = (now = new Date(), config = EARNINGS_CONFIG) => {
+  const today = startOfBusinessDay(now);
+  const sinceWeekStart = (getBusinessClock(now).weekday - config.payoutWeekStartsOn + 7) % 7;
+  const periodEnd = new Date(today.getTime() - sinceWeekStart * DAY_MS);
+  return { periodStart: new Date(periodEnd.getTime() - 7 * DAY_MS), periodEnd };
+};
+
+//One professional's payout from their unpaid ledger entries.
+//Pure: COD cash they are holding is kept out of the transfer, never more than they earned.
+
+export const calculatePayout = (entries, cashInHand = 0) => {
+  const jobs = entries.filter((entry) => entry.type === "job");
+  const gross = round(jobs.reduce((total, entry) => total + entry.gross, 0));
+  const commission = round(jobs.reduce((total, entry) => total + entry.commission, 0));
+  const earnings = round(entries.reduce((total, entry) => total + entry.amount, 0));
+  const codDeduction = round(Math.min(Math.max(cashInHand, 0), Math.max(earnings, 0)));
+
+  return {
+    gross,
+    commission,
+    earnings,
+    codDeduction,
+    net: round(Math.max(earnings - codDeduction, 0)),
+    jobs: jobs.length,
+  };
+};
+
+const codDeductionReference = (batch, professionalId) => `payout:${batch._id}:${professionalId}`;
+
+// Settle COD cash against earnings: it leaves the professional's cash in hand and
+// shows as a deduction in their earnings, both under the batch. Both postings are
+// keyed by the batch, so repeating this after a crash posts nothing twice.
+const deductCodCash = async (batch, professionalId, amount) => {
+  await postCashEntry({
+    professionalId,
+    type: "adjustment",
+    amount: -amount,
+    reference: codDeductionReference(batch, professionalId),
+    note: `Deducted from payout for the week of ${batch.periodStart.toISOString().slice(0, 10)}`,
+  });
+
+  const reference = `cod-deduction:${batch._id}:${professionalId}`;
+  return EarningEntry.findOneAndUpdate(
+    { reference },
+    {
+      $setOnInsert: {
+        professional: professionalId,
+        type: "cod_deduction",
+        amount: -amount,
+        status: "batched",
+        payoutBatch: batch._id,
+        description: "COD cash already collected",
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Add one professional's payout to the batch and save it. Entries a crashed run already
+// batched are counted again, and COD cash it already deducted is not deducted twice.
+const addPayout = async (batch, professionalId, entries) => {
+  const deducted = await CashLedgerEntry.findOne({ reference: codDeductionReference(batch, professionalId) });
+  const cashInHand = deducted
+    ? -deducted.amount
+    : (await CashAccount.findOne({ professional: professionalId }))?.balance || 0;
+  const payout = calculatePayout(entries, cashInHand);
+
+  await EarningEntry.updateMany(
+    { _id: { $in: entries.map((entry) => entry._id) }, status: "unpaid" },
+    { $set: { status: "batched", payoutBatch: batch._id } }
+  );
+  if (payout.codDeduction > 0) {
+    await deductCodCash(batch, professionalId, payout.codDeduction);
+  }
+
+  batch.payouts.push({
+    professional: professionalId,
+    ...payout,
+    status: payout.net > 0 ? "pending" : "settled",
+  });
+  await batch.save();
+};
+
+//Background job: batch last week's unpaid earnings into payouts for admins to approve.
+//Runs often but makes each week's batch only once; a batch left half-built by a crash
+//is finished by the next run instead of being returned as it is.
+
+export const createPayoutBatch = async (now = new Date(), config = EARNINGS_CONFIG) => {
+  const { periodStart, periodEnd } = getPayoutPeriod(now, config);
+
+  let batch = await PayoutBatch.findOne({ periodStart });
+  if (batch && (batch.assembledAt || batch.status !== "draft")) return batch;
+
+  if (!batch) {
+    try {
+      batch = await PayoutBatch.create({ periodStart, periodEnd });
+    } catch (error) {
+      // Created by another run
+      if (error.code === 11000) return PayoutBatch.findOne({ periodStart });
+      throw error;
+    }
+  }
+
+  // Earlier unpaid entries (e.g. from failed payouts) are paid with this week's
+  const entries = await EarningEntry.find({
+    $or: [
+      { status: "unpaid", earnedAt: { $lt: periodEnd } },
+      { status: "batched", payoutBatch: batch._id, type: { $ne: "cod_deduction" } },
+    ],
+  });
+  const done = new Set(batch.payouts.map((payout) => payout.professional.toString()));
+  const byProfessional = new Map();
+  for (const entry of entries) {
+    const key = entry.professional.toString();
+    if (done.has(key)) continue;
+    if (!byProfessional.has(key)) byProfessional.set(key, []);
+    byProfessional.get(key).push(entry);
+  }
+
+  for (const [professionalId, own] of byProfessional) {
+    await addPayout(batch, professionalId, own);
+  }
+
+  batch.totals = {
+    professionals: batch.payouts.length,
+    gross: round(batch.payouts.reduce((total, payout) => total + payout.gross, 0)),
+    commission: round(batch.payouts.reduce((total, payout) => total + payout.commission, 0)),
+    codDeduction: round(batch.payouts.reduce((total, payout) => total + payout.codDeduction, 0)),
+    net: round(batch.payouts.reduce((total, payout) => total + payout.net, 0)),
+  };
+  batch.assembledAt = new Date();
+  await batch.save();
+
+  return batch;
+};
+
+//Admin approves a draft batch so its payouts can be transferred
+
+export const approvePayoutBatch = async (batchId, admin) => {
+  const batch = await PayoutBatch.findOneAndUpdate(
+    { _id: batchId, status: "draft", assembledAt: { $exists: true } },
+    { $set: { status: "approved", approvedBy: admin.id, approvedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!batch) {
+    const existing = await PayoutBatch.findById(batchId);
+    if (!existing) throw new AppError("Payout batch not found", 404);
+    if (existing.status === "draft") {
+      throw new AppError("This batch is still being put together", 409, "PAYOUT_BATCH_INCOMPLETE");
+    }
+    throw new AppError(`A ${existing.status} batch cannot be approved`, 409, "PAYOUT_BATCH_NOT_DRAFT");
+  }
+
+  return batch;
+};
+
+//Record the outcome of one professional's transfer. Failed payouts go back to unpaid
+//and are picked up by the next batch.
+
+export const updatePayoutStatus = async (
+  batchId,
+  professionalId,
+  { status, transferReference, failureReason }
+) => {
+  const batch = await PayoutBatch.findById(batchId);
+  if (!batch) throw new AppError("Payout batch not found", 404);
+  if (batch.status !== "approved") {
+    throw new AppError("Payouts can only be updated once the batch is approved", 409, "PAYOUT_BATCH_NOT_APPROVED");
+  }
+
+  const payout = batch.payouts.find((item) => item.professional.toString() === String(professionalId));
+  if (!payout) throw new AppError("This professional has no payout in the batch", 404);
+  if (payout.status !== "pending") {
+    throw new AppError(`This payout is already ${payout.status}`, 409, "PAYOUT_ALREADY_SETTLED");
+  }
+
+  const entries = { professional: payout.professional, payoutBatch: batch._id, status: "batched" };
+  if (status === "paid") {
+    payout.status = "paid";
+    payout.transferReference = transferReference;
+    payout.paidAt = new Date();
+    await EarningEntry.updateMany(entries, { $set: { status: "paid" } });
+  } else {
+    payout.status = "failed";
+    payout.failureReason = failureReason;
+    await EarningEntry.updateMany(entries, { $set: { status: "unpaid" }, $unset: { payoutBatch: 1 } });
+  }
+
+  if (batch.payouts.every((item) => item.status !== "pending")) {
+    batch.status = "completed";
+    batch.completedAt = new Date();
+  }
+  await batch.save();
+
+  try {
+    await sendPushNotification(
+      {
+        title: status === "paid" ? "Payout Sent" : "Payout Failed",
+        message:
+          status === "paid"
+            ? `₹${payout.net} has been paid out for the week of ${batch.periodStart.toISOString().slice(0, 10)}`
+            : `Your payout of ₹${payout.net} could not be sent and will be retried with the next payout`,
+        type: "payment",
+        actionType: "none",
+      },
+      payout.professional
+    );
+  } catch (error) {
+    console.error(`Failed to notify professional ${payout.professional} about payout:`, error);
+  }
+
+  return batch;
+};
+
+const dateRange = ({ from, to } = {}) => {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  return Object.keys(range).length ? { earnedAt: range } : {};
+};
+
+//Earnings overview of a professional: totals for the period, what is still owed and recent payouts
+
+export const getEarningsSummary = async (professionalId, { from, to, page = 1, limit = 20 } = {}) => {
+  const professional = new mongoose.Types.ObjectId(String(professionalId));
+  const query = { professional, ...dateRange({ from, to }) };
+
+  const [totals, balances, entries, total, batches] = await Promise.all([
+    EarningEntry.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: null,
+          gross: { $sum: "$gross" },
+          commission: { $sum: "$commission" },
+          net: { $sum: "$amount" },
+          jobs: { $sum: { $cond: [{ $eq: ["$type", "job"] }, 1, 0] } },
+        },
+      },
+    ]),
+    EarningEntry.aggregate([
+      { $match: { professional } },
+      { $group: { _id: "$status", amount: { $sum: "$amount" } } },
+    ]),
+    EarningEntry.find(query)
+      .sort({ earnedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("booking", "scheduledDate services.title"),
+    EarningEntry.countDocuments(query),
+    PayoutBatch.find({ "payouts.professional": professional }).sort({ periodStart: -1 }).limit(5),
+  ]);
+
+  const balance = (status) => round(balances.find((item) => item._id === status)?.amount || 0);
+
+  return {
+    totals: {
+      gross: round(totals[0]?.gross || 0),
+      commission: round(totals[0]?.commission || 0),
+      net: round(totals[0]?.net || 0),
+      jobs: totals[0]?.jobs || 0,
+      currency: "INR",
+    },
+    balances: { unpaid: balance("unpaid"), inPayout: balance("batched"), paid: balance("paid") },
+    payouts: batches.map((batch) => {
+      const own = batch.payouts.find((item) => item.professional.equals(professional));
+      return {
+        batchId: batch._id,
+        periodStart: batch.periodStart,
+        periodEnd: batch.periodEnd,
+        net: own.net,
+        codDeduction: own.codDeduction,
+        status: own.status,
+        paidAt: own.paidAt,
+      };
+    }),
+    entries,
+    pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+  };
+};
+
+//Every ledger line of a professional in a period, oldest first, with totals
+
+export const getEarningsStatement = async (professionalId, { from, to } = {}) => {
+  const entries = await EarningEntry.find({ professional: professionalId, ...dateRange({ from, to }) })
+    .sort({ earnedAt: 1 })
+    .lean();
+
+  const rows = entries.map((entry) => ({
+    date: entry.earnedAt,
+    type: entry.type,
+    description: entry.description,
+    booking: entry.booking,
+    gross: entry.gross || 0,
+    commissionRate: entry.commissionRate,
+    commission: entry.commission || 0,
+    amount: entry.amount,
+    status: entry.status,
+  }));
+
+  return {
+    from: from ? new Date(from) : null,
+    to: to ? new Date(to) : null,
+    rows,
+    totals: {
+      gross: round(rows.reduce((total, row) => total + row.gross, 0)),
+      commission: round(rows.reduce((total, row) => total + row.commission, 0)),
+      net: round(rows.reduce((total, row) => total + row.amount, 0)),
+    },
+  };
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+//Statement as CSV.
+//Pure: one row per ledger line and a closing totals row.
+
+export const toStatementCsv = (statement) => {
+  const header = ["Date", "Type", "Description", "Booking", "Gross", "Commission %", "Commission", "Amount", "Status"];
+  const lines = statement.rows.map((row) =>
+    [
+      row.date ? new Date(row.date).toISOString().slice(0, 10) : "",
+      row.type,
+      row.description,
+      row.booking,
+      row.gross,
+      row.commissionRate,
+      row.commission,
+      row.amount,
+      row.status,
+    ]
+      .map(csvCell)
+      .join(",")
+  );
+  const totals = ["", "", "Total", "", statement.totals.gross, "", statement.totals.commission, statement.totals.net, ""];
+
+  return [header.join(","), ...lines, totals.map(csvCell).join(",")].join("\n");
+};
+
+//Commission rules, professional rules first
+
+export const listCommissionRules = () =>
+  CommissionRule.find().sort({ scope: -1, category: 1 }).populate("professional", "name phone");
+
+//Create or replace the rule for a category or professional
+
+export const saveCommissionRule = async ({ scope, category, professionalId, rate, isActive = true, note }, admin) => {
+  const filter = scope === "category" ? { scope, category } : { scope, professional: professionalId };
+
+  return CommissionRule.findOneAndUpdate(
+    filter,
+    { $set: { ...filter, rate, isActive, note, updatedBy: admin?.id } },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+//Remove a commission rule; matching jobs fall back to the next rule or the default
+
+export const deleteCommissionRule = async (ruleId) => {
+  const rule = await CommissionRule.findByIdAndDelete(ruleId);
+  if (!rule) throw new AppError("Commission rule not found", 404);
+  return rule;
+};
+
+//Payout batches, newest first
+
+export const listPayoutBatches = async ({ status, page = 1, limit = 10 } = {}) => {
+  const query = status ? { status } : {};
+  const [batches, total] = await Promise.all([
+    PayoutBatch.find(query)
+      .select("-payouts")
+      .sort({ periodStart: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    PayoutBatch.countDocuments(query),
+  ]);
+
+  return { batches, pagination: { total, page, limit, pages: Math.ceil(total / limit) } };
+};
@@ -0,0 +1,111 @@
+import { EventEmitter } from "events";
+import { EVENT_STREAM_CONFIG } from "../config/events.js";
+
+// In-process bus: events reach streams opened on this server instance only
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Ids restart with the process; the boot id tells a Last-Event-ID from an earlier run apart
+const BOOT_ID = Date.now().toString(36);
+let sequence = 0;
+
+// userId -> { events (oldest first), droppedThrough (last sequence no longer kept) }
+const recentEvents = new Map();
+// Sequence current when a user's events were last dropped to make room for others
+let lastEvictionSequence = 0;
+
+const formatEventId = (seq) => `${BOOT_ID}-${seq}`;
+
+//Split an event id into its boot id and sequence number, or null when malformed
+
+export const parseEventId = (id) => {
+  const match = /^([0-9a-z]+)-(\d+)$/.exec(String(id || "").trim());
+  return match ? { bootId: match[1], sequence: Number(match[2]) } : null;
+};
+
+//Id of the latest event published by this process
+
+export const getCurrentEventId = () => formatEventId(sequence);
+
+const remember = (userId, event, config) => {
+  const entry = recentEvents.get(userId) || { events: [], droppedThrough: 0 };
+  // Re-inserting keeps the map ordered from least to most recently active user
+  recentEvents.delete(userId);
+  recentEvents.set(userId, entry);
+
+  entry.events.push(event);
+  const cutoff = event.at - config.replayWindowMinutes * 60 * 1000;
+  while (entry.events.length > config.replayLimit || entry.events[0].at < cutoff) {
+    entry.droppedThrough = entry.events.shift().sequence;
+  }
+
+  if (recentEvents.size > config.maxReplayUsers) {
+    recentEvents.delete(recentEvents.keys().next().value);
+    lastEvictionSequence = sequence;
+  }
+};
+
+//Publish an event to the given users' open streams and keep it for resume.
+//Never throws: publishing is a side effect of the caller's real work.
+
+export const publishEvent = (userIds, type, data, { config = EVENT_STREAM_CONFIG } = {}) => {
+  const recipients = [
+    ...new Set(
+      (Array.isArray(userIds) ? userIds : [userIds])
+        .filter(Boolean)
+        .map((id) => (id._id || id).toString())
+    ),
+  ];
+  if (!recipients.length) return null;
+
+  sequence += 1;
+  const event = { id: formatEventId(sequence), sequence, type, data, at: Date.now() };
+
+  for (const userId of recipients) {
+    try {
+      remember(userId, event, config);
+      emitter.emit(userId, event);
+    } catch (error) {
+      console.error(`Failed to publish ${type} event to user ${userId}:`, error);
+    }
+  }
+
+  return event;
+};
+
+//Events for a user published after `lastEventId`.
+//`complete` is false when some of them are no longer kept (or were published
+//before a restart) and the client has to reload its data.
+
+export const getEventsSince = (userId, lastEventId) => {
+  const parsed = parseEventId(lastEventId);
+  if (!parsed || parsed.bootId !== BOOT_ID || parsed.sequence > sequence) {
+    return { events: [], complete: false };
+  }
+
+  const entry = recentEvents.get(String(userId));
+  if (!entry) {
+    // Nothing kept: either nothing was published to the user or it was dropped
+    return { events: [], complete: parsed.sequence >= lastEvictionSequence };
+  }
+
+  return {
+    events: entry.events.filter((event) => event.sequence > parsed.sequence),
+    complete: parsed.sequence >= entry.droppedThrough,
+  };
+};
+
+//Call `listener` with each event published to the user; returns the unsubscribe function
+
+export const subscribeToEvents = (userId, listener) => {
+  const key = String(userId);
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+};
+
+export const countSubscribers = (userId) => emitter.listenerCount(String(userId));
+
+//An event in the text/event-stream wire format
+
+export const formatSseMessage = ({ id, type, data }) =>
+  (id ? `id: ${id}\n` : "") + `event: ${type}\ndata: ${JSON.stringify(data ?? {})}\n\n`;
@@ -0,0 +1,434 @@
+import Booking from "../models/bookingModel.js";
+import Counter from "../models/counterModel.js";
+import Invoice from "../models/invoiceModel.js";
+import { AppError } from "../utils/appError.js";
+import { getBusinessClock } from "../utils/businessTime.js";
+import { renderTextPdf } from "../utils/pdf.js";
+import { GST_STATE_CODES, INVOICE_CONFIG } from "../config/invoicing.js";
+
+const toPaise = (amount) => Math.round((amount || 0) * 100);
+const toRupees = (paise) => paise / 100;
+const round = (value) => Math.round(value * 100) / 100;
+
+//Indian financial year (April to March) a date falls in, e.g. "2024-25"
+
+export const getFinancialYear = (date = new Date()) => {
+  const { year, month } = getBusinessClock(date);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+};
+
+//Printed document number, e.g. INV/2024-25/000042
+
+export const formatDocumentNumber = (prefix, financialYear, seq) =>
+  `${prefix}/${financialYear}/${String(seq).padStart(6, "0")}`;
+
+// Three-digit pincode prefixes whose state differs from their two-digit region
+const PINCODE_PREFIX3_STATES = {
+  160: "04", 194: "38", 246: "05", 247: "05", 248: "05", 249: "05", 262: "05", 263: "05",
+  403: "30", 490: "22", 491: "22", 492: "22", 493: "22", 494: "22", 495: "22", 496: "22", 497: "22",
+  605: "34", 682: "32", 737: "11", 744: "35", 790: "12", 791: "12", 792: "12", 793: "17", 794: "17",
+  795: "14", 796: "15", 797: "13", 798: "13", 799: "16", 814: "20", 815: "20", 816: "20", 825: "20",
+  826: "20", 827: "20", 828: "20", 829: "20", 831: "20", 832: "20", 833: "20", 834: "20", 835: "20",
+};
+
+const PINCODE_PREFIX2_STATES = {
+  11: "07", 12: "06", 13: "06", 14: "03", 15: "03", 16: "03", 17: "02", 18: "01", 19: "01",
+  20: "09", 21: "09", 22: "09", 23: "09", 24: "09", 25: "09", 26: "09", 27: "09", 28: "09",
+  30: "08", 31: "08", 32: "08", 33: "08", 34: "08", 36: "24", 37: "24", 38: "24", 39: "24",
+  40: "27", 41: "27", 42: "27", 43: "27", 44: "27", 45: "23", 46: "23", 47: "23", 48: "23", 49: "22",
+  50: "36", 51: "37", 52: "37", 53: "37", 56: "29", 57: "29", 58: "29", 59: "29",
+  60: "33", 61: "33", 62: "33", 63: "33", 64: "33", 67: "32", 68: "32", 69: "32",
+  70: "19", 71: "19", 72: "19", 73: "19", 74: "19", 75: "21", 76: "21", 77: "21", 78: "18", 79: "18",
+  80: "10", 81: "10", 82: "10", 83: "10", 84: "10", 85: "10",
+};
+
+//GST state code a pincode belongs to, or null when unknown.
+//Pure: postal regions follow state borders closely enough for the place of supply.
+
+export const getStateCodeForPincode = (pincode) => {
+  const digits = String(pincode || "").trim();
+  if (!/^\d{6}$/.test(digits)) return null;
+  return PINCODE_PREFIX3_STATES[digits.slice(0, 3)] || PINCODE_PREFIX2_STATES[digits.slice(0, 2)] || null;
+};
+
+//Place of supply for a service address: its state if given, else its pincode,
+//else the seller's own state
+
+export const getPlaceOfSupply = (address = {}, sellerStateCode = INVOICE_CONFIG.seller.stateCode) => {
+  const byName = Object.entries(GST_STATE_CODES).find(
+    ([, name]) => name.toLowerCase() === String(address.state || "").trim().toLowerCase()
+  );
+  return byName?.[0] || getStateCodeForPincode(address.pincode) || sellerStateCode;
+};
+
+// Tax on one line in paise: inclusive prices are split into taxable value and tax
+const taxLine = (chargedPaise, rate, pricesIncludeTax) => {
+  if (pricesIncludeTax) {
+    const taxable = Math.round((chargedPaise * 100) / (100 + rate));
+    return { taxable, tax: chargedPaise - taxable };
+  }
+  return { taxable: chargedPaise, tax: Math.round((chargedPaise * rate) / 100) };
+};
+
+//GST lines and totals for the amount charged on a set of items.
+//Pure: `total` (INR) is spread over the items by value, so any discount shows per line and
+//the invoice adds up to exactly what was charged. Intra-state supplies split GST into
+//CGST and SGST; inter-state supplies carry IGST.
+
+export const calculateInvoiceLines = (
+  items,
+  { total, intraState, rate = INVOICE_CONFIG.gstRate, pricesIncludeTax = INVOICE_CONFIG.pricesIncludeTax, sac = INVOICE_CONFIG.sacCode }
+) => {
+  const priced = items.map((item) => ({
+    ...item,
+    quantity: item.quantity || 1,
+    grossPaise: toPaise(item.unitPrice) * (item.quantity || 1),
+  }));
+  const grossPaise = priced.reduce((sum, item) => sum + item.grossPaise, 0);
+  const totalPaise = toPaise(total);
+
+  // Charged more than the list prices: the difference is its own line
+  if (totalPaise > grossPaise) {
+    priced.push({ description: "Other charges", quantity: 1, unitPrice: toRupees(totalPaise - grossPaise), grossPaise: totalPaise - grossPaise });
+  }
+
+  const chargeable = Math.min(totalPaise, grossPaise);
+  let allocated = 0;
+
+  const lines = priced.map((item, index) => {
+    let share;
+    if (index >= items.length) share = item.grossPaise;
+    else if (index === items.length - 1) share = chargeable - allocated;
+    else share = Math.round((chargeable * item.grossPaise) / (grossPaise || 1));
+    allocated += share;
+
+    const { taxable, tax } = taxLine(share, rate, pricesIncludeTax);
+    const cgst = intraState ? Math.round(tax / 2) : 0;
+    const sgst = intraState ? tax - cgst : 0;
+    const igst = intraState ? 0 : tax;
+
+    return {
+      description: item.description,
+      sac,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      discount: toRupees(item.grossPaise - share),
+      taxableValue: toRupees(taxable),
+      cgstRate: intraState ? rate / 2 : 0,
+      cgst: toRupees(cgst),
+      sgstRate: intraState ? rate / 2 : 0,
+      sgst: toRupees(sgst),
+      igstRate: intraState ? 0 : rate,
+      igst: toRupees(igst),
+      total: toRupees(taxable + tax),
+    };
+  });
+
+  const sum = (field) => toRupees(lines.reduce((total, line) => total + toPaise(line[field]), 0));
+  const totals = {
+    taxableValue: sum("taxableValue"),
+    cgst: sum("cgst"),
+    sgst: sum("sgst"),
+    igst: sum("igst"),
+    grandTotal: sum("total"),
+  };
+  totals.totalTax = round(totals.cgst + totals.sgst + totals.igst);
+
+  return { lines, totals };
+};
+
+// Printed number of the `seq`-th document of a type, in the financial year it was issued
+const formatClaim = (type, seq, issuedAt) => {
+  const financialYear = getFinancialYear(issuedAt);
+  const prefix = type === "credit_note" ? INVOICE_CONFIG.creditNotePrefix : INVOICE_CONFIG.invoicePrefix;
+  return { number: formatDocumentNumber(prefix, financialYear, seq), financialYear, issuedAt };
+};
+
+// A claim left without a number for this long was abandoned and may be taken over
+const CLAIM_TIMEOUT_MS = 60 * 1000;
+
+// Store a number in the claim it was allocated to and free the sequence for the next one
+const keepNumber = async (counter, claimId) => {
+  await Counter.updateOne(
+    { _id: claimId, seq: 0 },
+    { $set: { seq: counter.seq, updatedAt: counter.updatedAt } },
+    { timestamps: false }
+  );
+  await Counter.updateOne({ _id: counter._id, holder: claimId, seq: counter.seq }, { $unset: { holder: 1 } });
+};
+
+// Next number of a sequence, for the claim `claimId`. The sequence records which claim it
+// numbered until that claim has kept the number, and gives out no other number meanwhile.
+// A crash in between so leaves the number with its claim instead of losing it: the next
+// call hands it over before taking its own.
+const allocateNumber = async (counterId, claimId) => {
+  for (;;) {
+    let counter;
+    try {
+      counter = await Counter.findOneAndUpdate(
+        { _id: counterId, holder: null },
+        { $inc: { seq: 1 }, $set: { holder: claimId } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Held by a claim that has not kept its number yet
+      if (error.code !== 11000) throw error;
+      counter = await Counter.findById(counterId);
+      if (counter?.holder && counter.holder !== claimId) {
+        await keepNumber(counter, counter.holder);
+        continue;
+      }
+      if (!counter?.holder) continue;
+    }
+
+    await keepNumber(counter, claimId);
+    return counter;
+  }
+};
+
+// Number for the one document issued under `key` (a booking's invoice, a refund's credit note).
+// Numbers are gap-free per document type and financial year: a claim is placed first and only
+// the call that wins it takes a number, which the claim keeps so a retry after a crash reuses it.
+// Returns null while another call is issuing the same document.
+const claimDocumentNumber = async (type, key) => {
+  const _id = `${type}-claim:${key}`;
+  const now = new Date();
+
+  const claim = await Counter.findOneAndUpdate(
+    { _id },
+    { $setOnInsert: { seq: 0 } },
+    { upsert: true, new: false }
+  );
+  if (claim?.seq) {
+    return formatClaim(type, claim.seq, claim.updatedAt);
+  }
+  if (claim) {
+    if (now - claim.updatedAt < CLAIM_TIMEOUT_MS) return null;
+    const taken = await Counter.updateOne(
+      { _id, seq: 0, updatedAt: claim.updatedAt },
+      { $set: { updatedAt: now } },
+      { timestamps: false }
+    );
+    if (!taken.modifiedCount) return null;
+  }
+
+  await allocateNumber(`${type}:${getFinancialYear(now)}`, _id);
+
+  // The number this claim keeps; another call may have handed it over already
+  const kept = await Counter.findById(_id);
+  return formatClaim(type, kept.seq, kept.updatedAt);
+};
+
+const getSellerSnapshot = (config) => ({
+  name: config.seller.legalName,
+  gstin: config.seller.gstin,
+  address: config.seller.address,
+  email: config.seller.email,
+  stateCode: config.seller.stateCode,
+  stateName: GST_STATE_CODES[config.seller.stateCode],
+});
+
+const formatAddress = (address = {}) =>
+  [address.address, address.landmark, address.city, address.state, address.pincode].filter(Boolean).join(", ");
+
+//Whether a booking is due an invoice: it was paid for or the service was delivered
+
+export const isInvoiceable = (booking) =>
+  (booking.totalAmount || 0) > 0 &&
+  (booking.paymentStatus === "paid" || booking.status === "completed");
+
+//Issue the tax invoice of a booking (once; later calls return the same invoice)
+
+export const issueBookingInvoice = async (bookingId, { paymentId, config = INVOICE_CONFIG } = {}) => {
+  const existing = await Invoice.findOne({ booking: bookingId, type: "invoice" });
+  if (existing) return existing;
+
+  const booking = await Booking.findById(bookingId).populate("customer", "name phone email");
+  if (!booking) throw new AppError("Booking not found", 404);
+  if (!isInvoiceable(booking)) return null;
+
+  const address = booking.location?.address || {};
+  const placeOfSupply = getPlaceOfSupply(address, config.seller.stateCode);
+  const intraState = placeOfSupply === config.seller.stateCode;
+
+  const { lines, totals } = calculateInvoiceLines(
+    booking.services.map((line) => ({
+      description: line.title || "Vehicle service",
+      quantity: line.quantity,
+      unitPrice: line.price,
+    })),
+    {
+      total: booking.totalAmount,
+      intraState,
+      rate: config.gstRate,
+      // Server-priced bookings already charged any tax added on top
+      pricesIncludeTax: booking.pricing ? true : config.pricesIncludeTax,
+      sac: config.sacCode,
+    }
+  );
+
+  const claim = await claimDocumentNumber("invoice", booking._id);
+  if (!claim) return Invoice.findOne({ booking: booking._id, type: "invoice" });
+  const { number, financialYear, issuedAt } = claim;
+
+  try {
+    return await Invoice.create({
+      type: "invoice",
+      number,
+      financialYear,
+      booking: booking._id,
+      customer: booking.customer._id,
+      payment: paymentId || booking.paymentId,
+      issuedAt,
+      seller: getSellerSnapshot(config),
+      buyer: {
+        name: booking.customer.name,
+        phone: booking.customer.phone,
+        email: booking.customer.email,
+        address: formatAddress(address),
+        stateCode: placeOfSupply,
+        stateName: GST_STATE_CODES[placeOfSupply],
+      },
+      placeOfSupply,
+      supplyType: intraState ? "intra" : "inter",
+      lines,
+      totals,
+    });
+  } catch (error) {
+    // Issued concurrently, e.g. by the payment webhook and the verify call
+    if (error.code === 11000) return Invoice.findOne({ booking: booking._id, type: "invoice" });
+    throw error;
+  }
+};
+
+//Issue a credit note for money refunded on an invoiced booking (once per refund).
+//Returns null when the booking was never invoiced.
+
+export const issueCreditNote = async ({ bookingId, amount, reason, refundReference, paymentId }) => {
+  const existing = await Invoice.findOne({ type: "credit_note", refundReference });
+  if (existing) return existing;
+
+  const invoice = await Invoice.findOne({ booking: bookingId, type: "invoice" });
+  if (!invoice) return null;
+
+  const credited = await Invoice.find({ type: "credit_note", originalInvoice: invoice._id }).select("totals");
+  const remaining = round(
+    invoice.totals.grandTotal - credited.reduce((total, note) => total + note.totals.grandTotal, 0)
+  );
+  const value = round(Math.min(amount, remaining));
+  if (!(value > 0)) return null;
+
+  // Refunds give back tax-inclusive money, spread over the invoice's lines
+  const { lines, totals } = calculateInvoiceLines(
+    invoice.lines.map((line) => ({ description: line.description, quantity: 1, unitPrice: line.total })),
+    {
+      total: value,
+      intraState: invoice.supplyType === "intra",
+      rate: invoice.lines[0].cgstRate * 2 || invoice.lines[0].igstRate,
+      pricesIncludeTax: true,
+      sac: invoice.lines[0].sac,
+    }
+  );
+
+  const claim = await claimDocumentNumber("credit_note", refundReference);
+  if (!claim) return Invoice.findOne({ type: "credit_note", refundReference });
+  const { number, financialYear, issuedAt } = claim;
+
+  try {
+    return await Invoice.create({
+      type: "credit_note",
+      number,
+      financialYear,
+      booking: invoice.booking,
+      customer: invoice.customer,
+      payment: paymentId || invoice.payment,
+      originalInvoice: invoice._id,
+      refundReference,
+      reason,
+      issuedAt,
+      seller: invoice.seller,
+      buyer: invoice.buyer,
+      placeOfSupply: invoice.placeOfSupply,
+      supplyType: invoice.supplyType,
+      lines: lines.map((line) => ({ ...line, unitPrice: line.total, discount: 0 })),
+      totals,
+    });
+  } catch (error) {
+    if (error.code === 11000) return Invoice.findOne({ type: "credit_note", refundReference });
+    throw error;
+  }
+};
+
+//Invoice of a booking with its credit notes
+
+export const getBookingInvoice = async (bookingId) => {
+  const invoice = await Invoice.findOne({ booking: bookingId, type: "invoice" });
+  const creditNotes = invoice
+    ? await Invoice.find({ originalInvoice: invoice._id, type: "credit_note" }).sort({ issuedAt: 1 })
+    : [];
+  return { invoice, creditNotes };
+};
+
+const money = (value) => `Rs. ${Number(value || 0).toFixed(2)}`;
+
+//Render an invoice or credit note as a PDF
+
+export const renderInvoicePdf = (invoice, originalNumber) => {
+  const title = invoice.type === "credit_note" ? "CREDIT NOTE" : "TAX INVOICE";
+  const date = new Date(invoice.issuedAt).toISOString().slice(0, 10);
+  const party = (label, value) => (value ? [{ text: `${label}: ${value}`, indent: 10 }] : []);
+  const row = (...cells) =>
+    cells.map(([value, width]) => String(value).slice(0, Math.abs(width))[width < 0 ? "padEnd" : "padStart"](Math.abs(width))).join(" ");
+  const taxHeader = invoice.supplyType === "intra" ? ["CGST", "SGST"] : ["IGST"];
+
+  const lines = [
+    { text: title, font: "bold", size: 16 },
+    { text: `${invoice.type === "credit_note" ? "Credit note" : "Invoice"} no: ${invoice.number}`, gap: 6 },
+    { text: `Date: ${date}` },
+    ...(originalNumber ? [{ text: `Against invoice: ${originalNumber}` }] : []),
+    ...(invoice.reason ? [{ text: `Reason: ${invoice.reason}` }] : []),
+    { text: "Supplier", font: "bold", gap: 10 },
+    ...party("Name", invoice.seller.name),
+    ...party("GSTIN", invoice.seller.gstin),
+    ...party("Address", invoice.seller.address),
+    ...party("State", `${invoice.seller.stateName || ""} (${invoice.seller.stateCode})`),
+    { text: "Billed to", font: "bold", gap: 10 },
+    ...party("Name", invoice.buyer.name),
+    ...party("GSTIN", invoice.buyer.gstin),
+    ...party("Phone", invoice.buyer.phone),
+    ...party("Address", invoice.buyer.address),
+    ...party("Place of supply", `${invoice.buyer.stateName || ""} (${invoice.placeOfSupply})`),
+    {
+      text: row(["Description", -24], ["SAC", -7], ["Qty", 4], ["Taxable", 11], ...taxHeader.map((name) => [name, 9]), ["Total", 11]),
+      font: "mono",
+      size: 9,
+      gap: 12,
+    },
+    ...invoice.lines.map((line) => ({
+      text: row(
+        [line.description, -24],
+        [line.sac || "", -7],
+        [line.quantity, 4],
+        [line.taxableValue.toFixed(2), 11],
+        ...(invoice.supplyType === "intra"
+          ? [[line.cgst.toFixed(2), 9], [line.sgst.toFixed(2), 9]]
+          : [[line.igst.toFixed(2), 9]]),
+        [line.total.toFixed(2), 11]
+      ),
+      font: "mono",
+      size: 9,
+    })),
+    { text: `Taxable value: ${money(invoice.totals.taxableValue)}`, gap: 12 },
+    ...(invoice.supplyType === "intra"
+      ? [
+          { text: `CGST @ ${invoice.lines[0].cgstRate}%: ${money(invoice.totals.cgst)}` },
+          { text: `SGST @ ${invoice.lines[0].sgstRate}%: ${money(invoice.totals.sgst)}` },
+        ]
+      : [{ text: `IGST @ ${invoice.lines[0].igstRate}%: ${money(invoice.totals.igst)}` }]),
+    { text: `${invoice.type === "credit_note" ? "Total credited" : "Total"}: ${money(invoice.totals.grandTotal)}`, font: "bold", size: 12, gap: 4 },
+    { text: "This is a computer generated document and does not need a signature.", size: 8, gap: 20 },
+  ];
+
+  return renderTextPdf(lines, { title: `${title} ${invoice.number}`, author: invoice.seller.name });
+};
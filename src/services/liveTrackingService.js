@@ -0,0 +1,211 @@
+import Booking from "../models/bookingModel.js";
+import Location from "../models/locationModel.js";
+import { sendPushNotification } from "./notificationService.js";
+import { publishEvent } from "./eventBus.js";
+import { GEOFENCE_EVENTS, TRACKING_CONFIG } from "../config/tracking.js";
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Status in which the professional's position is shared with the customer
+export const LIVE_TRACKING_STATUS = "on-the-way";
+
+const GEOFENCE_MESSAGES = {
+  arriving_soon: "Your professional is arriving soon",
+  arrived: "Your professional has arrived",
+};
+
+// Booking field stamped when each geofence event fires
+const GEOFENCE_FIELDS = {
+  arriving_soon: "arrivingSoonAt",
+  arrived: "arrivedAt",
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const hasCoordinates = (point) =>
+  typeof point?.lat === "number" && typeof point?.lng === "number";
+
+//Great-circle distance in metres between two { lat, lng } points
+
+export const getDistanceMeters = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a)));
+};
+
+//Minutes to cover a straight-line distance.
+//Pure: uses the reported speed (m/s) when the professional is really moving,
+//otherwise the configured average speed, over the distance stretched to road length.
+
+export const estimateEtaMinutes = (distanceMeters, speed, config = TRACKING_CONFIG) => {
+  if (distanceMeters <= config.arrivedRadiusMeters) return 0;
+
+  const metersPerSecond =
+    speed >= config.minReportedSpeed ? speed : (config.averageSpeedKmph * 1000) / 3600;
+  return Math.max(1, Math.ceil((distanceMeters * config.routeFactor) / metersPerSecond / 60));
+};
+
+//Geofence events the professional has crossed at this distance and that have not fired yet
+
+export const getGeofenceEvents = (liveTracking = {}, distanceMeters, config = TRACKING_CONFIG) => {
+  const radius = {
+    arriving_soon: config.arrivingSoonRadiusMeters,
+    arrived: config.arrivedRadiusMeters,
+  };
+
+  return GEOFENCE_EVENTS.filter(
+    (event) => !liveTracking?.[GEOFENCE_FIELDS[event]] && distanceMeters <= radius[event]
+  );
+};
+
+//Customer-facing tracking feed for a booking.
+//Pure: `location` is the professional's Location document; the position is only
+//shared while the booking is on-the-way.
+
+export const buildLiveTracking = (booking, location, { now = new Date(), config = TRACKING_CONFIG } = {}) => {
+  const destination = hasCoordinates(booking.location)
+    ? { lat: booking.location.lat, lng: booking.location.lng }
+    : null;
+  const current = location?.current;
+  const active = booking.status === LIVE_TRACKING_STATUS;
+  const professional = booking.professional;
+
+  const feed = {
+    bookingId: booking._id,
+    status: booking.status,
+    active,
+    professional: professional?._id
+      ? {
+          id: professional._id,
+          name: professional.name,
+          phone: professional.phone,
+          profileImage: professional.profileImage,
+        }
+      : null,
+    destination,
+    position: null,
+    stale: false,
+    distanceMeters: null,
+    etaMinutes: null,
+    estimatedArrivalAt: null,
+    startedAt: booking.liveTracking?.startedAt || null,
+    arrivingSoonAt: booking.liveTracking?.arrivingSoonAt || null,
+    arrivedAt: booking.liveTracking?.arrivedAt || null,
+    events: (booking.trackingUpdates || [])
+      .filter((update) => update.event)
+      .map(({ event, message, timestamp }) => ({ event, message, timestamp })),
+  };
+
+  if (!active || typeof current?.latitude !== "number" || typeof current?.longitude !== "number") {
+    return feed;
+  }
+
+  const timestamp = current.timestamp || location.lastUpdated;
+  feed.position = {
+    lat: current.latitude,
+    lng: current.longitude,
+    accuracy: current.accuracy,
+    speed: current.speed,
+    heading: current.heading,
+    timestamp,
+  };
+  feed.stale = !timestamp || now - new Date(timestamp) > config.staleAfterSeconds * 1000;
+
+  if (destination) {
+    feed.distanceMeters = getDistanceMeters(feed.position, destination);
+    feed.etaMinutes = feed.arrivedAt ? 0 : estimateEtaMinutes(feed.distanceMeters, current.speed, config);
+    feed.estimatedArrivalAt = new Date(now.getTime() + feed.etaMinutes * 60 * 1000);
+  }
+
+  return feed;
+};
+
+//Live tracking feed for a booking, with the professional's latest position
+
+export const getLiveTracking = async (booking) => {
+  const professionalId = booking.professional?._id || booking.professional;
+  const location =
+    booking.status === LIVE_TRACKING_STATUS && professionalId
+      ? await Location.findOne({ user: professionalId }).select("current lastUpdated")
+      : null;
+
+  return buildLiveTracking(booking, location);
+};
+
+//Update the progress of the professional's on-the-way bookings from a new position,
+//raising "arriving soon" / "arrived" events as the geofences are crossed
+
+export const recordProfessionalPosition = async (professionalId, position) => {
+  const bookings = await Booking.find({
+    professional: professionalId,
+    status: LIVE_TRACKING_STATUS,
+  });
+  const now = new Date();
+
+  for (const booking of bookings) {
+    if (!hasCoordinates(booking.location)) continue;
+
+    const distanceMeters = getDistanceMeters(
+      { lat: position.latitude, lng: position.longitude },
+      booking.location
+    );
+    const events = getGeofenceEvents(booking.liveTracking, distanceMeters);
+
+    booking.liveTracking = {
+      ...(booking.liveTracking?.toObject?.() || booking.liveTracking || {}),
+      distanceMeters,
+      etaMinutes: booking.liveTracking?.arrivedAt || events.includes("arrived")
+        ? 0
+        : estimateEtaMinutes(distanceMeters, position.speed),
+      lastPositionAt: now,
+    };
+
+    for (const event of events) {
+      booking.liveTracking[GEOFENCE_FIELDS[event]] = now;
+      booking.trackingUpdates.push({
+        status: booking.status,
+        event,
+        message: GEOFENCE_MESSAGES[event],
+        timestamp: now,
+      });
+    }
+
+    await booking.save();
+
+    publishEvent([booking.customer], "booking.tracking", {
+      bookingId: booking._id,
+      distanceMeters,
+      etaMinutes: booking.liveTracking.etaMinutes,
+      events,
+    });
+
+    // Crossing both geofences at once only needs the latest news
+    const latest = events[events.length - 1];
+    if (latest) {
+      try {
+        await sendPushNotification(
+          {
+            title: GEOFENCE_MESSAGES[latest],
+            message:
+              latest === "arrived"
+                ? "Your professional has reached your location."
+                : `Your professional is about ${booking.liveTracking.etaMinutes} min away.`,
+            type: "booking",
+            relatedId: booking._id.toString(),
+            actionType: "open_booking",
+            actionParams: { bookingId: booking._id.toString() },
+            meta: { event: latest, distanceMeters: String(distanceMeters) },
+          },
+          booking.customer
+        );
+      } catch (error) {
+        console.error(`Failed to send ${latest} notification for booking ${booking._id}:`, error);
+      }
+    }
+  }
+
+  return bookings.length;
+};
@@ -0,0 +1,319 @@
+import mongoose from "mongoose";
+import Location from "../models/locationModel.js";
+import LocationPoint from "../models/locationPointModel.js";
+import Booking from "../models/bookingModel.js";
+import User from "../models/userModel.js";
+import { AppError } from "../utils/appError.js";
+import { ErrorCodes } from "../utils/locationErrorHandler.js";
+import { getDistanceMeters } from "./liveTrackingService.js";
+import { LOCATION_HISTORY_CONFIG, TRIP_PHASES } from "../config/tracking.js";
+
+const EARTH_RADIUS_METERS = 6371000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const secondsBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 1000);
+
+// Flat x/y metres around an origin; accurate enough over the length of one trip
+const toLocalMeters = (origin) => {
+  const cosLatitude = Math.cos(toRadians(origin.latitude));
+  return (point) => ({
+    x: toRadians(point.longitude - origin.longitude) * EARTH_RADIUS_METERS * cosLatitude,
+    y: toRadians(point.latitude - origin.latitude) * EARTH_RADIUS_METERS,
+  });
+};
+
+const distanceToSegment = (point, start, end) => {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSquared = dx * dx + dy * dy;
+  if (!lengthSquared) return Math.hypot(point.x - start.x, point.y - start.y);
+
+  const t = Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+};
+
+//Douglas–Peucker simplification of a route of { latitude, longitude } points.
+//Pure: keeps the first and last points and every point further than the tolerance
+//from the simplified line, so the shape survives while GPS jitter and straight runs collapse.
+
+export const simplifyRoute = (points, toleranceMeters = LOCATION_HISTORY_CONFIG.simplifyToleranceMeters) => {
+  if (points.length <= 2) return points.slice();
+
+  const projected = points.map(toLocalMeters(points[0]));
+  const keep = points.map((_, index) => index === 0 || index === points.length - 1);
+  const segments = [[0, points.length - 1]];
+
+  while (segments.length) {
+    const [first, last] = segments.pop();
+    let furthest = -1;
+    let furthestDistance = 0;
+
+    for (let index = first + 1; index < last; index += 1) {
+      const distance = distanceToSegment(projected[index], projected[first], projected[last]);
+      if (distance > furthestDistance) {
+        furthest = index;
+        furthestDistance = distance;
+      }
+    }
+
+    if (furthestDistance > toleranceMeters) {
+      keep[furthest] = true;
+      segments.push([first, furthest], [furthest, last]);
+    }
+  }
+
+  return points.filter((_, index) => keep[index]);
+};
+
+//Metres travelled along a route of { latitude, longitude } points (pure)
+
+export const getRouteDistanceMeters = (points) =>
+  points.slice(1).reduce(
+    (total, point, index) =>
+      total +
+      getDistanceMeters(
+        { lat: points[index].latitude, lng: points[index].longitude },
+        { lat: point.latitude, lng: point.longitude }
+      ),
+    0
+  );
+
+//Route, distance and time of one booking's trip from its stored positions.
+//Pure: inaccurate fixes are dropped and each phase (travel, on site) is simplified
+//on its own, so distances are measured on the simplified route rather than raw jitter.
+
+export const buildTrip = (points, config = LOCATION_HISTORY_CONFIG) => {
+  const usable = points
+    .filter((point) => !(point.accuracy > config.maxAccuracyMeters))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const route = [];
+  const phases = {};
+  for (const [status, phase] of Object.entries(TRIP_PHASES)) {
+    const phasePoints = usable.filter((point) => point.meta?.bookingStatus === status);
+    if (!phasePoints.length) {
+      phases[phase] = null;
+      continue;
+    }
+
+    const simplified = simplifyRoute(phasePoints, config.simplifyToleranceMeters);
+    const startedAt = phasePoints[0].timestamp;
+    const endedAt = phasePoints[phasePoints.length - 1].timestamp;
+    phases[phase] = {
+      startedAt,
+      endedAt,
+      durationSeconds: secondsBetween(startedAt, endedAt),
+      distanceMeters: getRouteDistanceMeters(simplified),
+    };
+    simplified.forEach(({ latitude, longitude, timestamp }) =>
+      route.push({ latitude, longitude, timestamp, phase })
+    );
+  }
+  route.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const startedAt = usable[0]?.timestamp ?? null;
+  const endedAt = usable[usable.length - 1]?.timestamp ?? null;
+
+  return {
+    bookingId: points[0]?.meta?.booking ? String(points[0].meta.booking) : null,
+    startedAt,
+    endedAt,
+    durationSeconds: startedAt ? secondsBetween(startedAt, endedAt) : 0,
+    distanceMeters: (phases.travel?.distanceMeters || 0) + (phases.on_site?.distanceMeters || 0),
+    travel: phases.travel,
+    onSite: phases.on_site,
+    route,
+    pointCount: points.length,
+    routePointCount: route.length,
+  };
+};
+
+//Store a reported position, tagged with the booking the professional is travelling to or working on
+
+export const recordLocationPoint = async (professionalId, position) => {
+  const booking = await Booking.findOne({
+    professional: professionalId,
+    status: { $in: Object.keys(TRIP_PHASES) },
+  })
+    .sort({ updatedAt: -1 })
+    .select("_id status");
+
+  return LocationPoint.create({
+    timestamp: new Date(),
+    meta: {
+      professional: professionalId,
+      booking: booking?._id,
+      bookingStatus: booking?.status,
+    },
+    latitude: position.latitude,
+    longitude: position.longitude,
+    accuracy: position.accuracy || 0,
+    speed: position.speed || 0,
+    heading: position.heading || 0,
+  });
+};
+
+//Most recent positions of a professional, newest first
+
+export const getLocationHistory = async (professionalId, limit = 50) => {
+  const points = await LocationPoint.find({ "meta.professional": professionalId })
+    .sort({ timestamp: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), 1000))
+    .lean();
+
+  return points.map(({ latitude, longitude, accuracy, speed, heading, timestamp, meta }) => ({
+    latitude,
+    longitude,
+    accuracy,
+    speed,
+    heading,
+    timestamp,
+    bookingId: meta?.booking ? String(meta.booking) : null,
+  }));
+};
+
+//Trips a professional made for bookings: one booking, or every booking within a date range.
+//Positions expire after the retention period, so older trips cannot be rebuilt.
+
+export const getProfessionalTrips = async (professionalId, { bookingId, from, to } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(professionalId)) {
+    throw new AppError("Invalid professional ID", 400, ErrorCodes.VALIDATION_ERROR);
+  }
+  const professional = await User.findById(professionalId).select("role");
+  if (!professional || professional.role !== "professional") {
+    throw new AppError("Professional not found", 404, ErrorCodes.USER_NOT_FOUND);
+  }
+
+  if (bookingId) {
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      throw new AppError("Invalid booking ID", 400, ErrorCodes.VALIDATION_ERROR);
+    }
+    const points = await LocationPoint.find({
+      "meta.professional": professionalId,
+      "meta.booking": bookingId,
+    })
+      .sort({ timestamp: 1 })
+      .lean();
+
+    if (!points.length) {
+      throw new AppError(
+        `No trip found for this booking; positions are kept for ${LOCATION_HISTORY_CONFIG.retentionDays} days`,
+        404,
+        ErrorCodes.TRIP_NOT_FOUND
+      );
+    }
+    return [buildTrip(points)];
+  }
+
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 7 * DAY_MS);
+  if (isNaN(start) || isNaN(end) || start > end) {
+    throw new AppError("from and to must be valid dates with from before to", 400, ErrorCodes.VALIDATION_ERROR);
+  }
+  if (end - start > LOCATION_HISTORY_CONFIG.maxTripRangeDays * DAY_MS) {
+    throw new AppError(
+      `Trips can be listed for at most ${LOCATION_HISTORY_CONFIG.maxTripRangeDays} days at a time`,
+      400,
+      ErrorCodes.VALIDATION_ERROR
+    );
+  }
+
+  const points = await LocationPoint.find({
+    "meta.professional": professionalId,
+    "meta.booking": { $exists: true },
+    timestamp: { $gte: start, $lte: end },
+  })
+    .sort({ timestamp: 1 })
+    .lean();
+
+  const byBooking = new Map();
+  points.forEach((point) => {
+    const key = String(point.meta.booking);
+    if (!byBooking.has(key)) byBooking.set(key, []);
+    byBooking.get(key).push(point);
+  });
+
+  return [...byBooking.values()]
+    .map((bookingPoints) => buildTrip(bookingPoints))
+    .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+};
+
+//Create the time-series collection, or bring its retention in line with the configuration.
+//Needed because collections are not created automatically in production, and a plain
+//collection created by the first insert could never become a time-series one.
+
+export const ensureLocationHistoryCollection = async () => {
+  const name = LocationPoint.collection.collectionName;
+  const { expireAfterSeconds } = LocationPoint.schema.options;
+  const [existing] = await mongoose.connection.db.listCollections({ name }).toArray();
+
+  if (!existing) {
+    await LocationPoint.createCollection();
+  } else if (existing.type !== "timeseries") {
+    console.warn(`⚠️ ${name} is not a time-series collection; location history will not expire`);
+  } else if (existing.options?.expireAfterSeconds !== expireAfterSeconds) {
+    await mongoose.connection.db.command({ collMod: name, expireAfterSeconds });
+  }
+
+  await LocationPoint.createIndexes();
+};
+
+//Positions a Location document still keeps in its old embedded `history`, as LocationPoints.
+//Pure: positions past the retention period are left out, as they would expire straight away.
+
+export const legacyHistoryToPoints = (location, now = new Date(), config = LOCATION_HISTORY_CONFIG) => {
+  const cutoff = now.getTime() - config.retentionDays * DAY_MS;
+
+  return (location.history || [])
+    .filter(
+      (entry) =>
+        typeof entry.latitude === "number" &&
+        typeof entry.longitude === "number" &&
+        new Date(entry.timestamp).getTime() >= cutoff
+    )
+    .map(({ latitude, longitude, accuracy, speed, timestamp }) => ({
+      timestamp: new Date(timestamp),
+      meta: { professional: location.user },
+      latitude,
+      longitude,
+      accuracy: accuracy || 0,
+      speed: speed || 0,
+      heading: 0,
+    }));
+};
+
+//One-off migration: copy every embedded Location.history into LocationPoints, then remove it.
+//Safe to run again after an interruption: positions already copied are not copied twice.
+
+export const migrateLegacyLocationHistory = async (now = new Date()) => {
+  const cursor = Location.collection.find(
+    { history: { $exists: true } },
+    { projection: { user: 1, history: 1 } }
+  );
+
+  let locations = 0;
+  let points = 0;
+  for await (const location of cursor) {
+    const legacy = legacyHistoryToPoints(location, now);
+    if (location.user && legacy.length) {
+      const copied = await LocationPoint.find({
+        "meta.professional": location.user,
+        timestamp: { $in: legacy.map((point) => point.timestamp) },
+      })
+        .select("timestamp")
+        .lean();
+      const seen = new Set(copied.map((point) => point.timestamp.getTime()));
+      const fresh = legacy.filter((point) => !seen.has(point.timestamp.getTime()));
+
+      if (fresh.length) await LocationPoint.insertMany(fresh);
+      points += fresh.length;
+    }
+
+    await Location.collection.updateOne({ _id: location._id }, { $unset: { history: "" } });
+    locations += 1;
+  }
+
+  return { locations, points };
+};
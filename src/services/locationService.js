@@ -3,6 +3,8 @@ import User from "../models/userModel.js";
 import mongoose from "mongoose";
 import { sendPushNotification } from "./notificationService.js";
 import FirebaseService from "./FirebaseService.js";
+import { recordProfessionalPosition } from "./liveTrackingService.js";
+import { getLocationHistory, recordLocationPoint } from "./locationHistoryService.js";
 import {
   withErrorHandling,
   validateCoordinates,
@@ -59,6 +61,20 @@ const _updateProfessionalLocation = async (userId, locationData) => {
   // Update location in Firebase using FirebaseService
   await FirebaseService.updateLocation(userId, locationData);
 
+  // Keep the position for history and trip reconstruction
+  try {
+    await recordLocationPoint(userId, locationData);
+  } catch (error) {
+    console.error(`Failed to record location history for professional ${userId}:`, error);
+  }
+
+  // Move on-the-way bookings along; a failure here must not reject the position
+  try {
+    await recordProfessionalPosition(userId, locationData);
+  } catch (error) {
+    console.error(`Failed to update live tracking for professional ${userId}:`, error);
+  }
+
   return location;
 };
 
@@ -225,17 +241,9 @@ const _getProfessionalLocationHistory = async (professionalId, limit = 50) => {
     );
   }
 
-  const location = await Location.findOne({ user: professionalId });
-
-  if (!location) {
-    throw new AppError(
-      "Location not found for this professional",
-      404,
-      ErrorCodes.LOCATION_NOT_FOUND
-    );
-  }
+  const history = await getLocationHistory(professionalId, limit);
 
-  if (!location.history || location.history.length === 0) {
+  if (history.length === 0) {
     throw new AppError(
       "Location history is empty",
       404,
@@ -243,8 +251,8 @@ const _getProfessionalLocationHistory = async (professionalId, limit = 50) => {
     );
   }
 
-  // Return the most recent history items up to the limit
-  return location.history.slice(-limit).reverse();
+  // Most recent positions first, up to the limit
+  return history;
 };
 
 export const getProfessionalLocationHistory = withErrorHandling(
@@ -0,0 +1,190 @@
+import Membership from "../models/membershipModel.js";
+import { MEMBERSHIP_LIFECYCLE, getMembershipPlan } from "../config/membershipPlans.js";
+import { createMembershipPaymentLink, recordMembershipEvent } from "./membershipService.js";
+import { sendMembershipNotification } from "./notificationService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sameInstant = (a, b) => Boolean(a && b) && new Date(a).getTime() === new Date(b).getTime();
+
+const notify = async (membership, status, details) => {
+  try {
+    await sendMembershipNotification(membership, membership.userId, status, details);
+  } catch (error) {
+    console.error(`Failed to send ${status} notification for membership ${membership._id}:`, error);
+  }
+};
+
+//Whether an autoRenew member needs a (new) renewal payment link for the current period
+
+export const needsRenewalLink = (membership, now = new Date(), config = MEMBERSHIP_LIFECYCLE) => {
+  if (!membership.autoRenew || !membership.validUntil) return false;
+
+  const inLeadWindow = new Date(membership.validUntil) - now <= config.renewalLeadDays * DAY_MS;
+  if (membership.status === "active" && !inLeadWindow) return false;
+
+  const renewal = membership.renewal;
+  if (!renewal || !sameInstant(renewal.forPeriodEnding, membership.validUntil)) return true;
+  if (renewal.status === "paid") return false;
+  if (renewal.status === "pending" && renewal.expiresAt && new Date(renewal.expiresAt) > now) {
+    return false;
+  }
+
+  return (renewal.attempts || 0) < config.maxRenewalAttempts;
+};
+
+//Next step the lifecycle job should take for a membership, or null when nothing is due.
+//Pure: decided from the membership's dates and the lifecycle config.
+
+export const getLifecycleAction = (membership, now = new Date(), config = MEMBERSHIP_LIFECYCLE) => {
+  if (membership.status === "grace") {
+    if (!membership.graceUntil || new Date(membership.graceUntil) <= now) return "expire";
+    return needsRenewalLink(membership, now, config) ? "renew" : null;
+  }
+
+  if (membership.status !== "active" || !membership.validUntil) return null;
+
+  const validUntil = new Date(membership.validUntil);
+  if (validUntil <= now) return membership.autoRenew ? "grace" : "expire";
+
+  if (needsRenewalLink(membership, now, config)) return "renew";
+
+  const remindFrom = validUntil.getTime() - config.reminderDaysBefore * DAY_MS;
+  if (now.getTime() >= remindFrom && !sameInstant(membership.reminderSentFor, validUntil)) {
+    return "remind";
+  }
+
+  return null;
+};
+
+const sendExpiryReminder = async (membership, now) => {
+  membership.reminderSentFor = membership.validUntil;
+  recordMembershipEvent(membership, "reminder_sent", {
+    note: `Expires ${new Date(membership.validUntil).toISOString()}`,
+    at: now,
+  });
+  await membership.save();
+  await notify(membership, "expiring");
+};
+
+// Renewals are charged through payment links rather than Razorpay subscriptions,
+// so plans need no matching subscription plan on the Razorpay dashboard.
+const raiseRenewal = async (membership, now, config) => {
+  // A scheduled downgrade is billed at the new plan's price
+  const scheduled = membership.pendingPlanChange?.status === "scheduled" && membership.pendingPlanChange;
+  const plan = getMembershipPlan(scheduled ? scheduled.toPlanId : membership.planId);
+  const previous = membership.renewal;
+  const samePeriod = previous && sameInstant(previous.forPeriodEnding, membership.validUntil);
+
+  if (samePeriod && previous.status === "pending") {
+    previous.status = "failed";
+    previous.failureReason = "Payment link expired unpaid";
+    recordMembershipEvent(membership, "renewal_failed", { note: previous.failureReason, at: now });
+  }
+
+  const attempts = (samePeriod ? previous.attempts || 0 : 0) + 1;
+
+  try {
+    const { order, paymentLink } = await createMembershipPaymentLink({
+      planId: plan.id,
+      userId: membership.userId,
+      amount: plan.price,
+      description: `Renewal of ${plan.name}`,
+      receiptPrefix: "receipt_renewal",
+      notes: { membershipId: membership._id.toString(), renewal: "true" },
+      expiresInSeconds: config.renewalLinkValidityHours * 60 * 60,
+    });
+
+    membership.renewal = {
+      orderId: order.id,
+      paymentLinkId: paymentLink.id,
+      shortUrl: paymentLink.short_url,
+      amount: plan.price,
+      forPeriodEnding: membership.validUntil,
+      status: "pending",
+      attempts,
+      expiresAt: new Date(now.getTime() + config.renewalLinkValidityHours * 60 * 60 * 1000),
+      createdAt: now,
+    };
+    recordMembershipEvent(membership, "renewal_created", {
+      note: `Renewal link ${paymentLink.id} (attempt ${attempts})`,
+      at: now,
+    });
+    await membership.save();
+    await notify(membership, "renewal_due", { amount: plan.price, shortUrl: paymentLink.short_url });
+  } catch (error) {
+    console.error(`Failed to create renewal for membership ${membership._id}:`, error);
+    membership.renewal = {
+      amount: plan?.price,
+      forPeriodEnding: membership.validUntil,
+      status: "failed",
+      attempts,
+      failureReason: error.message,
+      createdAt: now,
+    };
+    recordMembershipEvent(membership, "renewal_failed", { note: error.message, at: now });
+    await membership.save();
+  }
+};
+
+const startGracePeriod = async (membership, now, config) => {
+  membership.graceUntil = new Date(new Date(membership.validUntil).getTime() + config.graceDays * DAY_MS);
+  recordMembershipEvent(membership, "grace_started", {
+    toStatus: "grace",
+    note: `Renewal unpaid; grace until ${membership.graceUntil.toISOString()}`,
+    at: now,
+  });
+  await membership.save();
+  await notify(membership, "grace");
+};
+
+const expireMembership = async (membership, now) => {
+  if (membership.renewal?.status === "pending") {
+    membership.renewal.status = "failed";
+    membership.renewal.failureReason = "Membership expired before the renewal was paid";
+  }
+
+  // Plan changes lapse with the membership
+  if (["awaiting_payment", "scheduled"].includes(membership.pendingPlanChange?.status)) {
+    membership.pendingPlanChange.status = "cancelled";
+  }
+
+  recordMembershipEvent(membership, "expired", { toStatus: "expired", at: now });
+  await membership.save();
+  await notify(membership, "expired");
+};
+
+const ACTIONS = {
+  remind: sendExpiryReminder,
+  renew: raiseRenewal,
+  grace: startGracePeriod,
+  expire: expireMembership,
+};
+
+//Background job: reminders, renewals, grace periods and expiry for every membership that is due
+
+export const runMembershipLifecycle = async (now = new Date(), config = MEMBERSHIP_LIFECYCLE) => {
+  const horizon = new Date(
+    now.getTime() + Math.max(config.reminderDaysBefore, config.renewalLeadDays) * DAY_MS
+  );
+
+  const memberships = await Membership.find({
+    $or: [{ status: "active", validUntil: { $lte: horizon } }, { status: "grace" }],
+  });
+
+  const summary = { checked: memberships.length, remind: 0, renew: 0, grace: 0, expire: 0 };
+
+  for (const membership of memberships) {
+    const action = getLifecycleAction(membership, now, config);
+    if (!action) continue;
+
+    try {
+      await ACTIONS[action](membership, now, config);
+      summary[action] += 1;
+    } catch (error) {
+      console.error(`Membership lifecycle step "${action}" failed for ${membership._id}:`, error);
+    }
+  }
+
+  return summary;
+};
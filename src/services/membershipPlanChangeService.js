@@ -0,0 +1,175 @@
+import { AppError } from "../utils/appError.js";
+import { PLAN_CHANGE_POLICY, getMembershipPlan } from "../config/membershipPlans.js";
+import {
+  createMembershipPaymentLink,
+  getMembershipPeriod,
+  recordMembershipEvent,
+} from "./membershipService.js";
+import { getMembershipUsage } from "./membershipUsageService.js";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+//Price difference for moving to another plan for the rest of the current period.
+//Pure: upgrades are charged the prorated difference and apply now; downgrades apply when
+//the period ends, so the member keeps what they paid for and nothing is credited.
+
+export const calculatePlanChange = (membership, toPlanId, now = new Date(), policy = PLAN_CHANGE_POLICY) => {
+  const fromPlan = getMembershipPlan(membership.planId);
+  const toPlan = getMembershipPlan(toPlanId);
+  if (!fromPlan || !toPlan) {
+    throw new AppError("Unknown membership plan", 400);
+  }
+
+  const { start, end } = getMembershipPeriod(membership);
+  const remainingFraction = Math.min(Math.max((end - now) / (end - start), 0), 1);
+  const currentRemainingValue = round(fromPlan.price * remainingFraction);
+  const newRemainingValue = round(toPlan.price * remainingFraction);
+  const difference = round(newRemainingValue - currentRemainingValue);
+
+  const type = toPlan.price >= fromPlan.price ? "upgrade" : "downgrade";
+  const charge = type === "upgrade" && difference >= policy.minimumCharge ? difference : 0;
+
+  return {
+    fromPlanId: fromPlan.id,
+    toPlanId: toPlan.id,
+    type,
+    remainingFraction: round(remainingFraction),
+    currentRemainingValue,
+    newRemainingValue,
+    difference,
+    charge,
+    credit: 0,
+    effectiveAt: type === "upgrade" ? now : end,
+  };
+};
+
+//Unused benefits of the ending period that move into the new plan's first period.
+//Pure: only benefits the new plan also includes are kept, capped per entitlement.
+
+export const calculateCarryOver = (usage, toPlan, policy = PLAN_CHANGE_POLICY) =>
+  usage.entitlements
+    .filter((item) => toPlan.entitlements?.[item.key] > 0 && item.remaining > 0)
+    .map((item) => ({
+      key: item.key,
+      quantity: Math.min(item.remaining, policy.maxCarryOverPerEntitlement),
+    }));
+
+const switchPlan = (membership, change, { at = new Date(), note } = {}) => {
+  const fromPlanId = membership.planId;
+  membership.planId = change.toPlanId;
+  change.status = "applied";
+  change.appliedAt = at;
+  recordMembershipEvent(membership, "plan_changed", {
+    note: note || `${fromPlanId} → ${change.toPlanId} (${change.type})`,
+    at,
+  });
+};
+
+//Start an upgrade or schedule a downgrade for an active membership
+
+export const requestPlanChange = async (membership, toPlanId, { now = new Date() } = {}, policy = PLAN_CHANGE_POLICY) => {
+  if (membership.status !== "active") {
+    throw new AppError("Only active memberships can change plan", 409, "MEMBERSHIP_NOT_ACTIVE");
+  }
+
+  const pending = membership.pendingPlanChange;
+  const hasPending = pending && ["awaiting_payment", "scheduled"].includes(pending.status);
+
+  if (toPlanId === membership.planId) {
+    if (!hasPending) {
+      throw new AppError("You are already on this plan", 400);
+    }
+    // Asking for the current plan withdraws the change that was waiting
+    pending.status = "cancelled";
+    recordMembershipEvent(membership, "plan_change_cancelled", { note: `Staying on ${toPlanId}`, at: now });
+    await membership.save();
+    return { change: null, membership };
+  }
+
+  const quote = calculatePlanChange(membership, toPlanId, now, policy);
+
+  if (hasPending) {
+    pending.status = "cancelled";
+  }
+
+  const change = {
+    fromPlanId: quote.fromPlanId,
+    toPlanId: quote.toPlanId,
+    type: quote.type,
+    amount: quote.charge,
+    requestedAt: now,
+    effectiveAt: quote.effectiveAt,
+  };
+
+  if (quote.type === "downgrade") {
+    change.status = "scheduled";
+    membership.pendingPlanChange = change;
+    recordMembershipEvent(membership, "plan_change_scheduled", {
+      note: `${quote.fromPlanId} → ${quote.toPlanId} on ${quote.effectiveAt.toISOString()}`,
+      at: now,
+    });
+  } else if (quote.charge === 0) {
+    membership.pendingPlanChange = change;
+    switchPlan(membership, membership.pendingPlanChange, { at: now });
+  } else {
+    const toPlan = getMembershipPlan(toPlanId);
+    const { order, paymentLink } = await createMembershipPaymentLink({
+      planId: toPlanId,
+      userId: membership.userId,
+      amount: quote.charge,
+      description: `Upgrade to ${toPlan.name}`,
+      receiptPrefix: "receipt_upgrade",
+      notes: { membershipId: membership._id.toString(), planChange: "true" },
+      expiresInSeconds: policy.paymentLinkValidityHours * 60 * 60,
+    });
+
+    membership.pendingPlanChange = {
+      ...change,
+      status: "awaiting_payment",
+      orderId: order.id,
+      paymentLinkId: paymentLink.id,
+      shortUrl: paymentLink.short_url,
+    };
+    recordMembershipEvent(membership, "plan_change_requested", {
+      note: `${quote.fromPlanId} → ${quote.toPlanId}, ₹${quote.charge} due`,
+      at: now,
+    });
+  }
+
+  await membership.save();
+
+  const { status, shortUrl } = membership.pendingPlanChange;
+  return { change: { ...quote, status, shortUrl }, membership };
+};
+
+//Switch to the upgraded plan once its payment link is paid
+
+export const applyUpgradePayment = async (membership, paymentId, at = new Date()) => {
+  const change = membership.pendingPlanChange;
+  if (!change || change.status !== "awaiting_payment") {
+    return membership;
+  }
+
+  change.paymentId = paymentId;
+  switchPlan(membership, change, { at });
+  await membership.save();
+  return membership;
+};
+
+//Apply a scheduled downgrade as the membership rolls into its next period.
+//Called before validUntil moves on, while the ending period's usage is still current.
+
+export const applyScheduledDowngrade = async (membership, nextPeriodEnding, at = new Date()) => {
+  const change = membership.pendingPlanChange;
+  if (!change || change.status !== "scheduled") return false;
+
+  const toPlan = getMembershipPlan(change.toPlanId);
+  const usage = await getMembershipUsage(membership);
+
+  membership.carryOver = calculateCarryOver(usage, toPlan).map((item) => ({
+    ...item,
+    periodEnding: nextPeriodEnding,
+  }));
+  switchPlan(membership, change, { at });
+  return true;
+};
@@ -1,11 +1,73 @@
 import Membership from '../models/membershipModel.js';
-import { createOrder } from './paymentService.js';
+import { createOrder, getWebhookEntities } from './paymentService.js';
 import crypto from 'crypto';
 import razorpayInstance, { getRazorpayKeyId } from "../config/razorpay.js";
 import { AppError } from "../utils/appError.js";
 import { MEMBERSHIP_PLANS } from '../config/membershipPlans.js';
+import { sendMembershipNotification } from './notificationService.js';
+import { applyScheduledDowngrade, applyUpgradePayment } from './membershipPlanChangeService.js';
 
-export const createMembershipOrder = async (planId, user, amount, idempotencyKey = null) => {
+//Create a Razorpay order and a payment link for it; used for purchases and renewals
+
+export const createMembershipPaymentLink = async ({
+  planId,
+  userId,
+  amount,
+  description,
+  receiptPrefix = 'receipt_membership',
+  notes = {},
+  expiresInSeconds = 24 * 60 * 60,
+}) => {
+  const linkNotes = {
+    planId: planId.toString(),
+    userId: userId.toString(),
+    ...notes,
+  };
+
+  // First create an order
+  const orderOptions = {
+    amount: Math.round(amount * 100), // amount in paisa
+    currency: "INR",
+    receipt: `${receiptPrefix}_${Date.now()}`,
+    notes: linkNotes,
+  };
+
+  const order = await razorpayInstance.orders.create(orderOptions);
+  console.log('✅ Order created:', {
+    orderId: order.id,
+    amount: order.amount,
+    currency: order.currency
+  });
+
+  const paymentLinkRequest = {
+    amount: Math.round(amount * 100),
+    currency: "INR",
+    description,
+    reference_id: order.id,
+    expire_by: Math.floor(Date.now() / 1000) + expiresInSeconds,
+    reminder_enable: true,
+    notes: linkNotes,
+  };
+
+  console.log('🔗 Creating payment link with options:', {
+    amount: paymentLinkRequest.amount,
+    currency: paymentLinkRequest.currency,
+    expire_by: new Date(paymentLinkRequest.expire_by * 1000).toISOString()
+  });
+
+  const paymentLink = await razorpayInstance.paymentLink.create(paymentLinkRequest);
+
+  console.log('✅ Payment link created:', {
+    paymentLinkId: paymentLink.id,
+    orderId: paymentLink.order_id || order.id,
+    shortUrl: paymentLink.short_url,
+    expiresAt: paymentLink.expire_by ? new Date(paymentLink.expire_by * 1000).toISOString() : null
+  });
+
+  return { order, paymentLink };
+};
+
+export const createMembershipOrder = async (planId, user, amount, autoRenew = false) => {
   try {
     console.log('🔄 Creating membership order:', {
       planId,
@@ -31,54 +93,15 @@ export const createMembershipOrder = async (planId, user, amount, idempotencyKey
       throw new AppError('User already has an active membership for this plan', 409);
     }
 
-    // First create an order
-    const orderOptions = {
-      amount: amount * 100, // amount in paisa
-      currency: "INR",
-      receipt: `receipt_membership_${Date.now()}`,
-      notes: {
-        planId: planId.toString(),
-        userId: user.id.toString(),
-      },
-    };
-
-    const order = await razorpayInstance.orders.create(orderOptions);
-    console.log('✅ Order created:', {
-      orderId: order.id,
-      amount: order.amount,
-      currency: order.currency
-    });
-
-    const paymentLinkRequest = {
-      amount: amount * 100,
-      currency: "INR",
+    const { order, paymentLink } = await createMembershipPaymentLink({
+      planId,
+      userId: user.id,
+      amount,
       description: `Membership payment for plan ${planId}`,
-      reference_id: order.id,
-      expire_by: Math.floor(Date.now() / 1000) + (24 * 60 * 60), // Expire in 24 hours
-      reminder_enable: true,
-      notes: {
-        planId: planId.toString(),
-        userId: user.id.toString(),
-      },
-    };
-
-    console.log('🔗 Creating payment link with options:', {
-      amount: paymentLinkRequest.amount,
-      currency: paymentLinkRequest.currency,
-      expire_by: new Date(paymentLinkRequest.expire_by * 1000).toISOString()
-    });
-
-    const paymentLink = await razorpayInstance.paymentLink.create(paymentLinkRequest);
-
-    console.log('✅ Payment link created:', {
-      paymentLinkId: paymentLink.id,
-      orderId: paymentLink.order_id || order.id,
-      shortUrl: paymentLink.short_url,
-      expiresAt: paymentLink.expire_by ? new Date(paymentLink.expire_by * 1000).toISOString() : null
     });
 
     // Create membership record in database
-    const membership = await createMembership(planId, user.id, order.id, paymentLink.id);
+    const membership = await createMembership(planId, user.id, order.id, paymentLink.id, autoRenew);
 
     console.log('Membership created:', {
       membershipId: membership._id,
@@ -100,12 +123,14 @@ export const createMembershipOrder = async (planId, user, amount, idempotencyKey
   }
 };
 
-export const createMembership = async (planId, userId, orderId, paymentLinkId = null) => {
+export const createMembership = async (planId, userId, orderId, paymentLinkId = null, autoRenew = false) => {
   const membership = new Membership({
     planId,
     userId,
     orderId,
     paymentLinkId,
+    autoRenew,
+    history: [{ event: 'created', toStatus: 'pending' }],
   });
 
   await membership.save();
@@ -120,9 +145,23 @@ export const verifyPayment = async (paymentLinkId, paymentId, signature) => {
     timestamp: new Date().toISOString()
   });
 
+  const body = `${paymentLinkId}|${paymentId}`;
+  const expectedSignature = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET).update(body).digest('hex');
+
   const membership = await Membership.findOne({ paymentLinkId });
 
   if (!membership) {
+    // Renewal and upgrade links are stored on the membership they belong to
+    const renewing = await Membership.findOne({ 'renewal.paymentLinkId': paymentLinkId });
+    if (renewing && expectedSignature === signature) {
+      return applyRenewalPayment(renewing, paymentId);
+    }
+
+    const upgrading = await Membership.findOne({ 'pendingPlanChange.paymentLinkId': paymentLinkId });
+    if (upgrading && expectedSignature === signature) {
+      return applyUpgradePayment(upgrading, paymentId);
+    }
+
     console.error('❌ Membership not found for payment verification:', { paymentLinkId });
     return null;
   }
@@ -133,14 +172,10 @@ export const verifyPayment = async (paymentLinkId, paymentId, signature) => {
     return membership;
   }
 
-  const body = `${paymentLinkId}|${paymentId}`;
-  const expectedSignature = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET).update(body).digest('hex');
-
   if (expectedSignature === signature) {
     membership.paymentId = paymentId;
     membership.signature = signature;
-    membership.status = 'active';
-    membership.validUntil = new Date(new Date().setMonth(new Date().getMonth() + 1));
+    activateMembership(membership);
     await membership.save();
 
     console.log('✅ Payment verified successfully:', {
@@ -157,11 +192,145 @@ export const verifyPayment = async (paymentLinkId, paymentId, signature) => {
   }
 };
 
+//Change a membership's status (or just log an event) and record it in the history
+
+export const recordMembershipEvent = (membership, event, { toStatus, note, at = new Date() } = {}) => {
+  const fromStatus = membership.status;
+  if (toStatus) membership.status = toStatus;
+  membership.history.push({ event, fromStatus, toStatus: membership.status, note, at });
+};
+
+//Start the first billing period of a paid membership
+
+export const activateMembership = (membership, at = new Date()) => {
+  const validUntil = new Date(at);
+  validUntil.setMonth(validUntil.getMonth() + 1);
+  membership.validUntil = validUntil;
+  recordMembershipEvent(membership, 'activated', { toStatus: 'active', at });
+};
+
+//Extend a membership by one period once its renewal link is paid
+
+export const applyRenewalPayment = async (membership, paymentId, at = new Date()) => {
+  if (!membership.renewal || membership.renewal.status === 'paid') {
+    return membership;
+  }
+
+  // Renewals paid on time or during grace continue from the old end date; late ones start now
+  const from = membership.status === 'expired' || !membership.validUntil ? at : membership.validUntil;
+  const validUntil = new Date(from);
+  validUntil.setMonth(validUntil.getMonth() + 1);
+
+  // A downgrade waiting for the period to end starts with the new period
+  await applyScheduledDowngrade(membership, validUntil, at);
+
+  membership.renewal.status = 'paid';
+  membership.renewal.paymentId = paymentId;
+  membership.paymentId = paymentId;
+  membership.validUntil = validUntil;
+  membership.graceUntil = undefined;
+  recordMembershipEvent(membership, 'renewed', {
+    toStatus: 'active',
+    note: `Renewed until ${validUntil.toISOString()}`,
+    at,
+  });
+  await membership.save();
+
+  try {
+    await sendMembershipNotification(membership, membership.userId, 'renewed');
+  } catch (error) {
+    console.error(`Failed to send renewal notification for membership ${membership._id}:`, error);
+  }
+
+  return membership;
+};
+
+const PAID_EVENTS = ['payment.captured', 'order.paid', 'payment_link.paid'];
+
+// Purchase a webhook event pays for: by order id (with or without the "order_" prefix),
+// payment link, or the user and plan the order was raised for
+const findPurchasedMembership = async ({ orderId, paymentLinkId, notes }) => {
+  if (orderId) {
+    const bare = orderId.startsWith('order_') ? orderId.substring(6) : orderId;
+    const membership = await Membership.findOne({ orderId: { $in: [bare, `order_${bare}`] } });
+    if (membership) return membership;
+  }
+
+  if (paymentLinkId) {
+    const membership = await Membership.findOne({ paymentLinkId });
+    if (membership) return membership;
+  }
+
+  if (notes.userId && notes.planId) {
+    return Membership.findOne({
+      userId: notes.userId,
+      planId: notes.planId,
+      status: { $in: ['pending', 'active'] },
+    });
+  }
+
+  return null;
+};
+
+//Apply a Razorpay webhook event to the membership it pays for: first purchase,
+//renewal link or upgrade link. Returns the membership, or null when none matches.
+
+export const processMembershipWebhookEvent = async (event, at = new Date()) => {
+  const { eventType, orderId, paymentId, paymentLinkId, notes } = getWebhookEntities(event);
+
+  if (eventType === 'payment_link.paid' && paymentLinkId) {
+    const renewing = await Membership.findOne({ 'renewal.paymentLinkId': paymentLinkId });
+    if (renewing) return applyRenewalPayment(renewing, paymentId, at);
+
+    const upgrading = await Membership.findOne({ 'pendingPlanChange.paymentLinkId': paymentLinkId });
+    if (upgrading) return applyUpgradePayment(upgrading, paymentId, at);
+  }
+
+  if (![...PAID_EVENTS, 'payment.failed'].includes(eventType)) return null;
+
+  const membership = await findPurchasedMembership({ orderId, paymentLinkId, notes });
+  // Only a purchase still waiting for its payment is changed; repeats are no-ops
+  if (!membership || membership.status !== 'pending') return membership;
+
+  if (eventType === 'payment.failed') {
+    recordMembershipEvent(membership, 'payment_failed', {
+      toStatus: 'failed',
+      note: event.payload?.payment?.entity?.error_description,
+      at,
+    });
+  } else {
+    membership.paymentId = paymentId || membership.paymentId;
+    activateMembership(membership, at);
+  }
+
+  await membership.save();
+  return membership;
+};
+
 export const getMembershipStatus = async (userId) => {
-  const membership = await Membership.findOne({ userId, status: 'active' });
+  // Members in grace still see their membership so they can renew it
+  const membership = await Membership.findOne({ userId, status: { $in: ['active', 'grace'] } }).sort('-validUntil');
   return membership;
 };
 
 export const getMembershipPlans = async () => {
   return MEMBERSHIP_PLANS;
-};
\ No newline at end of file
+};
+//Active, unexpired membership of a user at the given moment
+
+export const getActiveMembership = async (userId, at = new Date()) => {
+  return Membership.findOne({
+    userId: userId.toString(),
+    status: 'active',
+    validUntil: { $gt: at },
+  }).sort('-validUntil');
+};
+
+//Billing period the membership is currently in; plans run for one month ending at validUntil
+
+export const getMembershipPeriod = (membership) => {
+  const end = new Date(membership.validUntil);
+  const start = new Date(end);
+  start.setMonth(start.getMonth() - 1);
+  return { start, end };
+};
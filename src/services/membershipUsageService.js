@@ -0,0 +1,243 @@
+import MembershipUsage from "../models/membershipUsageModel.js";
+import Counter from "../models/counterModel.js";
+import { AppError } from "../utils/appError.js";
+import { ENTITLEMENT_TYPES, getMembershipPlan } from "../config/membershipPlans.js";
+import { getMembershipPeriod } from "./membershipService.js";
+
+const ENTRY_ORDER = { hold: 0, debit: 1, credit: 2 };
+
+const matchesTags = (type, tags) => (type.tags || []).some((tag) => tags.includes(tag));
+
+//Entitlement a service draws from, or null when no plan benefit covers it
+
+export const getServiceEntitlement = (service) => {
+  const tags = (service.tags || []).map((tag) => tag.toLowerCase());
+  const types = Object.entries(ENTITLEMENT_TYPES);
+
+  // Tags are more specific than categories: a waxing service filed under "car wash" is a wax coating
+  const match =
+    types.find(([, type]) => matchesTags(type, tags)) ||
+    types.find(([, type]) => (type.categories || []).includes(service.category));
+
+  return match ? match[0] : null;
+};
+
+//Reduce ledger entries to what is used, held and left of each benefit in the plan.
+//Pure: the latest entry of each booking decides where its benefit stands.
+//`carryOver` adds benefits brought forward from the previous plan, keyed by entitlement.
+
+export const summarizeUsage = (plan, entries, carryOver = {}) => {
+  const latest = new Map();
+  entries.forEach((entry) => {
+    const key = `${entry.booking}:${entry.entitlement}`;
+    const current = latest.get(key);
+    if (!current || ENTRY_ORDER[entry.type] > ENTRY_ORDER[current.type]) {
+      latest.set(key, entry);
+    }
+  });
+
+  return Object.entries(plan?.entitlements || {}).map(([key, planQuantity]) => {
+    const carried = carryOver[key] || 0;
+    const included = planQuantity + carried;
+    let used = 0;
+    let reserved = 0;
+    latest.forEach((entry) => {
+      if (entry.entitlement !== key) return;
+      if (entry.type === "debit") used += entry.quantity;
+      if (entry.type === "hold") reserved += entry.quantity;
+    });
+
+    return {
+      key,
+      label: ENTITLEMENT_TYPES[key]?.label || key,
+      included,
+      carriedOver: carried,
+      used,
+      reserved,
+      remaining: Math.max(included - used - reserved, 0),
+    };
+  });
+};
+
+//Remaining quantity of each benefit, keyed by entitlement
+
+export const getRemainingEntitlements = (usage) =>
+  Object.fromEntries(usage.entitlements.map((item) => [item.key, item.remaining]));
+
+//Benefits of the membership's current period
+
+export const getMembershipUsage = async (membership) => {
+  const plan = getMembershipPlan(membership.planId);
+  const period = getMembershipPeriod(membership);
+
+  const entries = await MembershipUsage.find({
+    membership: membership._id,
+    periodStart: { $gte: period.start, $lt: period.end },
+  });
+
+  const carryOver = Object.fromEntries(
+    (membership.carryOver || [])
+      .filter((item) => new Date(item.periodEnding).getTime() === period.end.getTime())
+      .map((item) => [item.key, item.quantity])
+  );
+
+  return {
+    membershipId: membership._id,
+    planId: membership.planId,
+    period,
+    entitlements: summarizeUsage(plan, entries, carryOver),
+  };
+};
+
+//Decide whether a booking is covered by the membership's remaining benefits.
+//Pure: `services` are { service, quantity } lines, `remaining` comes from getRemainingEntitlements.
+
+export const evaluateCoverage = ({ membership, services, scheduledDate, remaining = {} }) => {
+  const plan = membership && getMembershipPlan(membership.planId);
+  if (!plan) {
+    return { covered: false, reason: "No active membership" };
+  }
+
+  const notCovered = (reason) => ({ covered: false, reason, planId: plan.id });
+
+  const { start, end } = getMembershipPeriod(membership);
+  if (scheduledDate < start || scheduledDate >= end) {
+    return notCovered("Membership does not cover this date");
+  }
+
+  const needed = {};
+  for (const { service, quantity = 1 } of services) {
+    const key = getServiceEntitlement(service);
+    if (!key || !(plan.entitlements?.[key] > 0)) {
+      return notCovered(`${service.title || "This service"} is not included in the ${plan.id} plan`);
+    }
+    needed[key] = (needed[key] || 0) + quantity;
+  }
+
+  const exhausted = Object.keys(needed).find((key) => (remaining[key] || 0) < needed[key]);
+  if (exhausted) {
+    return notCovered(
+      `All ${ENTITLEMENT_TYPES[exhausted].label.toLowerCase()} for this period have been used`
+    );
+  }
+
+  return {
+    covered: true,
+    planId: plan.id,
+    entitlements: Object.entries(needed).map(([key, quantity]) => ({ key, quantity })),
+  };
+};
+
+// Counter of benefits held or used in one period, so concurrent bookings cannot overdraw the plan
+const usageCounterId = (membershipId, periodStart, key) =>
+  `membership-usage:${membershipId}:${new Date(periodStart).toISOString()}:${key}`;
+
+const changeUsageCounter = (membershipId, periodStart, key, quantity) =>
+  Counter.updateOne({ _id: usageCounterId(membershipId, periodStart, key) }, { $inc: { seq: quantity } });
+
+// Start the counter from the ledger the first time a period is drawn from
+const ensureUsageCounter = async (_id, seq) => {
+  try {
+    await Counter.updateOne({ _id }, { $setOnInsert: { seq } }, { upsert: true });
+  } catch (error) {
+    // Another booking created it at the same moment
+    if (error.code !== 11000) throw error;
+  }
+};
+
+//Reserve the benefits a covered booking draws from.
+//Runs before the booking is saved: the `booking` only needs its _id, customer and coverage.
+//Throws a 409 when another booking used up the benefits since coverage was checked.
+
+export const holdEntitlements = async (booking, membership) => {
+  const { start, end } = getMembershipPeriod(membership);
+  const usage = await getMembershipUsage(membership);
+  const reserved = [];
+
+  try {
+    for (const { key, quantity } of booking.membershipCoverage.entitlements) {
+      const item = usage.entitlements.find((entitlement) => entitlement.key === key);
+      const _id = usageCounterId(membership._id, start, key);
+      await ensureUsageCounter(_id, item ? item.used + item.reserved : 0);
+
+      const counter = await Counter.findOneAndUpdate(
+        { _id, seq: { $lte: (item?.included || 0) - quantity } },
+        { $inc: { seq: quantity } },
+        { new: true }
+      );
+      if (!counter) {
+        throw new AppError(
+          `All ${(ENTITLEMENT_TYPES[key]?.label || key).toLowerCase()} for this period have been used`,
+          409,
+          "ENTITLEMENT_EXHAUSTED"
+        );
+      }
+      reserved.push({ key, quantity });
+    }
+
+    return await MembershipUsage.insertMany(
+      booking.membershipCoverage.entitlements.map(({ key, quantity }) => ({
+        membership: membership._id,
+        user: booking.customer,
+        booking: booking._id,
+        entitlement: key,
+        type: "hold",
+        quantity,
+        periodStart: start,
+        periodEnd: end,
+        note: "Booking created",
+      }))
+    );
+  } catch (error) {
+    await Promise.all(
+      reserved.map(({ key, quantity }) => changeUsageCounter(membership._id, start, key, -quantity))
+    );
+    throw error;
+  }
+};
+
+// Settle every hold of the booking that was not given back yet. Upserts keep it idempotent.
+const settleHolds = async (booking, type, note) => {
+  if (!booking.membershipCoverage?.covered) return 0;
+
+  const entries = await MembershipUsage.find({ booking: booking._id });
+  const open = entries.filter(
+    (entry) =>
+      entry.type === "hold" &&
+      !entries.some((other) => other.entitlement === entry.entitlement && other.type === "credit")
+  );
+
+  await Promise.all(
+    open.map(async (hold) => {
+      const result = await MembershipUsage.updateOne(
+        { booking: hold.booking, entitlement: hold.entitlement, type },
+        {
+          $setOnInsert: {
+            membership: hold.membership,
+            user: hold.user,
+            quantity: hold.quantity,
+            periodStart: hold.periodStart,
+            periodEnd: hold.periodEnd,
+            note,
+          },
+        },
+        { upsert: true }
+      );
+
+      // A benefit given back can be booked again; only the call that wrote the credit frees it
+      if (type === "credit" && result.upsertedCount) {
+        await changeUsageCounter(hold.membership, hold.periodStart, hold.entitlement, -hold.quantity);
+      }
+    })
+  );
+
+  return open.length;
+};
+
+//Consume the held benefits once the service has been delivered
+
+export const debitEntitlements = (booking) => settleHolds(booking, "debit", "Booking completed");
+
+//Give the benefits back to the member when a covered booking is cancelled
+
+export const creditEntitlements = (booking) => settleHolds(booking, "credit", "Booking cancelled");
@@ -2,6 +2,8 @@ import axios from 'axios';
 import DeviceToken from '../models/deviceTokenModel.js';
 import Notification from '../models/notificationModel.js';
 import FirebaseService from './FirebaseService.js';
+import { publishEvent } from './eventBus.js';
+import { getMembershipPlan } from '../config/membershipPlans.js';
 
 //Send a push notification to a user's devices
 
@@ -13,6 +15,10 @@ export const sendPushNotification = async (notificationData, userId) => {
       ...notificationData
     });
 
+    // Open app screens update the bell without polling /unread-count
+    const unreadCount = await Notification.countDocuments({ recipient: userId, read: false });
+    publishEvent([userId], 'notification.created', { notification, unreadCount });
+
     // Get user's active device tokens
     const deviceTokens = await DeviceToken.getActiveTokensForUser(userId);
     
@@ -176,6 +182,11 @@ export const sendBookingNotification = async (booking, status) => {
       message = `Your booking for ${booking.services[0].serviceId.title} has been cancelled.`;
       actionType = 'open_booking';
       break;
+    case 'on-the-way':
+      title = 'Professional On The Way';
+      message = `Your professional is on the way for ${booking.services[0].serviceId.title}. Track them live in the app.`;
+      actionType = 'open_booking';
+      break;
     case 'in-progress':
       title = 'Service In Progress';
       message = `Your booking for ${booking.services[0].serviceId.title} is now in progress.`;
@@ -191,6 +202,11 @@ export const sendBookingNotification = async (booking, status) => {
       message = `Your booking for ${booking.services[0].serviceId.title} has been rejected.`;
       actionType = 'open_booking';
       break;
+    case 'rescheduled':
+      title = 'Booking Rescheduled';
+      message = `Your booking for ${booking.services[0].serviceId.title} has been moved to ${new Date(booking.scheduledDate).toDateString()} ${booking.scheduledTime || ''}.`.trim();
+      actionType = 'open_booking';
+      break;
     case 'rated':
       title = 'New Rating';
       message = `A new rating has been submitted for your booking of ${booking.services[0].serviceId.title}.`;
@@ -226,28 +242,44 @@ export const sendBookingNotification = async (booking, status) => {
 
 //Send a membership notification
 
-export const sendMembershipNotification = async (membership, userId, status) => {
+export const sendMembershipNotification = async (membership, userId, status, details = {}) => {
   let title, message, actionType;
+  const planName = membership.plan?.name || getMembershipPlan(membership.planId)?.name || 'membership';
 
   switch (status) {
     case 'purchased':
       title = 'Membership Purchased';
-      message = `You have successfully purchased the ${membership.plan.name} membership.`;
+      message = `You have successfully purchased the ${planName} membership.`;
       actionType = 'open_membership';
       break;
     case 'renewed':
       title = 'Membership Renewed';
-      message = `Your ${membership.plan.name} membership has been renewed.`;
+      message = `Your ${planName} membership has been renewed.`;
       actionType = 'open_membership';
       break;
     case 'cancelled':
       title = 'Membership Cancelled';
-      message = `Your ${membership.plan.name} membership has been cancelled.`;
+      message = `Your ${planName} membership has been cancelled.`;
       actionType = 'open_membership';
       break;
     case 'expired':
       title = 'Membership Expired';
-      message = `Your ${membership.plan.name} membership has expired.`;
+      message = `Your ${planName} membership has expired.`;
+      actionType = 'open_membership';
+      break;
+    case 'expiring':
+      title = 'Membership Expiring Soon';
+      message = `Your ${planName} membership expires on ${new Date(membership.validUntil).toDateString()}.`;
+      actionType = 'open_membership';
+      break;
+    case 'renewal_due':
+      title = 'Membership Renewal';
+      message = `Pay ₹${details.amount} to renew your ${planName} membership${details.shortUrl ? `: ${details.shortUrl}` : '.'}`;
+      actionType = 'open_membership';
+      break;
+    case 'grace':
+      title = 'Membership Renewal Pending';
+      message = `We could not renew your ${planName} membership. Renew before ${new Date(membership.graceUntil).toDateString()} to keep your benefits.`;
       actionType = 'open_membership';
       break;
     default:
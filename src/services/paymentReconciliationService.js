@@ -0,0 +1,213 @@
+import razorpayInstance from "../config/razorpay.js";
+import Payment from "../models/paymentModel.js";
+import Booking from "../models/bookingModel.js";
+import ReconciliationReport from "../models/reconciliationReportModel.js";
+import { RECONCILIATION_CONFIG, RECONCILABLE_STATUSES } from "../config/reconciliation.js";
+import {
+  fetchRazorpayPaymentState,
+  getPaymentByOrderId,
+  getPaymentDetails,
+  issuePaymentTaxDocuments,
+} from "./paymentService.js";
+import { sendNotificationToAdmins } from "./notificationService.js";
+
+const toPaise = (amount) => Math.round((amount || 0) * 100);
+
+//Compare a local payment with its Razorpay state and work out what to fix or flag.
+//Pure: `remote` is the decisive Razorpay payment entity (amounts in paise).
+//Razorpay is trusted for the status; amounts are never changed, only flagged, and a
+//booking charged a different amount is left unpaid (and uninvoiced) until someone reviews it.
+
+export const compareWithRazorpay = (payment, remote, bookingPaymentStatus) => {
+  const paymentUpdates = {};
+  let bookingUpdates = null;
+  const issues = [];
+  const base = { razorpayPaymentId: remote?.id || payment.razorpayPaymentId };
+
+  if (!remote) {
+    if (payment.status === "captured") {
+      issues.push({ ...base, type: "missing_capture", note: "Captured locally but Razorpay has no payment" });
+    }
+    return { paymentUpdates, bookingUpdates, issues };
+  }
+
+  const amountMismatch =
+    ["captured", "refunded"].includes(remote.status) && remote.amount !== toPaise(payment.amount);
+
+  const statusDrift = (to) => {
+    paymentUpdates.status = to;
+    issues.push({ ...base, type: "status_drift", fixed: true, from: payment.status, to });
+  };
+
+  switch (remote.status) {
+    case "captured":
+      if (payment.status !== "captured") {
+        statusDrift("captured");
+        paymentUpdates.razorpayPaymentId = remote.id;
+        paymentUpdates.paymentMethod = remote.method;
+        paymentUpdates.capturedAt = remote.created_at ? new Date(remote.created_at * 1000) : new Date();
+      }
+      if (bookingPaymentStatus !== "paid" && !amountMismatch) {
+        bookingUpdates = { paymentStatus: "paid" };
+        issues.push({ ...base, type: "booking_drift", fixed: true, from: bookingPaymentStatus, to: "paid" });
+      }
+      break;
+    case "authorized":
+      if (payment.status === "created") statusDrift("authorized");
+      break;
+    case "failed":
+      if (["created", "authorized"].includes(payment.status)) {
+        statusDrift("failed");
+        paymentUpdates.errorCode = remote.error_code;
+        paymentUpdates.errorDescription = remote.error_description;
+      }
+      break;
+    case "refunded":
+      issues.push({
+        ...base,
+        type: "refund_drift",
+        from: payment.status,
+        to: "refunded",
+        note: `Razorpay refunded ₹${(remote.amount_refunded || 0) / 100}, recorded ₹${payment.refundAmount || 0}`,
+      });
+      break;
+    default:
+      break;
+  }
+
+  if (payment.status === "captured" && !["captured", "refunded"].includes(remote.status)) {
+    issues.push({ ...base, type: "missing_capture", note: `Razorpay reports ${remote.status}` });
+  }
+
+  if (amountMismatch) {
+    issues.push({
+      ...base,
+      type: "amount_mismatch",
+      localAmount: payment.amount,
+      remoteAmount: remote.amount / 100,
+      note: `Charged ₹${remote.amount / 100} for a ₹${payment.amount} payment`,
+    });
+  }
+
+  return { paymentUpdates, bookingUpdates, issues };
+};
+
+//Bring one payment (and its booking's payment status) in line with Razorpay
+
+export const reconcilePayment = async (paymentId, { client = razorpayInstance } = {}) => {
+  const payment = await getPaymentDetails(paymentId);
+  const booking = await Booking.findById(payment.bookingId).select("paymentStatus");
+  const remote = await fetchRazorpayPaymentState(payment, client);
+
+  const { paymentUpdates, bookingUpdates, issues } = compareWithRazorpay(
+    payment,
+    remote,
+    booking?.paymentStatus
+  );
+
+  if (Object.keys(paymentUpdates).length) {
+    payment.set(paymentUpdates);
+    await payment.save();
+  }
+
+  if (bookingUpdates && booking) {
+    await Booking.updateOne({ _id: booking._id }, { ...bookingUpdates, paymentId: payment._id });
+    await issuePaymentTaxDocuments(payment);
+  }
+
+  return {
+    payment,
+    remote,
+    issues: issues.map((issue) => ({ ...issue, payment: payment._id, booking: payment.bookingId })),
+  };
+};
+
+//Reconcile the payment raised for a Razorpay order
+
+export const reconcileOrder = async (orderId, options) => {
+  const payment = await getPaymentByOrderId(orderId);
+  return reconcilePayment(payment._id, options);
+};
+
+//UTC day a report collects findings for
+
+export const getReportDate = (at = new Date()) => at.toISOString().slice(0, 10);
+
+// Record a run in the day's report; issues already reported that day are not repeated
+const recordRun = async (run, issues, now) => {
+  const date = getReportDate(now);
+  const report =
+    (await ReconciliationReport.findOne({ date })) || new ReconciliationReport({ date });
+
+  const seen = new Set(report.issues.map((issue) => `${issue.payment}:${issue.type}`));
+  const fresh = issues.filter((issue) => !seen.has(`${issue.payment}:${issue.type}`));
+
+  report.runs.push(run);
+  report.issues.push(...fresh);
+  report.totals.checked += run.checked;
+  report.totals.fixed += run.fixed;
+  report.totals.flagged += fresh.filter((issue) => !issue.fixed).length;
+  report.totals.failures += run.failures;
+  await report.save();
+
+  return { report, fresh };
+};
+
+//Background job: compare recent Razorpay payments with our records and fix the drift
+
+export const runPaymentReconciliation = async (
+  now = new Date(),
+  { client = razorpayInstance, config = RECONCILIATION_CONFIG } = {}
+) => {
+  const candidates = await Payment.find({
+    status: { $in: RECONCILABLE_STATUSES },
+    createdAt: {
+      $gte: new Date(now.getTime() - config.lookbackHours * 60 * 60 * 1000),
+      $lte: new Date(now.getTime() - config.minAgeMinutes * 60 * 1000),
+    },
+    $or: [
+      { razorpayOrderId: { $exists: true } },
+      { razorpayPaymentLinkId: { $exists: true } },
+      { razorpayPaymentId: { $exists: true } },
+    ],
+  })
+    .sort("-createdAt")
+    .limit(config.batchSize)
+    .select("_id bookingId");
+
+  const run = { startedAt: now, checked: candidates.length, fixed: 0, flagged: 0, failures: 0 };
+  const issues = [];
+
+  for (const candidate of candidates) {
+    try {
+      const result = await reconcilePayment(candidate._id, { client });
+      issues.push(...result.issues);
+    } catch (error) {
+      console.error(`Reconciliation failed for payment ${candidate._id}:`, error);
+      run.failures += 1;
+      issues.push({
+        type: "fetch_failed",
+        payment: candidate._id,
+        booking: candidate.bookingId,
+        note: error.message,
+      });
+    }
+  }
+
+  run.fixed = issues.filter((issue) => issue.fixed).length;
+  run.flagged = issues.length - run.fixed;
+  run.finishedAt = new Date();
+  const { fresh } = await recordRun(run, issues, now);
+
+  const newFlags = fresh.filter((issue) => !issue.fixed && issue.type !== "fetch_failed");
+  if (newFlags.length) {
+    await sendNotificationToAdmins({
+      title: "Payment Reconciliation Needs Review",
+      message: `${newFlags.length} payment(s) differ from Razorpay, including ${newFlags[0].type.replace("_", " ")} on payment ${newFlags[0].payment}`,
+      type: "payment",
+      actionType: "none",
+    });
+  }
+
+  return { ...run, newIssues: fresh.length };
+};
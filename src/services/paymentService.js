@@ -6,6 +6,12 @@ import Payment from "../models/paymentModel.js";
 import Booking from "../models/bookingModel.js";
 import { AppError } from "../utils/appError.js";
 import crypto from "crypto";
+import { Buffer } from "buffer";
+import { creditRefundToWallet } from "./walletService.js";
+import { issueBookingInvoice, issueCreditNote } from "./invoiceService.js";
+import { publishEvent } from "./eventBus.js";
+
+const toPaise = (amount) => Math.round((amount || 0) * 100);
 
 //Create a new Razorpay order
 
@@ -87,6 +93,7 @@ export const verifyPaymentSignature = async (orderId, paymentId, signature) => {
       await Booking.findByIdAndUpdate(payment.bookingId, {
         paymentStatus: "paid",
       });
+      await issuePaymentTaxDocuments(payment);
     }
 
     return isValid;
@@ -110,89 +117,248 @@ export const verifyWebhookSignature = (signature, body) => {
       .update(body)
       .digest("hex");
 
-    return generatedSignature === signature;
+    const expected = Buffer.from(generatedSignature);
+    const received = Buffer.from(String(signature || ""));
+    // Timing-safe compare; lengths must match first
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
   } catch (error) {
     console.error("Error verifying webhook signature:", error);
     return false;
   }
 };
 
-//Process webhook event
+//Razorpay ids referenced by a webhook event
+
+export const getWebhookEntities = (event) => {
+  const payload = event?.payload ?? {};
+  const orderEntity = payload.order?.entity;
+  const paymentEntity = payload.payment?.entity;
+  const paymentLinkEntity = payload.payment_link?.entity;
+  const refundEntity = payload.refund?.entity;
+
+  // For order.paid events, the order info is directly in payload.order.entity
+  // For payment events, order_id is in payment.entity.order_id
+  // For payment_link.paid events, the payment info is in payload.payment_link.entity
+  let orderId = orderEntity?.id || paymentEntity?.order_id || paymentLinkEntity?.order_id;
+  if (!orderId && paymentLinkEntity?.payments?.[0]?.order_id) {
+    orderId = paymentLinkEntity.payments[0].order_id;
+  }
+  if (!orderId) {
+    // Attempt to find any razorpay order id inside the payload
+    const maybeOrderId = JSON.stringify(payload).match(/order_[a-zA-Z0-9]+/);
+    if (maybeOrderId) orderId = maybeOrderId[0];
+  }
 
-export const processWebhookEvent = async (event) => {
-  try {
-    const { payload } = event;
-    const { payment, order } =
-      payload.payment?.entity || payload.order?.entity || {};
+  const paymentId =
+    paymentEntity?.id ||
+    refundEntity?.payment_id ||
+    orderEntity?.payments?.items?.[0]?.id ||
+    paymentLinkEntity?.payments?.[0]?.payment_id;
+
+  return {
+    eventType: event?.event,
+    orderEntity,
+    paymentEntity,
+    paymentLinkEntity,
+    refundEntity,
+    orderId,
+    paymentId,
+    paymentLinkId: paymentLinkEntity?.id,
+    notes: paymentEntity?.notes || paymentLinkEntity?.notes || orderEntity?.notes || {},
+  };
+};
 
-    if (!order && !payment) {
-      throw new Error("Invalid webhook payload");
-    }
+// A payment is refunded once processed refunds add up to what was paid
+const markRefundedWhenSettled = (payment) => {
+  const processed = payment.refunds
+    .filter((refund) => refund.status === "processed")
+    .reduce((total, refund) => total + toPaise(refund.amount), 0);
+  if (processed >= toPaise(payment.amount)) {
+    payment.status = "refunded";
+  }
+};
 
-    const orderId = order?.id || payment?.order_id;
-    if (!orderId) {
-      throw new Error("Order ID not found in webhook payload");
-    }
+//Tell the customer's open app screens that a booking has been paid
 
-    // Find payment record
-    const paymentRecord = await Payment.findOne({ razorpayOrderId: orderId });
-    if (!paymentRecord) {
-      throw new Error(`Payment record not found for order ID: ${orderId}`);
-    }
+export const publishPaymentConfirmed = (payment, booking) =>
+  publishEvent([payment?.userId || booking?.customer], "payment.confirmed", {
+    bookingId: payment?.bookingId || booking?._id,
+    paymentId: payment?._id,
+    amount: payment?.amount ?? booking?.totalAmount,
+    method: payment?.paymentMethod || booking?.paymentMethod,
+    status: payment?.status || "paid",
+  });
 
-    // Update payment status based on event type
-    switch (event.event) {
-      case "payment.authorized":
-        paymentRecord.status = "authorized";
-        paymentRecord.paymentMethod = payment?.method;
-        paymentRecord.paymentDetails = payment;
-        break;
-
-      case "payment.captured":
-        paymentRecord.status = "captured";
-        paymentRecord.razorpayPaymentId = payment?.id;
-        // Update booking status
-        await Booking.findByIdAndUpdate(paymentRecord.bookingId, {
-          paymentStatus: "paid",
-        });
-        break;
-
-      case "payment.failed":
-        paymentRecord.status = "failed";
-        paymentRecord.errorCode = payment?.error_code;
-        paymentRecord.errorDescription = payment?.error_description;
-        break;
-
-      case "refund.created":
-        paymentRecord.refundId = payload.refund?.entity?.id;
-        paymentRecord.refundAmount = payload.refund?.entity?.amount / 100;
-        paymentRecord.refundStatus = "pending";
-        break;
-
-      case "refund.processed":
-        paymentRecord.refundStatus = "processed";
-        paymentRecord.status = "refunded";
-        break;
-
-      case "refund.failed":
-        paymentRecord.refundStatus = "failed";
-        break;
+//Issue the invoice of a paid booking and a credit note for each processed refund.
+//Both are idempotent; failures are logged and never undo the payment update.
+
+export const issuePaymentTaxDocuments = async (payment) => {
+  try {
+    if (!["captured", "refunded"].includes(payment.status)) return;
+    await issueBookingInvoice(payment.bookingId, { paymentId: payment._id });
+
+    for (const refund of payment.refunds || []) {
+      if (refund.status !== "processed") continue;
+      await issueCreditNote({
+        bookingId: payment.bookingId,
+        amount: refund.amount,
+        reason: refund.reason || "Refund",
+        refundReference: `refund:${payment._id}:${refund._id}`,
+        paymentId: payment._id,
+      });
     }
+  } catch (error) {
+    console.error(`Failed to issue tax documents for payment ${payment._id}:`, error);
+  }
+};
 
-    // Add webhook event to history
-    paymentRecord.webhookEvents.push({
-      eventId: event.id,
-      eventType: event.event,
-      timestamp: new Date(),
-      payload: event,
+//Record a refund webhook in the payment's refund ledger.
+//Refunds raised outside the app (e.g. on the Razorpay dashboard) are added to the ledger.
+
+export const applyRefundEvent = (payment, eventType, refundEntity = {}) => {
+  const ledgerId = refundEntity.notes?.refundEntryId;
+  let entry =
+    payment.refunds.find((refund) => refund.razorpayRefundId === refundEntity.id) ||
+    (ledgerId && payment.refunds.id(ledgerId));
+
+  if (!entry) {
+    // Older payments counted their single refund in refundAmount without a ledger entry
+    const counted = !payment.refunds.length && payment.refundId === refundEntity.id;
+    payment.refunds.push({
+      razorpayRefundId: refundEntity.id,
+      amount: (refundEntity.amount ?? 0) / 100,
+      reason: refundEntity.notes?.reason,
+      source: counted ? "admin" : "razorpay",
     });
+    entry = payment.refunds[payment.refunds.length - 1];
+    if (!counted) payment.refundAmount = (payment.refundAmount || 0) + entry.amount;
+  }
+
+  entry.razorpayRefundId = entry.razorpayRefundId || refundEntity.id;
 
-    await paymentRecord.save();
+  if (eventType === "refund.processed" && entry.status !== "processed") {
+    // A refund reported failed earlier counts again once it goes through
+    if (entry.status === "failed") payment.refundAmount += entry.amount;
+    entry.status = "processed";
+    entry.processedAt = new Date();
+  }
+
+  if (eventType === "refund.failed" && entry.status !== "failed") {
+    // Give the amount back so it can be refunded again
+    payment.refundAmount = Math.max((payment.refundAmount || 0) - entry.amount, 0);
+    entry.status = "failed";
+    entry.failureReason = refundEntity.error_description || refundEntity.status_details?.description;
+  }
+
+  payment.refundId = entry.razorpayRefundId;
+  payment.refundStatus = entry.status;
+  markRefundedWhenSettled(payment);
+
+  return entry;
+};
+
+//Apply a Razorpay webhook event to the booking payment it belongs to.
+//Returns the payment record, or null when the event is not about a booking payment.
+
+export const processWebhookEvent = async (event, { eventId } = {}) => {
+  const {
+    eventType,
+    paymentEntity,
+    refundEntity,
+    orderId,
+    paymentId,
+    paymentLinkId,
+    notes,
+  } = getWebhookEntities(event);
+
+  if (!eventType) {
+    throw new AppError(
+      `Invalid webhook event: missing 'event' field. Received: ${JSON.stringify(event).substring(0, 200)}`,
+      400
+    );
+  }
+
+  // Find the payment record by razorpayOrderId OR by razorpayPaymentId OR by razorpayPaymentLinkId
+  let paymentRecord = null;
+  if (orderId) paymentRecord = await Payment.findOne({ razorpayOrderId: orderId });
+  if (!paymentRecord && paymentId) {
+    paymentRecord = await Payment.findOne({ razorpayPaymentId: paymentId });
+  }
+  if (!paymentRecord && paymentLinkId) {
+    paymentRecord = await Payment.findOne({ razorpayPaymentLinkId: paymentLinkId });
+  }
+  // Additional fallback: try to find by bookingId from notes
+  if (!paymentRecord && notes.bookingId) {
+    paymentRecord = await Payment.findOne({ bookingId: notes.bookingId });
+  }
+
+  if (!paymentRecord) return null;
+
+  // Idempotency: skip if we've already processed this event id
+  if (eventId && (paymentRecord.webhookEvents || []).some((e) => e.eventId === eventId)) {
+    console.log(`Webhook event ${eventId} already processed for payment ${paymentRecord._id}`);
     return paymentRecord;
-  } catch (error) {
-    console.error("Error processing webhook event:", error);
-    throw new AppError(error.message || "Failed to process webhook event", 500);
   }
+
+  const previousStatus = paymentRecord.status;
+
+  // Update payment status based on event type
+  switch (eventType) {
+    case "payment.authorized":
+      paymentRecord.status = "authorized";
+      paymentRecord.paymentMethod = paymentEntity?.method;
+      paymentRecord.paymentDetails = paymentEntity;
+      break;
+    case "payment.captured":
+    case "order.paid":
+    case "payment_link.paid":
+      // All these events indicate successful payment - treat the same way
+      paymentRecord.status = "captured";
+      paymentRecord.razorpayPaymentId = paymentId || paymentRecord.razorpayPaymentId;
+      paymentRecord.capturedAt = new Date();
+
+      await Booking.findByIdAndUpdate(paymentRecord.bookingId, {
+        paymentStatus: "paid",
+        paymentId: paymentRecord._id,
+      });
+      break;
+    case "payment.failed":
+      paymentRecord.status = "failed";
+      paymentRecord.errorCode = paymentEntity?.error_code;
+      paymentRecord.errorDescription = paymentEntity?.error_description;
+      break;
+    case "refund.created":
+    case "refund.processed":
+    case "refund.failed": {
+      const entry = applyRefundEvent(paymentRecord, eventType, refundEntity);
+      // Keep automatic cancellation refunds in sync on the booking
+      if (entry.status !== "pending") {
+        await Booking.updateOne(
+          { _id: paymentRecord.bookingId, "cancellation.refundId": refundEntity?.id },
+          { "cancellation.refundStatus": entry.status }
+        );
+      }
+      break;
+    }
+    default:
+      // Keep record of unknown events for audit
+      console.log(`Unhandled webhook event type: ${eventType}`);
+      break;
+  }
+
+  paymentRecord.webhookEvents = paymentRecord.webhookEvents || [];
+  paymentRecord.webhookEvents.push({
+    eventId,
+    eventType,
+    timestamp: new Date(),
+    payload: event,
+  });
+  await paymentRecord.save();
+  await issuePaymentTaxDocuments(paymentRecord);
+  if (paymentRecord.status === "captured" && previousStatus !== "captured") {
+    publishPaymentConfirmed(paymentRecord);
+  }
+  return paymentRecord;
 };
 
 //Get payment details
@@ -225,9 +391,95 @@ export const getPaymentByOrderId = async (orderId) => {
   }
 };
 
-//Initiate refund
+// Which of several attempts on an order decides its state
+const ATTEMPT_PRIORITY = ["captured", "refunded", "authorized", "failed", "created"];
+
+//Attempt that decides a Razorpay order's state: a captured (or refunded) payment wins,
+//then an authorized one, then the most recent failure
+
+export const pickDecisivePayment = (attempts = []) => {
+  const rank = (attempt) => {
+    const index = ATTEMPT_PRIORITY.indexOf(attempt.status);
+    return index === -1 ? ATTEMPT_PRIORITY.length : index;
+  };
+
+  return (
+    [...attempts]
+      .filter(Boolean)
+      .sort((a, b) => rank(a) - rank(b) || (b.created_at || 0) - (a.created_at || 0))[0] || null
+  );
+};
+
+//Current state of a payment on Razorpay, read through `client` so it can be stubbed in tests.
+//Returns the decisive Razorpay payment entity, or null when nothing was attempted yet.
+
+export const fetchRazorpayPaymentState = async (payment, client = razorpayInstance) => {
+  let attempts = [];
+
+  if (payment.razorpayOrderId) {
+    const result = await client.orders.fetchPayments(payment.razorpayOrderId);
+    attempts = result?.items || [];
+  } else if (payment.razorpayPaymentLinkId) {
+    const link = await client.paymentLink.fetch(payment.razorpayPaymentLinkId);
+    attempts = await Promise.all(
+      (link?.payments || []).map((linkPayment) => client.payments.fetch(linkPayment.payment_id))
+    );
+  } else if (payment.razorpayPaymentId) {
+    attempts = [await client.payments.fetch(payment.razorpayPaymentId)];
+  }
+
+  return pickDecisivePayment(attempts);
+};
+
+//Amount (INR) still refundable on a payment: what was paid less refunds that have not failed
+
+export const getRefundableAmount = (payment) =>
+  Math.max(toPaise(payment.amount) - toPaise(payment.refundAmount), 0) / 100;
+
+//Refund history of a payment, including the single refund older payments kept outside the ledger
+
+export const getRefundLedger = (payment) => {
+  if (payment.refunds?.length || !payment.refundId) return payment.refunds || [];
+  return [
+    {
+      razorpayRefundId: payment.refundId,
+      amount: payment.refundAmount,
+      status: payment.refundStatus,
+      source: "admin",
+    },
+  ];
+};
+
+// Mark a refund paid out as wallet credit as processed
+const settleWalletRefund = async (payment, entry) => {
+  const settled = await Payment.findById(payment._id);
+  const refund = settled.refunds.id(entry._id);
+  refund.status = "processed";
+  refund.processedAt = new Date();
+  settled.refundStatus = "processed";
+  markRefundedWhenSettled(settled);
+  await settled.save();
+  await issuePaymentTaxDocuments(settled);
+
+  return {
+    id: entry._id.toString(),
+    entity: "wallet_refund",
+    amount: toPaise(entry.amount),
+    status: "processed",
+  };
+};
 
-export const initiateRefund = async (paymentId, amount = null, notes = {}) => {
+//Initiate a (partial) refund. `amount` in INR; the full refundable amount when omitted.
+//The amount is reserved on the payment before Razorpay is called, so concurrent refunds
+//can never add up to more than was captured. `destination: "wallet"` credits the
+//customer's wallet instead of refunding the original payment method.
+
+export const initiateRefund = async (
+  paymentId,
+  amount = null,
+  notes = {},
+  { reason, approvedBy, source = "admin", destination = "source" } = {}
+) => {
   try {
     const payment = await Payment.findById(paymentId);
     if (!payment) {
@@ -245,47 +497,116 @@ export const initiateRefund = async (paymentId, amount = null, notes = {}) => {
       );
     }
 
-    // If amount not specified, refund full amount
-    const refundAmount = amount ? amount * 100 : undefined;
+    // All maths in paise
+    const availableAmount = toPaise(getRefundableAmount(payment));
+    const refundAmount = amount ? toPaise(amount) : availableAmount;
 
-    // Validate refund amount doesn't exceed available amount
-    const totalRefunded = payment.refundAmount || 0;
-    const availableAmount = payment.amount * 100 - totalRefunded;
+    if (availableAmount <= 0) {
+      throw new AppError("No amount available for refund", 400);
+    }
 
-    if (refundAmount && refundAmount > availableAmount) {
+    if (refundAmount > availableAmount) {
       throw new AppError(
         `Refund amount ₹${amount} exceeds available amount ₹${availableAmount / 100}`,
         400
       );
     }
 
-    if (!refundAmount && availableAmount <= 0) {
-      throw new AppError("No amount available for refund", 400);
-    }
+    const entry = payment.refunds.create({
+      amount: refundAmount / 100,
+      reason: reason || notes.reason,
+      notes,
+      approvedBy,
+      source,
+      destination,
+    });
 
-    // Create refund in Razorpay
-    const refundOptions = {
-      payment_id: payment.razorpayPaymentId,
-      amount: refundAmount,
-      notes: {
-        paymentId: paymentId.toString(),
-        bookingId: payment.bookingId.toString(),
-        userId: payment.userId.toString(),
-        ...notes,
+    // Reserve the amount; fails if another refund took it in the meantime.
+    // Half a paisa of slack absorbs floating point drift in the stored rupee total.
+    const reserved = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: "captured",
+        $or: [
+          { refundAmount: { $lte: (toPaise(payment.amount) - refundAmount) / 100 + 0.005 } },
+          { refundAmount: { $exists: false } },
+        ],
       },
-    };
+      { $inc: { refundAmount: refundAmount / 100 }, $push: { refunds: entry } },
+      { new: true }
+    );
+    if (!reserved) {
+      throw new AppError("Refund exceeds the amount still refundable on this payment", 409, "REFUND_EXCEEDS_CAPTURED");
+    }
 
-    const refund = await razorpayInstance.payments.refund(refundOptions);
+    let refund;
+    try {
+      if (destination === "wallet") {
+        await creditRefundToWallet({
+          payment,
+          refundEntryId: entry._id,
+          amount: entry.amount,
+          reason: entry.reason,
+        });
+      } else {
+        // Create refund in Razorpay
+        refund = await razorpayInstance.payments.refund({
+          payment_id: payment.razorpayPaymentId,
+          amount: refundAmount,
+          notes: {
+            paymentId: paymentId.toString(),
+            bookingId: payment.bookingId.toString(),
+            userId: payment.userId.toString(),
+            refundEntryId: entry._id.toString(),
+            ...notes,
+          },
+        });
+      }
+    } catch (error) {
+      // Release the reservation
+      await Payment.updateOne(
+        { _id: payment._id, "refunds._id": entry._id },
+        {
+          $inc: { refundAmount: -refundAmount / 100 },
+          $set: {
+            "refunds.$.status": "failed",
+            "refunds.$.failureReason": error.error?.description || error.message,
+          },
+        }
+      );
+      throw error;
+    }
+
+    // The money has been paid out, so the reservation stays even if recording that fails
+    if (destination === "wallet") {
+      return await settleWalletRefund(payment, entry);
+    }
 
-    // Update payment record
-    payment.refundId = refund.id;
-    payment.refundAmount = refund.amount / 100;
-    payment.refundStatus = "pending";
-    await payment.save();
+    const status = refund.status === "processed" ? "processed" : "pending";
+    await Payment.updateOne(
+      { _id: payment._id, "refunds._id": entry._id },
+      {
+        $set: {
+          "refunds.$.razorpayRefundId": refund.id,
+          "refunds.$.status": status,
+          ...(status === "processed" && { "refunds.$.processedAt": new Date() }),
+          refundId: refund.id,
+          refundStatus: status,
+        },
+      }
+    );
+
+    if (status === "processed") {
+      await issuePaymentTaxDocuments(await Payment.findById(payment._id));
+    }
 
     return refund;
   } catch (error) {
     console.error("Error initiating refund:", error);
-    throw new AppError(error.message || "Failed to initiate refund", 500);
+    if (error.isOperational) throw error;
+    throw new AppError(
+      error.error?.description || error.message || "Failed to initiate refund",
+      500
+    );
   }
 };
@@ -0,0 +1,647 @@
+import crypto from "crypto";
+import { Buffer } from "buffer";
+import Service from "../models/serviceModel.js";
+import Offer from "../models/offerModel.js";
+import PaymentMethod from "../models/paymentMethodModel.js";
+import ServicePrice from "../models/servicePriceModel.js";
+import Vehicle from "../models/vehicleModel.js";
+import Address from "../models/addressModel.js";
+import { AppError } from "../utils/appError.js";
+import { PRICING_CONFIG, VEHICLE_CLASSES, VEHICLE_CLASS_TYPES } from "../config/pricing.js";
+import { INVOICE_CONFIG } from "../config/invoicing.js";
+import { getActiveMembership } from "./membershipService.js";
+import {
+  evaluateCoverage,
+  getMembershipUsage,
+  getRemainingEntitlements,
+} from "./membershipUsageService.js";
+import { calculateCashback } from "./walletService.js";
+import { getScheduledStart, timeToMinutes } from "./bookingSlotService.js";
+import { assertAreaServes, findServiceArea } from "./serviceAreaService.js";
+import { getDynamicAdjustment } from "./dynamicPricingService.js";
+
+const QUOTE_VERSION = "q1";
+
+const toPaise = (amount) => Math.round((amount || 0) * 100);
+const toRupees = (paise) => paise / 100;
+const round = (value) => Math.round(value * 100) / 100;
+const sumAmounts = (lines) => round(lines.reduce((total, line) => total + line.amount, 0));
+
+//Price of a service for a vehicle class and service area at a moment.
+//Pure: among the versions in effect, the most specific wins (area and class, then area,
+//then class, then neither) and the latest of equally specific ones; without any the
+//service's own price applies.
+
+export const resolveServicePrice = (service, versions, { vehicleClass, serviceAreaId, at = new Date() } = {}) => {
+  const areaId = serviceAreaId ? String(serviceAreaId) : null;
+  let best = null;
+  let bestRank = -1;
+
+  for (const version of versions) {
+    if (String(version.service) !== String(service._id)) continue;
+    if (new Date(version.effectiveFrom) > at) continue;
+
+    const versionArea = version.serviceArea ? String(version.serviceArea) : null;
+    if (versionArea && versionArea !== areaId) continue;
+    if (version.vehicleClass && version.vehicleClass !== vehicleClass) continue;
+
+    const rank = (versionArea ? 2 : 0) + (version.vehicleClass ? 1 : 0);
+    if (rank > bestRank || (rank === bestRank && new Date(version.effectiveFrom) > new Date(best.effectiveFrom))) {
+      best = version;
+      bestRank = rank;
+    }
+  }
+
+  return best
+    ? { price: best.price, source: "matrix", priceVersion: best._id, effectiveFrom: best.effectiveFrom }
+    : { price: service.price, source: "base" };
+};
+
+//Current price of each service for a vehicle class and service area, keyed by service id
+
+export const getServicePrices = async (services, { vehicleClass, serviceAreaId, at = new Date() } = {}) => {
+  const versions = await ServicePrice.find({
+    service: { $in: services.map((service) => service._id) },
+    effectiveFrom: { $lte: at },
+    vehicleClass: { $in: [null, ...(vehicleClass ? [vehicleClass] : [])] },
+    serviceArea: { $in: [null, ...(serviceAreaId ? [serviceAreaId] : [])] },
+  }).lean();
+
+  return new Map(
+    services.map((service) => [
+      service._id.toString(),
+      resolveServicePrice(service, versions, { vehicleClass, serviceAreaId, at }),
+    ])
+  );
+};
+
+//Price of a service for every vehicle class in a service area
+
+export const getServicePriceMatrix = async (service, { serviceAreaId, at = new Date() } = {}) => {
+  const versions = await ServicePrice.find({
+    service: service._id,
+    effectiveFrom: { $lte: at },
+    serviceArea: { $in: [null, ...(serviceAreaId ? [serviceAreaId] : [])] },
+  }).lean();
+
+  return VEHICLE_CLASSES.map((vehicleClass) => ({
+    vehicleClass,
+    ...resolveServicePrice(service, versions, { vehicleClass, serviceAreaId, at }),
+  }));
+};
+
+//Vehicle class and service area a customer is priced for. Explicit values win over
+//the customer's default vehicle and default address.
+
+export const getPricingContext = async (userId, options = {}) =>
+  (await resolvePricingContext(userId, options)).context;
+
+// Pricing context plus the service area document it was matched to
+const resolvePricingContext = async (userId, { vehicleId, vehicleClass, pincode, lat, lng } = {}) => {
+  let resolvedClass = vehicleClass;
+  if (!resolvedClass && userId) {
+    const vehicle = vehicleId
+      ? await Vehicle.findOne({ _id: vehicleId, user: userId })
+      : await Vehicle.getUserDefaultVehicle(userId);
+    if (vehicleId && !vehicle) throw new AppError("Vehicle not found", 404);
+    resolvedClass = vehicle?.type;
+  }
+
+  let resolvedPincode = pincode;
+  let point = { lat, lng };
+  if (!resolvedPincode && userId) {
+    const address = await Address.findOne({ user: userId, isDefault: true });
+    resolvedPincode = address?.pincode;
+    if (lat === undefined && lng === undefined) {
+      point = { lat: address?.coordinates?.latitude, lng: address?.coordinates?.longitude };
+    }
+  }
+
+  const serviceArea = await findServiceArea({ pincode: resolvedPincode, ...point });
+  return {
+    serviceArea,
+    context: {
+      vehicleClass: resolvedClass || null,
+      pincode: resolvedPincode || null,
+      serviceArea: serviceArea ? { id: serviceArea._id.toString(), name: serviceArea.name } : null,
+    },
+  };
+};
+
+//Price versions of a service, newest first
+
+export const listServicePrices = (serviceId) =>
+  ServicePrice.find({ service: serviceId })
+    .sort({ effectiveFrom: -1 })
+    .populate("serviceArea", "name pincode")
+    .populate("createdBy", "name");
+
+//Add a price version. Versions only take effect from now on so booked prices keep their history.
+
+export const addServicePrice = async (
+  serviceId,
+  { vehicleClass, serviceAreaId, price, effectiveFrom, note },
+  createdBy,
+  now = new Date()
+) => {
+  const from = effectiveFrom ? new Date(effectiveFrom) : now;
+  if (from < now) {
+    throw new AppError("A price version cannot take effect in the past", 400);
+  }
+
+  try {
+    return await ServicePrice.create({
+      service: serviceId,
+      vehicleClass: vehicleClass || undefined,
+      serviceArea: serviceAreaId || undefined,
+      price,
+      effectiveFrom: from,
+      note,
+      createdBy: createdBy?.id,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError("A price version already starts at that moment", 409, "DUPLICATE_PRICE_VERSION");
+    }
+    throw error;
+  }
+};
+
+//Withdraw a price version that has not taken effect yet
+
+export const deleteServicePrice = async (serviceId, priceId, now = new Date()) => {
+  const version = await ServicePrice.findOne({ _id: priceId, service: serviceId });
+  if (!version) throw new AppError("Price version not found", 404);
+  if (version.effectiveFrom <= now) {
+    throw new AppError(
+      "This price is already in effect; add a new version instead",
+      409,
+      "PRICE_VERSION_IN_EFFECT"
+    );
+  }
+
+  await version.deleteOne();
+  return version;
+};
+
+// Lines an offer's discount applies to: all of them unless it is limited to services or categories
+const getOfferLines = (offer, lines) => {
+  const services = (offer.applicableServices || []).map((service) => String(service._id || service));
+  const categories = offer.applicableCategories || [];
+  if (!services.length && !categories.length) return lines;
+  return lines.filter(
+    (line) => services.includes(String(line.serviceId)) || categories.includes(line.category)
+  );
+};
+
+//Discount (or cashback) an offer gives on priced lines.
+//Pure: follows the offer's limits; `reason` says why an offer does not apply.
+
+export const calculateOfferDiscount = (offer, lines, { vehicleType } = {}) => {
+  const notApplicable = (reason) => ({ applicable: false, discount: 0, cashback: 0, reason });
+  if (!offer) return notApplicable("No offer");
+
+  if (vehicleType && offer.vehicleType && offer.vehicleType !== "Both" && offer.vehicleType !== vehicleType) {
+    return notApplicable(`This offer is only for ${offer.vehicleType} vehicles`);
+  }
+
+  const eligible = getOfferLines(offer, lines);
+  if (!eligible.length) {
+    return notApplicable("This offer is not applicable to the selected services");
+  }
+
+  if (offer.minOrderValue && sumAmounts(lines) < offer.minOrderValue) {
+    return notApplicable(`Minimum order amount of ₹${offer.minOrderValue} required`);
+  }
+
+  const base = sumAmounts(eligible);
+  if (offer.benefitType === "cashback") {
+    return { applicable: true, discount: 0, cashback: calculateCashback(offer, base) };
+  }
+
+  let discount = offer.discountType === "percentage" ? (base * offer.discount) / 100 : offer.discount;
+  if (offer.maxDiscountAmount) discount = Math.min(discount, offer.maxDiscountAmount);
+
+  return { applicable: true, discount: round(Math.max(Math.min(discount, base), 0)), cashback: 0 };
+};
+
+//Processing fee a payment method charges on an amount (PaymentMethod.config.fees)
+
+export const calculatePaymentFee = (fees, amount) => {
+  if (!fees || !(amount > 0)) return 0;
+
+  let fee = (amount * (fees.percentage || 0)) / 100 + (fees.fixed || 0);
+  if (typeof fees.maxFee === "number") fee = Math.min(fee, fees.maxFee);
+  return round(Math.max(fee, 0));
+};
+
+//GST on an amount: carved out of it when prices include tax, added on top otherwise
+
+export const calculateTax = (amount, { rate, pricesIncludeTax }) => {
+  const paise = toPaise(amount);
+  if (pricesIncludeTax) {
+    const taxable = Math.round((paise * 100) / (100 + rate));
+    return { taxableAmount: toRupees(taxable), tax: toRupees(paise - taxable), total: toRupees(paise) };
+  }
+
+  const tax = Math.round((paise * rate) / 100);
+  return { taxableAmount: toRupees(paise), tax: toRupees(tax), total: toRupees(paise + tax) };
+};
+
+//Full price of a booking from its lines.
+//Pure: a booking covered by a membership costs nothing, takes no offer and no surge; otherwise
+//the surge or off-peak `adjustment` and the offer discount apply first, then the payment fee
+//and tax are worked out on what is left.
+
+export const calculatePriceBreakdown = (
+  { lines, offer = null, covered = false, fees = null, vehicleType, adjustment = null },
+  { taxRate = INVOICE_CONFIG.gstRate, pricesIncludeTax = INVOICE_CONFIG.pricesIncludeTax } = {}
+) => {
+  const subtotal = sumAmounts(lines);
+  const membershipDiscount = covered ? subtotal : 0;
+  const offerResult = covered
+    ? { applicable: false, discount: 0, cashback: 0, reason: "Covered by your membership" }
+    : calculateOfferDiscount(offer, lines, { vehicleType });
+
+  const dynamicAdjustment = covered ? 0 : adjustment?.amount || 0;
+  const net = round(Math.max(subtotal + dynamicAdjustment - membershipDiscount - offerResult.discount, 0));
+  const paymentFee = calculatePaymentFee(fees, net);
+  const { taxableAmount, tax, total } = calculateTax(net + paymentFee, { rate: taxRate, pricesIncludeTax });
+
+  return {
+    offer: offerResult,
+    breakdown: {
+      currency: "INR",
+      subtotal,
+      dynamicAdjustment,
+      pricingRule: dynamicAdjustment ? adjustment.rule : null,
+      membershipDiscount,
+      offerDiscount: offerResult.discount,
+      cashback: offerResult.cashback,
+      paymentFee,
+      taxableAmount,
+      taxRate,
+      tax,
+      taxIncluded: pricesIncludeTax,
+      total,
+    },
+  };
+};
+
+// Start of the booked slot, which decides membership coverage; now when no date was picked
+const getSlotStart = (scheduledDate, scheduledTime) =>
+  getScheduledStart({ scheduledDate, scheduledTime }) || new Date();
+
+// Requested services with their catalogue details, priced from the price matrix for the
+// context unless `quotedPrices` fixes them
+const loadServiceLines = async (items, { context = {}, at, quotedPrices } = {}) => {
+  const serviceIds = items.map((item) => String(item.serviceId));
+  const services = await Service.find({ _id: { $in: serviceIds } }).select(
+    "title price duration category tags vehicleType"
+  );
+
+  if (services.length !== new Set(serviceIds).size) {
+    const foundIds = services.map((service) => service._id.toString());
+    const notFoundIds = [...new Set(serviceIds)].filter((id) => !foundIds.includes(id));
+    throw new AppError(`Services not found: ${notFoundIds.join(", ")}`, 404);
+  }
+
+  const prices =
+    quotedPrices ||
+    new Map(
+      [...(await getServicePrices(services, {
+        vehicleClass: context.vehicleClass,
+        serviceAreaId: context.serviceArea?.id,
+        at,
+      }))].map(([id, resolved]) => [id, resolved.price])
+    );
+
+  const serviceMap = new Map(services.map((service) => [service._id.toString(), service]));
+  return items.map((item) => {
+    const service = serviceMap.get(String(item.serviceId));
+    const quantity = item.quantity || 1;
+    const unitPrice = prices.get(service._id.toString()) ?? service.price;
+    return {
+      service,
+      serviceId: service._id,
+      title: service.title,
+      category: service.category,
+      duration: parseInt(service.duration, 10) || 0,
+      quantity,
+      unitPrice,
+      amount: round(unitPrice * quantity),
+    };
+  });
+};
+
+// Membership and the coverage it gives a booking at the slot
+const getMembershipCoverage = async (customerId, lines, slotStart) => {
+  const membership = await getActiveMembership(customerId, slotStart);
+  if (!membership) return { membership: null, coverage: { covered: false, reason: "No active membership" } };
+
+  const remaining = getRemainingEntitlements(await getMembershipUsage(membership));
+  const coverage = evaluateCoverage({ membership, services: lines, scheduledDate: slotStart, remaining });
+  return { membership, coverage };
+};
+
+// Offer a customer asked for, or null. With `strict` an unusable offer is an error
+// instead of being dropped.
+const findUsableOffer = async (customerId, { offerCode, offerId }, strict) => {
+  if (!offerCode && !offerId) return null;
+
+  const offer = offerCode
+    ? await Offer.findOne({ offerCode: offerCode.toUpperCase(), isActive: true })
+    : await Offer.findById(offerId);
+
+  if (!offer) {
+    if (strict) throw new AppError("Invalid offer code", 404);
+    return null;
+  }
+
+  const canUse = offer.isValid && (await Offer.canUserUseOffer(offer._id, customerId));
+  if (!canUse) {
+    if (strict) throw new AppError("You have already used this offer or reached the usage limit", 400);
+    return null;
+  }
+
+  return offer;
+};
+
+//Price a booking from the catalogue, the customer's offer and membership and the payment method.
+//With `strictOffer` an offer that cannot be applied is an error; otherwise it is left out.
+
+export const priceBooking = async (
+  customerId,
+  {
+    services,
+    vehicleId,
+    vehicleClass,
+    vehicleType,
+    pincode,
+    lat,
+    lng,
+    offerCode,
+    offerId,
+    paymentMethod,
+    scheduledDate,
+    scheduledTime,
+    useMembership = true,
+  },
+  { strictOffer = true } = {}
+) => {
+  const { context, serviceArea } = await resolvePricingContext(customerId, {
+    vehicleId,
+    vehicleClass,
+    pincode,
+    lat,
+    lng,
+  });
+  const slotStart = getSlotStart(scheduledDate, scheduledTime);
+  const lines = await loadServiceLines(services, { context, at: slotStart });
+
+  // The area's hours only matter once the customer has picked a slot
+  assertAreaServes(serviceArea, {
+    serviceIds: lines.map((line) => line.serviceId),
+    slotStart: scheduledDate && timeToMinutes(scheduledTime) !== null ? slotStart : undefined,
+    duration: lines.reduce((total, line) => total + line.duration * line.quantity, 0),
+  });
+  const offerVehicleType = vehicleType || VEHICLE_CLASS_TYPES[context.vehicleClass];
+
+  const { membership, coverage } = useMembership
+    ? await getMembershipCoverage(customerId, lines, slotStart)
+    : { membership: null, coverage: { covered: false, reason: "Membership not used" } };
+
+  if (paymentMethod === "membership" && !coverage.covered) {
+    throw new AppError(`This booking is not covered by your membership: ${coverage.reason}`, 400);
+  }
+
+  // Covered bookings are settled by the plan, so there is nothing to discount or pay for
+  let offer = coverage.covered ? null : await findUsableOffer(customerId, { offerCode, offerId }, strictOffer);
+  // Bookings that name no payment method are paid online
+  const methodType = coverage.covered ? "membership" : paymentMethod || "razorpay";
+  const method = coverage.covered
+    ? null
+    : await PaymentMethod.findOne({ type: methodType, isActive: true });
+
+  const adjustment = coverage.covered
+    ? null
+    : await getDynamicAdjustment({
+        amount: lines.reduce((total, line) => total + line.amount, 0),
+        slotStart,
+        serviceAreaId: context.serviceArea?.id,
+        pincode: context.pincode,
+      });
+
+  const priced = calculatePriceBreakdown({
+    lines,
+    offer,
+    covered: coverage.covered,
+    fees: method?.config?.fees,
+    vehicleType: offerVehicleType,
+    adjustment,
+  });
+
+  if (offer && !priced.offer.applicable) {
+    if (strictOffer) throw new AppError(priced.offer.reason, 400);
+    offer = null;
+  }
+
+  return {
+    customer: String(customerId),
+    lines,
+    context,
+    slotStart,
+    paymentMethod: methodType,
+    offer: offer && priced.offer.applicable
+      ? { id: offer._id.toString(), code: offer.offerCode, title: offer.title, benefitType: offer.benefitType }
+      : null,
+    membership: coverage.covered
+      ? { id: membership._id.toString(), planId: coverage.planId, entitlements: coverage.entitlements }
+      : null,
+    membershipDoc: coverage.covered ? membership : null,
+    coverageReason: coverage.covered ? undefined : coverage.reason,
+    breakdown: priced.breakdown,
+  };
+};
+
+const signBody = (body, secret) => crypto.createHmac("sha256", secret).update(body).digest("base64url");
+
+const assertSecret = (secret) => {
+  if (!secret) throw new AppError("Quote signing secret is not configured", 500);
+};
+
+//Sign a quote so the booking can later prove its price came from the server
+
+export const signQuote = (payload, secret = PRICING_CONFIG.quoteSecret) => {
+  assertSecret(secret);
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${QUOTE_VERSION}.${body}.${signBody(`${QUOTE_VERSION}.${body}`, secret)}`;
+};
+
+//Check a quote's signature and expiry and return what it priced
+
+export const verifyQuote = (quoteId, { now = new Date(), secret = PRICING_CONFIG.quoteSecret } = {}) => {
+  assertSecret(secret);
+  const invalid = () => new AppError("Invalid quote", 400, "INVALID_QUOTE");
+
+  const [version, body, signature] = String(quoteId || "").split(".");
+  if (version !== QUOTE_VERSION || !body || !signature) throw invalid();
+
+  const expected = Buffer.from(signBody(`${version}.${body}`, secret));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) throw invalid();
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    throw invalid();
+  }
+
+  if (new Date(payload.expiresAt) <= now) {
+    throw new AppError("This quote has expired; request a new one", 400, "QUOTE_EXPIRED");
+  }
+
+  return payload;
+};
+
+//Price a booking and sign the result as a quote the customer can book against
+
+export const createQuote = async (customerId, input, { now = new Date(), config = PRICING_CONFIG } = {}) => {
+  const { service, ...options } = input;
+  const priced = await priceBooking(customerId, { ...options, services: service });
+  const slotStart = options.scheduledDate ? getSlotStart(options.scheduledDate, options.scheduledTime) : null;
+
+  const expiresAt = new Date(now.getTime() + config.quoteTtlMinutes * 60 * 1000);
+  const payload = {
+    customer: priced.customer,
+    lines: priced.lines.map((line) => ({
+      serviceId: line.serviceId.toString(),
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+    })),
+    // Where, when and for which vehicle class the prices apply
+    context: priced.context,
+    slotStart: slotStart ? slotStart.toISOString() : null,
+    paymentMethod: priced.paymentMethod,
+    offer: priced.offer,
+    membership: priced.membership,
+    breakdown: priced.breakdown,
+    issuedAt: now.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+  };
+
+  return {
+    quoteId: signQuote(payload, config.quoteSecret),
+    expiresAt,
+    services: priced.lines.map(({ serviceId, title, quantity, unitPrice, amount }) => ({
+      serviceId,
+      title,
+      quantity,
+      unitPrice,
+      amount,
+    })),
+    vehicleClass: priced.context.vehicleClass,
+    serviceArea: priced.context.serviceArea,
+    paymentMethod: priced.paymentMethod,
+    offer: priced.offer,
+    membership: priced.membership
+      ? { covered: true, planId: priced.membership.planId, entitlements: priced.membership.entitlements }
+      : { covered: false, reason: priced.coverageReason },
+    ...priced.breakdown,
+  };
+};
+
+const lineKey = (items) =>
+  items
+    .map((item) => `${item.serviceId}x${item.quantity || 1}`)
+    .sort()
+    .join(",");
+
+//Why a booking cannot use a quote, or null when it is the booking the quote priced.
+//Pure: `slotStart` and `context` are the booking's, worked out the same way as the quote's,
+//and so is its payment method, since the method's fees are part of the quoted price.
+
+export const getQuoteMismatch = (quote, { services, paymentMethod, slotStart, context }) => {
+  if (lineKey(services) !== lineKey(quote.lines)) return "The services do not match the quote";
+  const method = quote.membership ? "membership" : paymentMethod || "razorpay";
+  if (method !== quote.paymentMethod) {
+    return "The payment method does not match the quote";
+  }
+  if ((slotStart ? slotStart.toISOString() : null) !== (quote.slotStart ?? null)) {
+    return "The scheduled date and time do not match the quote";
+  }
+  if (
+    (context.pincode || null) !== (quote.context?.pincode || null) ||
+    (context.serviceArea?.id || null) !== (quote.context?.serviceArea?.id || null)
+  ) {
+    return "The service location does not match the quote";
+  }
+  if ((context.vehicleClass || null) !== (quote.context?.vehicleClass || null)) {
+    return "The vehicle does not match the quote";
+  }
+  return null;
+};
+
+//Booking price from a quote. The quoted prices stand for the services, slot, location and
+//vehicle they were quoted for; the offer and membership benefits are checked again because
+//they may have been used up since.
+
+export const redeemQuote = async (
+  quoteId,
+  customerId,
+  { services, paymentMethod, scheduledDate, scheduledTime, vehicleId, vehicleClass, pincode, lat, lng }
+) => {
+  const quote = verifyQuote(quoteId);
+
+  if (quote.customer !== String(customerId)) {
+    throw new AppError("This quote was issued to another customer", 403, "INVALID_QUOTE");
+  }
+
+  const { context } = await resolvePricingContext(customerId, { vehicleId, vehicleClass, pincode, lat, lng });
+  const mismatch = getQuoteMismatch(quote, {
+    services,
+    paymentMethod,
+    slotStart: scheduledDate ? getSlotStart(scheduledDate, scheduledTime) : null,
+    context,
+  });
+  if (mismatch) {
+    throw new AppError(`${mismatch}; request a new one`, 409, "QUOTE_MISMATCH");
+  }
+
+  const stale = (reason) =>
+    new AppError(`${reason}; request a new quote`, 409, "QUOTE_STALE");
+
+  const lines = await loadServiceLines(services, {
+    quotedPrices: new Map(quote.lines.map((line) => [line.serviceId, line.unitPrice])),
+  });
+
+  if (quote.offer && !(await Offer.canUserUseOffer(quote.offer.id, customerId))) {
+    throw stale("The offer on this quote can no longer be used");
+  }
+
+  let membershipDoc = null;
+  if (quote.membership) {
+    const { membership, coverage } = await getMembershipCoverage(
+      customerId,
+      lines,
+      getSlotStart(scheduledDate, scheduledTime)
+    );
+    if (!coverage.covered || membership._id.toString() !== quote.membership.id) {
+      throw stale(`Your membership no longer covers this booking (${coverage.reason})`);
+    }
+    membershipDoc = membership;
+  }
+
+  return {
+    customer: quote.customer,
+    lines,
+    context: quote.context,
+    paymentMethod: quote.paymentMethod,
+    offer: quote.offer,
+    membership: quote.membership,
+    membershipDoc,
+    breakdown: quote.breakdown,
+    quotedAt: new Date(quote.issuedAt),
+  };
+};
@@ -0,0 +1,390 @@
+import mongoose from "mongoose";
+import Booking from "../models/bookingModel.js";
+import RecurringBooking from "../models/recurringBookingModel.js";
+import Service from "../models/serviceModel.js";
+import Vehicle from "../models/vehicleModel.js";
+import Address from "../models/addressModel.js";
+import { AppError } from "../utils/appError.js";
+import { RECURRING_BOOKING_POLICY } from "../config/bookingPolicies.js";
+import { getActiveMembership } from "./membershipService.js";
+import {
+  evaluateCoverage,
+  getMembershipUsage,
+  getRemainingEntitlements,
+  holdEntitlements,
+  creditEntitlements,
+} from "./membershipUsageService.js";
+import {
+  assertSlotAvailable,
+  lockBookingDay,
+  parseSlotDate,
+  timeToMinutes,
+} from "./bookingSlotService.js";
+import { autoDispatchBooking } from "./dispatchService.js";
+import { getPricingContext, getServicePrices } from "./pricingService.js";
+import { transitionBooking } from "./bookingLifecycleService.js";
+import { sendBookingNotification } from "./notificationService.js";
+import {
+  DAY_MS,
+  formatBusinessDate,
+  fromBusinessClock,
+  getBusinessClock,
+  startOfBusinessDay,
+} from "../utils/businessTime.js";
+
+// IST has no daylight saving, so a day is always DAY_MS long
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+// Start of the slot at `time` on the business day of `date`
+const atTime = (date, time) => fromBusinessClock(getBusinessClock(date), timeToMinutes(time));
+
+//First business day on the schedule's weekday whose slot is still ahead of `from`
+
+export const getFirstOccurrence = ({ dayOfWeek, scheduledTime }, from = new Date()) => {
+  const today = getBusinessClock(from);
+  const date = addDays(fromBusinessClock(today), (dayOfWeek - today.weekday + 7) % 7);
+
+  return atTime(date, scheduledTime) <= from ? addDays(date, 7) : date;
+};
+
+const loadScheduleServices = async (items, { vehicle, address, at }) => {
+  const ids = items.map((item) => (item.serviceId._id || item.serviceId).toString());
+  const services = await Service.find({ _id: { $in: ids }, isActive: true }).select(
+    "title price duration category tags"
+  );
+
+  const serviceMap = new Map(services.map((service) => [service._id.toString(), service]));
+  const missing = [...new Set(ids)].filter((id) => !serviceMap.has(id));
+  if (missing.length > 0) {
+    throw new AppError(`Services not found: ${missing.join(", ")}`, 404);
+  }
+
+  // Priced for the schedule's vehicle and address on the day of the booking
+  const context = await getPricingContext(null, { vehicleClass: vehicle?.type, pincode: address?.pincode });
+  const prices = await getServicePrices(services, {
+    vehicleClass: context.vehicleClass,
+    serviceAreaId: context.serviceArea?.id,
+    at,
+  });
+
+  return items.map((item, index) => ({
+    service: serviceMap.get(ids[index]),
+    quantity: item.quantity || 1,
+    price: prices.get(ids[index]).price,
+  }));
+};
+
+const buildBookingData = (schedule, lines, scheduledDate, coverage, membership) => {
+  const { vehicle, address } = schedule;
+
+  let listAmount = 0;
+  let estimatedDuration = 0;
+  const services = lines.map(({ service, quantity, price }) => {
+    const duration = parseInt(service.duration, 10) || 0;
+    listAmount += price * quantity;
+    estimatedDuration += duration * quantity;
+    return { serviceId: service._id, title: service.title, price, duration, quantity };
+  });
+
+  return {
+    customer: schedule.customer,
+    services,
+    vehicle: { make: vehicle.brand, model: vehicle.model },
+    scheduledDate,
+    scheduledTime: schedule.scheduledTime,
+    location: {
+      address: {
+        type: address.type,
+        name: address.name,
+        address: address.address,
+        landmark: address.landmark,
+        city: address.city,
+        pincode: address.pincode,
+      },
+      lat: address.coordinates?.latitude,
+      lng: address.coordinates?.longitude,
+    },
+    notes: schedule.notes,
+    estimatedDuration,
+    totalAmount: coverage.covered ? 0 : listAmount,
+    // Covered washes are settled by the membership and never charged
+    paymentMethod: coverage.covered ? "membership" : schedule.paymentMethod,
+    paymentStatus: coverage.covered ? "paid" : "unpaid",
+    membershipCoverage: membership
+      ? {
+          membership: membership._id,
+          planId: membership.planId,
+          covered: coverage.covered,
+          entitlements: coverage.entitlements || [],
+          listAmount,
+        }
+      : undefined,
+    recurringBooking: schedule._id,
+  };
+};
+
+const generateOccurrence = async (schedule, scheduledDate) => {
+  const existing = await Booking.findOne({ recurringBooking: schedule._id, scheduledDate });
+  if (existing) {
+    return {
+      scheduledDate,
+      booking: existing._id,
+      outcome: "created",
+      covered: Boolean(existing.membershipCoverage?.covered),
+    };
+  }
+
+  const skip = (reason) => ({ scheduledDate, outcome: "skipped", reason });
+
+  try {
+    const slotStart = atTime(scheduledDate, schedule.scheduledTime);
+    const lines = await loadScheduleServices(schedule.services, {
+      vehicle: schedule.vehicle,
+      address: schedule.address,
+      at: slotStart,
+    });
+
+    const membership = await getActiveMembership(schedule.customer, slotStart);
+    const remaining = membership
+      ? getRemainingEntitlements(await getMembershipUsage(membership))
+      : {};
+    const coverage = evaluateCoverage({
+      membership,
+      services: lines,
+      scheduledDate: slotStart,
+      remaining,
+    });
+
+    if (!coverage.covered && schedule.overQuota === "skip") {
+      return skip(coverage.reason);
+    }
+
+    const bookingData = buildBookingData(schedule, lines, scheduledDate, coverage, membership);
+
+    // Hold the day until the booking is saved
+    const releaseDay = await lockBookingDay(scheduledDate);
+    let booking;
+    try {
+      await assertSlotAvailable({
+        scheduledDate,
+        scheduledTime: schedule.scheduledTime,
+        duration: bookingData.estimatedDuration,
+        pincode: bookingData.location.address.pincode,
+      });
+
+      // Reserve the benefits first so a booking made meanwhile cannot overdraw the plan
+      bookingData._id = new mongoose.Types.ObjectId();
+      if (coverage.covered) {
+        await holdEntitlements(bookingData, membership);
+      }
+
+      try {
+        booking = await Booking.create(bookingData);
+      } catch (error) {
+        if (coverage.covered) await creditEntitlements(bookingData);
+        throw error;
+      }
+    } finally {
+      await releaseDay();
+    }
+
+    try {
+      const populated = await Booking.findById(booking._id).populate("services.serviceId", "title");
+      await sendBookingNotification(populated, "created");
+      await autoDispatchBooking(booking);
+    } catch (error) {
+      console.error(`Post-create steps failed for recurring booking ${booking._id}:`, error);
+    }
+
+    return {
+      scheduledDate,
+      booking: booking._id,
+      outcome: "created",
+      covered: coverage.covered,
+      reason: coverage.covered ? undefined : coverage.reason,
+    };
+  } catch (error) {
+    if (!error.isOperational) {
+      console.error(`Recurring booking ${schedule._id} failed for ${formatBusinessDate(scheduledDate)}:`, error);
+    }
+    return skip(error.message);
+  }
+};
+
+//Create every booking of the schedule that falls inside the look-ahead window
+
+export const generateDueOccurrences = async (
+  schedule,
+  { now = new Date() } = {},
+  policy = RECURRING_BOOKING_POLICY
+) => {
+  if (!schedule.populated("vehicle") || !schedule.populated("address")) {
+    await schedule.populate(["vehicle", "address"]);
+  }
+
+  const horizon = addDays(now, policy.generateAheadDays);
+  const generated = [];
+
+  while (
+    schedule.status === "active" &&
+    schedule.nextOccurrenceDate &&
+    schedule.nextOccurrenceDate <= horizon
+  ) {
+    const scheduledDate = new Date(schedule.nextOccurrenceDate);
+
+    const occurrence =
+      !schedule.vehicle || !schedule.address
+        ? { scheduledDate, outcome: "skipped", reason: "Vehicle or address no longer exists" }
+        : atTime(scheduledDate, schedule.scheduledTime) <= now
+          ? { scheduledDate, outcome: "skipped", reason: "Slot had already passed" }
+          : await generateOccurrence(schedule, scheduledDate);
+
+    schedule.occurrences.push(occurrence);
+    generated.push(occurrence);
+    schedule.nextOccurrenceDate = addDays(scheduledDate, policy.frequencies[schedule.frequency]);
+  }
+
+  if (schedule.occurrences.length > policy.historyLimit) {
+    schedule.occurrences = schedule.occurrences.slice(-policy.historyLimit);
+  }
+  schedule.lastGeneratedAt = now;
+  await schedule.save();
+
+  return generated;
+};
+
+//Background job: generate upcoming bookings for every active schedule
+
+export const generateRecurringBookings = async (now = new Date(), policy = RECURRING_BOOKING_POLICY) => {
+  const horizon = addDays(now, policy.generateAheadDays);
+  const schedules = await RecurringBooking.find({
+    status: "active",
+    nextOccurrenceDate: { $lte: horizon },
+  }).populate(["vehicle", "address"]);
+
+  let created = 0;
+  let skipped = 0;
+
+  for (const schedule of schedules) {
+    try {
+      const occurrences = await generateDueOccurrences(schedule, { now }, policy);
+      created += occurrences.filter((o) => o.outcome === "created").length;
+      skipped += occurrences.filter((o) => o.outcome === "skipped").length;
+    } catch (error) {
+      console.error(`Failed to generate bookings for recurring schedule ${schedule._id}:`, error);
+    }
+  }
+
+  return { schedules: schedules.length, created, skipped };
+};
+
+//Validate and create a schedule for a member, then book its first occurrences
+
+export const createRecurringBooking = async (customerId, data, { now = new Date() } = {}) => {
+  const membership = await getActiveMembership(customerId, now);
+  if (!membership) {
+    throw new AppError(
+      "An active membership is required for recurring bookings",
+      403,
+      "MEMBERSHIP_REQUIRED"
+    );
+  }
+
+  const [vehicle, address] = await Promise.all([
+    Vehicle.findOne({ _id: data.vehicleId, user: customerId }),
+    Address.findOne({ _id: data.addressId, user: customerId }),
+  ]);
+  if (!vehicle) throw new AppError("Vehicle not found", 404);
+  if (!address) throw new AppError("Address not found", 404);
+
+  await loadScheduleServices(data.services, { vehicle, address, at: now });
+
+  const startDate = data.startDate ? parseSlotDate(data.startDate) : null;
+  const from = startDate && startDate > now ? startDate : now;
+
+  const schedule = await RecurringBooking.create({
+    customer: customerId,
+    services: data.services,
+    vehicle: vehicle._id,
+    address: address._id,
+    frequency: data.frequency,
+    dayOfWeek: data.dayOfWeek,
+    scheduledTime: data.scheduledTime,
+    overQuota: data.overQuota,
+    paymentMethod: data.paymentMethod,
+    notes: data.notes,
+    nextOccurrenceDate: getFirstOccurrence(data, from),
+  });
+
+  await generateDueOccurrences(schedule, { now });
+  return schedule;
+};
+
+//Change the day, time or options of a schedule; only affects bookings not generated yet
+
+export const updateRecurringBooking = async (schedule, changes, { now = new Date() } = {}) => {
+  if (schedule.status === "cancelled") {
+    throw new AppError("A cancelled schedule cannot be changed", 409);
+  }
+
+  const fields = ["frequency", "dayOfWeek", "scheduledTime", "overQuota", "paymentMethod", "notes", "status"];
+  fields.forEach((field) => {
+    if (changes[field] !== undefined) schedule[field] = changes[field];
+  });
+
+  const timingChanged = ["frequency", "dayOfWeek", "scheduledTime", "status"].some(
+    (field) => changes[field] !== undefined
+  );
+
+  if (timingChanged && schedule.status === "active") {
+    // Never re-book a date that was already generated
+    const lastGenerated = schedule.occurrences[schedule.occurrences.length - 1]?.scheduledDate;
+    const after = lastGenerated && lastGenerated.getTime() + DAY_MS > now.getTime()
+      ? new Date(lastGenerated.getTime() + DAY_MS)
+      : now;
+    schedule.nextOccurrenceDate = getFirstOccurrence(schedule, after);
+  }
+
+  if (schedule.status === "active") {
+    await generateDueOccurrences(schedule, { now });
+  } else {
+    await schedule.save();
+  }
+
+  return schedule;
+};
+
+//Upcoming bookings generated from a schedule that have not started yet
+
+export const getUpcomingScheduleBookings = (schedule, now = new Date()) =>
+  Booking.find({
+    recurringBooking: schedule._id,
+    status: { $in: ["pending", "assigned", "confirmed"] },
+    scheduledDate: { $gte: startOfBusinessDay(now) },
+  }).sort("scheduledDate");
+
+//Stop a schedule, optionally cancelling the bookings it already generated
+
+export const cancelRecurringBooking = async (schedule, { actor, cancelUpcoming = false }) => {
+  schedule.status = "cancelled";
+  schedule.nextOccurrenceDate = undefined;
+  await schedule.save();
+
+  if (!cancelUpcoming) return { schedule, cancelledBookings: [] };
+
+  const cancelledBookings = [];
+  for (const booking of await getUpcomingScheduleBookings(schedule)) {
+    try {
+      await transitionBooking(booking, "cancelled", {
+        actor,
+        message: "Recurring schedule cancelled",
+        reason: "Recurring schedule cancelled",
+      });
+      cancelledBookings.push(booking._id);
+    } catch (error) {
+      console.error(`Could not cancel booking ${booking._id} of recurring schedule ${schedule._id}:`, error);
+    }
+  }
+
+  return { schedule, cancelledBookings };
+};
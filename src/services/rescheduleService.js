@@ -0,0 +1,208 @@
+import Booking from "../models/bookingModel.js";
+import { AppError } from "../utils/appError.js";
+import { RESCHEDULE_POLICY } from "../config/bookingPolicies.js";
+import {
+  assertSlotAvailable,
+  getScheduledStart,
+  lockBookingDay,
+  parseSlotDate,
+} from "./bookingSlotService.js";
+import { transitionBooking, SYSTEM_ACTOR } from "./bookingLifecycleService.js";
+import { getDynamicAdjustment } from "./dynamicPricingService.js";
+import { assertAreaServes, findServiceArea } from "./serviceAreaService.js";
+import { autoDispatchBooking, settleOpenOffers } from "./dispatchService.js";
+import {
+  sendBookingNotification,
+  sendPushNotification,
+} from "./notificationService.js";
+
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+const describeSlot = (date, time) =>
+  `${date ? new Date(date).toDateString() : "unscheduled"}${time ? ` ${time}` : ""}`;
+
+//Throw when the policy does not allow this booking to be moved now
+
+export const assertCanReschedule = (booking, actor, { now = new Date() } = {}, policy = RESCHEDULE_POLICY) => {
+  if (actor.role === "customer" && refId(booking.customer) !== actor.id) {
+    throw new AppError("You are not authorized to reschedule this booking", 403);
+  }
+
+  if (!policy.reschedulableStatuses.includes(booking.status)) {
+    throw new AppError(
+      `A booking that is ${booking.status} cannot be rescheduled`,
+      409,
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  if (policy.exemptRoles.includes(actor.role)) return;
+
+  if ((booking.rescheduleCount || 0) >= policy.maxReschedules) {
+    throw new AppError(
+      `This booking has already been rescheduled ${policy.maxReschedules} times`,
+      400,
+      "RESCHEDULE_LIMIT_REACHED"
+    );
+  }
+
+  const currentStart = getScheduledStart(booking);
+  if (currentStart && currentStart - now < policy.cutoffHours * 60 * 60 * 1000) {
+    throw new AppError(
+      `Bookings can only be rescheduled up to ${policy.cutoffHours} hours before the slot`,
+      400,
+      "RESCHEDULE_CUTOFF_PASSED"
+    );
+  }
+};
+
+// The price was agreed for the old slot. A slot where a different surge or off-peak amount
+// applies would cost something else, so customers cancel and book it anew instead.
+const assertSamePricing = async (booking, slotStart) => {
+  if (!booking.pricing || booking.membershipCoverage?.covered) return;
+
+  const adjustment = await getDynamicAdjustment({
+    amount: booking.pricing.subtotal,
+    slotStart,
+    serviceAreaId: booking.pricing.serviceArea,
+    pincode: booking.location?.address?.pincode,
+  });
+  const charged = booking.pricing.dynamicAdjustment || 0;
+  const due = adjustment?.amount || 0;
+
+  if (Math.round(due * 100) !== Math.round(charged * 100)) {
+    throw new AppError(
+      "The new slot is priced differently from the one booked; cancel and book it again",
+      409,
+      "RESCHEDULE_PRICE_CHANGED"
+    );
+  }
+};
+
+//Move a booking to a new slot, optionally releasing the assigned professional
+
+export const rescheduleBooking = async (
+  booking,
+  { scheduledDate, scheduledTime, releaseProfessional = false, reason, actor }
+) => {
+  assertCanReschedule(booking, actor);
+
+  const newDate = parseSlotDate(scheduledDate);
+  if (!newDate) {
+    throw new AppError("Please provide a valid scheduled date", 400);
+  }
+
+  const previous = { date: booking.scheduledDate, time: booking.scheduledTime };
+  if (
+    previous.date &&
+    new Date(previous.date).getTime() === newDate.getTime() &&
+    previous.time === scheduledTime
+  ) {
+    throw new AppError("The booking is already scheduled for this slot", 400);
+  }
+
+  const previousProfessional = booking.professional;
+  const keepProfessional = Boolean(previousProfessional) && !releaseProfessional;
+
+  // Hold the new day until the booking is saved there
+  const releaseDay = await lockBookingDay(newDate);
+  try {
+    const slotStart = getScheduledStart({ scheduledDate: newDate, scheduledTime });
+    // The area has to be open for the whole of the new slot
+    const area = await findServiceArea({
+      pincode: booking.location?.address?.pincode,
+      lat: booking.location?.lat,
+      lng: booking.location?.lng,
+    });
+    assertAreaServes(area, { slotStart, duration: booking.estimatedDuration });
+
+    // Keeping the professional means they must be free; otherwise any capacity in the area will do
+    await assertSlotAvailable({
+      scheduledDate: newDate,
+      scheduledTime,
+      duration: booking.estimatedDuration,
+      professionalId: keepProfessional ? previousProfessional : undefined,
+      pincode: booking.location?.address?.pincode,
+      excludeBookingId: booking._id,
+    });
+    // Admins may move a booking at the price already agreed
+    if (!RESCHEDULE_POLICY.exemptRoles.includes(actor.role)) {
+      await assertSamePricing(booking, slotStart);
+    }
+
+    const message =
+      `Booking rescheduled from ${describeSlot(previous.date, previous.time)} ` +
+      `to ${describeSlot(newDate, scheduledTime)}` +
+      (reason ? `: ${reason}` : "");
+
+    booking.scheduledDate = newDate;
+    booking.scheduledTime = scheduledTime;
+    booking.rescheduleCount = (booking.rescheduleCount || 0) + 1;
+    booking.rescheduleHistory.push({
+      fromDate: previous.date,
+      fromTime: previous.time,
+      toDate: newDate,
+      toTime: scheduledTime,
+      reason,
+      professionalReleased: Boolean(previousProfessional) && !keepProfessional,
+      rescheduledBy: actor.id || undefined,
+    });
+    booking.trackingUpdates.push({
+      status: booking.status,
+      message,
+      updatedBy: actor.id || undefined,
+      timestamp: new Date(),
+    });
+
+    if (previousProfessional && !keepProfessional) {
+      // The released professional's offer or assignment no longer holds
+      await settleOpenOffers(booking, "withdrawn");
+      if (booking.status === "pending") {
+        booking.professional = undefined;
+        await booking.save();
+      } else {
+        await transitionBooking(booking, "pending", {
+          actor: SYSTEM_ACTOR,
+          message: "Professional released after reschedule",
+          notify: false,
+        });
+      }
+    } else {
+      await booking.save();
+    }
+  } finally {
+    await releaseDay();
+  }
+
+  const populated = await Booking.findById(booking._id).populate("services.serviceId", "title");
+
+  try {
+    await sendBookingNotification(populated, "rescheduled");
+
+    if (previousProfessional && !keepProfessional) {
+      await sendPushNotification(
+        {
+          title: "Job Released",
+          message: `A job you were assigned to was rescheduled to ${describeSlot(newDate, scheduledTime)} and released.`,
+          type: "booking",
+          actionType: "open_booking",
+          actionParams: { bookingId: booking._id.toString() },
+        },
+        previousProfessional
+      );
+    }
+  } catch (error) {
+    console.error(`Failed to send reschedule notifications for booking ${booking._id}:`, error);
+  }
+
+  // Released bookings in auto-dispatch areas look for a new professional straight away
+  if (previousProfessional && !keepProfessional) {
+    try {
+      await autoDispatchBooking(booking);
+    } catch (error) {
+      console.error(`Auto-dispatch after reschedule failed for booking ${booking._id}:`, error);
+    }
+  }
+
+  return booking;
+};
@@ -0,0 +1,55 @@
+import { scheduleJob } from "../utils/scheduler.js";
+import { DISPATCH_CONFIG } from "../config/dispatch.js";
+import { RECURRING_BOOKING_POLICY } from "../config/bookingPolicies.js";
+import { MEMBERSHIP_LIFECYCLE } from "../config/membershipPlans.js";
+import { WEBHOOK_INBOX_CONFIG } from "../config/webhooks.js";
+import { RECONCILIATION_CONFIG } from "../config/reconciliation.js";
+import { WALLET_CONFIG } from "../config/wallet.js";
+import { CASH_SETTLEMENT_CONFIG } from "../config/cashSettlement.js";
+import { EARNINGS_CONFIG } from "../config/earnings.js";
+import { AREA_WAITLIST_CONFIG } from "../config/serviceAreas.js";
+import { expireStaleOffers } from "./dispatchService.js";
+import { generateRecurringBookings } from "./recurringBookingService.js";
+import { runMembershipLifecycle } from "./membershipLifecycleService.js";
+import { processPendingWebhooks } from "./webhookInboxService.js";
+import { runPaymentReconciliation } from "./paymentReconciliationService.js";
+import { finishInterruptedTransactions } from "./walletService.js";
+import { finishInterruptedCashEntries } from "./cashSettlementService.js";
+import { createPayoutBatch } from "./earningsService.js";
+import { processAreaWaitlists } from "./areaDemandService.js";
+
+//Register every recurring background job; called once the database is connected
+
+export const startScheduledJobs = () => {
+  scheduleJob("dispatch-offer-expiry", DISPATCH_CONFIG.sweepIntervalMs, () =>
+    expireStaleOffers()
+  );
+
+  scheduleJob("recurring-bookings", RECURRING_BOOKING_POLICY.sweepIntervalMs, () =>
+    generateRecurringBookings()
+  );
+
+  scheduleJob("membership-lifecycle", MEMBERSHIP_LIFECYCLE.sweepIntervalMs, () =>
+    runMembershipLifecycle()
+  );
+
+  scheduleJob("webhook-inbox", WEBHOOK_INBOX_CONFIG.sweepIntervalMs, () =>
+    processPendingWebhooks()
+  );
+
+  scheduleJob("payment-reconciliation", RECONCILIATION_CONFIG.sweepIntervalMs, () =>
+    runPaymentReconciliation()
+  );
+
+  scheduleJob("wallet-transactions", WALLET_CONFIG.sweepIntervalMs, () =>
+    finishInterruptedTransactions()
+  );
+
+  scheduleJob("cash-ledger", CASH_SETTLEMENT_CONFIG.sweepIntervalMs, () =>
+    finishInterruptedCashEntries()
+  );
+
+  scheduleJob("payout-batches", EARNINGS_CONFIG.sweepIntervalMs, () => createPayoutBatch());
+
+  scheduleJob("area-waitlists", AREA_WAITLIST_CONFIG.sweepIntervalMs, () => processAreaWaitlists());
+};
@@ -0,0 +1,345 @@
+import mongoose from "mongoose";
+import ServiceArea from "../models/serviceAreaModel.js";
+import { AppError } from "../utils/appError.js";
+import { DISPATCH_MODES } from "../config/dispatch.js";
+import { getBusinessClock } from "../utils/businessTime.js";
+import { timeToMinutes } from "./bookingSlotService.js";
+import { processAreaWaitlists } from "./areaDemandService.js";
+
+// Properties written to and read from exported GeoJSON features
+const FEATURE_PROPERTIES = ["name", "pincode", "isActive", "dispatchMode", "operatingHours", "services"];
+
+const isValidPosition = (position) =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  typeof position[0] === "number" &&
+  typeof position[1] === "number" &&
+  position[0] >= -180 &&
+  position[0] <= 180 &&
+  position[1] >= -90 &&
+  position[1] <= 90;
+
+const isClosedRing = (ring) =>
+  Array.isArray(ring) &&
+  ring.length >= 4 &&
+  ring.every(isValidPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] &&
+  ring[0][1] === ring[ring.length - 1][1];
+
+const isValidPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isClosedRing);
+
+//Address coordinates as a GeoJSON Point (null when missing or invalid).
+//Addresses default to 0,0 when the app could not locate the user, so that is treated as missing.
+
+export const getPoint = ({ lat, lng } = {}) => {
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (lat === undefined || lat === null || lng === undefined || lng === null) return null;
+  if (!isValidPosition([longitude, latitude]) || (latitude === 0 && longitude === 0)) return null;
+  return { type: "Point", coordinates: [longitude, latitude] };
+};
+
+//Check a GeoJSON Polygon or MultiPolygon; throws a 400 naming the problem
+
+export const validateBoundary = (boundary) => {
+  const invalid = (message) => new AppError(`Invalid boundary: ${message}`, 400);
+
+  if (!boundary || typeof boundary !== "object") throw invalid("a GeoJSON geometry is required");
+  if (boundary.type === "Polygon") {
+    if (!isValidPolygon(boundary.coordinates)) {
+      throw invalid("each ring needs at least 4 [longitude, latitude] positions and must end where it starts");
+    }
+  } else if (boundary.type === "MultiPolygon") {
+    if (!Array.isArray(boundary.coordinates) || !boundary.coordinates.length || !boundary.coordinates.every(isValidPolygon)) {
+      throw invalid("each polygon needs closed rings of [longitude, latitude] positions");
+    }
+  } else {
+    throw invalid("type must be Polygon or MultiPolygon");
+  }
+
+  return { type: boundary.type, coordinates: boundary.coordinates };
+};
+
+//Check weekly operating hours; throws a 400 naming the problem
+
+export const validateOperatingHours = (hours) => {
+  if (!Array.isArray(hours)) throw new AppError("operatingHours must be a list", 400);
+
+  return hours.map((entry) => {
+    const open = timeToMinutes(entry?.open);
+    const close = timeToMinutes(entry?.close);
+    if (!Number.isInteger(entry?.day) || entry.day < 0 || entry.day > 6) {
+      throw new AppError("operatingHours day must be a weekday from 0 (Sunday) to 6 (Saturday)", 400);
+    }
+    if (open === null || close === null || open >= close) {
+      throw new AppError("operatingHours need open and close times in HH:MM with open before close", 400);
+    }
+    return { day: entry.day, open: entry.open, close: entry.close };
+  });
+};
+
+//Whether the area takes bookings from `start` to `end` (minutes since midnight) on the date.
+//Pure: an area without operating hours is always open. Hours are IST wall-clock times, so
+//the weekday is the one in India whatever the server's timezone.
+
+export const isAreaOpen = (area, date, start, end = start) => {
+  if (!area?.operatingHours?.length) return true;
+
+  const day = getBusinessClock(date).weekday;
+  return area.operatingHours.some(
+    (entry) =>
+      entry.day === day && start >= timeToMinutes(entry.open) && end <= timeToMinutes(entry.close)
+  );
+};
+
+//Services from the list that the area does not offer (pure)
+
+export const getUnofferedServices = (area, serviceIds = []) => {
+  if (!area?.services?.length) return [];
+  const offered = new Set(area.services.map((id) => String(id._id || id)));
+  return serviceIds.map(String).filter((id) => !offered.has(id));
+};
+
+//Active service area covering a booking address (null when uncovered).
+//Coordinates are matched against area boundaries; the pincode is the fallback.
+
+export const findServiceArea = async ({ pincode, lat, lng } = {}) => {
+  const point = getPoint({ lat, lng });
+  if (point) {
+    const area = await ServiceArea.findOne({
+      isActive: true,
+      boundary: { $geoIntersects: { $geometry: point } },
+    });
+    if (area) return area;
+  }
+
+  if (!pincode) return null;
+  return ServiceArea.findOne({ pincode: String(pincode).trim(), isActive: true });
+};
+
+//Whether the area covering an address offers the given services, and when it is open
+
+export const checkAreaAvailability = async ({ pincode, lat, lng, serviceIds = [], at = new Date() }) => {
+  const area = await findServiceArea({ pincode, lat, lng });
+  if (!area) {
+    return { isAvailable: false, reason: "Service not available for your area", serviceArea: null };
+  }
+
+  const unavailableServices = getUnofferedServices(area, serviceIds);
+  const { minutes } = getBusinessClock(at);
+
+  return {
+    isAvailable: unavailableServices.length === 0,
+    reason: unavailableServices.length ? "Some services are not offered in your area" : undefined,
+    serviceArea: { id: area._id, name: area.name },
+    unavailableServices,
+    operatingHours: area.operatingHours,
+    isOpenNow: isAreaOpen(area, at, minutes),
+  };
+};
+
+//Throw when the area cannot take a booking for these services at the slot.
+//`slotStart` is left out when the customer has not picked a time yet.
+
+export const assertAreaServes = (area, { serviceIds = [], slotStart, duration = 0 } = {}) => {
+  if (!area) return;
+
+  const unavailable = getUnofferedServices(area, serviceIds);
+  if (unavailable.length) {
+    throw new AppError(
+      `Some services are not offered in ${area.name}`,
+      400,
+      "SERVICE_NOT_OFFERED_IN_AREA"
+    );
+  }
+
+  if (slotStart) {
+    const start = getBusinessClock(slotStart).minutes;
+    if (!isAreaOpen(area, slotStart, start, start + duration)) {
+      throw new AppError(`${area.name} does not take bookings at that time`, 400, "SERVICE_AREA_CLOSED");
+    }
+  }
+};
+
+// MongoDB rejects polygons it cannot index, e.g. rings that cross themselves
+const saveArea = async (area) => {
+  try {
+    return await area.save();
+  } catch (error) {
+    if (error.code === 16755) {
+      throw new AppError("Invalid boundary: the polygon edges must not cross", 400);
+    }
+    throw error;
+  }
+};
+
+// Fields an admin may set on an area, validated
+const pickAreaFields = (input) => {
+  const fields = {};
+  if (input.name !== undefined) fields.name = String(input.name).trim();
+  if (input.pincode !== undefined) fields.pincode = input.pincode ? String(input.pincode).trim() : undefined;
+  if (input.boundary !== undefined) fields.boundary = input.boundary ? validateBoundary(input.boundary) : undefined;
+  if (input.operatingHours !== undefined) fields.operatingHours = validateOperatingHours(input.operatingHours);
+  if (input.services !== undefined) {
+    if (!Array.isArray(input.services) || input.services.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new AppError("services must be a list of service IDs", 400);
+    }
+    fields.services = input.services;
+  }
+  if (input.isActive !== undefined) fields.isActive = Boolean(input.isActive);
+  if (input.dispatchMode !== undefined) {
+    if (!DISPATCH_MODES.includes(input.dispatchMode)) {
+      throw new AppError(`Dispatch mode must be one of: ${DISPATCH_MODES.join(", ")}`, 400);
+    }
+    fields.dispatchMode = input.dispatchMode;
+  }
+  return fields;
+};
+
+// Changes that can bring waitlisted addresses into an active area
+const COVERAGE_FIELDS = ["isActive", "boundary", "pincode", "services"];
+
+// Notify the waitlist in the background; the waitlist sweep picks the areas up if this run never finishes
+const queueWaitlistNotifications = () => {
+  setImmediate(() => {
+    processAreaWaitlists().catch((error) => console.error("Failed to notify area waitlists:", error));
+  });
+};
+
+//Create a service area from a boundary and/or pincode; waitlisted customers it covers are
+//notified in the background
+
+export const createServiceArea = async (input) => {
+  if (!input.name) throw new AppError("Name is required", 400);
+  if (!input.pincode && !input.boundary) throw new AppError("A boundary or a pincode is required", 400);
+
+  const area = await saveArea(new ServiceArea({ ...pickAreaFields(input), waitlistPendingAt: new Date() }));
+  queueWaitlistNotifications();
+  return area;
+};
+
+//Update a service area's boundary, hours, services or status.
+//Activating or widening an area notifies the waitlisted customers it now covers, in the background.
+
+export const updateServiceArea = async (areaId, input) => {
+  const area = await ServiceArea.findById(areaId);
+  if (!area) throw new AppError("No service area found with that ID", 404);
+
+  const fields = pickAreaFields(input);
+  for (const [key, value] of Object.entries(fields)) {
+    area.set(key, value);
+  }
+  const coverageChanged = COVERAGE_FIELDS.some((field) => area.isModified(field));
+  if (coverageChanged) area.waitlistPendingAt = new Date();
+
+  await saveArea(area);
+  if (coverageChanged) queueWaitlistNotifications();
+  return area;
+};
+
+//A service area as a GeoJSON Feature (geometry is null for pincode-only areas)
+
+export const toGeoJSONFeature = (area) => {
+  const doc = area.toObject ? area.toObject() : area;
+  const properties = { id: String(doc._id) };
+  for (const key of FEATURE_PROPERTIES) {
+    if (doc[key] !== undefined) properties[key] = doc[key];
+  }
+  if (properties.services) properties.services = properties.services.map(String);
+
+  return {
+    type: "Feature",
+    geometry: doc.boundary ? { type: doc.boundary.type, coordinates: doc.boundary.coordinates } : null,
+    properties,
+  };
+};
+
+//Every service area as a GeoJSON FeatureCollection
+
+export const exportServiceAreas = async () => {
+  const areas = await ServiceArea.find().sort({ name: 1 }).lean();
+  return { type: "FeatureCollection", features: areas.map(toGeoJSONFeature) };
+};
+
+//Turn a GeoJSON FeatureCollection into area fields, collecting every problem found.
+//Pure: features are matched to existing areas later by properties.id, then by name.
+
+export const parseServiceAreaFeatures = (collection) => {
+  if (collection?.type !== "FeatureCollection" || !Array.isArray(collection.features)) {
+    throw new AppError("Expected a GeoJSON FeatureCollection", 400);
+  }
+
+  const areas = [];
+  const errors = [];
+  const names = new Set();
+
+  collection.features.forEach((feature, index) => {
+    const properties = feature?.properties || {};
+    try {
+      if (feature?.type !== "Feature") throw new AppError("not a GeoJSON Feature", 400);
+      if (!properties.name) throw new AppError("properties.name is required", 400);
+      if (names.has(properties.name)) throw new AppError("name is used by another feature", 400);
+      if (!feature.geometry && !properties.pincode) {
+        throw new AppError("a geometry or properties.pincode is required", 400);
+      }
+      if (properties.id && !mongoose.Types.ObjectId.isValid(properties.id)) {
+        throw new AppError("properties.id is not a valid ID", 400);
+      }
+
+      names.add(properties.name);
+      areas.push({
+        index,
+        id: properties.id,
+        fields: pickAreaFields({ ...properties, boundary: feature.geometry || undefined }),
+      });
+    } catch (error) {
+      errors.push({ index, name: properties.name, message: error.message });
+    }
+  });
+
+  return { areas, errors };
+};
+
+//Create or update service areas from a GeoJSON FeatureCollection.
+//Nothing is written unless every feature is valid; otherwise the problems are returned.
+//Valid features are then saved one by one, not all or nothing: a feature whose save fails
+//(e.g. a boundary MongoDB cannot index) is reported in `results` and the rest stay saved.
+
+export const importServiceAreas = async (collection) => {
+  const { areas, errors } = parseServiceAreaFeatures(collection);
+  if (errors.length) {
+    return { created: 0, updated: 0, failed: 0, total: areas.length + errors.length, results: [], errors };
+  }
+
+  const results = [];
+  for (const { index, id, fields } of areas) {
+    try {
+      const existing = id
+        ? await ServiceArea.findById(id)
+        : await ServiceArea.findOne({ name: fields.name });
+
+      if (existing) {
+        existing.set(fields);
+        if (COVERAGE_FIELDS.some((field) => existing.isModified(field))) {
+          existing.waitlistPendingAt = new Date();
+        }
+        await saveArea(existing);
+        results.push({ index, name: fields.name, outcome: "updated", id: existing._id });
+      } else {
+        const area = await saveArea(new ServiceArea({ ...fields, waitlistPendingAt: new Date() }));
+        results.push({ index, name: fields.name, outcome: "created", id: area._id });
+      }
+    } catch (error) {
+      const message = error.code === 11000 ? "name or pincode is used by another area" : error.message;
+      results.push({ index, name: fields.name, outcome: "failed", message });
+    }
+  }
+
+  const count = (outcome) => results.filter((result) => result.outcome === outcome).length;
+  const created = count("created");
+  const updated = count("updated");
+
+  if (created || updated) queueWaitlistNotifications();
+
+  return { created, updated, failed: count("failed"), total: areas.length, results, errors };
+};
@@ -0,0 +1,411 @@
+import crypto from "crypto";
+import { Buffer } from "buffer";
+import razorpayInstance, { getRazorpayKeyId } from "../config/razorpay.js";
+import Wallet from "../models/walletModel.js";
+import WalletTransaction from "../models/walletTransactionModel.js";
+import Offer from "../models/offerModel.js";
+import { AppError } from "../utils/appError.js";
+import { WALLET_CONFIG, WALLET_TRANSACTION_TYPES } from "../config/wallet.js";
+import { getWebhookEntities } from "./paymentService.js";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+//Ledger account of a customer's wallet
+
+export const getWalletAccount = (userId) => `wallet:${userId}`;
+
+//Debit and credit entries of a wallet transaction.
+//Pure: money coming into a wallet is debited from a system account and credited to the wallet.
+
+export const buildEntries = (userId, type, amount) => {
+  const { direction, account } = WALLET_TRANSACTION_TYPES[type];
+  const wallet = getWalletAccount(userId);
+
+  return direction === "credit"
+    ? [
+        { account, debit: amount, credit: 0 },
+        { account: wallet, debit: 0, credit: amount },
+      ]
+    : [
+        { account: wallet, debit: amount, credit: 0 },
+        { account, debit: 0, credit: amount },
+      ];
+};
+
+//Balance of a ledger account from posted transactions.
+//Pure: wallets hold what was credited to them less what was debited.
+
+export const getAccountBalance = (transactions, account) =>
+  round(
+    transactions
+      .filter((transaction) => transaction.status === "posted")
+      .flatMap((transaction) => transaction.entries)
+      .filter((entry) => entry.account === account)
+      .reduce((balance, entry) => balance + entry.credit - entry.debit, 0)
+  );
+
+//Wallet of a user, opened on first use
+
+export const getOrCreateWallet = (userId) =>
+  Wallet.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+//Spendable balance of a user's wallet
+
+export const getWalletBalance = async (userId) => {
+  const wallet = await Wallet.findOne({ user: userId });
+  return wallet?.balance || 0;
+};
+
+// Move the money of a transaction exactly once. Claiming it as "applying" keeps a transaction
+// posted from two places at once (e.g. verify call and webhook) from being applied twice; one
+// left applying by a crash can be claimed again once it timed out, and the wallet's
+// `appliedTransactions` then tells whether its money already moved.
+const applyTransaction = async (transaction, details = {}, config = WALLET_CONFIG) => {
+  const claimed = await WalletTransaction.findOneAndUpdate(
+    {
+      _id: transaction._id,
+      $or: [
+        { status: { $in: ["pending", "failed"] } },
+        { status: "applying", updatedAt: { $lt: new Date(Date.now() - config.applyingTimeoutMs) } },
+      ],
+    },
+    { $set: { status: "applying", ...details } },
+    { new: true }
+  );
+  if (!claimed) return WalletTransaction.findById(transaction._id);
+
+  const { direction } = WALLET_TRANSACTION_TYPES[claimed.type];
+  const delta = direction === "credit" ? claimed.amount : -claimed.amount;
+
+  let wallet = await Wallet.findOneAndUpdate(
+    {
+      _id: claimed.wallet,
+      appliedTransactions: { $ne: claimed._id },
+      // Half a paisa of slack absorbs floating point drift in the stored balance
+      ...(delta < 0 && { balance: { $gte: claimed.amount - 0.005 }, status: "active" }),
+    },
+    { $inc: { balance: delta }, $push: { appliedTransactions: claimed._id } },
+    { new: true }
+  );
+
+  if (!wallet) {
+    // Applied before an interruption: only the posting is left to do
+    wallet = await Wallet.findOne({ _id: claimed.wallet, appliedTransactions: claimed._id });
+  }
+
+  if (!wallet) {
+    await WalletTransaction.updateOne(
+      { _id: claimed._id, status: "applying" },
+      { $set: { status: "failed", failedAt: new Date() } }
+    );
+    throw new AppError("Insufficient wallet balance", 400, "INSUFFICIENT_WALLET_BALANCE");
+  }
+
+  const posted = await WalletTransaction.findOneAndUpdate(
+    { _id: claimed._id, status: "applying" },
+    { $set: { status: "posted", postedAt: new Date(), balanceAfter: round(wallet.balance) } },
+    { new: true }
+  );
+  await Wallet.updateOne({ _id: wallet._id }, { $pull: { appliedTransactions: claimed._id } });
+
+  return posted || WalletTransaction.findById(claimed._id);
+};
+
+//Record a wallet transaction and move the money. Each `reference` posts only once:
+//posting it again returns the transaction that is already there.
+
+export const postWalletTransaction = async ({
+  userId,
+  type,
+  amount,
+  reference,
+  status = "posted",
+  ...details
+}) => {
+  const value = round(Number(amount));
+  if (!(value > 0)) {
+    throw new AppError("Wallet amount must be positive", 400);
+  }
+
+  const existing = await WalletTransaction.findOne({ reference });
+  if (existing) {
+    // Posting again retries a pending, failed or interrupted transaction
+    return existing.status !== "posted" && status === "posted"
+      ? applyTransaction(existing)
+      : existing;
+  }
+
+  const wallet = await getOrCreateWallet(userId);
+  let transaction;
+  try {
+    transaction = await WalletTransaction.create({
+      wallet: wallet._id,
+      user: userId,
+      type,
+      amount: value,
+      entries: buildEntries(userId, type, value),
+      reference,
+      ...details,
+      description: details.description || WALLET_TRANSACTION_TYPES[type].label,
+    });
+  } catch (error) {
+    // Posted concurrently under the same reference
+    if (error.code === 11000) return WalletTransaction.findOne({ reference });
+    throw error;
+  }
+
+  return status === "posted" ? applyTransaction(transaction) : transaction;
+};
+
+//Background job: finish transactions a crash left applying. A debit that now finds too
+//little money is marked failed.
+
+export const finishInterruptedTransactions = async (config = WALLET_CONFIG) => {
+  const transactions = await WalletTransaction.find({
+    status: "applying",
+    updatedAt: { $lt: new Date(Date.now() - config.applyingTimeoutMs) },
+  });
+
+  let posted = 0;
+  let failed = 0;
+  for (const transaction of transactions) {
+    try {
+      const result = await applyTransaction(transaction, {}, config);
+      if (result?.status === "posted") posted++;
+    } catch (error) {
+      if (error.errorCode === "INSUFFICIENT_WALLET_BALANCE") {
+        failed++;
+      } else {
+        console.error(`Failed to finish wallet transaction ${transaction._id}:`, error);
+      }
+    }
+  }
+
+  return { checked: transactions.length, posted, failed };
+};
+
+//Start a top-up: a Razorpay order the customer pays, credited once the payment is captured
+
+export const createTopupOrder = async (userId, amount, config = WALLET_CONFIG) => {
+  const value = round(Number(amount));
+  if (!(value >= config.minTopup) || value > config.maxTopup) {
+    throw new AppError(`Top-ups must be between ₹${config.minTopup} and ₹${config.maxTopup}`, 400);
+  }
+
+  const balance = await getWalletBalance(userId);
+  if (balance + value > config.maxBalance) {
+    throw new AppError(
+      `Wallet balance cannot exceed ₹${config.maxBalance}`,
+      400,
+      "WALLET_LIMIT_EXCEEDED"
+    );
+  }
+
+  const order = await razorpayInstance.orders.create({
+    amount: Math.round(value * 100),
+    currency: "INR",
+    receipt: `wallet_${Date.now()}`,
+    notes: { purpose: "wallet_topup", userId: userId.toString() },
+  });
+
+  await postWalletTransaction({
+    userId,
+    type: "topup",
+    amount: value,
+    reference: `topup:${order.id}`,
+    status: "pending",
+    razorpayOrderId: order.id,
+  });
+
+  return { orderId: order.id, amount: value, currency: "INR", key: getRazorpayKeyId() };
+};
+
+//Credit a top-up once its Razorpay order is paid; null when the order is not a top-up
+
+export const completeTopup = async (orderId, paymentId) => {
+  const transaction = await WalletTransaction.findOne({ reference: `topup:${orderId}` });
+  if (!transaction) return null;
+  if (transaction.status === "posted") return transaction;
+
+  return applyTransaction(transaction, { razorpayPaymentId: paymentId });
+};
+
+//Confirm a top-up from the checkout callback
+
+export const verifyTopupPayment = async (
+  userId,
+  { razorpay_order_id: orderId, razorpay_payment_id: paymentId, razorpay_signature: signature }
+) => {
+  const transaction = await WalletTransaction.findOne({ reference: `topup:${orderId}`, user: userId });
+  if (!transaction) {
+    throw new AppError("Top-up not found", 404);
+  }
+
+  const expected = Buffer.from(
+    crypto
+      .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET || "")
+      .update(`${orderId}|${paymentId}`)
+      .digest("hex")
+  );
+  const received = Buffer.from(String(signature || ""));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new AppError("Invalid payment signature", 400);
+  }
+
+  return completeTopup(orderId, paymentId);
+};
+
+//Apply a Razorpay webhook event to the wallet top-up it pays for, or return null
+
+export const processWalletWebhookEvent = async (event) => {
+  const { eventType, orderId, paymentId } = getWebhookEntities(event);
+  if (!["payment.captured", "order.paid"].includes(eventType) || !orderId) return null;
+  return completeTopup(orderId, paymentId);
+};
+
+//How much of a booking to pay from the wallet.
+//Pure: `requested` is an amount, or empty to use as much of the balance as the booking needs.
+//Bookings paid by "wallet" must be covered in full.
+
+export const calculateWalletPayment = ({ totalAmount, balance, requested, paymentMethod }) => {
+  if (paymentMethod === "wallet") {
+    if (balance < totalAmount) {
+      throw new AppError(
+        `Wallet balance ₹${round(balance)} is not enough for ₹${totalAmount}`,
+        400,
+        "INSUFFICIENT_WALLET_BALANCE"
+      );
+    }
+    return round(totalAmount);
+  }
+
+  const available = Math.min(totalAmount, balance);
+  const wanted = typeof requested === "number" ? requested : available;
+  return round(Math.max(Math.min(wanted, available), 0));
+};
+
+//Take a booking's wallet share from the customer's balance
+
+export const payBookingFromWallet = (userId, bookingId, amount) =>
+  postWalletTransaction({
+    userId,
+    type: "booking_payment",
+    amount,
+    reference: `booking:${bookingId}`,
+    booking: bookingId,
+    description: `Payment for booking ${bookingId}`,
+  });
+
+//Give wallet money back for a booking, e.g. when it is cancelled
+
+export const refundBookingToWallet = (userId, bookingId, amount) =>
+  postWalletTransaction({
+    userId,
+    type: "booking_refund",
+    amount,
+    reference: `booking-refund:${bookingId}`,
+    booking: bookingId,
+    description: `Refund for booking ${bookingId}`,
+  });
+
+//Return the refundable wallet share of a cancelled booking
+
+export const refundCancelledBookingToWallet = (booking) => {
+  const amount = booking.cancellation?.walletRefundAmount;
+  if (!(amount > 0)) return null;
+  return refundBookingToWallet(booking.customer, booking._id, amount);
+};
+
+//Credit a refund to the wallet instead of the original payment method
+
+export const creditRefundToWallet = ({ payment, refundEntryId, amount, reason }) =>
+  postWalletTransaction({
+    userId: payment.userId,
+    type: "refund_credit",
+    amount,
+    reference: `refund:${payment._id}:${refundEntryId}`,
+    payment: payment._id,
+    booking: payment.bookingId,
+    description: reason ? `Refund: ${reason}` : undefined,
+  });
+
+//Cashback an offer pays for a booking amount.
+//Pure: cashback offers reuse the discount fields; discount offers pay no cashback.
+
+export const calculateCashback = (offer, amount) => {
+  if (!offer || offer.benefitType !== "cashback") return 0;
+  if (amount < (offer.minOrderValue || 0)) return 0;
+
+  let cashback =
+    offer.discountType === "percentage" ? (amount * offer.discount) / 100 : offer.discount;
+  if (offer.maxDiscountAmount) cashback = Math.min(cashback, offer.maxDiscountAmount);
+
+  return round(Math.max(Math.min(cashback, amount), 0));
+};
+
+//Credit the cashback of a completed booking's offer
+
+export const creditBookingCashback = async (booking) => {
+  if (!booking.promoOfferId) return null;
+
+  const offer = await Offer.findById(booking.promoOfferId);
+  const amount = calculateCashback(offer, booking.totalAmount);
+  if (!amount) return null;
+
+  return postWalletTransaction({
+    userId: booking.customer,
+    type: "cashback",
+    amount,
+    reference: `cashback:${booking._id}`,
+    booking: booking._id,
+    offer: offer._id,
+    description: `Cashback from ${offer.title}`,
+  });
+};
+
+//Posted transactions of a wallet with opening and closing balances for the period
+
+export const getWalletStatement = async (userId, { from, to, page = 1, limit = 20 } = {}) => {
+  const wallet = await getOrCreateWallet(userId);
+
+  const postedAt = {};
+  if (from) postedAt.$gte = new Date(from);
+  if (to) postedAt.$lte = new Date(to);
+  const query = { user: userId, status: "posted", ...(from || to ? { postedAt } : {}) };
+
+  const [transactions, total, previous, last] = await Promise.all([
+    WalletTransaction.find(query)
+      .sort({ postedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WalletTransaction.countDocuments(query),
+    from
+      ? WalletTransaction.findOne({ user: userId, status: "posted", postedAt: { $lt: new Date(from) } }).sort({ postedAt: -1 })
+      : null,
+    WalletTransaction.findOne(query).sort({ postedAt: -1 }),
+  ]);
+
+  return {
+    balance: wallet.balance,
+    openingBalance: previous?.balanceAfter || 0,
+    closingBalance: last?.balanceAfter ?? previous?.balanceAfter ?? 0,
+    transactions: transactions.map((transaction) => ({
+      id: transaction._id,
+      type: transaction.type,
+      description: transaction.description,
+      // Positive when money came into the wallet
+      amount:
+        WALLET_TRANSACTION_TYPES[transaction.type].direction === "credit"
+          ? transaction.amount
+          : -transaction.amount,
+      balanceAfter: transaction.balanceAfter,
+      booking: transaction.booking,
+      postedAt: transaction.postedAt,
+    })),
+    pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+  };
+};
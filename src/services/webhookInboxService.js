@@ -0,0 +1,258 @@
+import crypto from "crypto";
+import WebhookEvent from "../models/webhookEventModel.js";
+import { WEBHOOK_INBOX_CONFIG } from "../config/webhooks.js";
+import { AppError } from "../utils/appError.js";
+import {
+  getWebhookEntities,
+  processWebhookEvent as applyPaymentEvent,
+  verifyWebhookSignature,
+} from "./paymentService.js";
+import { processMembershipWebhookEvent } from "./membershipService.js";
+import { processWalletWebhookEvent } from "./walletService.js";
+import { sendNotificationToAdmins } from "./notificationService.js";
+
+// Admins may re-run events that did not apply cleanly
+const REPLAYABLE_STATUSES = ["failed", "dead", "ignored"];
+
+//Provider event id used to deduplicate deliveries.
+//Pure: Razorpay sends it as x-razorpay-event-id; older deliveries without the header are
+//identified by what they are about, or by the body itself as a last resort.
+
+export const getWebhookEventId = (event, headers = {}, rawBody = "") => {
+  if (headers["x-razorpay-event-id"]) return headers["x-razorpay-event-id"];
+
+  const { refundEntity, paymentId, paymentLinkId, orderId } = getWebhookEntities(event);
+  const subject = refundEntity?.id || paymentId || paymentLinkId || orderId;
+  if (event?.event && subject) {
+    return `${event.account_id}_${event.event}_${subject}_${event.created_at}`;
+  }
+
+  return crypto.createHash("sha256").update(rawBody).digest("hex");
+};
+
+//Delay before the next attempt after `attempts` failures: exponential, capped
+
+export const getRetryDelay = (attempts, config = WEBHOOK_INBOX_CONFIG) =>
+  Math.min(config.baseRetryDelayMs * 2 ** Math.max(attempts - 1, 0), config.maxRetryDelayMs);
+
+//Whether an event is too old (or too far in the future) to be applied on arrival
+
+export const isStaleEvent = (event, now = new Date(), config = WEBHOOK_INBOX_CONFIG) => {
+  if (!event?.created_at) return false;
+  const age = now.getTime() - event.created_at * 1000;
+  return age > config.maxEventAgeMs || age < -config.maxClockSkewMs;
+};
+
+// Apply the event to whatever it pays for; null when nothing in our records matches
+const applyWebhookEvent = async (record) => {
+  const payment = await applyPaymentEvent(record.payload, { eventId: record.eventId });
+  if (payment) return { kind: "payment", id: payment._id };
+
+  const membership = await processMembershipWebhookEvent(record.payload);
+  if (membership) return { kind: "membership", id: membership._id };
+
+  const topup = await processWalletWebhookEvent(record.payload);
+  if (topup) return { kind: "wallet", id: topup._id };
+
+  return null;
+};
+
+const claimEvent = (id, now, config) =>
+  WebhookEvent.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { status: { $in: ["pending", "failed"] } },
+        // Abandoned by a worker that crashed mid-way
+        { status: "processing", lockedAt: { $lte: new Date(now.getTime() - config.lockTimeoutMs) } },
+      ],
+    },
+    { $set: { status: "processing", lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+//Process one stored event: claim it, apply it, then record the outcome.
+//Failures are retried with backoff until maxAttempts, then dead-lettered for admins.
+
+export const processInboxEvent = async (id, now = new Date(), config = WEBHOOK_INBOX_CONFIG) => {
+  const record = await claimEvent(id, now, config);
+  if (!record) return null;
+
+  try {
+    const result = await applyWebhookEvent(record);
+    record.status = result ? "processed" : "ignored";
+    record.result = result || { note: "No payment, membership or top-up matches this event" };
+    record.processedAt = new Date();
+    record.nextAttemptAt = undefined;
+    record.lastError = undefined;
+  } catch (error) {
+    console.error(`Webhook event ${record.eventId} failed (attempt ${record.attempts}):`, error);
+    record.lastError = error.message;
+    record.attemptLog.push({ attempt: record.attempts, error: error.message, at: now });
+
+    if (record.attempts >= config.maxAttempts) {
+      record.status = "dead";
+      record.nextAttemptAt = undefined;
+    } else {
+      record.status = "failed";
+      record.nextAttemptAt = new Date(now.getTime() + getRetryDelay(record.attempts, config));
+    }
+  }
+
+  record.lockedAt = undefined;
+  await record.save();
+
+  if (record.status === "dead") {
+    await sendNotificationToAdmins({
+      title: "Webhook Event Failed",
+      message: `${record.eventType || "Webhook"} event ${record.eventId} failed ${record.attempts} times: ${record.lastError}`,
+      type: "payment",
+      actionType: "none",
+    });
+  }
+
+  return record;
+};
+
+//Store an incoming webhook and queue it for processing.
+//Returns whether it was accepted (valid signature) and whether it was a repeat delivery.
+//Calls with a bad or missing signature keep no body, only a hash of the claimed event id,
+//the caller's IP and the time, and expire after a while.
+
+export const receiveWebhook = async (
+  { source, headers = {}, rawBody = "", payload, ip },
+  now = new Date(),
+  config = WEBHOOK_INBOX_CONFIG
+) => {
+  const signature = headers["x-razorpay-signature"];
+  const signatureValid = Boolean(signature) && verifyWebhookSignature(signature, rawBody);
+  const eventId = getWebhookEventId(payload, headers, rawBody);
+
+  if (!signatureValid) {
+    await WebhookEvent.create({
+      source,
+      eventId: crypto.createHash("sha256").update(String(eventId)).digest("hex"),
+      signatureValid: false,
+      status: "rejected",
+      lastError: signature ? "Invalid webhook signature" : "Missing webhook signature",
+      ip,
+      receivedAt: now,
+      expiresAt: new Date(now.getTime() + config.rejectedRetentionMs),
+    });
+    return { accepted: false, duplicate: false };
+  }
+
+  const record = {
+    source,
+    eventId,
+    eventType: payload?.event,
+    signature,
+    signatureValid,
+    payload,
+    rawBody,
+    ip,
+    receivedAt: now,
+  };
+
+  if (!payload?.event) {
+    record.status = "ignored";
+    record.lastError = "Missing 'event' field";
+  } else if (isStaleEvent(payload, now, config)) {
+    record.status = "ignored";
+    record.lastError = "Event is too old or dated in the future";
+  } else {
+    record.status = "pending";
+    record.nextAttemptAt = now;
+  }
+
+  let stored;
+  try {
+    stored = await WebhookEvent.create(record);
+  } catch (error) {
+    if (error.code === 11000) {
+      return { accepted: true, duplicate: true };
+    }
+    throw error;
+  }
+
+  if (stored.status === "pending") {
+    // Acknowledge first; the retry sweep picks the event up if this run never finishes
+    setImmediate(() => {
+      processInboxEvent(stored._id).catch((error) =>
+        console.error(`Failed to process webhook event ${stored.eventId}:`, error)
+      );
+    });
+  }
+
+  return { accepted: true, duplicate: false, event: stored };
+};
+
+//Background job: process events that are due for a retry or were left unfinished
+
+export const processPendingWebhooks = async (now = new Date(), config = WEBHOOK_INBOX_CONFIG) => {
+  const due = await WebhookEvent.find({
+    $or: [
+      { status: { $in: ["pending", "failed"] }, nextAttemptAt: { $lte: now } },
+      { status: "processing", lockedAt: { $lte: new Date(now.getTime() - config.lockTimeoutMs) } },
+    ],
+  })
+    .sort("nextAttemptAt")
+    .limit(config.batchSize)
+    .select("_id");
+
+  const summary = { checked: due.length, processed: 0, ignored: 0, failed: 0, dead: 0 };
+
+  for (const { _id } of due) {
+    const record = await processInboxEvent(_id, now, config);
+    if (record && summary[record.status] !== undefined) summary[record.status] += 1;
+  }
+
+  return summary;
+};
+
+//Re-run a stored event on an admin's request
+
+export const replayWebhookEvent = async (id, actor) => {
+  const record = await WebhookEvent.findById(id);
+  if (!record) {
+    throw new AppError("Webhook event not found", 404);
+  }
+  if (!record.signatureValid) {
+    throw new AppError("Events with an invalid signature cannot be replayed", 400);
+  }
+  if (!REPLAYABLE_STATUSES.includes(record.status)) {
+    throw new AppError(`A ${record.status} event cannot be replayed`, 409, "WEBHOOK_NOT_REPLAYABLE");
+  }
+
+  record.replays.push({ by: actor?.id, fromStatus: record.status });
+  record.status = "pending";
+  record.attempts = 0;
+  record.nextAttemptAt = new Date();
+  await record.save();
+
+  return processInboxEvent(record._id);
+};
+
+//Stored events, newest first; the raw body is only returned for a single event
+
+export const listWebhookEvents = async ({ status, source, eventType, page = 1, limit = 20 } = {}) => {
+  const query = {};
+  if (status) query.status = status;
+  if (source) query.source = source;
+  if (eventType) query.eventType = eventType;
+
+  const skip = (page - 1) * limit;
+  const [events, total] = await Promise.all([
+    WebhookEvent.find(query)
+      .select("-rawBody -payload -signature")
+      .sort({ receivedAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    WebhookEvent.countDocuments(query),
+  ]);
+
+  return {
+    events,
+    pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+  };
+};
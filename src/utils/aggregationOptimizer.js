@@ -589,7 +589,7 @@ export class DashboardAnalytics {
         activeBookings: [
           {
             $match: {
-              status: { $in: ["confirmed", "in-progress"] },
+              status: { $in: ["confirmed", "on-the-way", "in-progress"] },
             },
           },
           { $count: "count" },
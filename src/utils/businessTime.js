@@ -0,0 +1,54 @@
+/**
+ * Business time helpers
+ * Slots, operating hours and pricing windows are wall-clock times in India (IST).
+ * IST has no daylight saving, so a fixed offset reads them the same way on any
+ * server, whatever its TZ setting.
+ */
+
+export const BUSINESS_UTC_OFFSET_MINUTES = 330;
+
+const OFFSET_MS = BUSINESS_UTC_OFFSET_MINUTES * 60 * 1000;
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar date, weekday and minutes since midnight of an instant in business time
+ * @param {Date|string|number} date - The instant
+ * @returns {{year: number, month: number, day: number, weekday: number, minutes: number}}
+ */
+export const getBusinessClock = (date) => {
+  const shifted = new Date(new Date(date).getTime() + OFFSET_MS);
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    weekday: shifted.getUTCDay(),
+    minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes(),
+  };
+};
+
+/**
+ * Instant at which the business-time wall clock shows the given date and time
+ * @param {{year: number, month: number, day: number}} date - Calendar date (month 1-12)
+ * @param {number} minutes - Minutes since midnight; may run past the day
+ * @returns {Date}
+ */
+export const fromBusinessClock = ({ year, month, day }, minutes = 0) =>
+  new Date(Date.UTC(year, month - 1, day, 0, minutes) - OFFSET_MS);
+
+/**
+ * Start of the business day an instant falls in
+ * @param {Date|string|number} date - The instant
+ * @returns {Date}
+ */
+export const startOfBusinessDay = (date) => fromBusinessClock(getBusinessClock(date));
+
+/**
+ * Business calendar date of an instant as YYYY-MM-DD
+ * @param {Date|string|number} date - The instant
+ * @returns {string}
+ */
+export const formatBusinessDate = (date) => {
+  const { year, month, day } = getBusinessClock(date);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+};
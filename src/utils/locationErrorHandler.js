@@ -12,6 +12,8 @@ export const ErrorCodes = {
   ROLE_INVALID: "ROLE_INVALID",
   LOCATION_NOT_INITIALIZED: "LOCATION_NOT_INITIALIZED",
   LOCATION_NOT_FOUND: "LOCATION_NOT_FOUND",
+  LOCATION_HISTORY_EMPTY: "LOCATION_HISTORY_EMPTY",
+  TRIP_NOT_FOUND: "TRIP_NOT_FOUND",
   INVALID_STATUS: "INVALID_STATUS",
   INVALID_COORDINATES: "INVALID_COORDINATES",
   FIREBASE_ERROR: "FIREBASE_ERROR",
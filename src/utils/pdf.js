@@ -0,0 +1,107 @@
+/**
+ * Minimal PDF writer for plain text documents such as invoices
+ * Uses the standard PDF fonts, so nothing has to be embedded
+ */
+
+import { Buffer } from "buffer";
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+const FONTS = {
+  regular: { id: "F1", name: "Helvetica" },
+  bold: { id: "F2", name: "Helvetica-Bold" },
+  mono: { id: "F3", name: "Courier" },
+};
+
+// Standard fonts only cover Latin-1; anything else is spelt out or replaced
+const toPdfText = (text) =>
+  String(text ?? "")
+    .replace(/₹/g, "Rs.")
+    .replace(/[^\x20-\x7e]/g, "?")
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)");
+
+/**
+ * Lay out lines top to bottom, starting a new page when one is full
+ * @param {Array<{text: string, size?: number, font?: string, indent?: number, gap?: number}>} lines
+ *   `font` is regular, bold or mono; `gap` adds space before the line
+ * @returns {string[]} Content stream of each page
+ */
+const layoutPages = (lines) => {
+  const pages = [];
+  let operations = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const line of lines) {
+    const size = line.size || 10;
+    const leading = size * 1.4 + (line.gap || 0);
+
+    if (y - leading < MARGIN && operations.length) {
+      pages.push(operations.join("\n"));
+      operations = [];
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= leading;
+
+    if (line.text) {
+      const font = FONTS[line.font] || FONTS.regular;
+      operations.push(
+        `BT /${font.id} ${size} Tf ${MARGIN + (line.indent || 0)} ${y.toFixed(2)} Td (${toPdfText(line.text)}) Tj ET`
+      );
+    }
+  }
+
+  pages.push(operations.join("\n"));
+  return pages;
+};
+
+/**
+ * Render lines of text as a PDF document
+ * @param {Array<Object>} lines - See layoutPages
+ * @param {Object} [info] - Document title and author
+ * @returns {Buffer} PDF file
+ */
+export const renderTextPdf = (lines, { title = "", author = "" } = {}) => {
+  const pages = layoutPages(lines);
+  const fontIds = Object.values(FONTS);
+
+  // Object numbers: 1 catalog, 2 page tree, 3 info, then fonts, then a page and its content per page
+  const firstFont = 4;
+  const firstPage = firstFont + fontIds.length;
+  const pageObject = (index) => firstPage + index * 2;
+
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pages.map((_, index) => `${pageObject(index)} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+    `<< /Title (${toPdfText(title)}) /Author (${toPdfText(author)}) /Producer (DashStream) >>`,
+    ...fontIds.map((font) => `<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`),
+  ];
+
+  const fontResources = fontIds.map((font, index) => `/${font.id} ${firstFont + index} 0 R`).join(" ");
+  pages.forEach((stream, index) => {
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${pageObject(index) + 1} 0 R >>`
+    );
+    objects.push(`<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`);
+  });
+
+  let body = "%PDF-1.4\n";
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(body);
+    body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = Buffer.byteLength(body);
+  body +=
+    `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("") +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(body, "latin1");
+};
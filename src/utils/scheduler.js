@@ -0,0 +1,78 @@
+/**
+ * In-process scheduler for recurring background jobs
+ * Each job runs on its own interval and never overlaps with itself
+ */
+
+const jobs = new Map();
+
+/**
+ * Register a job to run every `intervalMs`
+ * @param {string} name - Unique job name, used in logs and for manual runs
+ * @param {number} intervalMs - Interval between runs in milliseconds
+ * @param {Function} task - Async function performing the work
+ */
+export const scheduleJob = (name, intervalMs, task) => {
+  if (jobs.has(name)) {
+    clearInterval(jobs.get(name).timer);
+  }
+
+  const job = { name, intervalMs, task, running: false, lastRunAt: null, lastResult: null };
+
+  job.timer = setInterval(() => {
+    runJob(name).catch(() => {});
+  }, intervalMs);
+
+  // Background jobs must not keep the process alive on shutdown
+  if (typeof job.timer.unref === "function") job.timer.unref();
+
+  jobs.set(name, job);
+  return job;
+};
+
+/**
+ * Run a registered job immediately
+ * @param {string} name - Job name
+ * @returns {Promise<any>} Result of the task, or null when it was already running
+ */
+export const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown scheduled job: ${name}`);
+  }
+
+  if (job.running) return null;
+
+  job.running = true;
+  try {
+    job.lastResult = await job.task();
+    return job.lastResult;
+  } catch (error) {
+    console.error(`Scheduled job "${name}" failed:`, error);
+    throw error;
+  } finally {
+    job.running = false;
+    job.lastRunAt = new Date();
+  }
+};
+
+/**
+ * Stop every registered job
+ */
+export const stopScheduledJobs = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+  }
+  jobs.clear();
+};
+
+/**
+ * Snapshot of the registered jobs for admin diagnostics
+ */
+export const getScheduledJobs = () =>
+  [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastResult }) => ({
+    name,
+    intervalMs,
+    running,
+    lastRunAt,
+    lastResult,
+  }));
@@ -0,0 +1,98 @@
+import { jest } from "@jest/globals";
+import AreaRequest from "../src/models/areaRequestModel.js";
+import Notification from "../src/models/notificationModel.js";
+import ServiceArea from "../src/models/serviceAreaModel.js";
+import {
+  canAreaServeRequest,
+  notifyWaitlist,
+  processAreaWaitlists,
+  summariseDemandRow,
+} from "../src/services/areaDemandService.js";
+import { createTestUser, cleanupTestData } from "./helpers/testHelpers.js";
+
+const washId = "64b7f0c2a1b2c3d4e5f61201";
+const polishId = "64b7f0c2a1b2c3d4e5f61202";
+
+describe("Area demand heatmap", () => {
+  test("should summarise a pincode with its centroid and most requested services", () => {
+    const row = summariseDemandRow({
+      _id: "560102",
+      customers: 3,
+      requests: 5,
+      lat: 12.912345678,
+      lng: 77.638765432,
+      services: [[washId], [washId, polishId], []],
+      firstRequestedAt: new Date("2024-06-01"),
+      lastRequestedAt: new Date("2024-06-09"),
+    });
+
+    expect(row).toMatchObject({
+      pincode: "560102",
+      customers: 3,
+      requests: 5,
+      centroid: { lat: 12.9123, lng: 77.6388 },
+      topServices: [
+        { serviceId: washId, count: 2 },
+        { serviceId: polishId, count: 1 },
+      ],
+    });
+  });
+
+  test("should leave out the centroid and pincode when requests had none", () => {
+    const row = summariseDemandRow({ _id: "unknown", customers: 1, requests: 1, lat: null, lng: null, services: [] });
+
+    expect(row.pincode).toBeNull();
+    expect(row.centroid).toBeNull();
+    expect(row.topServices).toEqual([]);
+  });
+});
+
+describe("Waitlist matching", () => {
+  test("should notify when the area offers any requested service", () => {
+    const area = { services: [washId] };
+
+    expect(canAreaServeRequest(area, { services: [washId, polishId] })).toBe(true);
+    expect(canAreaServeRequest(area, { services: [polishId] })).toBe(false);
+    expect(canAreaServeRequest(area, { services: [] })).toBe(true);
+    expect(canAreaServeRequest({ services: [] }, { services: [polishId] })).toBe(true);
+  });
+});
+
+describe("Waitlist notifications", () => {
+  let customer, area;
+
+  beforeEach(async () => {
+    await cleanupTestData();
+    await Promise.all([AreaRequest.deleteMany({}), ServiceArea.deleteMany({})]);
+
+    customer = await createTestUser({ role: "customer" });
+    await AreaRequest.create({ user: customer._id, pincode: "560001" });
+    area = await ServiceArea.create({ name: "Central", pincode: "560001", waitlistPendingAt: new Date() });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should notify a waiting customer once when two runs overlap", async () => {
+    const counts = await Promise.all([notifyWaitlist(area), notifyWaitlist(area)]);
+
+    expect(counts[0] + counts[1]).toBe(1);
+    expect(await Notification.countDocuments({ recipient: customer._id })).toBe(1);
+    expect((await AreaRequest.findOne({ user: customer._id })).status).toBe("notified");
+  });
+
+  test("should keep the area marked and the customer waiting when the push fails", async () => {
+    jest.spyOn(Notification, "create").mockRejectedValueOnce(new Error("Push service down"));
+
+    const result = await processAreaWaitlists();
+
+    expect(result).toMatchObject({ areas: 1, notified: 0, failed: 1 });
+    expect((await ServiceArea.findById(area._id)).waitlistPendingAt).toBeDefined();
+    expect((await AreaRequest.findOne({ user: customer._id })).status).toBe("waiting");
+
+    // The next run gets through and clears the mark
+    expect(await processAreaWaitlists()).toMatchObject({ notified: 1, failed: 0 });
+    expect((await ServiceArea.findById(area._id)).waitlistPendingAt).toBeUndefined();
+  });
+});
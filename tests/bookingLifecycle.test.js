@@ -0,0 +1,128 @@
+import {
+  BOOKING_STATUSES,
+  BOOKING_TRANSITIONS,
+  TERMINAL_STATUSES,
+  canRoleTransition,
+  getAllowedTransitions,
+  isTransitionAllowed,
+} from "../src/config/bookingLifecycle.js";
+import { assertCanTransition } from "../src/services/bookingLifecycleService.js";
+
+describe("Booking lifecycle", () => {
+  const customerId = "64b7f0c2a1b2c3d4e5f60001";
+  const professionalId = "64b7f0c2a1b2c3d4e5f60002";
+
+  const makeBooking = (status, overrides = {}) => ({
+    status,
+    customer: customerId,
+    professional: professionalId,
+    ...overrides,
+  });
+
+  describe("transition table", () => {
+    test("should define transitions for every status", () => {
+      BOOKING_STATUSES.forEach((status) => {
+        expect(BOOKING_TRANSITIONS).toHaveProperty([status]);
+      });
+    });
+
+    test("should not allow leaving terminal statuses", () => {
+      TERMINAL_STATUSES.forEach((status) => {
+        BOOKING_STATUSES.forEach((to) => {
+          expect(isTransitionAllowed(status, to)).toBe(false);
+        });
+      });
+    });
+
+    test("should not allow a completed booking to go back to pending", () => {
+      expect(isTransitionAllowed("completed", "pending")).toBe(false);
+    });
+
+    test("should restrict transitions by role", () => {
+      expect(canRoleTransition("confirmed", "in-progress", "professional")).toBe(true);
+      expect(canRoleTransition("confirmed", "in-progress", "customer")).toBe(false);
+      expect(canRoleTransition("in-progress", "cancelled", "customer")).toBe(false);
+      expect(canRoleTransition("in-progress", "cancelled", "admin")).toBe(true);
+    });
+
+    test("should let the professional head out before starting the job", () => {
+      expect(canRoleTransition("confirmed", "on-the-way", "professional")).toBe(true);
+      expect(canRoleTransition("on-the-way", "in-progress", "professional")).toBe(true);
+      expect(canRoleTransition("on-the-way", "cancelled", "customer")).toBe(true);
+      expect(canRoleTransition("assigned", "on-the-way", "professional")).toBe(false);
+    });
+
+    test("should list allowed transitions for a role", () => {
+      expect(getAllowedTransitions("pending", "customer")).toEqual(["cancelled"]);
+    });
+  });
+
+  describe("assertCanTransition", () => {
+    test("should allow the assigned professional to start a job", () => {
+      expect(() =>
+        assertCanTransition(makeBooking("confirmed"), "in-progress", {
+          id: professionalId,
+          role: "professional",
+        })
+      ).not.toThrow();
+    });
+
+    test("should reject invalid transitions with 409", () => {
+      expect.assertions(2);
+      try {
+        assertCanTransition(makeBooking("completed"), "pending", {
+          id: null,
+          role: "admin",
+        });
+      } catch (error) {
+        expect(error.statusCode).toBe(409);
+        expect(error.errorCode).toBe("INVALID_STATUS_TRANSITION");
+      }
+    });
+
+    test("should reject repeating the current status with 409", () => {
+      expect(() =>
+        assertCanTransition(makeBooking("cancelled"), "cancelled", {
+          id: customerId,
+          role: "customer",
+        })
+      ).toThrow("Booking is already cancelled");
+    });
+
+    test("should reject customers acting on other customers' bookings", () => {
+      expect.assertions(1);
+      try {
+        assertCanTransition(makeBooking("pending"), "cancelled", {
+          id: "64b7f0c2a1b2c3d4e5f60009",
+          role: "customer",
+        });
+      } catch (error) {
+        expect(error.statusCode).toBe(403);
+      }
+    });
+
+    test("should reject professionals not assigned to the booking", () => {
+      expect.assertions(1);
+      try {
+        assertCanTransition(makeBooking("confirmed"), "in-progress", {
+          id: "64b7f0c2a1b2c3d4e5f60009",
+          role: "professional",
+        });
+      } catch (error) {
+        expect(error.statusCode).toBe(403);
+      }
+    });
+
+    test("should reject unknown statuses with 400", () => {
+      expect.assertions(1);
+      try {
+        assertCanTransition(makeBooking("pending"), "accepted", {
+          id: null,
+          role: "admin",
+        });
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+      }
+    });
+  });
+});
@@ -1,7 +1,11 @@
 import request from "supertest";
 import app from "../src/app.js";
 import Booking from "../src/models/bookingModel.js";
+import PricingRule from "../src/models/pricingRuleModel.js";
+import ServiceArea from "../src/models/serviceAreaModel.js";
 import Service from "../src/models/serviceModel.js";
+import { transitionBooking } from "../src/services/bookingLifecycleService.js";
+import { formatBusinessDate } from "../src/utils/businessTime.js";
 import {
   createTestUser,
   createTestProfessional,
@@ -71,6 +75,28 @@ describe("Booking API_ENDPOINTS", () => {
       );
     });
 
+    test("should only take the fields a customer chooses", async () => {
+      const response = await request(app)
+        .post("/api/bookings")
+        .set(getAuthHeaders(customerToken))
+        .send({
+          service: [{ serviceId: testService._id, quantity: 1 }],
+          notes: "Gate code 1234",
+          status: "completed",
+          paymentStatus: "paid",
+          codStatus: "collected",
+          rating: { rating: 5 },
+        })
+        .expect(201);
+
+      expect(response.body.booking).toMatchObject({
+        notes: "Gate code 1234",
+        status: "pending",
+        paymentStatus: "unpaid",
+      });
+      expect(response.body.booking.rating?.rating).toBeUndefined();
+    });
+
     test("should reject booking creation by non-customer", async () => {
       const bookingData = {
         service: testService._id,
@@ -247,6 +273,32 @@ describe("Booking API_ENDPOINTS", () => {
 
       expect(response.body.success).toBe(false);
     });
+
+    test("should let only one of two racing status changes through", async () => {
+      await Booking.updateOne({ _id: testBooking._id }, { status: "in-progress" });
+      const [forCompletion, forCancellation] = await Promise.all([
+        Booking.findById(testBooking._id),
+        Booking.findById(testBooking._id),
+      ]);
+
+      const results = await Promise.allSettled([
+        transitionBooking(forCompletion, "completed", {
+          actor: { id: professional._id.toString(), role: "professional" },
+          notify: false,
+        }),
+        transitionBooking(forCancellation, "cancelled", {
+          actor: { id: admin._id.toString(), role: "admin" },
+          notify: false,
+        }),
+      ]);
+
+      const rejected = results.filter((result) => result.status === "rejected");
+      expect(rejected).toHaveLength(1);
+      expect(rejected[0].reason).toMatchObject({ statusCode: 409, errorCode: "INVALID_STATUS_TRANSITION" });
+
+      const stored = await Booking.findById(testBooking._id);
+      expect(stored.status).toBe(results[0].status === "fulfilled" ? "completed" : "cancelled");
+    });
   });
 
   describe("POST /api/bookings/:id/tracking", () => {
@@ -407,6 +459,301 @@ describe("Booking API_ENDPOINTS", () => {
     });
   });
 
+  describe("POST /api/bookings/quote", () => {
+    test("should book at the quoted price", async () => {
+      const quote = await request(app)
+        .post("/api/bookings/quote")
+        .set(getAuthHeaders(customerToken))
+        .send({ service: [{ serviceId: testService._id, quantity: 2 }] })
+        .expect(200);
+
+      expect(quote.body.data).toMatchObject({ subtotal: 200, total: 200 });
+
+      // A later price change does not affect the quote
+      await Service.findByIdAndUpdate(testService._id, { price: 150 });
+
+      const response = await request(app)
+        .post("/api/bookings")
+        .set(getAuthHeaders(customerToken))
+        .send({
+          service: [{ serviceId: testService._id, quantity: 2 }],
+          quoteId: quote.body.data.quoteId,
+          promoDiscount: 150,
+        })
+        .expect(201);
+
+      expect(response.body.booking.totalAmount).toBe(200);
+      expect(response.body.booking.promoDiscount).toBe(0);
+    });
+
+    test("should reject a tampered quote", async () => {
+      const quote = await request(app)
+        .post("/api/bookings/quote")
+        .set(getAuthHeaders(customerToken))
+        .send({ service: [{ serviceId: testService._id }] })
+        .expect(200);
+
+      const [version, body, signature] = quote.body.data.quoteId.split(".");
+      const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+      payload.breakdown.total = 1;
+      const tampered = `${version}.${Buffer.from(JSON.stringify(payload)).toString("base64url")}.${signature}`;
+
+      const response = await request(app)
+        .post("/api/bookings")
+        .set(getAuthHeaders(customerToken))
+        .send({ service: [{ serviceId: testService._id }], quoteId: tampered })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test("should reject a quote for another slot", async () => {
+      const scheduledDate = formatBusinessDate(new Date(Date.now() + 24 * 60 * 60 * 1000));
+      const quote = await request(app)
+        .post("/api/bookings/quote")
+        .set(getAuthHeaders(customerToken))
+        .send({ service: [{ serviceId: testService._id }], scheduledDate, scheduledTime: "10:00" })
+        .expect(200);
+
+      const response = await request(app)
+        .post("/api/bookings")
+        .set(getAuthHeaders(customerToken))
+        .send({
+          service: [{ serviceId: testService._id }],
+          quoteId: quote.body.data.quoteId,
+          scheduledDate,
+          scheduledTime: "18:00",
+        })
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe("GET /api/bookings/available-slots", () => {
+    const tomorrow = () => formatBusinessDate(new Date(Date.now() + 24 * 60 * 60 * 1000));
+
+    test("should list slots for the requested services", async () => {
+      const response = await request(app)
+        .get(`/api/bookings/available-slots?date=${tomorrow()}&serviceIds=${testService._id}`)
+        .set(getAuthHeaders(customerToken))
+        .expect(200);
+
+      expect(response.body.status).toBe("success");
+      expect(response.body.data.duration).toBe(60);
+      expect(Array.isArray(response.body.data.slots)).toBe(true);
+      expect(response.body.data.slots[0]).toHaveProperty("remainingCapacity");
+    });
+
+    test("should mark a booked slot as unavailable", async () => {
+      await Booking.create({
+        customer: customer._id,
+        professional: professional._id,
+        services: [{ serviceId: testService._id, title: "Test Service", price: 100 }],
+        scheduledDate: new Date(`${tomorrow()}T00:00:00+05:30`),
+        scheduledTime: "10:00",
+        estimatedDuration: 60,
+        totalAmount: 100,
+        status: "confirmed",
+      });
+
+      const response = await request(app)
+        .get(`/api/bookings/available-slots?date=${tomorrow()}&serviceIds=${testService._id}`)
+        .set(getAuthHeaders(customerToken))
+        .expect(200);
+
+      const slot = response.body.data.slots.find((s) => s.time === "10:00");
+      expect(slot).toBeDefined();
+      expect(slot.remainingCapacity).toBe(0);
+      expect(slot.available).toBe(false);
+    });
+
+    test("should reject a booking that overlaps the professional's schedule", async () => {
+      await Booking.create({
+        customer: customer._id,
+        professional: professional._id,
+        services: [{ serviceId: testService._id, title: "Test Service", price: 100 }],
+        scheduledDate: new Date(`${tomorrow()}T00:00:00+05:30`),
+        scheduledTime: "10:00",
+        estimatedDuration: 60,
+        totalAmount: 100,
+        status: "confirmed",
+      });
+
+      const response = await request(app)
+        .post("/api/bookings")
+        .set(getAuthHeaders(customerToken))
+        .send({
+          service: [{ serviceId: testService._id, quantity: 1 }],
+          professional: professional._id,
+          scheduledDate: tomorrow(),
+          scheduledTime: "10:30",
+        })
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test("should reserve the time of every unit of a service", async () => {
+      const response = await request(app)
+        .get(`/api/bookings/available-slots?date=${tomorrow()}&serviceIds=${testService._id}&quantities=2`)
+        .set(getAuthHeaders(customerToken))
+        .expect(200);
+
+      expect(response.body.data.duration).toBe(120);
+    });
+
+    test("should let only one of two concurrent bookings take the last slot", async () => {
+      const book = () =>
+        request(app)
+          .post("/api/bookings")
+          .set(getAuthHeaders(customerToken))
+          .send({
+            service: [{ serviceId: testService._id, quantity: 1 }],
+            professional: professional._id,
+            scheduledDate: tomorrow(),
+            scheduledTime: "10:00",
+          });
+
+      const responses = await Promise.all([book(), book()]);
+
+      expect(responses.map((response) => response.status).sort()).toEqual([201, 409]);
+      expect(await Booking.countDocuments({ professional: professional._id })).toBe(1);
+    });
+
+    test("should validate the query", async () => {
+      const response = await request(app)
+        .get("/api/bookings/available-slots?date=tomorrow")
+        .set(getAuthHeaders(customerToken))
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe("POST /api/bookings/:id/reschedule", () => {
+    let testBooking;
+
+    const dayFromNow = (days) => {
+      const date = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+      return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(
+        date.getDate()
+      ).padStart(2, "0")}`;
+    };
+
+    beforeEach(async () => {
+      testBooking = await Booking.create({
+        customer: customer._id,
+        services: [{ serviceId: testService._id, title: testService.title, price: testService.price, duration: testService.duration, quantity: 1 }],
+        professional: professional._id,
+        scheduledDate: new Date(`${dayFromNow(2)}T00:00:00`),
+        scheduledTime: "10:00",
+        status: "confirmed",
+        totalAmount: testService.price,
+        estimatedDuration: testService.duration,
+      });
+    });
+
+    test("should move the booking and record old and new times", async () => {
+      const response = await request(app)
+        .post(`/api/bookings/${testBooking._id}/reschedule`)
+        .set(getAuthHeaders(customerToken))
+        .send({ scheduledDate: dayFromNow(3), scheduledTime: "11:00" })
+        .expect(200);
+
+      expect(response.body.status).toBe("success");
+
+      const booking = await Booking.findById(testBooking._id);
+      expect(booking.scheduledTime).toBe("11:00");
+      expect(booking.rescheduleCount).toBe(1);
+      expect(booking.rescheduleHistory[0].fromTime).toBe("10:00");
+      expect(booking.trackingUpdates.some((u) => /rescheduled from/.test(u.message))).toBe(true);
+    });
+
+    test("should release the professional when asked", async () => {
+      await request(app)
+        .post(`/api/bookings/${testBooking._id}/reschedule`)
+        .set(getAuthHeaders(customerToken))
+        .send({ scheduledDate: dayFromNow(3), scheduledTime: "11:00", releaseProfessional: true })
+        .expect(200);
+
+      const booking = await Booking.findById(testBooking._id);
+      expect(booking.status).toBe("pending");
+      expect(booking.professional).toBeUndefined();
+    });
+
+    test("should enforce the maximum number of reschedules", async () => {
+      await Booking.findByIdAndUpdate(testBooking._id, { rescheduleCount: 2 });
+
+      const response = await request(app)
+        .post(`/api/bookings/${testBooking._id}/reschedule`)
+        .set(getAuthHeaders(customerToken))
+        .send({ scheduledDate: dayFromNow(3), scheduledTime: "11:00" })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test("should refuse a slot priced by a different surge rule", async () => {
+      await Booking.findByIdAndUpdate(testBooking._id, {
+        pricing: { subtotal: testService.price, dynamicAdjustment: 0, total: testService.price },
+      });
+      await PricingRule.create({
+        name: "Evening surge",
+        kind: "surge",
+        value: 20,
+        startTime: "18:00",
+        endTime: "21:00",
+        isActive: true,
+      });
+
+      try {
+        const response = await request(app)
+          .post(`/api/bookings/${testBooking._id}/reschedule`)
+          .set(getAuthHeaders(customerToken))
+          .send({ scheduledDate: dayFromNow(3), scheduledTime: "19:00" })
+          .expect(409);
+
+        expect(response.body.errorCode).toBe("RESCHEDULE_PRICE_CHANGED");
+        expect((await Booking.findById(testBooking._id)).scheduledTime).toBe("10:00");
+      } finally {
+        await PricingRule.deleteMany({});
+      }
+    });
+
+    test("should refuse a slot outside the area's operating hours", async () => {
+      await Booking.findByIdAndUpdate(testBooking._id, {
+        location: { address: { address: "12 MG Road", pincode: "560001" } },
+      });
+      await ServiceArea.create({
+        name: "Central",
+        pincode: "560001",
+        operatingHours: [0, 1, 2, 3, 4, 5, 6].map((day) => ({ day, open: "08:00", close: "18:00" })),
+      });
+
+      try {
+        const response = await request(app)
+          .post(`/api/bookings/${testBooking._id}/reschedule`)
+          .set(getAuthHeaders(customerToken))
+          .send({ scheduledDate: dayFromNow(3), scheduledTime: "17:30" })
+          .expect(400);
+
+        expect(response.body.errorCode).toBe("SERVICE_AREA_CLOSED");
+        expect((await Booking.findById(testBooking._id)).scheduledTime).toBe("10:00");
+      } finally {
+        await ServiceArea.deleteMany({});
+      }
+    });
+
+    test("should reject a professional rescheduling", async () => {
+      await request(app)
+        .post(`/api/bookings/${testBooking._id}/reschedule`)
+        .set(getAuthHeaders(professionalToken))
+        .send({ scheduledDate: dayFromNow(3), scheduledTime: "11:00" })
+        .expect(403);
+    });
+  });
+
   describe("Unauthorized Access", () => {
     test("should reject requests without token", async () => {
       const response = await request(app)
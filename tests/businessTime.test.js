@@ -0,0 +1,35 @@
+import { getDayRange, getScheduledStart, parseSlotDate } from "../src/services/bookingSlotService.js";
+import { formatBusinessDate, getBusinessClock } from "../src/utils/businessTime.js";
+
+describe("Business time", () => {
+  test("should read slots as IST whatever the server timezone", () => {
+    const start = getScheduledStart({ scheduledDate: "2024-06-10", scheduledTime: "09:30" });
+
+    expect(start.toISOString()).toBe("2024-06-10T04:00:00.000Z");
+    expect(parseSlotDate("2024-06-10").toISOString()).toBe("2024-06-09T18:30:00.000Z");
+  });
+
+  test("should keep the booked day for dates stored at UTC midnight", () => {
+    const start = getScheduledStart({
+      scheduledDate: new Date("2024-06-10T00:00:00Z"),
+      scheduledTime: "21:00",
+    });
+
+    expect(start.toISOString()).toBe("2024-06-10T15:30:00.000Z");
+  });
+
+  test("should cover the whole IST day", () => {
+    const { start, end } = getDayRange(new Date("2024-06-10T20:00:00Z"));
+
+    expect(start.toISOString()).toBe("2024-06-10T18:30:00.000Z");
+    expect(end.toISOString()).toBe("2024-06-11T18:29:59.999Z");
+  });
+
+  test("should give the IST date, weekday and time of an instant", () => {
+    // Sunday 23:00 UTC is already Monday morning in India
+    const clock = getBusinessClock(new Date("2024-06-09T23:00:00Z"));
+
+    expect(clock).toMatchObject({ day: 10, weekday: 1, minutes: 4 * 60 + 30 });
+    expect(formatBusinessDate(new Date("2024-06-09T23:00:00Z"))).toBe("2024-06-10");
+  });
+});
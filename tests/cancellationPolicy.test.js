@@ -0,0 +1,96 @@
+import {
+  calculateCancellationCharges,
+  assertExpectedFee,
+} from "../src/services/cancellationService.js";
+import { minutesToTime } from "../src/services/bookingSlotService.js";
+import { formatBusinessDate, getBusinessClock } from "../src/utils/businessTime.js";
+
+describe("Cancellation policy", () => {
+  const now = new Date("2030-01-10T08:00:00+05:30");
+
+  const makeBooking = (hoursAhead, overrides = {}) => {
+    const start = new Date(now.getTime() + hoursAhead * 60 * 60 * 1000);
+    return {
+      scheduledDate: formatBusinessDate(start),
+      scheduledTime: minutesToTime(getBusinessClock(start).minutes),
+      totalAmount: 1000,
+      paymentStatus: "paid",
+      paymentMethod: "razorpay",
+      ...overrides,
+    };
+  };
+
+  test("should be free well before the slot", () => {
+    const charges = calculateCancellationCharges(makeBooking(24), { now });
+
+    expect(charges.fee).toBe(0);
+    expect(charges.refundableAmount).toBe(1000);
+    expect(charges.refundMethod).toBe("razorpay");
+  });
+
+  test("should charge the late tier inside the paid window", () => {
+    const charges = calculateCancellationCharges(makeBooking(3), { now });
+
+    expect(charges.feePercent).toBe(10);
+    expect(charges.fee).toBe(100);
+    expect(charges.refundableAmount).toBe(900);
+  });
+
+  test("should charge the last-minute tier close to the slot", () => {
+    const charges = calculateCancellationCharges(makeBooking(1), { now });
+
+    expect(charges.feePercent).toBe(25);
+    expect(charges.fee).toBe(250);
+  });
+
+  test("should cap the fee at the policy maximum", () => {
+    const charges = calculateCancellationCharges(
+      makeBooking(-1, { totalAmount: 5000 }),
+      { now }
+    );
+
+    expect(charges.rule).toBe("No-show");
+    expect(charges.fee).toBe(500);
+    expect(charges.refundableAmount).toBe(4500);
+  });
+
+  test("should waive fees for cancellations by professionals", () => {
+    const charges = calculateCancellationCharges(makeBooking(1), {
+      role: "professional",
+      now,
+    });
+
+    expect(charges.waived).toBe(true);
+    expect(charges.fee).toBe(0);
+    expect(charges.refundableAmount).toBe(1000);
+  });
+
+  test("should charge a reported no-show regardless of who reports it", () => {
+    const charges = calculateCancellationCharges(makeBooking(0), {
+      role: "professional",
+      noShow: true,
+      now,
+    });
+
+    expect(charges.noShow).toBe(true);
+    expect(charges.feePercent).toBe(50);
+  });
+
+  test("should not refund unpaid COD bookings", () => {
+    const charges = calculateCancellationCharges(
+      makeBooking(1, { paymentMethod: "cod", paymentStatus: "unpaid" }),
+      { now }
+    );
+
+    expect(charges.refundableAmount).toBe(0);
+    expect(charges.feeCollectible).toBe(0);
+    expect(charges.refundMethod).toBe("cod");
+  });
+
+  test("should reject a confirmation against a stale fee", () => {
+    const charges = calculateCancellationCharges(makeBooking(1), { now });
+
+    expect(() => assertExpectedFee(charges, 250)).not.toThrow();
+    expect(() => assertExpectedFee(charges, 0)).toThrow(/fee has changed/);
+  });
+});
@@ -0,0 +1,221 @@
+import mongoose from "mongoose";
+import request from "supertest";
+import app from "../src/app.js";
+import Booking from "../src/models/bookingModel.js";
+import CashAccount from "../src/models/cashAccountModel.js";
+import CashDeposit from "../src/models/cashDepositModel.js";
+import CashLedgerEntry from "../src/models/cashLedgerEntryModel.js";
+import {
+  finishInterruptedCashEntries,
+  postCashEntry,
+} from "../src/services/cashSettlementService.js";
+import {
+  createTestUser,
+  createTestProfessional,
+  createTestAdmin,
+  generateTestToken,
+  getAuthHeaders,
+  cleanupTestData,
+} from "./helpers/testHelpers.js";
+
+describe("Cash deposits", () => {
+  let professional, admin;
+  let professionalToken, adminToken;
+
+  beforeEach(async () => {
+    await cleanupTestData();
+
+    professional = await createTestProfessional();
+    admin = await createTestAdmin();
+
+    professionalToken = generateTestToken(professional._id, "professional");
+    adminToken = generateTestToken(admin._id, "admin");
+
+    await postCashEntry({
+      professionalId: professional._id,
+      type: "collection",
+      amount: 1500,
+      reference: "cod:test-booking",
+    });
+  });
+
+  const submitDeposit = (amount) =>
+    request(app)
+      .post("/api/professionals/cash/deposits")
+      .set(getAuthHeaders(professionalToken))
+      .send({ amount, method: "upi" });
+
+  const getCashInHand = async () => {
+    const response = await request(app)
+      .get("/api/professionals/cash")
+      .set(getAuthHeaders(professionalToken))
+      .expect(200);
+    return response.body.data.cashInHand;
+  };
+
+  test("should lower cash in hand once a deposit is confirmed", async () => {
+    const submitted = await submitDeposit(1000).expect(201);
+    expect(submitted.body.data.status).toBe("pending");
+    expect(await getCashInHand()).toBe(1500);
+
+    await request(app)
+      .post(`/api/admin/cash/deposits/${submitted.body.data._id}/confirm`)
+      .set(getAuthHeaders(adminToken))
+      .expect(200);
+
+    expect(await getCashInHand()).toBe(500);
+    expect(await CashLedgerEntry.countDocuments({ professional: professional._id, type: "deposit" })).toBe(1);
+  });
+
+  test("should keep cash in hand when a deposit is rejected", async () => {
+    const submitted = await submitDeposit(1000).expect(201);
+
+    await request(app)
+      .post(`/api/admin/cash/deposits/${submitted.body.data._id}/reject`)
+      .set(getAuthHeaders(adminToken))
+      .send({ reason: "Not received in the bank account" })
+      .expect(200);
+
+    expect(await getCashInHand()).toBe(1500);
+    const deposit = await CashDeposit.findById(submitted.body.data._id);
+    expect(deposit).toMatchObject({ status: "rejected", rejectionReason: "Not received in the bank account" });
+  });
+
+  test("should settle a deposit only once", async () => {
+    const submitted = await submitDeposit(1000).expect(201);
+    const confirm = () =>
+      request(app)
+        .post(`/api/admin/cash/deposits/${submitted.body.data._id}/confirm`)
+        .set(getAuthHeaders(adminToken));
+
+    const responses = await Promise.all([confirm(), confirm()]);
+
+    expect(responses.map((response) => response.status).sort()).toEqual([200, 409]);
+    expect(responses.find((response) => response.status === 409).body.errorCode).toBe(
+      "DEPOSIT_ALREADY_REVIEWED"
+    );
+    expect(await getCashInHand()).toBe(500);
+  });
+
+  test("should refuse a deposit above the cash not yet deposited", async () => {
+    await submitDeposit(1000).expect(201);
+
+    const response = await submitDeposit(600).expect(400);
+
+    expect(response.body.errorCode).toBe("DEPOSIT_EXCEEDS_CASH");
+    expect(await CashDeposit.countDocuments({ professional: professional._id })).toBe(1);
+  });
+});
+
+describe("Interrupted cash entries", () => {
+  let professional, account;
+
+  beforeEach(async () => {
+    await cleanupTestData();
+
+    professional = await createTestProfessional();
+    await postCashEntry({
+      professionalId: professional._id,
+      type: "collection",
+      amount: 1000,
+      reference: "cod:first-booking",
+    });
+    account = await CashAccount.findOne({ professional: professional._id });
+  });
+
+  // An entry as a crash left it, last touched ten minutes ago
+  const leaveEntry = async (status) => {
+    const entry = await CashLedgerEntry.create({
+      account: account._id,
+      professional: professional._id,
+      type: "collection",
+      amount: 500,
+      reference: "cod:second-booking",
+      status,
+    });
+    await CashLedgerEntry.collection.updateOne(
+      { _id: entry._id },
+      { $set: { updatedAt: new Date(Date.now() - 10 * 60 * 1000) } }
+    );
+    return entry;
+  };
+
+  test("should add an entry recorded before a crash when it is posted again", async () => {
+    await leaveEntry("pending");
+
+    const entry = await postCashEntry({
+      professionalId: professional._id,
+      type: "collection",
+      amount: 500,
+      reference: "cod:second-booking",
+    });
+
+    expect(entry).toMatchObject({ status: "posted", balanceAfter: 1500 });
+    expect((await CashAccount.findById(account._id)).balance).toBe(1500);
+  });
+
+  test("should post an entry already added to the balance without adding it twice", async () => {
+    const entry = await leaveEntry("applying");
+    await CashAccount.updateOne(
+      { _id: account._id },
+      { $inc: { balance: 500 }, $push: { appliedEntries: entry._id } }
+    );
+
+    const result = await finishInterruptedCashEntries();
+
+    expect(result).toMatchObject({ checked: 1, posted: 1 });
+    expect((await CashLedgerEntry.findById(entry._id)).status).toBe("posted");
+    const finished = await CashAccount.findById(account._id);
+    expect(finished.balance).toBe(1500);
+    expect(finished.appliedEntries).toHaveLength(0);
+  });
+});
+
+describe("COD collection", () => {
+  let customer, professional, professionalToken;
+
+  beforeEach(async () => {
+    await cleanupTestData();
+
+    customer = await createTestUser({ role: "customer" });
+    professional = await createTestProfessional();
+    professionalToken = generateTestToken(professional._id, "professional");
+  });
+
+  const createJob = (fields = {}) =>
+    Booking.create({
+      customer: customer._id,
+      professional: professional._id,
+      services: [{ serviceId: new mongoose.Types.ObjectId(), title: "Exterior Wash", price: 500, duration: 60, quantity: 1 }],
+      scheduledDate: new Date(),
+      status: "in-progress",
+      totalAmount: 500,
+      paymentMethod: "cod",
+      ...fields,
+    });
+
+  const collect = (booking) =>
+    request(app)
+      .post(`/api/payments/cod/${booking._id}/collect`)
+      .set(getAuthHeaders(professionalToken))
+      .send({ amount: 500 });
+
+  test("should collect the cash of a job in progress once", async () => {
+    const booking = await createJob();
+
+    await collect(booking).expect(200);
+    const again = await collect(booking).expect(409);
+
+    expect(again.body.errorCode).toBe("COD_ALREADY_COLLECTED");
+    expect(await CashLedgerEntry.countDocuments({ booking: booking._id })).toBe(1);
+  });
+
+  test("should refuse to collect cash on a booking paid online", async () => {
+    const booking = await createJob({ paymentMethod: "razorpay" });
+
+    await collect(booking).expect(400);
+
+    expect((await Booking.findById(booking._id)).codStatus).not.toBe("collected");
+    expect(await CashLedgerEntry.countDocuments({ booking: booking._id })).toBe(0);
+  });
+});
@@ -0,0 +1,37 @@
+import {
+  getCashLimit,
+  getCodAmount,
+  isCashJob,
+  isCashLimitReached,
+} from "../src/services/cashSettlementService.js";
+
+describe("COD cash limits", () => {
+  const config = { defaultCashLimit: 5000 };
+
+  test("should use the default limit unless one was set", () => {
+    expect(getCashLimit({ balance: 100 }, config)).toBe(5000);
+    expect(getCashLimit({ balance: 100, cashLimit: 2000 }, config)).toBe(2000);
+    expect(getCashLimit({ balance: 100, cashLimit: 0 }, config)).toBe(0);
+    expect(getCashLimit(null, config)).toBe(5000);
+  });
+
+  test("should block professionals at or over their limit", () => {
+    expect(isCashLimitReached({ balance: 4999.99 }, config)).toBe(false);
+    expect(isCashLimitReached({ balance: 5000 }, config)).toBe(true);
+    expect(isCashLimitReached({ balance: 1500, cashLimit: 1000 }, config)).toBe(true);
+    expect(isCashLimitReached(null, config)).toBe(false);
+  });
+
+  test("should only treat unpaid COD bookings as cash jobs", () => {
+    expect(isCashJob({ paymentMethod: "cod", paymentStatus: "unpaid" })).toBe(true);
+    expect(isCashJob({ paymentMethod: "cod", paymentStatus: "paid" })).toBe(false);
+    expect(isCashJob({ paymentMethod: "razorpay", paymentStatus: "unpaid" })).toBe(false);
+    expect(isCashJob(null)).toBe(false);
+  });
+
+  test("should collect the amount the booking records as due", () => {
+    expect(getCodAmount({ codAmount: 799, amountDue: 999 })).toBe(799);
+    expect(getCodAmount({ codAmount: 0, amountDue: 499.5 })).toBe(499.5);
+    expect(getCodAmount({})).toBe(0);
+  });
+});
@@ -0,0 +1,64 @@
+import {
+  scoreCandidate,
+  getSkillMatch,
+  getServiceAreaMatch,
+} from "../src/services/dispatchService.js";
+import { DISPATCH_CONFIG } from "../src/config/dispatch.js";
+
+describe("Dispatch scoring", () => {
+  const baseFactors = {
+    distanceKm: 2,
+    skillMatch: 1,
+    serviceAreaMatch: 1,
+    activeJobs: 0,
+    rating: 4.5,
+  };
+
+  test("should rank closer professionals higher", () => {
+    const near = scoreCandidate({ ...baseFactors, distanceKm: 1 });
+    const far = scoreCandidate({ ...baseFactors, distanceKm: 20 });
+
+    expect(near).toBeGreaterThan(far);
+  });
+
+  test("should penalise professionals with more active jobs", () => {
+    const idle = scoreCandidate(baseFactors);
+    const busy = scoreCandidate({ ...baseFactors, activeJobs: 3 });
+
+    expect(idle).toBeGreaterThan(busy);
+  });
+
+  test("should score a perfect candidate as 100", () => {
+    expect(
+      scoreCandidate({
+        distanceKm: 0,
+        skillMatch: 1,
+        serviceAreaMatch: 1,
+        activeJobs: 0,
+        rating: 5,
+      })
+    ).toBe(100);
+  });
+
+  test("should treat unknown distance as the worst distance", () => {
+    const unknown = scoreCandidate({ ...baseFactors, distanceKm: null });
+    const edge = scoreCandidate({
+      ...baseFactors,
+      distanceKm: DISPATCH_CONFIG.maxDistanceKm,
+    });
+
+    expect(unknown).toBe(edge);
+  });
+
+  test("should match skills against categories case-insensitively", () => {
+    expect(getSkillMatch(["Car Wash", "detailing"], ["car wash", "bike wash"])).toBe(0.5);
+    expect(getSkillMatch([], [])).toBe(1);
+  });
+
+  test("should match service areas by pincode or area name", () => {
+    expect(getServiceAreaMatch(["560001"], { pincode: "560001" })).toBe(1);
+    expect(getServiceAreaMatch(["Indiranagar"], { pincode: "560038", areaName: "indiranagar" })).toBe(1);
+    expect(getServiceAreaMatch(["560002"], { pincode: "560001" })).toBe(0);
+    expect(getServiceAreaMatch([], { pincode: "560001" })).toBe(0.5);
+  });
+});
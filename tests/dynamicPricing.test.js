@@ -0,0 +1,99 @@
+import {
+  calculateRuleAdjustment,
+  matchesPricingRule,
+  selectPricingRule,
+  validatePricingRule,
+} from "../src/services/dynamicPricingService.js";
+import { calculatePriceBreakdown } from "../src/services/pricingService.js";
+
+const areaId = "64b7f0c2a1b2c3d4e5f60901";
+const otherAreaId = "64b7f0c2a1b2c3d4e5f60902";
+const caps = { maxSurgePercent: 50, maxOffPeakPercent: 30 };
+
+// Saturday 18:30 local time
+const saturdayEvening = new Date("2024-06-15T18:30:00+05:30");
+
+describe("Pricing rule conditions", () => {
+  test("should match on weekday and time window", () => {
+    const rule = { kind: "surge", daysOfWeek: [0, 6], startTime: "17:00", endTime: "20:00" };
+
+    expect(matchesPricingRule(rule, { slotStart: saturdayEvening })).toBe(true);
+    expect(matchesPricingRule(rule, { slotStart: new Date("2024-06-15T20:00:00+05:30") })).toBe(false);
+    expect(matchesPricingRule(rule, { slotStart: new Date("2024-06-14T18:30:00+05:30") })).toBe(false);
+  });
+
+  test("should handle windows that run past midnight", () => {
+    const rule = { kind: "off_peak", startTime: "22:00", endTime: "06:00" };
+
+    expect(matchesPricingRule(rule, { slotStart: new Date("2024-06-15T23:00:00+05:30") })).toBe(true);
+    expect(matchesPricingRule(rule, { slotStart: new Date("2024-06-15T05:59:00+05:30") })).toBe(true);
+    expect(matchesPricingRule(rule, { slotStart: new Date("2024-06-15T12:00:00+05:30") })).toBe(false);
+  });
+
+  test("should match on service area and utilisation", () => {
+    const rule = { kind: "surge", serviceAreas: [areaId], minUtilisation: 80 };
+
+    expect(matchesPricingRule(rule, { slotStart: saturdayEvening, serviceAreaId: areaId, utilisation: 85 })).toBe(true);
+    expect(matchesPricingRule(rule, { slotStart: saturdayEvening, serviceAreaId: areaId, utilisation: 60 })).toBe(false);
+    expect(matchesPricingRule(rule, { slotStart: saturdayEvening, serviceAreaId: otherAreaId, utilisation: 90 })).toBe(false);
+    // Without a utilisation figure a utilisation rule never applies
+    expect(matchesPricingRule(rule, { slotStart: saturdayEvening, serviceAreaId: areaId })).toBe(false);
+  });
+
+  test("should pick the matching rule with the highest priority", () => {
+    const rules = [
+      { name: "weekend", kind: "surge", daysOfWeek: [6], priority: 1 },
+      { name: "evening", kind: "surge", startTime: "18:00", endTime: "21:00", priority: 5 },
+      { name: "morning", kind: "off_peak", startTime: "06:00", endTime: "09:00", priority: 10 },
+    ];
+
+    expect(selectPricingRule(rules, { slotStart: saturdayEvening }).name).toBe("evening");
+    expect(selectPricingRule(rules, { slotStart: new Date("2024-06-14T12:00:00+05:30") })).toBeNull();
+  });
+});
+
+describe("Pricing rule adjustments", () => {
+  test("should add surge and take off off-peak discounts", () => {
+    expect(calculateRuleAdjustment({ kind: "surge", value: 20 }, 500, caps)).toBe(100);
+    expect(calculateRuleAdjustment({ kind: "off_peak", value: 10 }, 500, caps)).toBe(-50);
+    expect(calculateRuleAdjustment({ kind: "surge", adjustmentType: "fixed", value: 75 }, 500, caps)).toBe(75);
+  });
+
+  test("should cap adjustments by the rule and the platform limits", () => {
+    expect(calculateRuleAdjustment({ kind: "surge", value: 40, maxAdjustment: 120 }, 500, caps)).toBe(120);
+    expect(calculateRuleAdjustment({ kind: "surge", value: 80 }, 500, caps)).toBe(250);
+    expect(calculateRuleAdjustment({ kind: "off_peak", adjustmentType: "fixed", value: 400 }, 500, caps)).toBe(-150);
+    expect(calculateRuleAdjustment({ kind: "surge", value: 20 }, 0, caps)).toBe(0);
+  });
+
+  test("should reject invalid rule definitions", () => {
+    expect(() => validatePricingRule({ kind: "peak", value: 10 })).toThrow("Kind must be one of");
+    expect(() => validatePricingRule({ kind: "surge", value: 150 })).toThrow("cannot exceed 100");
+    expect(() => validatePricingRule({ kind: "surge", value: 10, startTime: "18:00" })).toThrow("startTime and endTime");
+    expect(() => validatePricingRule({ kind: "surge", value: 10, daysOfWeek: [7] })).toThrow("daysOfWeek");
+    expect(() => validatePricingRule({ kind: "surge", value: 10, minUtilisation: 90, maxUtilisation: 50 })).toThrow(
+      "minUtilisation"
+    );
+    expect(() =>
+      validatePricingRule({ kind: "off_peak", value: 15, startTime: "22:00", endTime: "06:00", serviceAreas: [areaId] })
+    ).not.toThrow();
+  });
+});
+
+describe("Price breakdown with a pricing rule", () => {
+  const lines = [{ serviceId: "64b7f0c2a1b2c3d4e5f60801", category: "car wash", quantity: 1, unitPrice: 500, amount: 500 }];
+  const adjustment = { amount: 100, rule: { ruleId: "64b7f0c2a1b2c3d4e5f60903", name: "Evening surge", kind: "surge" } };
+
+  test("should show the applied rule and include it in the total", () => {
+    const { breakdown } = calculatePriceBreakdown({ lines, adjustment }, { taxRate: 18, pricesIncludeTax: true });
+
+    expect(breakdown).toMatchObject({ subtotal: 500, dynamicAdjustment: 100, total: 600 });
+    expect(breakdown.pricingRule).toEqual(adjustment.rule);
+  });
+
+  test("should not adjust bookings covered by a membership", () => {
+    const { breakdown } = calculatePriceBreakdown({ lines, adjustment, covered: true }, { taxRate: 18, pricesIncludeTax: true });
+
+    expect(breakdown).toMatchObject({ dynamicAdjustment: 0, pricingRule: null, total: 0 });
+  });
+});
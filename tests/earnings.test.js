@@ -0,0 +1,118 @@
+import {
+  calculateJobEarnings,
+  calculatePayout,
+  getPayoutPeriod,
+  resolveCommissionRate,
+  toStatementCsv,
+} from "../src/services/earningsService.js";
+
+const config = { defaultCommissionRate: 20, payoutWeekStartsOn: 1 };
+const professionalId = "64b7f0c2a1b2c3d4e5f60719";
+
+describe("Commission rules", () => {
+  const rules = [
+    { scope: "category", category: "detailing", rate: 15 },
+    { scope: "category", category: "bike wash", rate: 10, isActive: false },
+    { scope: "professional", professional: professionalId, rate: 12 },
+  ];
+
+  test("should prefer the professional's own rate", () => {
+    expect(resolveCommissionRate({ category: "detailing", professionalId }, rules, config)).toBe(12);
+  });
+
+  test("should fall back to the category rate, then the default", () => {
+    const other = "64b7f0c2a1b2c3d4e5f60720";
+    expect(resolveCommissionRate({ category: "detailing", professionalId: other }, rules, config)).toBe(15);
+    expect(resolveCommissionRate({ category: "bike wash", professionalId: other }, rules, config)).toBe(20);
+  });
+
+  test("should charge each service line its category's commission", () => {
+    const booking = {
+      professional: "64b7f0c2a1b2c3d4e5f60720",
+      services: [
+        { serviceId: "s1", price: 1000, quantity: 1 },
+        { serviceId: "s2", price: 250, quantity: 2 },
+      ],
+    };
+    const categories = new Map([
+      ["s1", "detailing"],
+      ["s2", "car wash"],
+    ]);
+
+    expect(calculateJobEarnings(booking, rules, categories, config)).toEqual({
+      gross: 1500,
+      commission: 250,
+      amount: 1250,
+      commissionRate: 16.67,
+    });
+  });
+});
+
+describe("Payouts", () => {
+  test("should cover the last full week before the run", () => {
+    // Wednesday 2024-05-15
+    const { periodStart, periodEnd } = getPayoutPeriod(new Date("2024-05-15T10:00:00+05:30"), config);
+    expect(periodStart).toEqual(new Date("2024-05-06T00:00:00+05:30"));
+    expect(periodEnd).toEqual(new Date("2024-05-13T00:00:00+05:30"));
+
+    // A Monday run pays the week that just ended
+    const monday = getPayoutPeriod(new Date("2024-05-13T00:30:00+05:30"), config);
+    expect(monday.periodStart).toEqual(new Date("2024-05-06T00:00:00+05:30"));
+  });
+
+  test("should start the week at midnight IST while it is still Sunday in UTC", () => {
+    // Sunday 20:00 UTC is Monday 01:30 in India
+    const { periodStart, periodEnd } = getPayoutPeriod(new Date("2024-05-12T20:00:00Z"), config);
+
+    expect(periodStart).toEqual(new Date("2024-05-06T00:00:00+05:30"));
+    expect(periodEnd).toEqual(new Date("2024-05-13T00:00:00+05:30"));
+  });
+
+  const entries = [
+    { type: "job", gross: 1000, commission: 200, amount: 800 },
+    { type: "job", gross: 500, commission: 100, amount: 400 },
+    { type: "adjustment", gross: 0, commission: 0, amount: -50 },
+  ];
+
+  test("should deduct COD cash held from the transfer", () => {
+    expect(calculatePayout(entries, 300)).toEqual({
+      gross: 1500,
+      commission: 300,
+      earnings: 1150,
+      codDeduction: 300,
+      net: 850,
+      jobs: 2,
+    });
+  });
+
+  test("should never deduct more than was earned", () => {
+    const payout = calculatePayout(entries, 5000);
+    expect(payout.codDeduction).toBe(1150);
+    expect(payout.net).toBe(0);
+  });
+
+  test("should write statements as CSV with a totals row", () => {
+    const csv = toStatementCsv({
+      rows: [
+        {
+          date: new Date("2024-05-07T09:00:00Z"),
+          type: "job",
+          description: "Wash, wax",
+          booking: "b1",
+          gross: 1000,
+          commissionRate: 20,
+          commission: 200,
+          amount: 800,
+          status: "paid",
+        },
+      ],
+      totals: { gross: 1000, commission: 200, net: 800 },
+    });
+
+    expect(csv.split("\n")).toEqual([
+      "Date,Type,Description,Booking,Gross,Commission %,Commission,Amount,Status",
+      '2024-05-07,job,"Wash, wax",b1,1000,20,200,800,paid',
+      ",,Total,,1000,,200,800,",
+    ]);
+  });
+});
@@ -0,0 +1,64 @@
+import {
+  countSubscribers,
+  formatSseMessage,
+  getCurrentEventId,
+  getEventsSince,
+  parseEventId,
+  publishEvent,
+  subscribeToEvents,
+} from "../src/services/eventBus.js";
+
+const customerId = "64b7f0c2a1b2c3d4e5f61101";
+const professionalId = "64b7f0c2a1b2c3d4e5f61102";
+
+describe("Event bus", () => {
+  test("should deliver events to subscribers of each recipient once", () => {
+    const received = [];
+    const unsubscribe = subscribeToEvents(customerId, (event) => received.push(event));
+
+    publishEvent([customerId, customerId, null], "booking.status", { status: "confirmed" });
+    publishEvent([professionalId], "booking.status", { status: "assigned" });
+    unsubscribe();
+    publishEvent([customerId], "booking.status", { status: "on-the-way" });
+
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({ type: "booking.status", data: { status: "confirmed" } });
+    expect(countSubscribers(customerId)).toBe(0);
+  });
+
+  test("should replay events published after the last event id", () => {
+    const userId = "64b7f0c2a1b2c3d4e5f61103";
+    const first = publishEvent([userId], "notification.created", { n: 1 });
+    publishEvent([professionalId], "notification.created", { n: 2 });
+    const third = publishEvent([userId], "payment.confirmed", { n: 3 });
+
+    const { events, complete } = getEventsSince(userId, first.id);
+
+    expect(complete).toBe(true);
+    expect(events.map((event) => event.id)).toEqual([third.id]);
+    expect(getEventsSince(userId, third.id).events).toEqual([]);
+  });
+
+  test("should ask for a resync when the missed events are no longer kept", () => {
+    const userId = "64b7f0c2a1b2c3d4e5f61104";
+    const config = { replayLimit: 2, replayWindowMinutes: 30, maxReplayUsers: 100 };
+    const first = publishEvent([userId], "booking.status", { n: 1 }, { config });
+    const second = publishEvent([userId], "booking.status", { n: 2 }, { config });
+    publishEvent([userId], "booking.status", { n: 3 }, { config });
+    publishEvent([userId], "booking.status", { n: 4 }, { config });
+
+    expect(getEventsSince(userId, first.id).complete).toBe(false);
+    expect(getEventsSince(userId, second.id)).toMatchObject({ complete: true });
+    // Ids from an earlier process cannot be resumed
+    expect(getEventsSince(userId, "abc123-5").complete).toBe(false);
+    expect(getEventsSince(userId, "not-an-id").complete).toBe(false);
+  });
+
+  test("should parse and format event ids and messages", () => {
+    expect(parseEventId(getCurrentEventId()).sequence).toBeGreaterThan(0);
+    expect(parseEventId("garbage")).toBeNull();
+    expect(formatSseMessage({ id: "k1-7", type: "booking.status", data: { status: "completed" } })).toBe(
+      'id: k1-7\nevent: booking.status\ndata: {"status":"completed"}\n\n'
+    );
+  });
+});
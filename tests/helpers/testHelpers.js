@@ -91,6 +91,11 @@ export const cleanupTestData = async () => {
     "Membership",
     "Vehicle",
     "DeviceToken",
+    "Wallet",
+    "WalletTransaction",
+    "CashAccount",
+    "CashLedgerEntry",
+    "CashDeposit",
   ];
 
   for (const modelName of models) {
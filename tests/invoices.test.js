@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+import Booking from "../src/models/bookingModel.js";
+import Counter from "../src/models/counterModel.js";
+import Invoice from "../src/models/invoiceModel.js";
+import {
+  calculateInvoiceLines,
+  formatDocumentNumber,
+  getFinancialYear,
+  getPlaceOfSupply,
+  getStateCodeForPincode,
+  issueBookingInvoice,
+  renderInvoicePdf,
+} from "../src/services/invoiceService.js";
+import { createTestUser, cleanupTestData } from "./helpers/testHelpers.js";
+
+describe("Invoice numbering", () => {
+  test("should use the Indian financial year in IST", () => {
+    expect(getFinancialYear(new Date("2024-04-01T00:00:00+05:30"))).toBe("2024-25");
+    // Still 31 March in UTC, already April in India
+    expect(getFinancialYear(new Date("2024-03-31T20:00:00Z"))).toBe("2024-25");
+    expect(getFinancialYear(new Date("2025-03-31T12:00:00+05:30"))).toBe("2024-25");
+    expect(getFinancialYear(new Date("1999-06-01T00:00:00Z"))).toBe("1999-00");
+  });
+
+  test("should pad the sequence number", () => {
+    expect(formatDocumentNumber("INV", "2024-25", 42)).toBe("INV/2024-25/000042");
+  });
+});
+
+describe("Invoice number allocation", () => {
+  let customer;
+  const sequence = `invoice:${getFinancialYear(new Date())}`;
+
+  beforeEach(async () => {
+    await cleanupTestData();
+    await Promise.all([Counter.deleteMany({}), Invoice.deleteMany({})]);
+    customer = await createTestUser({ role: "customer" });
+  });
+
+  const createPaidBooking = () =>
+    Booking.create({
+      customer: customer._id,
+      services: [{ serviceId: new mongoose.Types.ObjectId(), title: "Exterior Wash", price: 500, duration: 60, quantity: 1 }],
+      scheduledDate: new Date(),
+      totalAmount: 500,
+      paymentStatus: "paid",
+    });
+
+  test("should keep a number given out before a crash for the document it was meant for", async () => {
+    // Crashed after taking number 5 and before its claim kept it
+    await Counter.create([
+      { _id: sequence, seq: 5, holder: "invoice-claim:crashed" },
+      { _id: "invoice-claim:crashed", seq: 0 },
+    ]);
+
+    const booking = await createPaidBooking();
+    const invoice = await issueBookingInvoice(booking._id);
+
+    expect(invoice.number).toMatch(/\/000006$/);
+    expect((await Counter.findById("invoice-claim:crashed")).seq).toBe(5);
+    const counter = await Counter.findById(sequence);
+    expect(counter.seq).toBe(6);
+    expect(counter.holder).toBeUndefined();
+  });
+
+  test("should number invoices issued together one after another", async () => {
+    const bookings = await Promise.all([1, 2, 3].map(() => createPaidBooking()));
+
+    const invoices = await Promise.all(bookings.map((booking) => issueBookingInvoice(booking._id)));
+
+    expect(invoices.map((invoice) => Number(invoice.number.split("/").pop())).sort()).toEqual([1, 2, 3]);
+  });
+});
+
+describe("Place of supply", () => {
+  test("should map pincodes to GST state codes", () => {
+    expect(getStateCodeForPincode("560001")).toBe("29");
+    expect(getStateCodeForPincode("400001")).toBe("27");
+    expect(getStateCodeForPincode("403001")).toBe("30");
+    expect(getStateCodeForPincode("12345")).toBeNull();
+  });
+
+  test("should prefer the state name, then the pincode, then the seller's state", () => {
+    expect(getPlaceOfSupply({ state: "maharashtra", pincode: "560001" }, "29")).toBe("27");
+    expect(getPlaceOfSupply({ pincode: "110001" }, "29")).toBe("07");
+    expect(getPlaceOfSupply({}, "29")).toBe("29");
+  });
+});
+
+describe("Invoice lines", () => {
+  const items = [
+    { description: "Foam wash", quantity: 1, unitPrice: 590 },
+    { description: "Interior vacuum", quantity: 2, unitPrice: 295 },
+  ];
+
+  test("should split inclusive GST into CGST and SGST within the state", () => {
+    const { lines, totals } = calculateInvoiceLines(items, {
+      total: 1180,
+      intraState: true,
+      rate: 18,
+      pricesIncludeTax: true,
+    });
+
+    expect(lines[0]).toMatchObject({ taxableValue: 500, cgst: 45, sgst: 45, igst: 0, total: 590, discount: 0 });
+    expect(totals).toMatchObject({ taxableValue: 1000, totalTax: 180, grandTotal: 1180 });
+  });
+
+  test("should charge IGST across states", () => {
+    const { lines, totals } = calculateInvoiceLines(items, {
+      total: 1180,
+      intraState: false,
+      rate: 18,
+      pricesIncludeTax: true,
+    });
+
+    expect(lines[1]).toMatchObject({ cgst: 0, sgst: 0, igstRate: 18, igst: 90 });
+    expect(totals.igst).toBe(180);
+  });
+
+  test("should spread a discount over the lines and still add up to the amount charged", () => {
+    const { lines, totals } = calculateInvoiceLines(items, {
+      total: 1000.01,
+      intraState: true,
+      rate: 18,
+      pricesIncludeTax: true,
+    });
+
+    expect(lines[0].discount + lines[1].discount).toBeCloseTo(179.99, 2);
+    expect(totals.grandTotal).toBe(1000.01);
+    expect(totals.taxableValue + totals.totalTax).toBeCloseTo(1000.01, 2);
+  });
+
+  test("should add tax on top of exclusive prices", () => {
+    const { totals } = calculateInvoiceLines(items, {
+      total: 1000,
+      intraState: true,
+      rate: 18,
+      pricesIncludeTax: false,
+    });
+
+    expect(totals).toMatchObject({ taxableValue: 1000, cgst: 90, sgst: 90, grandTotal: 1180 });
+  });
+
+  test("should show charges above the list prices as their own line", () => {
+    const { lines, totals } = calculateInvoiceLines(items, {
+      total: 1239,
+      intraState: true,
+      rate: 18,
+      pricesIncludeTax: true,
+    });
+
+    expect(lines).toHaveLength(3);
+    expect(lines[2]).toMatchObject({ description: "Other charges", total: 59 });
+    expect(totals.grandTotal).toBe(1239);
+  });
+});
+
+describe("Invoice PDF", () => {
+  test("should render a PDF document", () => {
+    const { lines, totals } = calculateInvoiceLines(
+      [{ description: "Foam wash", quantity: 1, unitPrice: 590 }],
+      { total: 590, intraState: true, rate: 18, pricesIncludeTax: true }
+    );
+    const pdf = renderInvoicePdf({
+      type: "invoice",
+      number: "INV/2024-25/000001",
+      issuedAt: new Date("2024-05-01T10:00:00Z"),
+      seller: { name: "DashStream", gstin: "29ABCDE1234F1Z5", stateCode: "29", stateName: "Karnataka" },
+      buyer: { name: "Asha (Customer)", phone: "9876543210", stateName: "Karnataka" },
+      placeOfSupply: "29",
+      supplyType: "intra",
+      lines,
+      totals,
+    });
+
+    const text = pdf.toString("latin1");
+    expect(text.startsWith("%PDF-1.4")).toBe(true);
+    expect(text).toContain("INV/2024-25/000001");
+    expect(text).toContain("Asha \\(Customer\\)");
+    expect(text.trimEnd().endsWith("%%EOF")).toBe(true);
+  });
+});
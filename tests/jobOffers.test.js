@@ -0,0 +1,161 @@
+import request from "supertest";
+import app from "../src/app.js";
+import Booking from "../src/models/bookingModel.js";
+import JobOffer from "../src/models/jobOfferModel.js";
+import Service from "../src/models/serviceModel.js";
+import { createJobOffer, expireStaleOffers } from "../src/services/dispatchService.js";
+import {
+  createTestUser,
+  createTestProfessional,
+  generateTestToken,
+  getAuthHeaders,
+  cleanupTestData,
+} from "./helpers/testHelpers.js";
+
+describe("Professional job offers", () => {
+  let customer, professional;
+  let professionalToken;
+  let testBooking;
+
+  beforeEach(async () => {
+    await cleanupTestData();
+    await JobOffer.deleteMany({});
+
+    customer = await createTestUser({ role: "customer" });
+    professional = await createTestProfessional();
+    professionalToken = generateTestToken(professional._id, "professional");
+
+    const testService = await Service.create({
+      title: "Test Service",
+      description: "Test service description",
+      category: "car wash",
+      price: 100,
+      duration: 60,
+      isActive: true,
+    });
+
+    testBooking = await Booking.create({
+      customer: customer._id,
+      services: [{ serviceId: testService._id, title: testService.title, price: 100, quantity: 1 }],
+      scheduledDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      status: "pending",
+      totalAmount: 100,
+    });
+
+    await createJobOffer(testBooking, professional, { source: "manual" });
+  });
+
+  describe("POST /api/professionals/jobs/:jobId/accept", () => {
+    test("should confirm the booking when the offer is accepted", async () => {
+      const response = await request(app)
+        .post(`/api/professionals/jobs/${testBooking._id}/accept`)
+        .set(getAuthHeaders(professionalToken))
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.status).toBe("confirmed");
+
+      const offer = await JobOffer.findOne({ booking: testBooking._id });
+      expect(offer.status).toBe("accepted");
+
+      const booking = await Booking.findById(testBooking._id);
+      expect(booking.trackingUpdates.some((u) => /accepted/.test(u.message))).toBe(true);
+    });
+
+    test("should reject an expired offer", async () => {
+      await JobOffer.updateMany(
+        { booking: testBooking._id },
+        { expiresAt: new Date(Date.now() - 1000) }
+      );
+
+      const response = await request(app)
+        .post(`/api/professionals/jobs/${testBooking._id}/accept`)
+        .set(getAuthHeaders(professionalToken))
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test("should return 404 when the professional has no open offer", async () => {
+      const other = await createTestProfessional({
+        phone: "+1234567898",
+        email: "other-pro@example.com",
+      });
+
+      await request(app)
+        .post(`/api/professionals/jobs/${testBooking._id}/accept`)
+        .set(getAuthHeaders(generateTestToken(other._id, "professional")))
+        .expect(404);
+    });
+  });
+
+  describe("Offer expiry", () => {
+    test("should let either the accept or the expiry win, never both", async () => {
+      const [response] = await Promise.all([
+        request(app)
+          .post(`/api/professionals/jobs/${testBooking._id}/accept`)
+          .set(getAuthHeaders(professionalToken)),
+        expireStaleOffers(new Date(Date.now() + 10 * 60 * 1000)),
+      ]);
+
+      const offer = await JobOffer.findOne({ booking: testBooking._id });
+      const booking = await Booking.findById(testBooking._id);
+
+      if (response.status === 200) {
+        expect(offer.status).toBe("accepted");
+        expect(booking.status).toBe("confirmed");
+      } else {
+        // Expired either before the offer was looked up or before it could be claimed
+        expect([404, 409]).toContain(response.status);
+        expect(offer.status).toBe("expired");
+        expect(booking.status).toBe("pending");
+      }
+    });
+
+    test("should not release a booking that was offered again meanwhile", async () => {
+      const stale = await JobOffer.findOne({ booking: testBooking._id });
+      const other = await createTestProfessional({
+        phone: "+1234567897",
+        email: "next-pro@example.com",
+      });
+      await createJobOffer(await Booking.findById(testBooking._id), other, { source: "manual" });
+      await JobOffer.updateOne({ _id: stale._id }, { status: "pending", expiresAt: new Date(Date.now() - 1000) });
+
+      await expireStaleOffers();
+
+      const booking = await Booking.findById(testBooking._id);
+      expect(booking.status).toBe("assigned");
+      expect(booking.professional.toString()).toBe(other._id.toString());
+    });
+  });
+
+  describe("POST /api/professionals/jobs/:jobId/decline", () => {
+    test("should require a reason", async () => {
+      const response = await request(app)
+        .post(`/api/professionals/jobs/${testBooking._id}/decline`)
+        .set(getAuthHeaders(professionalToken))
+        .send({})
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test("should record the decline and release the booking", async () => {
+      const response = await request(app)
+        .post(`/api/professionals/jobs/${testBooking._id}/decline`)
+        .set(getAuthHeaders(professionalToken))
+        .send({ reason: "Vehicle breakdown" })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.offer.status).toBe("declined");
+
+      const booking = await Booking.findById(testBooking._id);
+      expect(booking.status).toBe("pending");
+      expect(booking.professional).toBeUndefined();
+      expect(
+        booking.trackingUpdates.some((u) => /declined.*Vehicle breakdown/.test(u.message))
+      ).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import {
+  buildLiveTracking,
+  estimateEtaMinutes,
+  getDistanceMeters,
+  getGeofenceEvents,
+} from "../src/services/liveTrackingService.js";
+
+const config = {
+  arrivingSoonRadiusMeters: 1000,
+  arrivedRadiusMeters: 100,
+  averageSpeedKmph: 24,
+  minReportedSpeed: 2,
+  routeFactor: 1,
+  staleAfterSeconds: 120,
+};
+
+// Two points in Bengaluru roughly 1.1 km apart along a meridian
+const destination = { lat: 12.9716, lng: 77.5946 };
+const nearby = { lat: 12.9816, lng: 77.5946 };
+
+describe("Distance and ETA", () => {
+  test("should measure great-circle distance in metres", () => {
+    expect(getDistanceMeters(destination, nearby)).toBeGreaterThan(1100);
+    expect(getDistanceMeters(destination, nearby)).toBeLessThan(1125);
+    expect(getDistanceMeters(destination, destination)).toBe(0);
+  });
+
+  test("should use the reported speed only when the professional is moving", () => {
+    // 10 m/s over 6 km
+    expect(estimateEtaMinutes(6000, 10, config)).toBe(10);
+    // Crawling: falls back to 24 km/h (400 m per minute)
+    expect(estimateEtaMinutes(6000, 0.5, config)).toBe(15);
+    expect(estimateEtaMinutes(50, 10, config)).toBe(0);
+    expect(estimateEtaMinutes(150, 10, config)).toBe(1);
+  });
+});
+
+describe("Geofence events", () => {
+  test("should fire each event once as its radius is crossed", () => {
+    expect(getGeofenceEvents({}, 1500, config)).toEqual([]);
+    expect(getGeofenceEvents({}, 800, config)).toEqual(["arriving_soon"]);
+    expect(getGeofenceEvents({ arrivingSoonAt: new Date() }, 800, config)).toEqual([]);
+    expect(getGeofenceEvents({ arrivingSoonAt: new Date() }, 60, config)).toEqual(["arrived"]);
+  });
+
+  test("should fire both events when the first position is already at the door", () => {
+    expect(getGeofenceEvents(undefined, 40, config)).toEqual(["arriving_soon", "arrived"]);
+  });
+});
+
+describe("Live tracking feed", () => {
+  const now = new Date("2024-06-15T10:00:00Z");
+  const location = {
+    current: {
+      latitude: nearby.lat,
+      longitude: nearby.lng,
+      speed: 10,
+      timestamp: new Date("2024-06-15T09:59:30Z"),
+    },
+  };
+  const booking = (status, extra = {}) => ({
+    _id: "64b7f0c2a1b2c3d4e5f61001",
+    status,
+    location: destination,
+    professional: { _id: "64b7f0c2a1b2c3d4e5f61002", name: "Ravi", phone: "9876543210" },
+    trackingUpdates: [
+      { status: "confirmed", message: "Booking confirmed" },
+      { status: "on-the-way", event: "arriving_soon", message: "Your professional is arriving soon" },
+    ],
+    ...extra,
+  });
+
+  test("should expose position, distance and ETA while on the way", () => {
+    const feed = buildLiveTracking(booking("on-the-way"), location, { now, config });
+
+    expect(feed).toMatchObject({ active: true, stale: false, etaMinutes: 2 });
+    expect(feed.position).toMatchObject({ lat: nearby.lat, lng: nearby.lng });
+    expect(feed.distanceMeters).toBeGreaterThan(1100);
+    expect(feed.estimatedArrivalAt).toEqual(new Date("2024-06-15T10:02:00Z"));
+    expect(feed.events).toHaveLength(1);
+    expect(feed.events[0].event).toBe("arriving_soon");
+  });
+
+  test("should flag old positions as stale", () => {
+    const feed = buildLiveTracking(booking("on-the-way"), location, {
+      now: new Date("2024-06-15T10:05:00Z"),
+      config,
+    });
+
+    expect(feed.stale).toBe(true);
+  });
+
+  test("should not share the position outside the on-the-way status", () => {
+    const feed = buildLiveTracking(booking("confirmed"), location, { now, config });
+
+    expect(feed).toMatchObject({ active: false, position: null, distanceMeters: null, etaMinutes: null });
+  });
+});
@@ -0,0 +1,106 @@
+import {
+  buildTrip,
+  getRouteDistanceMeters,
+  legacyHistoryToPoints,
+  simplifyRoute,
+} from "../src/services/locationHistoryService.js";
+
+const bookingId = "64b7f0c2a1b2c3d4e5f61301";
+const start = new Date("2024-06-10T09:00:00Z").getTime();
+
+// Roughly 111 m per 0.001 degrees of latitude
+const point = (index, latitude, longitude, extra = {}) => ({
+  latitude,
+  longitude,
+  accuracy: 5,
+  timestamp: new Date(start + index * 30 * 1000),
+  meta: { booking: bookingId, bookingStatus: "on-the-way" },
+  ...extra,
+});
+
+describe("Route simplification", () => {
+  test("should collapse a straight run with small GPS jitter to its ends", () => {
+    const route = [0, 1, 2, 3, 4, 5].map((i) => point(i, 12.9 + i * 0.001, 77.6 + (i % 2 ? 0.00002 : 0)));
+
+    const simplified = simplifyRoute(route, 10);
+
+    expect(simplified).toEqual([route[0], route[5]]);
+  });
+
+  test("should keep the corner of an L-shaped route", () => {
+    const route = [
+      point(0, 12.9, 77.6),
+      point(1, 12.901, 77.6),
+      point(2, 12.902, 77.6),
+      point(3, 12.902, 77.601),
+      point(4, 12.902, 77.602),
+    ];
+
+    expect(simplifyRoute(route, 10)).toEqual([route[0], route[2], route[4]]);
+  });
+
+  test("should measure distance along the route", () => {
+    const route = [point(0, 12.9, 77.6), point(1, 12.901, 77.6), point(2, 12.902, 77.6)];
+
+    expect(getRouteDistanceMeters(route)).toBeCloseTo(222, -1);
+    expect(getRouteDistanceMeters([route[0]])).toBe(0);
+  });
+});
+
+describe("Trip reconstruction", () => {
+  test("should split a booking's trip into travel and time on site", () => {
+    const travel = [0, 1, 2, 3].map((i) => point(i, 12.9 + i * 0.001, 77.6));
+    const onSite = [4, 5, 6].map((i) =>
+      point(i, 12.903, 77.6, { meta: { booking: bookingId, bookingStatus: "in-progress" } })
+    );
+
+    const trip = buildTrip([...onSite, ...travel]);
+
+    expect(trip.bookingId).toBe(bookingId);
+    expect(trip.travel).toMatchObject({ durationSeconds: 90, startedAt: travel[0].timestamp });
+    expect(trip.travel.distanceMeters).toBeCloseTo(333, -1);
+    expect(trip.onSite).toMatchObject({ durationSeconds: 60, distanceMeters: 0 });
+    expect(trip.durationSeconds).toBe(180);
+    expect(trip.route.map((p) => p.phase)).toEqual(["travel", "travel", "on_site", "on_site"]);
+    expect(trip).toMatchObject({ pointCount: 7, routePointCount: 4 });
+  });
+
+  test("should leave out inaccurate fixes", () => {
+    const trip = buildTrip([
+      point(0, 12.9, 77.6),
+      point(1, 12.95, 77.65, { accuracy: 500 }),
+      point(2, 12.901, 77.6),
+    ]);
+
+    expect(trip.distanceMeters).toBeCloseTo(111, -1);
+    expect(trip.onSite).toBeNull();
+    expect(trip.routePointCount).toBe(2);
+  });
+});
+
+describe("Legacy history migration", () => {
+  test("should turn embedded history into points, leaving out expired ones", () => {
+    const now = new Date("2024-06-10T09:00:00Z");
+    const location = {
+      user: "64b7f0c2a1b2c3d4e5f61302",
+      history: [
+        { latitude: 12.9, longitude: 77.6, accuracy: 8, speed: 3, timestamp: new Date("2024-06-09T09:00:00Z") },
+        { latitude: 12.8, longitude: 77.5, timestamp: new Date("2024-05-01T09:00:00Z") },
+        { longitude: 77.5, timestamp: new Date("2024-06-09T10:00:00Z") },
+      ],
+    };
+
+    expect(legacyHistoryToPoints(location, now, { retentionDays: 30 })).toEqual([
+      {
+        timestamp: new Date("2024-06-09T09:00:00Z"),
+        meta: { professional: location.user },
+        latitude: 12.9,
+        longitude: 77.6,
+        accuracy: 8,
+        speed: 3,
+        heading: 0,
+      },
+    ]);
+    expect(legacyHistoryToPoints({ user: location.user }, now)).toEqual([]);
+  });
+});
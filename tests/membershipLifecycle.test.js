@@ -0,0 +1,83 @@
+import {
+  getLifecycleAction,
+  needsRenewalLink,
+} from "../src/services/membershipLifecycleService.js";
+
+describe("Membership lifecycle", () => {
+  const now = new Date(2030, 0, 10, 12, 0, 0);
+  const daysFromNow = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+  const config = {
+    reminderDaysBefore: 3,
+    renewalLeadDays: 2,
+    renewalLinkValidityHours: 24,
+    maxRenewalAttempts: 3,
+    graceDays: 3,
+  };
+
+  const makeMembership = (overrides = {}) => ({
+    status: "active",
+    autoRenew: false,
+    validUntil: daysFromNow(10),
+    ...overrides,
+  });
+
+  test("should do nothing well before expiry", () => {
+    expect(getLifecycleAction(makeMembership(), now, config)).toBeNull();
+  });
+
+  test("should remind once inside the reminder window", () => {
+    const membership = makeMembership({ validUntil: daysFromNow(2.5) });
+    expect(getLifecycleAction(membership, now, config)).toBe("remind");
+
+    membership.reminderSentFor = membership.validUntil;
+    expect(getLifecycleAction(membership, now, config)).toBeNull();
+  });
+
+  test("should expire members without auto-renewal", () => {
+    const membership = makeMembership({ validUntil: daysFromNow(-0.1) });
+    expect(getLifecycleAction(membership, now, config)).toBe("expire");
+  });
+
+  test("should raise a renewal for auto-renew members near expiry", () => {
+    const membership = makeMembership({ autoRenew: true, validUntil: daysFromNow(1) });
+    expect(getLifecycleAction(membership, now, config)).toBe("renew");
+  });
+
+  test("should not raise a second link while one is still payable", () => {
+    const validUntil = daysFromNow(1);
+    const membership = makeMembership({
+      autoRenew: true,
+      validUntil,
+      renewal: { forPeriodEnding: validUntil, status: "pending", attempts: 1, expiresAt: daysFromNow(0.5) },
+    });
+
+    expect(needsRenewalLink(membership, now, config)).toBe(false);
+  });
+
+  test("should retry an expired link until attempts run out", () => {
+    const validUntil = daysFromNow(1);
+    const renewal = { forPeriodEnding: validUntil, status: "pending", attempts: 1, expiresAt: daysFromNow(-0.1) };
+    const membership = makeMembership({ autoRenew: true, validUntil, renewal });
+
+    expect(needsRenewalLink(membership, now, config)).toBe(true);
+
+    renewal.attempts = 3;
+    expect(needsRenewalLink(membership, now, config)).toBe(false);
+  });
+
+  test("should move unpaid auto-renew members into grace, then expire them", () => {
+    const membership = makeMembership({
+      autoRenew: true,
+      validUntil: daysFromNow(-0.1),
+      renewal: { forPeriodEnding: daysFromNow(-0.1), status: "failed", attempts: 3 },
+    });
+    expect(getLifecycleAction(membership, now, config)).toBe("grace");
+
+    membership.status = "grace";
+    membership.graceUntil = daysFromNow(2);
+    expect(getLifecycleAction(membership, now, config)).toBeNull();
+
+    membership.graceUntil = daysFromNow(-0.1);
+    expect(getLifecycleAction(membership, now, config)).toBe("expire");
+  });
+});
@@ -0,0 +1,57 @@
+import { getMembershipPlan } from "../src/config/membershipPlans.js";
+import {
+  calculatePlanChange,
+  calculateCarryOver,
+} from "../src/services/membershipPlanChangeService.js";
+
+describe("Membership plan changes", () => {
+  // Period runs 1 Jan – 1 Feb 2030 (31 days)
+  const membership = { planId: "gold", validUntil: new Date(2030, 1, 1) };
+  const policy = { minimumCharge: 1, maxCarryOverPerEntitlement: 2 };
+
+  test("should charge the prorated difference for an upgrade", () => {
+    const halfway = new Date(2030, 0, 16, 12, 0, 0);
+    const change = calculatePlanChange(membership, "platinum", halfway, policy);
+
+    expect(change.type).toBe("upgrade");
+    expect(change.remainingFraction).toBe(0.5);
+    expect(change.charge).toBe(300);
+    expect(change.effectiveAt).toEqual(halfway);
+  });
+
+  test("should apply an upgrade for free at the very end of the period", () => {
+    const change = calculatePlanChange(membership, "platinum", new Date(2030, 0, 31, 23, 59), policy);
+
+    expect(change.charge).toBe(0);
+  });
+
+  test("should schedule a downgrade for the end of the period without a credit", () => {
+    const change = calculatePlanChange(membership, "silver", new Date(2030, 0, 10), policy);
+
+    expect(change.type).toBe("downgrade");
+    expect(change.charge).toBe(0);
+    expect(change.credit).toBe(0);
+    expect(change.effectiveAt).toEqual(new Date(2030, 1, 1));
+  });
+
+  test("should reject unknown plans", () => {
+    expect(() => calculatePlanChange(membership, "diamond", new Date(2030, 0, 10), policy)).toThrow(
+      /Unknown membership plan/
+    );
+  });
+
+  test("should carry over capped unused benefits the new plan includes", () => {
+    const usage = {
+      entitlements: [
+        { key: "wash", remaining: 5 },
+        { key: "waxCoating", remaining: 1 },
+        { key: "detailing", remaining: 1 },
+      ],
+    };
+
+    expect(calculateCarryOver(usage, getMembershipPlan("gold"), policy)).toEqual([
+      { key: "wash", quantity: 2 },
+      { key: "waxCoating", quantity: 1 },
+    ]);
+  });
+});
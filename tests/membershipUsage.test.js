@@ -0,0 +1,110 @@
+import { getMembershipPlan } from "../src/config/membershipPlans.js";
+import {
+  getServiceEntitlement,
+  summarizeUsage,
+  evaluateCoverage,
+} from "../src/services/membershipUsageService.js";
+
+describe("Membership usage", () => {
+  describe("getServiceEntitlement", () => {
+    test("should map services to benefits by category", () => {
+      expect(getServiceEntitlement({ category: "car wash" })).toBe("wash");
+      expect(getServiceEntitlement({ category: "detailing" })).toBe("detailing");
+      expect(getServiceEntitlement({ category: "maintenance" })).toBeNull();
+    });
+
+    test("should prefer tags over the category", () => {
+      expect(getServiceEntitlement({ category: "car wash", tags: ["Wax"] })).toBe("waxCoating");
+    });
+  });
+
+  describe("summarizeUsage", () => {
+    const entry = (booking, type, entitlement = "wash") => ({
+      booking,
+      entitlement,
+      type,
+      quantity: 1,
+    });
+
+    test("should count debits as used and open holds as reserved", () => {
+      const usage = summarizeUsage(getMembershipPlan("gold"), [
+        entry("b1", "hold"),
+        entry("b1", "debit"),
+        entry("b2", "hold"),
+        entry("b3", "hold"),
+        entry("b3", "credit"),
+        entry("b4", "hold", "waxCoating"),
+      ]);
+
+      const washes = usage.find((item) => item.key === "wash");
+      expect(washes).toMatchObject({ included: 8, used: 1, reserved: 1, remaining: 6 });
+
+      const wax = usage.find((item) => item.key === "waxCoating");
+      expect(wax).toMatchObject({ included: 1, reserved: 1, remaining: 0 });
+    });
+  });
+
+  describe("evaluateCoverage", () => {
+    const membership = {
+      _id: "membership-1",
+      planId: "silver",
+      validUntil: new Date(2030, 1, 1),
+    };
+    const washes = [{ service: { title: "Exterior Wash", category: "car wash" }, quantity: 1 }];
+    const scheduledDate = new Date(2030, 0, 15, 10, 0);
+
+    test("should cover a wash while quota remains", () => {
+      const coverage = evaluateCoverage({
+        membership,
+        services: washes,
+        scheduledDate,
+        remaining: { wash: 1 },
+      });
+
+      expect(coverage.covered).toBe(true);
+      expect(coverage.entitlements).toEqual([{ key: "wash", quantity: 1 }]);
+    });
+
+    test("should not cover once the quota is used up", () => {
+      const coverage = evaluateCoverage({
+        membership,
+        services: washes,
+        scheduledDate,
+        remaining: { wash: 0 },
+      });
+
+      expect(coverage.covered).toBe(false);
+      expect(coverage.reason).toMatch(/All washes/);
+    });
+
+    test("should not cover benefits the plan does not include", () => {
+      const coverage = evaluateCoverage({
+        membership,
+        services: [...washes, { service: { title: "Full Detailing", category: "detailing" } }],
+        scheduledDate,
+        remaining: { wash: 4 },
+      });
+
+      expect(coverage.covered).toBe(false);
+      expect(coverage.reason).toMatch(/Full Detailing/);
+    });
+
+    test("should not cover dates after the membership ends", () => {
+      const coverage = evaluateCoverage({
+        membership,
+        services: washes,
+        scheduledDate: new Date(2030, 1, 3, 10, 0),
+        remaining: { wash: 4 },
+      });
+
+      expect(coverage.covered).toBe(false);
+      expect(coverage.reason).toMatch(/does not cover this date/);
+    });
+
+    test("should not cover without a membership", () => {
+      expect(evaluateCoverage({ membership: null, services: washes, scheduledDate }).covered).toBe(
+        false
+      );
+    });
+  });
+});
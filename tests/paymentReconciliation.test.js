@@ -0,0 +1,93 @@
+import { fetchRazorpayPaymentState, pickDecisivePayment } from "../src/services/paymentService.js";
+import { compareWithRazorpay } from "../src/services/paymentReconciliationService.js";
+
+describe("Payment reconciliation", () => {
+  const stubClient = ({ orderPayments = [], link = null, payments = {} } = {}) => ({
+    orders: { fetchPayments: async () => ({ items: orderPayments }) },
+    paymentLink: { fetch: async () => link },
+    payments: { fetch: async (id) => payments[id] },
+  });
+
+  describe("fetchRazorpayPaymentState", () => {
+    test("should prefer the captured attempt on an order", async () => {
+      const client = stubClient({
+        orderPayments: [
+          { id: "pay_failed", status: "failed", created_at: 200 },
+          { id: "pay_ok", status: "captured", amount: 50000, created_at: 100 },
+        ],
+      });
+
+      const remote = await fetchRazorpayPaymentState({ razorpayOrderId: "order_1" }, client);
+      expect(remote.id).toBe("pay_ok");
+    });
+
+    test("should read payment link attempts", async () => {
+      const client = stubClient({
+        link: { id: "plink_1", payments: [{ payment_id: "pay_link" }] },
+        payments: { pay_link: { id: "pay_link", status: "captured", amount: 50000 } },
+      });
+
+      const remote = await fetchRazorpayPaymentState({ razorpayPaymentLinkId: "plink_1" }, client);
+      expect(remote).toMatchObject({ id: "pay_link", status: "captured" });
+    });
+
+    test("should return null when nothing was attempted", async () => {
+      expect(await fetchRazorpayPaymentState({ razorpayOrderId: "order_1" }, stubClient())).toBeNull();
+      expect(pickDecisivePayment([])).toBeNull();
+    });
+  });
+
+  describe("compareWithRazorpay", () => {
+    const payment = { status: "created", amount: 500, refundAmount: 0 };
+
+    test("should fix a payment stuck in created that Razorpay captured", () => {
+      const remote = { id: "pay_1", status: "captured", amount: 50000, method: "upi", created_at: 1900000000 };
+      const { paymentUpdates, bookingUpdates, issues } = compareWithRazorpay(payment, remote, "unpaid");
+
+      expect(paymentUpdates).toMatchObject({ status: "captured", razorpayPaymentId: "pay_1", paymentMethod: "upi" });
+      expect(bookingUpdates).toEqual({ paymentStatus: "paid" });
+      expect(issues.map((issue) => issue.type)).toEqual(["status_drift", "booking_drift"]);
+      expect(issues.every((issue) => issue.fixed)).toBe(true);
+    });
+
+    test("should flag a mismatched amount without changing it", () => {
+      const remote = { id: "pay_1", status: "captured", amount: 45000 };
+      const { paymentUpdates, issues } = compareWithRazorpay(
+        { ...payment, status: "captured" },
+        remote,
+        "paid"
+      );
+
+      expect(paymentUpdates).toEqual({});
+      expect(issues).toEqual([
+        expect.objectContaining({ type: "amount_mismatch", localAmount: 500, remoteAmount: 450 }),
+      ]);
+    });
+
+    test("should not mark the booking paid when Razorpay captured a different amount", () => {
+      const remote = { id: "pay_1", status: "captured", amount: 45000, method: "upi" };
+      const { paymentUpdates, bookingUpdates, issues } = compareWithRazorpay(payment, remote, "unpaid");
+
+      expect(paymentUpdates).toMatchObject({ status: "captured" });
+      expect(bookingUpdates).toBeNull();
+      expect(issues.map((issue) => issue.type)).toEqual(["status_drift", "amount_mismatch"]);
+    });
+
+    test("should mark failed attempts and leave captured payments alone", () => {
+      const failed = compareWithRazorpay(payment, { id: "pay_1", status: "failed", error_code: "BAD_REQUEST_ERROR" }, "unpaid");
+      expect(failed.paymentUpdates).toMatchObject({ status: "failed", errorCode: "BAD_REQUEST_ERROR" });
+
+      const inSync = compareWithRazorpay(
+        { ...payment, status: "captured" },
+        { id: "pay_1", status: "captured", amount: 50000 },
+        "paid"
+      );
+      expect(inSync.issues).toEqual([]);
+    });
+
+    test("should flag captured payments Razorpay does not know as captured", () => {
+      const { issues } = compareWithRazorpay({ ...payment, status: "captured" }, null, "paid");
+      expect(issues[0].type).toBe("missing_capture");
+    });
+  });
+});
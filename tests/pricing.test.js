@@ -0,0 +1,201 @@
+import {
+  calculateOfferDiscount,
+  calculatePaymentFee,
+  calculatePriceBreakdown,
+  calculateTax,
+  getQuoteMismatch,
+  resolveServicePrice,
+  signQuote,
+  verifyQuote,
+} from "../src/services/pricingService.js";
+
+const washId = "64b7f0c2a1b2c3d4e5f60801";
+const polishId = "64b7f0c2a1b2c3d4e5f60802";
+
+const lines = [
+  { serviceId: washId, category: "car wash", quantity: 2, unitPrice: 300, amount: 600 },
+  { serviceId: polishId, category: "detailing", quantity: 1, unitPrice: 400, amount: 400 },
+];
+
+describe("Price matrix", () => {
+  const service = { _id: washId, price: 300 };
+  const areaId = "64b7f0c2a1b2c3d4e5f60901";
+  const at = new Date("2024-06-01T00:00:00Z");
+  const version = (fields) => ({ service: washId, effectiveFrom: new Date("2024-01-01T00:00:00Z"), ...fields });
+
+  const versions = [
+    version({ _id: "v1", vehicleClass: "car", price: 350 }),
+    version({ _id: "v2", serviceArea: areaId, price: 320 }),
+    version({ _id: "v3", serviceArea: areaId, vehicleClass: "car", price: 400 }),
+    version({ _id: "v4", vehicleClass: "van", price: 500 }),
+    version({ _id: "v5", vehicleClass: "van", price: 550, effectiveFrom: new Date("2024-05-01T00:00:00Z") }),
+    version({ _id: "v6", vehicleClass: "truck", price: 900, effectiveFrom: new Date("2024-07-01T00:00:00Z") }),
+  ];
+
+  test("should prefer the most specific version", () => {
+    expect(resolveServicePrice(service, versions, { vehicleClass: "car", serviceAreaId: areaId, at }).price).toBe(400);
+    expect(resolveServicePrice(service, versions, { vehicleClass: "scooter", serviceAreaId: areaId, at }).price).toBe(320);
+    expect(resolveServicePrice(service, versions, { vehicleClass: "car", at }).price).toBe(350);
+  });
+
+  test("should use the latest version in effect", () => {
+    expect(resolveServicePrice(service, versions, { vehicleClass: "van", at })).toMatchObject({
+      price: 550,
+      priceVersion: "v5",
+    });
+    expect(resolveServicePrice(service, versions, { vehicleClass: "truck", at })).toEqual({
+      price: 300,
+      source: "base",
+    });
+  });
+});
+
+describe("Offer discounts", () => {
+  test("should cap a percentage discount", () => {
+    const offer = { discountType: "percentage", discount: 20, maxDiscountAmount: 150 };
+    expect(calculateOfferDiscount(offer, lines)).toMatchObject({ applicable: true, discount: 150 });
+  });
+
+  test("should only discount the services an offer is limited to", () => {
+    const offer = { discountType: "percentage", discount: 10, applicableCategories: ["detailing"] };
+    expect(calculateOfferDiscount(offer, lines).discount).toBe(40);
+
+    const other = { discountType: "fixed", discount: 50, applicableServices: ["64b7f0c2a1b2c3d4e5f60899"] };
+    expect(calculateOfferDiscount(other, lines)).toMatchObject({ applicable: false, discount: 0 });
+  });
+
+  test("should enforce the minimum order value and vehicle type", () => {
+    const offer = { discountType: "fixed", discount: 100, minOrderValue: 1500 };
+    expect(calculateOfferDiscount(offer, lines).applicable).toBe(false);
+
+    const bikes = { discountType: "fixed", discount: 100, vehicleType: "2 Wheeler" };
+    expect(calculateOfferDiscount(bikes, lines, { vehicleType: "4 Wheeler" }).applicable).toBe(false);
+    expect(calculateOfferDiscount(bikes, lines, { vehicleType: "2 Wheeler" }).discount).toBe(100);
+  });
+
+  test("should turn cashback offers into cashback instead of a discount", () => {
+    const offer = { benefitType: "cashback", discountType: "percentage", discount: 5 };
+    expect(calculateOfferDiscount(offer, lines)).toMatchObject({ discount: 0, cashback: 50 });
+  });
+});
+
+describe("Fees and tax", () => {
+  test("should add percentage and fixed fees up to the maximum", () => {
+    expect(calculatePaymentFee({ percentage: 2, fixed: 3 }, 500)).toBe(13);
+    expect(calculatePaymentFee({ percentage: 2, fixed: 3, maxFee: 10 }, 500)).toBe(10);
+    expect(calculatePaymentFee(undefined, 500)).toBe(0);
+  });
+
+  test("should carve tax out of inclusive prices and add it to exclusive ones", () => {
+    expect(calculateTax(1180, { rate: 18, pricesIncludeTax: true })).toEqual({
+      taxableAmount: 1000,
+      tax: 180,
+      total: 1180,
+    });
+    expect(calculateTax(1000, { rate: 18, pricesIncludeTax: false })).toEqual({
+      taxableAmount: 1000,
+      tax: 180,
+      total: 1180,
+    });
+  });
+
+  test("should take the discount off before fees and tax", () => {
+    const { breakdown } = calculatePriceBreakdown(
+      { lines, offer: { discountType: "fixed", discount: 100 }, fees: { percentage: 2 } },
+      { taxRate: 18, pricesIncludeTax: false }
+    );
+
+    expect(breakdown).toMatchObject({
+      subtotal: 1000,
+      offerDiscount: 100,
+      paymentFee: 18,
+      taxableAmount: 918,
+      tax: 165.24,
+      total: 1083.24,
+    });
+  });
+
+  test("should charge nothing for a booking the membership covers", () => {
+    const { breakdown, offer } = calculatePriceBreakdown(
+      { lines, offer: { discountType: "fixed", discount: 100 }, covered: true, fees: { fixed: 5 } },
+      { taxRate: 18, pricesIncludeTax: true }
+    );
+
+    expect(breakdown).toMatchObject({ membershipDiscount: 1000, offerDiscount: 0, paymentFee: 0, total: 0 });
+    expect(offer.applicable).toBe(false);
+  });
+});
+
+describe("Signed quotes", () => {
+  const secret = "quote-test-secret";
+  const now = new Date("2024-05-01T10:00:00Z");
+  const payload = { customer: "u1", breakdown: { total: 500 }, expiresAt: "2024-05-01T10:15:00.000Z" };
+
+  test("should read back a quote it signed", () => {
+    const quoteId = signQuote(payload, secret);
+    expect(verifyQuote(quoteId, { now, secret })).toEqual(payload);
+  });
+
+  test("should reject tampered, foreign and expired quotes", () => {
+    const quoteId = signQuote(payload, secret);
+    const [version, , signature] = quoteId.split(".");
+    const cheaper = Buffer.from(JSON.stringify({ ...payload, breakdown: { total: 1 } })).toString("base64url");
+
+    expect(() => verifyQuote(`${version}.${cheaper}.${signature}`, { now, secret })).toThrow("Invalid quote");
+    expect(() => verifyQuote(quoteId, { now, secret: "other-secret" })).toThrow("Invalid quote");
+    expect(() => verifyQuote("not-a-quote", { now, secret })).toThrow("Invalid quote");
+    expect(() =>
+      verifyQuote(quoteId, { now: new Date("2024-05-01T10:16:00Z"), secret })
+    ).toThrow("expired");
+  });
+
+  describe("getQuoteMismatch", () => {
+    const context = {
+      vehicleClass: "sedan",
+      pincode: "560001",
+      serviceArea: { id: "64b7f0c2a1b2c3d4e5f60901", name: "Central" },
+    };
+    const quote = {
+      lines: [{ serviceId: washId, quantity: 1 }],
+      paymentMethod: "razorpay",
+      slotStart: "2024-06-10T04:30:00.000Z",
+      context,
+    };
+    const booking = {
+      services: [{ serviceId: washId }],
+      paymentMethod: "razorpay",
+      slotStart: new Date("2024-06-10T10:00:00+05:30"),
+      context,
+    };
+
+    test("should accept the booking the quote priced", () => {
+      expect(getQuoteMismatch(quote, booking)).toBeNull();
+    });
+
+    test("should reject another slot, location or vehicle", () => {
+      expect(getQuoteMismatch(quote, { ...booking, slotStart: new Date("2024-06-10T18:00:00+05:30") })).toMatch(
+        "scheduled date"
+      );
+      expect(getQuoteMismatch(quote, { ...booking, slotStart: null })).toMatch("scheduled date");
+      expect(getQuoteMismatch(quote, { ...booking, context: { ...context, pincode: "560002" } })).toMatch(
+        "location"
+      );
+      expect(getQuoteMismatch(quote, { ...booking, context: { ...context, serviceArea: null } })).toMatch(
+        "location"
+      );
+      expect(getQuoteMismatch(quote, { ...booking, context: { ...context, vehicleClass: "suv" } })).toMatch(
+        "vehicle"
+      );
+      expect(getQuoteMismatch(quote, { ...booking, services: [{ serviceId: polishId }] })).toMatch("services");
+    });
+
+    test("should hold the booking to the payment method the quote was priced for", () => {
+      expect(getQuoteMismatch(quote, { ...booking, paymentMethod: "cod" })).toMatch("payment method");
+      // No method means paying online, as when the quote was priced
+      expect(getQuoteMismatch(quote, { ...booking, paymentMethod: undefined })).toBeNull();
+      expect(getQuoteMismatch({ ...quote, paymentMethod: "cod" }, { ...booking, paymentMethod: undefined })).toMatch(
+        "payment method"
+      );
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import mongoose from "mongoose";
+import Address from "../src/models/addressModel.js";
+import Booking from "../src/models/bookingModel.js";
+import Membership from "../src/models/membershipModel.js";
+import MembershipUsage from "../src/models/membershipUsageModel.js";
+import RecurringBooking from "../src/models/recurringBookingModel.js";
+import Service from "../src/models/serviceModel.js";
+import Vehicle from "../src/models/vehicleModel.js";
+import { getMembershipPeriod } from "../src/services/membershipService.js";
+import {
+  getMembershipUsage,
+  getRemainingEntitlements,
+} from "../src/services/membershipUsageService.js";
+import {
+  generateDueOccurrences,
+  getFirstOccurrence,
+} from "../src/services/recurringBookingService.js";
+import { DAY_MS, fromBusinessClock, getBusinessClock } from "../src/utils/businessTime.js";
+import { createTestUser, createTestProfessional, cleanupTestData } from "./helpers/testHelpers.js";
+
+describe("Recurring bookings", () => {
+  describe("getFirstOccurrence", () => {
+    // Thursday 10 January 2030, 08:00 IST
+    const now = new Date("2030-01-10T08:00:00+05:30");
+
+    test("should pick the next matching weekday", () => {
+      const date = getFirstOccurrence({ dayOfWeek: 6, scheduledTime: "10:00" }, now);
+
+      expect(date).toEqual(new Date("2030-01-12T00:00:00+05:30"));
+    });
+
+    test("should use today when the slot is still ahead", () => {
+      const date = getFirstOccurrence({ dayOfWeek: 4, scheduledTime: "10:00" }, now);
+
+      expect(date).toEqual(new Date("2030-01-10T00:00:00+05:30"));
+    });
+
+    test("should move to next week once today's slot has passed", () => {
+      const date = getFirstOccurrence({ dayOfWeek: 4, scheduledTime: "07:30" }, now);
+
+      expect(date).toEqual(new Date("2030-01-17T00:00:00+05:30"));
+    });
+
+    test("should read the weekday in IST while it is still the day before in UTC", () => {
+      // Wednesday 19:30 UTC is already Thursday in India
+      const date = getFirstOccurrence(
+        { dayOfWeek: 4, scheduledTime: "10:00" },
+        new Date("2030-01-09T19:30:00Z")
+      );
+
+      expect(date).toEqual(new Date("2030-01-10T00:00:00+05:30"));
+    });
+  });
+
+  describe("generateDueOccurrences", () => {
+    let customer, membership, schedule;
+    // Start of tomorrow in IST: always ahead and inside the look-ahead window
+    const tomorrow = fromBusinessClock(getBusinessClock(Date.now() + DAY_MS));
+
+    beforeEach(async () => {
+      await cleanupTestData();
+      await Promise.all([
+        Address.deleteMany({}),
+        MembershipUsage.deleteMany({}),
+        RecurringBooking.deleteMany({}),
+      ]);
+
+      customer = await createTestUser({ role: "customer" });
+      await createTestProfessional();
+
+      const service = await Service.create({
+        title: "Exterior Wash",
+        description: "Exterior wash with eco-friendly shampoo",
+        category: "car wash",
+        price: 300,
+        duration: 60,
+        isActive: true,
+      });
+      const vehicle = await Vehicle.create({
+        user: customer._id,
+        type: "car",
+        brand: "Maruti",
+        model: "Swift",
+      });
+      const address = await Address.create({
+        user: customer._id,
+        type: "home",
+        name: "Home",
+        address: "12 MG Road",
+        city: "Bengaluru",
+        pincode: "560001",
+      });
+
+      membership = await Membership.create({
+        planId: "silver",
+        userId: customer._id.toString(),
+        orderId: "order_recurring_1",
+        status: "active",
+        validUntil: new Date(Date.now() + 20 * DAY_MS),
+      });
+
+      schedule = await RecurringBooking.create({
+        customer: customer._id,
+        services: [{ serviceId: service._id, quantity: 1 }],
+        vehicle: vehicle._id,
+        address: address._id,
+        dayOfWeek: getBusinessClock(tomorrow).weekday,
+        scheduledTime: "10:00",
+        nextOccurrenceDate: tomorrow,
+      });
+    });
+
+    // Use up the plan's washes for the current period
+    const useAllWashes = () => {
+      const period = getMembershipPeriod(membership);
+      return MembershipUsage.insertMany(
+        [1, 2, 3, 4].map(() => ({
+          membership: membership._id,
+          user: customer._id,
+          booking: new mongoose.Types.ObjectId(),
+          entitlement: "wash",
+          type: "debit",
+          periodStart: period.start,
+          periodEnd: period.end,
+        }))
+      );
+    };
+
+    test("should book the occurrence and draw a wash from the plan", async () => {
+      const [occurrence] = await generateDueOccurrences(schedule);
+
+      expect(occurrence).toMatchObject({ outcome: "created", covered: true });
+
+      const booking = await Booking.findById(occurrence.booking);
+      expect(booking.scheduledDate).toEqual(tomorrow);
+      expect(booking).toMatchObject({
+        scheduledTime: "10:00",
+        paymentMethod: "membership",
+        totalAmount: 0,
+      });
+
+      const remaining = getRemainingEntitlements(await getMembershipUsage(membership));
+      expect(remaining.wash).toBe(3);
+    });
+
+    test("should skip an occurrence beyond the quota", async () => {
+      await useAllWashes();
+
+      const [occurrence] = await generateDueOccurrences(schedule);
+
+      expect(occurrence.outcome).toBe("skipped");
+      expect(occurrence.reason).toMatch(/All washes/);
+      expect(await Booking.countDocuments({ recurringBooking: schedule._id })).toBe(0);
+    });
+
+    test("should book an occurrence beyond the quota at the normal price when asked to", async () => {
+      await useAllWashes();
+      schedule.overQuota = "charge";
+
+      const [occurrence] = await generateDueOccurrences(schedule);
+
+      expect(occurrence).toMatchObject({ outcome: "created", covered: false });
+      const booking = await Booking.findById(occurrence.booking);
+      expect(booking).toMatchObject({ paymentMethod: "cod", totalAmount: 300 });
+    });
+
+    test("should treat the slot time as IST when checking whether it passed", async () => {
+      // 10:30 IST: the 10:00 slot is over, whatever the server's timezone
+      const now = new Date(tomorrow.getTime() + (10 * 60 + 30) * 60 * 1000);
+
+      const [missed, next] = await generateDueOccurrences(schedule, { now });
+
+      expect(missed).toMatchObject({ outcome: "skipped", reason: "Slot had already passed" });
+      expect(next.scheduledDate).toEqual(new Date(tomorrow.getTime() + 7 * DAY_MS));
+      expect(next.outcome).toBe("created");
+    });
+  });
+});
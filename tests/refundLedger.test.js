@@ -0,0 +1,90 @@
+import Payment from "../src/models/paymentModel.js";
+import {
+  applyRefundEvent,
+  getRefundableAmount,
+  getRefundLedger,
+} from "../src/services/paymentService.js";
+
+describe("Refund ledger", () => {
+  const makePayment = (overrides = {}) =>
+    new Payment({
+      bookingId: "64b7f0c2a1b2c3d4e5f60718",
+      userId: "64b7f0c2a1b2c3d4e5f60719",
+      amount: 1000,
+      status: "captured",
+      razorpayPaymentId: "pay_1",
+      ...overrides,
+    });
+
+  test("should keep what is not refunded yet as refundable", () => {
+    expect(getRefundableAmount(makePayment())).toBe(1000);
+    expect(getRefundableAmount(makePayment({ refundAmount: 300.1 }))).toBe(699.9);
+    expect(getRefundableAmount(makePayment({ refundAmount: 1000 }))).toBe(0);
+  });
+
+  test("should track several partial refunds separately", () => {
+    const payment = makePayment({
+      refundAmount: 500,
+      refunds: [
+        { razorpayRefundId: "rfnd_1", amount: 200, status: "pending" },
+        { razorpayRefundId: "rfnd_2", amount: 300, status: "pending" },
+      ],
+    });
+
+    applyRefundEvent(payment, "refund.created", { id: "rfnd_2", amount: 30000 });
+    applyRefundEvent(payment, "refund.processed", { id: "rfnd_1", amount: 20000 });
+
+    expect(payment.refundAmount).toBe(500);
+    expect(payment.refunds.map((refund) => refund.status)).toEqual(["processed", "pending"]);
+    expect(payment.status).toBe("captured");
+  });
+
+  test("should release the amount of a failed refund", () => {
+    const payment = makePayment({
+      refundAmount: 400,
+      refunds: [{ razorpayRefundId: "rfnd_1", amount: 400, status: "pending" }],
+    });
+
+    applyRefundEvent(payment, "refund.failed", { id: "rfnd_1", error_description: "Bank rejected" });
+
+    expect(payment.refundAmount).toBe(0);
+    expect(payment.refunds[0]).toMatchObject({ status: "failed", failureReason: "Bank rejected" });
+    expect(getRefundableAmount(payment)).toBe(1000);
+  });
+
+  test("should match a refund by its ledger entry before Razorpay's id is stored", () => {
+    const payment = makePayment({ refundAmount: 250, refunds: [{ amount: 250, status: "pending" }] });
+    const entryId = payment.refunds[0]._id.toString();
+
+    applyRefundEvent(payment, "refund.processed", {
+      id: "rfnd_9",
+      amount: 25000,
+      notes: { refundEntryId: entryId },
+    });
+
+    expect(payment.refunds).toHaveLength(1);
+    expect(payment.refunds[0]).toMatchObject({ razorpayRefundId: "rfnd_9", status: "processed" });
+  });
+
+  test("should add refunds raised on the dashboard and mark fully refunded payments", () => {
+    const payment = makePayment();
+
+    applyRefundEvent(payment, "refund.processed", { id: "rfnd_dash", amount: 100000 });
+
+    expect(payment.refunds[0]).toMatchObject({ source: "razorpay", amount: 1000 });
+    expect(payment.refundAmount).toBe(1000);
+    expect(payment.status).toBe("refunded");
+  });
+
+  test("should not count a legacy refund twice", () => {
+    const payment = makePayment({ refundId: "rfnd_old", refundAmount: 100, refundStatus: "pending" });
+    expect(getRefundLedger(payment)).toEqual([
+      expect.objectContaining({ razorpayRefundId: "rfnd_old", amount: 100 }),
+    ]);
+
+    applyRefundEvent(payment, "refund.processed", { id: "rfnd_old", amount: 10000 });
+
+    expect(payment.refundAmount).toBe(100);
+    expect(payment.refunds).toHaveLength(1);
+  });
+});
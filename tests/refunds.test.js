@@ -0,0 +1,88 @@
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import razorpayInstance from "../src/config/razorpay.js";
+import Payment from "../src/models/paymentModel.js";
+import { initiateRefund } from "../src/services/paymentService.js";
+import { getWalletBalance } from "../src/services/walletService.js";
+import { createTestUser, cleanupTestData } from "./helpers/testHelpers.js";
+
+describe("Refund reservation", () => {
+  let payment;
+
+  beforeEach(async () => {
+    await cleanupTestData();
+
+    const customer = await createTestUser({ role: "customer" });
+    payment = await Payment.create({
+      bookingId: new mongoose.Types.ObjectId(),
+      userId: customer._id,
+      amount: 1000,
+      status: "captured",
+      razorpayOrderId: "order_refund_1",
+      razorpayPaymentId: "pay_refund_1",
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should let only one of two refunds over the captured amount through", async () => {
+    const refund = jest
+      .spyOn(razorpayInstance.payments, "refund")
+      .mockResolvedValue({ id: "rfnd_1", status: "pending" });
+
+    const results = await Promise.allSettled([
+      initiateRefund(payment._id, 600, {}, { reason: "Duplicate charge" }),
+      initiateRefund(payment._id, 600, {}, { reason: "Duplicate charge" }),
+    ]);
+
+    expect(results.filter((result) => result.status === "fulfilled")).toHaveLength(1);
+    expect(results.find((result) => result.status === "rejected").reason).toMatchObject({
+      statusCode: 409,
+      errorCode: "REFUND_EXCEEDS_CAPTURED",
+    });
+    expect(refund).toHaveBeenCalledTimes(1);
+
+    const refunded = await Payment.findById(payment._id);
+    expect(refunded.refundAmount).toBe(600);
+    expect(refunded.refunds).toHaveLength(1);
+  });
+
+  test("should release the reservation when Razorpay rejects the refund", async () => {
+    jest
+      .spyOn(razorpayInstance.payments, "refund")
+      .mockRejectedValueOnce({ error: { description: "Refund amount exceeds the payment amount" } })
+      .mockResolvedValueOnce({ id: "rfnd_2", status: "pending" });
+
+    await expect(initiateRefund(payment._id, 400)).rejects.toBeDefined();
+
+    const released = await Payment.findById(payment._id);
+    expect(released.refundAmount).toBe(0);
+    expect(released.refunds[0]).toMatchObject({
+      amount: 400,
+      status: "failed",
+      failureReason: "Refund amount exceeds the payment amount",
+    });
+
+    // The released amount can be refunded again
+    await initiateRefund(payment._id, 1000);
+    expect((await Payment.findById(payment._id)).refundAmount).toBe(1000);
+  });
+
+  test("should keep the reservation once the wallet was credited", async () => {
+    jest.spyOn(Payment.prototype, "save").mockRejectedValueOnce(new Error("write failed"));
+
+    await expect(
+      initiateRefund(payment._id, 400, {}, { reason: "Late arrival", destination: "wallet" })
+    ).rejects.toBeDefined();
+
+    expect(await getWalletBalance(payment.userId)).toBe(400);
+    expect((await Payment.findById(payment._id)).refundAmount).toBe(400);
+
+    // The credited amount cannot be refunded a second time
+    await expect(
+      initiateRefund(payment._id, 700, {}, { destination: "wallet" })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
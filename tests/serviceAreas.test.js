@@ -0,0 +1,161 @@
+import ServiceArea from "../src/models/serviceAreaModel.js";
+import {
+  assertAreaServes,
+  getUnofferedServices,
+  importServiceAreas,
+  isAreaOpen,
+  parseServiceAreaFeatures,
+  toGeoJSONFeature,
+  validateBoundary,
+  validateOperatingHours,
+} from "../src/services/serviceAreaService.js";
+
+const washId = "64b7f0c2a1b2c3d4e5f61201";
+const polishId = "64b7f0c2a1b2c3d4e5f61202";
+
+// Rough square around central Bengaluru
+const square = {
+  type: "Polygon",
+  coordinates: [
+    [
+      [77.55, 12.95],
+      [77.65, 12.95],
+      [77.65, 13.05],
+      [77.55, 13.05],
+      [77.55, 12.95],
+    ],
+  ],
+};
+
+// Weekdays 08:00-20:00, Saturday mornings only, closed on Sunday
+const area = {
+  _id: "64b7f0c2a1b2c3d4e5f61203",
+  name: "Central",
+  boundary: square,
+  services: [washId],
+  operatingHours: [1, 2, 3, 4, 5]
+    .map((day) => ({ day, open: "08:00", close: "20:00" }))
+    .concat({ day: 6, open: "08:00", close: "13:00" }),
+};
+
+describe("Service area boundaries", () => {
+  test("should accept polygons and multipolygons", () => {
+    expect(validateBoundary(square)).toEqual(square);
+    expect(validateBoundary({ type: "MultiPolygon", coordinates: [square.coordinates] }).type).toBe("MultiPolygon");
+  });
+
+  test("should reject open rings, bad positions and other geometries", () => {
+    const open = { type: "Polygon", coordinates: [square.coordinates[0].slice(0, 4)] };
+    expect(() => validateBoundary(open)).toThrow("must end where it starts");
+    expect(() =>
+      validateBoundary({ type: "Polygon", coordinates: [[[200, 0], [1, 1], [1, 0], [200, 0]]] })
+    ).toThrow("Invalid boundary");
+    expect(() => validateBoundary({ type: "Point", coordinates: [77.6, 12.9] })).toThrow("Polygon or MultiPolygon");
+  });
+});
+
+describe("Operating hours and services", () => {
+  test("should validate weekly hours", () => {
+    expect(validateOperatingHours([{ day: 1, open: "08:00", close: "20:00" }])).toHaveLength(1);
+    expect(() => validateOperatingHours([{ day: 7, open: "08:00", close: "20:00" }])).toThrow("weekday");
+    expect(() => validateOperatingHours([{ day: 1, open: "20:00", close: "08:00" }])).toThrow("open before close");
+  });
+
+  test("should only be open within the hours of the slot's weekday", () => {
+    // Monday 10 June 2024
+    expect(isAreaOpen(area, new Date("2024-06-10T00:00:00+05:30"), 9 * 60, 10 * 60)).toBe(true);
+    expect(isAreaOpen(area, new Date("2024-06-10T00:00:00+05:30"), 19 * 60, 21 * 60)).toBe(false);
+    expect(isAreaOpen(area, new Date("2024-06-15T00:00:00+05:30"), 12 * 60, 14 * 60)).toBe(false);
+    expect(isAreaOpen(area, new Date("2024-06-16T00:00:00+05:30"), 10 * 60)).toBe(false);
+    expect(isAreaOpen({ operatingHours: [] }, new Date("2024-06-16T00:00:00+05:30"), 3 * 60)).toBe(true);
+  });
+
+  test("should read the slot's weekday and time in IST", () => {
+    // Sunday 23:00 UTC is 04:30 on Monday in India; 03:00 UTC is 08:30
+    expect(() =>
+      assertAreaServes(area, { serviceIds: [washId], slotStart: new Date("2024-06-09T23:00:00Z"), duration: 30 })
+    ).toThrow("does not take bookings");
+    expect(() =>
+      assertAreaServes(area, { serviceIds: [washId], slotStart: new Date("2024-06-10T03:00:00Z"), duration: 30 })
+    ).not.toThrow();
+  });
+
+  test("should list services the area does not offer", () => {
+    expect(getUnofferedServices(area, [washId, polishId])).toEqual([polishId]);
+    expect(getUnofferedServices({ services: [] }, [polishId])).toEqual([]);
+  });
+
+  test("should reject bookings the area cannot take", () => {
+    expect(() => assertAreaServes(area, { serviceIds: [polishId] })).toThrow("not offered in Central");
+    expect(() =>
+      assertAreaServes(area, { serviceIds: [washId], slotStart: new Date("2024-06-16T10:00:00+05:30"), duration: 60 })
+    ).toThrow("does not take bookings");
+    expect(() =>
+      assertAreaServes(area, { serviceIds: [washId], slotStart: new Date("2024-06-10T10:00:00+05:30"), duration: 60 })
+    ).not.toThrow();
+    expect(() => assertAreaServes(null, { serviceIds: [polishId] })).not.toThrow();
+  });
+});
+
+describe("GeoJSON import and export", () => {
+  test("should export an area as a feature", () => {
+    const feature = toGeoJSONFeature({ ...area, isActive: true, dispatchMode: "auto" });
+
+    expect(feature).toMatchObject({
+      type: "Feature",
+      geometry: square,
+      properties: { id: area._id, name: "Central", isActive: true, dispatchMode: "auto", services: [washId] },
+    });
+    expect(toGeoJSONFeature({ _id: area._id, name: "Old", pincode: "560001" }).geometry).toBeNull();
+  });
+
+  test("should round-trip exported features", () => {
+    const feature = toGeoJSONFeature({ ...area, isActive: true, dispatchMode: "manual" });
+    const { areas, errors } = parseServiceAreaFeatures({ type: "FeatureCollection", features: [feature] });
+
+    expect(errors).toEqual([]);
+    expect(areas[0]).toMatchObject({ id: area._id, fields: { name: "Central", boundary: square, services: [washId] } });
+  });
+
+  test("should report every invalid feature", () => {
+    const { areas, errors } = parseServiceAreaFeatures({
+      type: "FeatureCollection",
+      features: [
+        { type: "Feature", geometry: square, properties: { name: "North" } },
+        { type: "Feature", geometry: square, properties: { name: "North" } },
+        { type: "Feature", geometry: null, properties: { name: "South" } },
+        { type: "Feature", geometry: { type: "Point", coordinates: [77.6, 12.9] }, properties: { name: "East" } },
+      ],
+    });
+
+    expect(areas).toHaveLength(1);
+    expect(errors.map((error) => error.index)).toEqual([1, 2, 3]);
+    expect(() => parseServiceAreaFeatures({ type: "Feature" })).toThrow("FeatureCollection");
+  });
+
+  test("should keep the areas saved when another feature cannot be", async () => {
+    await ServiceArea.deleteMany({});
+    await ServiceArea.create({ name: "Existing", pincode: "560002" });
+
+    try {
+      const result = await importServiceAreas({
+        type: "FeatureCollection",
+        features: [
+          { type: "Feature", geometry: square, properties: { name: "Central" } },
+          // Pincode already taken by another area
+          { type: "Feature", geometry: null, properties: { name: "South", pincode: "560002" } },
+        ],
+      });
+
+      expect(result).toMatchObject({ created: 1, updated: 0, failed: 1, total: 2 });
+      expect(result.results.map(({ index, outcome }) => [index, outcome])).toEqual([
+        [0, "created"],
+        [1, "failed"],
+      ]);
+      expect(await ServiceArea.exists({ name: "Central" })).toBeTruthy();
+      expect(await ServiceArea.exists({ name: "South" })).toBeNull();
+    } finally {
+      await ServiceArea.deleteMany({});
+    }
+  });
+});
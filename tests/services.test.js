@@ -88,6 +88,15 @@ describe("Service API_ENDPOINTS", () => {
           expect(service.category).toBe("plumbing");
         });
       });
+
+      test("should keep priced lists out of shared caches", async () => {
+        const response = await request(app)
+          .get("/api/services?category=electrical")
+          .set(getAuthHeaders(userToken))
+          .expect(200);
+
+        expect(response.headers["cache-control"]).toMatch(/^private/);
+      });
     });
 
     describe("GET /api/services/popular", () => {
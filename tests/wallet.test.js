@@ -0,0 +1,105 @@
+import WalletTransaction from "../src/models/walletTransactionModel.js";
+import { WALLET_SYSTEM_ACCOUNTS } from "../src/config/wallet.js";
+import {
+  buildEntries,
+  calculateCashback,
+  calculateWalletPayment,
+  getAccountBalance,
+  getWalletAccount,
+} from "../src/services/walletService.js";
+
+describe("Wallet ledger", () => {
+  const userId = "64b7f0c2a1b2c3d4e5f60719";
+  const wallet = getWalletAccount(userId);
+
+  test("should balance debits and credits for every transaction type", () => {
+    for (const type of ["topup", "booking_payment", "booking_refund", "refund_credit", "cashback"]) {
+      const entries = buildEntries(userId, type, 250.5);
+      const debits = entries.reduce((total, entry) => total + entry.debit, 0);
+      const credits = entries.reduce((total, entry) => total + entry.credit, 0);
+      expect(debits).toBe(credits);
+    }
+  });
+
+  test("should credit the wallet for top-ups and debit it for bookings", () => {
+    expect(buildEntries(userId, "topup", 500)).toEqual([
+      { account: WALLET_SYSTEM_ACCOUNTS.topups, debit: 500, credit: 0 },
+      { account: wallet, debit: 0, credit: 500 },
+    ]);
+    expect(buildEntries(userId, "booking_payment", 200)).toEqual([
+      { account: wallet, debit: 200, credit: 0 },
+      { account: WALLET_SYSTEM_ACCOUNTS.bookings, debit: 0, credit: 200 },
+    ]);
+  });
+
+  test("should derive the balance from posted transactions only", () => {
+    const transactions = [
+      { status: "posted", entries: buildEntries(userId, "topup", 500) },
+      { status: "posted", entries: buildEntries(userId, "booking_payment", 199.9) },
+      { status: "posted", entries: buildEntries(userId, "cashback", 20) },
+      { status: "pending", entries: buildEntries(userId, "topup", 1000) },
+    ];
+
+    expect(getAccountBalance(transactions, wallet)).toBe(320.1);
+    expect(getAccountBalance(transactions, WALLET_SYSTEM_ACCOUNTS.topups)).toBe(-500);
+  });
+
+  test("should reject unbalanced entries", async () => {
+    const transaction = new WalletTransaction({
+      wallet: "64b7f0c2a1b2c3d4e5f60718",
+      user: userId,
+      type: "topup",
+      amount: 100,
+      reference: "topup:order_1",
+      entries: [
+        { account: WALLET_SYSTEM_ACCOUNTS.topups, debit: 100, credit: 0 },
+        { account: wallet, debit: 0, credit: 90 },
+      ],
+    });
+
+    await expect(transaction.validate()).rejects.toThrow();
+  });
+});
+
+describe("Wallet payments", () => {
+  test("should use as much of the balance as the booking needs", () => {
+    expect(calculateWalletPayment({ totalAmount: 800, balance: 300 })).toBe(300);
+    expect(calculateWalletPayment({ totalAmount: 800, balance: 1000 })).toBe(800);
+  });
+
+  test("should cap a requested amount at the balance and the total", () => {
+    expect(calculateWalletPayment({ totalAmount: 800, balance: 300, requested: 100 })).toBe(100);
+    expect(calculateWalletPayment({ totalAmount: 800, balance: 300, requested: 500 })).toBe(300);
+    expect(calculateWalletPayment({ totalAmount: 200, balance: 300, requested: 500 })).toBe(200);
+  });
+
+  test("should require the full amount when paying by wallet", () => {
+    expect(
+      calculateWalletPayment({ totalAmount: 800, balance: 1000, paymentMethod: "wallet" })
+    ).toBe(800);
+    expect(() =>
+      calculateWalletPayment({ totalAmount: 800, balance: 300, paymentMethod: "wallet" })
+    ).toThrow("not enough");
+  });
+});
+
+describe("Cashback offers", () => {
+  const offer = {
+    benefitType: "cashback",
+    discountType: "percentage",
+    discount: 10,
+    maxDiscountAmount: 150,
+    minOrderValue: 500,
+  };
+
+  test("should pay a capped percentage of the booking amount", () => {
+    expect(calculateCashback(offer, 1000)).toBe(100);
+    expect(calculateCashback(offer, 3000)).toBe(150);
+  });
+
+  test("should pay nothing below the minimum order or for discount offers", () => {
+    expect(calculateCashback(offer, 400)).toBe(0);
+    expect(calculateCashback({ ...offer, benefitType: "discount" }, 1000)).toBe(0);
+    expect(calculateCashback(null, 1000)).toBe(0);
+  });
+});
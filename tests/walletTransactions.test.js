@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import request from "supertest";
+import app from "../src/app.js";
+import Wallet from "../src/models/walletModel.js";
+import WalletTransaction from "../src/models/walletTransactionModel.js";
+import {
+  finishInterruptedTransactions,
+  payBookingFromWallet,
+  postWalletTransaction,
+} from "../src/services/walletService.js";
+import {
+  createTestUser,
+  generateTestToken,
+  getAuthHeaders,
+  cleanupTestData,
+} from "./helpers/testHelpers.js";
+
+describe("Wallet transactions", () => {
+  let customer, customerToken;
+
+  beforeEach(async () => {
+    await cleanupTestData();
+
+    customer = await createTestUser({ role: "customer" });
+    customerToken = generateTestToken(customer._id, "customer");
+  });
+
+  const topup = (amount, reference) =>
+    postWalletTransaction({ userId: customer._id, type: "topup", amount, reference });
+
+  test("should post a reference only once", async () => {
+    const [first, second] = await Promise.all([
+      topup(500, "topup:order_1"),
+      topup(500, "topup:order_1"),
+    ]);
+    const again = await topup(500, "topup:order_1");
+
+    expect(String(second._id)).toBe(String(first._id));
+    expect(String(again._id)).toBe(String(first._id));
+    expect(await WalletTransaction.countDocuments({ reference: "topup:order_1" })).toBe(1);
+
+    const response = await request(app)
+      .get("/api/wallet")
+      .set(getAuthHeaders(customerToken))
+      .expect(200);
+
+    expect(response.body.data.balance).toBe(500);
+  });
+
+  test("should refuse a payment larger than the balance", async () => {
+    await topup(300, "topup:order_2");
+    const bookingId = new mongoose.Types.ObjectId();
+
+    await expect(payBookingFromWallet(customer._id, bookingId, 400)).rejects.toMatchObject({
+      statusCode: 400,
+      errorCode: "INSUFFICIENT_WALLET_BALANCE",
+    });
+
+    const wallet = await Wallet.findOne({ user: customer._id });
+    expect(wallet.balance).toBe(300);
+
+    // The attempt stays on record but never counts
+    const attempt = await WalletTransaction.findOne({ reference: `booking:${bookingId}` });
+    expect(attempt.status).toBe("failed");
+
+    const response = await request(app)
+      .get("/api/wallet")
+      .set(getAuthHeaders(customerToken))
+      .expect(200);
+    expect(response.body.data.balance).toBe(300);
+  });
+
+  test("should never take the balance below zero when payments race", async () => {
+    await topup(300, "topup:order_3");
+
+    const results = await Promise.allSettled([
+      payBookingFromWallet(customer._id, new mongoose.Types.ObjectId(), 200),
+      payBookingFromWallet(customer._id, new mongoose.Types.ObjectId(), 200),
+    ]);
+
+    expect(results.filter((result) => result.status === "fulfilled")).toHaveLength(1);
+    expect(results.find((result) => result.status === "rejected").reason.errorCode).toBe(
+      "INSUFFICIENT_WALLET_BALANCE"
+    );
+
+    const wallet = await Wallet.findOne({ user: customer._id });
+    expect(wallet.balance).toBe(100);
+    expect(
+      await WalletTransaction.countDocuments({ type: "booking_payment", status: "posted" })
+    ).toBe(1);
+  });
+
+  test("should finish a transaction a crash left applying without moving the money twice", async () => {
+    const topup = await postWalletTransaction({
+      userId: customer._id,
+      type: "topup",
+      amount: 200,
+      reference: "topup:order_4",
+      status: "pending",
+    });
+
+    // Crashed after the wallet was credited but before the transaction was posted
+    const wallet = await Wallet.findOneAndUpdate(
+      { user: customer._id },
+      { $inc: { balance: 200 }, $push: { appliedTransactions: topup._id } },
+      { new: true }
+    );
+    await WalletTransaction.collection.updateOne(
+      { _id: topup._id },
+      { $set: { status: "applying", updatedAt: new Date(Date.now() - 10 * 60 * 1000) } }
+    );
+
+    const result = await finishInterruptedTransactions();
+
+    expect(result).toMatchObject({ checked: 1, posted: 1 });
+    expect((await WalletTransaction.findById(topup._id)).status).toBe("posted");
+    const finished = await Wallet.findById(wallet._id);
+    expect(finished.balance).toBe(200);
+    expect(finished.appliedTransactions).toHaveLength(0);
+  });
+});
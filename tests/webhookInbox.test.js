@@ -0,0 +1,65 @@
+import {
+  getWebhookEventId,
+  getRetryDelay,
+  isStaleEvent,
+} from "../src/services/webhookInboxService.js";
+
+describe("Webhook inbox", () => {
+  const captured = {
+    account_id: "acc_test",
+    event: "payment.captured",
+    created_at: 1900000000,
+    payload: { payment: { entity: { id: "pay_123", order_id: "order_123" } } },
+  };
+
+  describe("getWebhookEventId", () => {
+    test("should prefer the provider event id header", () => {
+      expect(getWebhookEventId(captured, { "x-razorpay-event-id": "evt_1" })).toBe("evt_1");
+    });
+
+    test("should derive an id from the event subject without the header", () => {
+      expect(getWebhookEventId(captured)).toBe("acc_test_payment.captured_pay_123_1900000000");
+    });
+
+    test("should identify refund events by the refund, not the payment", () => {
+      const refund = {
+        ...captured,
+        event: "refund.processed",
+        payload: { refund: { entity: { id: "rfnd_1", payment_id: "pay_123" } } },
+      };
+      expect(getWebhookEventId(refund)).toBe("acc_test_refund.processed_rfnd_1_1900000000");
+    });
+
+    test("should fall back to a hash of the body", () => {
+      const id = getWebhookEventId({}, {}, '{"foo":1}');
+      expect(id).toMatch(/^[a-f0-9]{64}$/);
+      expect(getWebhookEventId({}, {}, '{"foo":1}')).toBe(id);
+    });
+  });
+
+  describe("getRetryDelay", () => {
+    const config = { baseRetryDelayMs: 1000, maxRetryDelayMs: 5000 };
+
+    test("should back off exponentially up to the cap", () => {
+      expect(getRetryDelay(1, config)).toBe(1000);
+      expect(getRetryDelay(2, config)).toBe(2000);
+      expect(getRetryDelay(3, config)).toBe(4000);
+      expect(getRetryDelay(4, config)).toBe(5000);
+    });
+  });
+
+  describe("isStaleEvent", () => {
+    const config = { maxEventAgeMs: 60 * 60 * 1000, maxClockSkewMs: 60 * 1000 };
+    const now = new Date(1900000000 * 1000);
+
+    test("should accept recent events and events without a timestamp", () => {
+      expect(isStaleEvent(captured, now, config)).toBe(false);
+      expect(isStaleEvent({ event: "order.paid" }, now, config)).toBe(false);
+    });
+
+    test("should reject events that are too old or too far in the future", () => {
+      expect(isStaleEvent({ created_at: 1900000000 - 2 * 3600 }, now, config)).toBe(true);
+      expect(isStaleEvent({ created_at: 1900000000 + 120 }, now, config)).toBe(true);
+    });
+  });
+});